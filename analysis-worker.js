@@ -0,0 +1,12 @@
+// Beat tracking for "Tempo Map from Audio", run as a web worker so the Score Editor stays
+// responsive while a long recording is analyzed (see analyzeAudioFile in renderer.js).
+// The window enables Node integration in workers, so beats.js loads as in the renderer.
+const { analyzeAudio } = require('./beats');
+
+self.onmessage = ({ data }) => {
+  try {
+    self.postMessage({ analysis: analyzeAudio(data.samples, data.sampleRate) });
+  } catch (error) {
+    self.postMessage({ error: error.message });
+  }
+};
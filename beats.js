@@ -0,0 +1,435 @@
+// Offline beat tracking, for building a score from a recording made without a click.
+// The audio is reduced to an onset envelope (how much new sound starts in each frame). The beat
+// period is estimated from its autocorrelation and followed as the tempo drifts, and beats are
+// placed by dynamic programming: strong onsets, about one period apart. Bars start on the beat
+// phase with the most low-frequency accent, and the bar tempos are grouped into sections with
+// tempo transitions where the tempo moves gradually.
+const meter = require('./meter');
+const { createBar } = require('./compiler');
+
+const ANALYSIS_RATE = 11025; // Hz - the audio is downsampled to about this rate
+const FRAME_SIZE = 256; // Samples per analysis frame (23ms)
+const HOP_SIZE = 64; // Samples between frames (5.8ms)
+const LOW_BAND_HZ = 250; // Kick drum and bass, used to find the bar starts
+
+const MIN_TEMPO = 40;
+const MAX_TEMPO = 240;
+const PREFERRED_TEMPO = 120; // Centre of the tempo prior, which settles octave ambiguities
+const TEMPO_WINDOW_MS = 6000; // Audio used for each local tempo estimate
+const TEMPO_STEP_MS = 1000;
+const TIGHTNESS = 100; // How strongly beats keep to the local period
+
+const TEMPO_TOLERANCE = 0.02; // Bars within 2% (at least 1.5 BPM) of a section's tempo belong to it
+const MIN_TEMPO_TOLERANCE = 1.5;
+const MIN_RAMP_STEP = 0.5; // BPM per bar for a tempo transition
+
+// Tempo (BPM) from beat times (ms): total duration divided by the number of intervals.
+// Shared with tap tempo in the Score Editor.
+function getTempoFromBeats(times) {
+  if (times.length < 2) return null;
+  const averageInterval = (times[times.length - 1] - times[0]) / (times.length - 1);
+  return 60000 / averageInterval;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// In-place radix-2 FFT of real input (imaginary parts start at zero)
+function createFFT(size) {
+  const levels = Math.log2(size);
+  const reverse = new Uint32Array(size);
+  for (let i = 0; i < size; i++) {
+    let r = 0;
+    for (let bit = 0; bit < levels; bit++) r = (r << 1) | ((i >> bit) & 1);
+    reverse[i] = r;
+  }
+  const cos = new Float64Array(size / 2);
+  const sin = new Float64Array(size / 2);
+  for (let i = 0; i < size / 2; i++) {
+    cos[i] = Math.cos(2 * Math.PI * i / size);
+    sin[i] = Math.sin(2 * Math.PI * i / size);
+  }
+
+  return (real, imag) => {
+    for (let i = 0; i < size; i++) {
+      const j = reverse[i];
+      if (j > i) {
+        [real[i], real[j]] = [real[j], real[i]];
+        [imag[i], imag[j]] = [imag[j], imag[i]];
+      }
+    }
+    for (let half = 1; half < size; half *= 2) {
+      const step = size / (half * 2);
+      for (let start = 0; start < size; start += half * 2) {
+        for (let k = 0; k < half; k++) {
+          const a = start + k;
+          const b = a + half;
+          const tr = real[b] * cos[k * step] + imag[b] * sin[k * step];
+          const ti = imag[b] * cos[k * step] - real[b] * sin[k * step];
+          real[b] = real[a] - tr;
+          imag[b] = imag[a] - ti;
+          real[a] += tr;
+          imag[a] += ti;
+        }
+      }
+    }
+  };
+}
+
+// Scale to unit standard deviation after removing the local mean, keeping only rises
+function normalizeEnvelope(values, meanFrames) {
+  const result = new Float64Array(values.length);
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= meanFrames) sum -= values[i - meanFrames];
+    const mean = sum / Math.min(i + 1, meanFrames);
+    result[i] = Math.max(0, values[i] - mean);
+  }
+
+  let squares = 0;
+  result.forEach(value => { squares += value * value; });
+  const deviation = Math.sqrt(squares / Math.max(result.length, 1)) || 1;
+  return result.map(value => value / deviation);
+}
+
+// Spectral flux of mono audio, over all frequencies and over the low band only.
+// frameMs is the time between frames; frameOffsetMs the time of frame 0.
+function getOnsetEnvelopes(samples, sampleRate) {
+  const factor = Math.max(1, Math.floor(sampleRate / ANALYSIS_RATE));
+  const rate = sampleRate / factor;
+  const length = Math.floor(samples.length / factor);
+  const audio = new Float64Array(length);
+  for (let i = 0; i < length; i++) {
+    let sum = 0;
+    for (let j = 0; j < factor; j++) sum += samples[i * factor + j];
+    audio[i] = sum / factor;
+  }
+
+  const frameCount = Math.max(0, Math.floor((length - FRAME_SIZE) / HOP_SIZE) + 1);
+  const bins = FRAME_SIZE / 2;
+  const lowBins = Math.max(2, Math.round(LOW_BAND_HZ * FRAME_SIZE / rate));
+  const window = new Float64Array(FRAME_SIZE).map((_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / FRAME_SIZE));
+  const fft = createFFT(FRAME_SIZE);
+  const real = new Float64Array(FRAME_SIZE);
+  const imag = new Float64Array(FRAME_SIZE);
+  let previous = new Float64Array(bins);
+  let current = new Float64Array(bins);
+
+  const flux = new Float64Array(frameCount);
+  const lowFlux = new Float64Array(frameCount);
+  for (let frame = 0; frame < frameCount; frame++) {
+    const offset = frame * HOP_SIZE;
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      real[i] = audio[offset + i] * window[i];
+      imag[i] = 0;
+    }
+    fft(real, imag);
+
+    for (let bin = 1; bin < bins; bin++) {
+      // Log magnitude, so quiet and loud passages count alike
+      current[bin] = Math.log(1 + 100 * Math.hypot(real[bin], imag[bin]));
+      const rise = frame > 0 ? Math.max(0, current[bin] - previous[bin]) : 0;
+      flux[frame] += rise;
+      if (bin < lowBins) lowFlux[frame] += rise;
+    }
+    [previous, current] = [current, previous];
+  }
+
+  const frameMs = HOP_SIZE / rate * 1000;
+  const meanFrames = Math.round(250 / frameMs);
+  return {
+    onset: normalizeEnvelope(flux, meanFrames),
+    low: normalizeEnvelope(lowFlux, meanFrames),
+    frameMs,
+    // Each frame's flux is measured against the previous frame, a hop earlier
+    frameOffsetMs: (FRAME_SIZE / 2 + HOP_SIZE) / rate * 1000
+  };
+}
+
+// Autocorrelation of the envelope at every lag from minLag to maxLag (frames)
+function autocorrelate(onset, start, end, minLag, maxLag) {
+  const values = new Float64Array(maxLag + 2);
+  for (let lag = minLag; lag <= maxLag + 1; lag++) {
+    let sum = 0;
+    for (let t = start; t + lag < end; t++) sum += onset[t] * onset[t + lag];
+    values[lag] = sum / Math.max(end - start - lag, 1);
+  }
+  return values;
+}
+
+// Lag with the strongest autocorrelation, weighted towards preferredLag, refined between frames
+function findPeriod(values, minLag, maxLag, preferredLag, octaves) {
+  let best = minLag;
+  let bestScore = -Infinity;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    const distance = Math.log2(lag / preferredLag) / octaves;
+    const score = values[lag] * Math.exp(-0.5 * distance * distance);
+    if (score > bestScore) {
+      bestScore = score;
+      best = lag;
+    }
+  }
+
+  const [a, b, c] = [values[best - 1], values[best], values[best + 1]];
+  const curvature = a - 2 * b + c;
+  return best > minLag && curvature < 0 ? best + 0.5 * (a - c) / curvature : best;
+}
+
+// Beat period (frames) at every frame, following the tempo as it changes
+function estimatePeriods(onset, frameMs) {
+  const toLag = tempo => 60000 / tempo / frameMs;
+  const minLag = Math.max(1, Math.floor(toLag(MAX_TEMPO)));
+  const maxLag = Math.ceil(toLag(MIN_TEMPO));
+
+  const overall = findPeriod(autocorrelate(onset, 0, onset.length, minLag, maxLag), minLag, maxLag, toLag(PREFERRED_TEMPO), 1);
+
+  // Local estimates stay within a factor of 1.6 of the overall period, so they don't jump an octave
+  const localMin = Math.max(minLag, Math.floor(overall / 1.6));
+  const localMax = Math.min(maxLag, Math.ceil(overall * 1.6));
+  const windowFrames = Math.round(TEMPO_WINDOW_MS / frameMs);
+  const stepFrames = Math.round(TEMPO_STEP_MS / frameMs);
+  const centers = [];
+  const periods = [];
+  for (let start = 0; start === 0 || start + windowFrames <= onset.length; start += stepFrames) {
+    const end = Math.min(start + windowFrames, onset.length);
+    centers.push((start + end) / 2);
+    periods.push(findPeriod(autocorrelate(onset, start, end, localMin, localMax), localMin, localMax, overall, 0.5));
+  }
+
+  const result = new Float64Array(onset.length);
+  let k = 0;
+  for (let t = 0; t < onset.length; t++) {
+    while (k + 1 < centers.length && centers[k + 1] <= t) k++;
+    if (t <= centers[0] || k + 1 >= centers.length) {
+      result[t] = periods[t <= centers[0] ? 0 : k];
+    } else {
+      const progress = (t - centers[k]) / (centers[k + 1] - centers[k]);
+      result[t] = periods[k] + (periods[k + 1] - periods[k]) * progress;
+    }
+  }
+  return result;
+}
+
+// Beat frames: each beat is an onset plus the best chain of beats before it, where a chain
+// loses score the further its spacing is from the local period
+function placeBeats(onset, periods) {
+  const score = new Float64Array(onset.length);
+  const previous = new Int32Array(onset.length).fill(-1);
+
+  for (let t = 0; t < onset.length; t++) {
+    const period = periods[t];
+    let best = -Infinity;
+    for (let p = Math.max(0, Math.round(t - 2 * period)); p <= Math.round(t - period / 2); p++) {
+      const spacing = Math.log((t - p) / period);
+      const value = score[p] - TIGHTNESS * spacing * spacing;
+      if (value > best) {
+        best = value;
+        previous[t] = p;
+      }
+    }
+    score[t] = onset[t] + (previous[t] >= 0 ? best : 0);
+  }
+
+  // The chain ends on the best score within the last period
+  const lastPeriod = Math.round(periods[onset.length - 1] || 1);
+  let last = Math.max(0, onset.length - lastPeriod);
+  for (let t = last; t < onset.length; t++) {
+    if (score[t] > score[last]) last = t;
+  }
+
+  const frames = [];
+  for (let t = last; t >= 0; t = previous[t]) frames.unshift(t);
+  return frames;
+}
+
+// Envelope peak next to a frame, refined between frames
+function findPeak(envelope, frame) {
+  let peak = frame;
+  for (let t = Math.max(0, frame - 2); t <= Math.min(envelope.length - 1, frame + 2); t++) {
+    if (envelope[t] > envelope[peak]) peak = t;
+  }
+  if (peak === 0 || peak === envelope.length - 1) return { position: peak, strength: envelope[peak] };
+
+  const [a, b, c] = [envelope[peak - 1], envelope[peak], envelope[peak + 1]];
+  const curvature = a - 2 * b + c;
+  return { position: curvature < 0 ? peak + 0.5 * (a - c) / curvature : peak, strength: b };
+}
+
+// Beats of mono audio as [{ time (ms), strength, accent }]. Beats placed in silence before
+// the music starts and after it ends are left out.
+function trackBeats(samples, sampleRate) {
+  const { onset, low, frameMs, frameOffsetMs } = getOnsetEnvelopes(samples, sampleRate);
+  if (onset.length === 0) return [];
+
+  const beats = placeBeats(onset, estimatePeriods(onset, frameMs)).map(frame => {
+    const peak = findPeak(onset, frame);
+    const lowPeak = findPeak(low, frame);
+    return {
+      time: peak.position * frameMs + frameOffsetMs,
+      strength: peak.strength,
+      accent: peak.strength + lowPeak.strength
+    };
+  });
+  if (beats.length === 0) return beats;
+
+  const threshold = 0.3 * median(beats.map(beat => beat.strength));
+  if (!(threshold > 0)) return []; // Silence
+  let first = 0;
+  let last = beats.length - 1;
+  while (first < last && beats[first].strength < threshold) first++;
+  while (last > first && beats[last].strength < threshold) last--;
+  return beats.slice(first, last + 1);
+}
+
+// Beats per bar and the index of the first downbeat: the phase with the most accent
+function findDownbeats(beats, beatsPerBar = null) {
+  const candidates = beatsPerBar ? [beatsPerBar] : [4, 3];
+  const overall = beats.reduce((sum, beat) => sum + beat.accent, 0) / beats.length || 1;
+
+  let best = { beatsPerBar: candidates[0], first: 0, score: -Infinity };
+  candidates.forEach((count, index) => {
+    for (let phase = 0; phase < Math.min(count, beats.length); phase++) {
+      let sum = 0;
+      let n = 0;
+      for (let i = phase; i < beats.length; i += count) {
+        sum += beats[i].accent;
+        n++;
+      }
+      // A slight preference for the first candidate (4/4) when the accents are unclear
+      const score = sum / n / overall * (index === 0 ? 1.05 : 1);
+      if (score > best.score) best = { beatsPerBar: count, first: phase, score };
+    }
+  });
+  return best;
+}
+
+function getTolerance(tempo) {
+  return Math.max(MIN_TEMPO_TOLERANCE, tempo * TEMPO_TOLERANCE);
+}
+
+// Split bar tempos into sections of steady tempo. A run of bars that moves one way and then
+// holds the new tempo becomes a tempo transition at the end of the earlier section; the next
+// section gets its length as tempoTransitionBars.
+// Returns [{ start, end, tempo, tempoTransitionBars }] with end exclusive.
+function groupBarTempos(tempos) {
+  // Median of three, so a single misplaced beat does not start a section
+  const smoothed = tempos.map((tempo, i) => median(tempos.slice(Math.max(0, i - 1), i + 2)));
+
+  const groups = [];
+  const startGroup = (start, tempoTransitionBars) => {
+    const group = { start, tempoTransitionBars, steady: [] };
+    groups.push(group);
+    return group;
+  };
+  let group = startGroup(0, 0);
+
+  for (let i = 0; i < tempos.length; i++) {
+    const level = group.steady.length > 0 ? median(group.steady.map(index => smoothed[index])) : smoothed[i];
+    if (Math.abs(smoothed[i] - level) <= getTolerance(level)) {
+      group.steady.push(i);
+      continue;
+    }
+
+    // The tempo has left the section - follow the run of bars moving the same way. It may have
+    // started within the tolerance, and it ends when the next few bars hold the tempo.
+    const direction = Math.sign(smoothed[i] - level);
+    const isRamp = (from, to) => (smoothed[to] - smoothed[from]) * direction > MIN_RAMP_STEP;
+    const hasMoved = index => Math.abs(smoothed[index] - level) > getTolerance(level) / 2;
+    const hasSettled = index => Math.abs(smoothed[index] - median(smoothed.slice(index + 1, index + 4))) <= getTolerance(smoothed[index]) / 2;
+
+    let start = i;
+    while (start - 2 >= group.start && isRamp(start - 2, start - 1) && hasMoved(start - 1) && group.steady.includes(start - 1)) start--;
+    let end = i;
+    while (end + 1 < tempos.length && isRamp(end, end + 1) && !hasSettled(end)) end++;
+
+    if (end - start + 1 >= 2 && end + 1 < tempos.length && group.steady.some(index => index < start)) {
+      group.steady = group.steady.filter(index => index < start);
+      group = startGroup(end + 1, end - start + 1);
+      i = end;
+      continue;
+    }
+
+    // A single bar off the tempo between steady bars is kept in the section
+    if (end === i && i + 1 < tempos.length && Math.abs(smoothed[i + 1] - level) <= getTolerance(level)) {
+      continue;
+    }
+
+    group = startGroup(i, 0);
+    group.steady.push(i);
+  }
+
+  const sections = groups.map((g, index) => {
+    const end = index + 1 < groups.length ? groups[index + 1].start : tempos.length;
+    const steady = g.steady.length > 0 ? g.steady : Array.from({ length: end - g.start }, (_, k) => g.start + k);
+    return {
+      start: g.start,
+      end,
+      tempo: Math.round(median(steady.map(i => tempos[i]))),
+      tempoTransitionBars: g.tempoTransitionBars
+    };
+  }).filter(section => section.end > section.start);
+
+  // Neighbouring sections that ended up at the same tempo are one section
+  return sections.reduce((merged, section) => {
+    const previous = merged[merged.length - 1];
+    if (previous && section.tempoTransitionBars === 0 && Math.abs(section.tempo - previous.tempo) <= getTolerance(previous.tempo)) {
+      previous.end = section.end;
+    } else {
+      merged.push(section);
+    }
+    return merged;
+  }, []);
+}
+
+// Proposed score for tracked beats: { beatsPerBar, offset, sections, barCount, barTempos }.
+// offset is the time (ms) of the first downbeat - where bar 1 starts in the audio. Beats before
+// it are a pickup and are left out. Pass beatsPerBar to override the detected meter.
+function proposeTempoMap(beats, beatsPerBar = null) {
+  if (beats.length < 2) {
+    throw new Error('No beat found in the audio');
+  }
+
+  const downbeats = findDownbeats(beats, beatsPerBar);
+  const count = downbeats.beatsPerBar;
+  const times = beats.map(beat => beat.time);
+
+  // Every bar with all of its beats; the last one may end without a following downbeat
+  const barTempos = [];
+  for (let start = downbeats.first; start + count - 1 < times.length; start += count) {
+    const barTimes = times.slice(start, start + count + 1);
+    if (barTimes.length >= 2) barTempos.push(getTempoFromBeats(barTimes));
+  }
+  if (barTempos.length === 0) {
+    throw new Error('The audio is shorter than one bar');
+  }
+
+  const sections = groupBarTempos(barTempos).map((group, index) => ({
+    name: `Section ${index + 1}`,
+    tempo: group.tempo,
+    timeSignature: { beats: count, noteValue: 4 },
+    beatUnit: meter.DEFAULT_BEAT_UNIT,
+    beatGrouping: null,
+    tempoTransitionBars: group.tempoTransitionBars,
+    bars: Array.from({ length: group.end - group.start }, () => createBar())
+  }));
+
+  return {
+    beatsPerBar: count,
+    offset: times[downbeats.first],
+    sections,
+    barCount: barTempos.length,
+    barTempos
+  };
+}
+
+// Beats and a proposed score for mono audio samples
+function analyzeAudio(samples, sampleRate, beatsPerBar = null) {
+  const beats = trackBeats(samples, sampleRate);
+  return { beats, ...proposeTempoMap(beats, beatsPerBar) };
+}
+
+module.exports = { getTempoFromBeats, trackBeats, proposeTempoMap, analyzeAudio };
@@ -0,0 +1,533 @@
+// Performance path compiler
+// Runs the score's navigation (repeats, voltas, D.S./D.C., To Coda, Fine, redirects) once,
+// from the countoff to the end, and returns every performed bar in order with its pass,
+// effective tempo, duration and start offset. Playback walks this list by index, so the
+// result only depends on the score - never on how playback got to a bar.
+const meter = require('./meter');
+
+// Safety limit for scores whose navigation never ends
+const MAX_PATH_LENGTH = 10000;
+
+// Flat array of all bars with their section info
+function buildFlatBars(scoreData) {
+  const flatBars = [];
+  let absoluteBarNumber = 1;
+
+  scoreData.sections.forEach((section, sectionIndex) => {
+    section.bars.forEach((bar, barIndex) => {
+      flatBars.push({
+        absoluteNumber: absoluteBarNumber++,
+        sectionIndex: sectionIndex,
+        barInSection: barIndex,
+        sectionName: section.name,
+        tempo: section.tempo,
+        tempoTransitionBars: section.tempoTransitionBars || 0,
+        timeSignature: section.timeSignature,
+        beatUnit: section.beatUnit || meter.DEFAULT_BEAT_UNIT,
+        beatGrouping: meter.getBeatGrouping(section.timeSignature, section.beatGrouping),
+        chords: bar.chords,
+        chordChanges: bar.chordChanges || null,
+        redirect: bar.redirect,
+        redirectCount: bar.redirectCount || 1,
+        isFermata: bar.isFermata || false,
+        fermataDuration: bar.fermataDuration || 4,
+        fermataDurationType: bar.fermataDurationType || 'beats',
+        accentPattern: bar.accentPattern || [],
+        subdivision: bar.subdivision || 'none',
+        startRepeat: bar.startRepeat || false,
+        endRepeat: bar.endRepeat || false,
+        volta: bar.volta || null,
+        segno: bar.segno || false,
+        coda: bar.coda || false,
+        dalSegno: bar.dalSegno || false,
+        daCapo: bar.daCapo || false,
+        toCoda: bar.toCoda || false,
+        fine: bar.fine || false,
+        repeatCount: bar.repeatCount || null,
+        alFine: bar.alFine || false,
+        alCoda: bar.alCoda || false,
+        noRepeats: bar.noRepeats || false,
+        oscAddress: bar.oscAddress || null,
+        oscArgs: bar.oscArgs || null,
+        voiceCue: bar.voiceCue || '',
+        speakChords: bar.speakChords || false
+      });
+    });
+  });
+
+  return flatBars;
+}
+
+function getCountoffBar(scoreData, countoffBarsRemaining) {
+  const firstSection = scoreData.sections[0];
+  return {
+    absoluteNumber: 0,
+    sectionIndex: 0,
+    barInSection: 0,
+    sectionName: 'Countoff',
+    tempo: firstSection.tempo,
+    timeSignature: firstSection.timeSignature,
+    beatUnit: firstSection.beatUnit || meter.DEFAULT_BEAT_UNIT,
+    beatGrouping: meter.getBeatGrouping(firstSection.timeSignature, firstSection.beatGrouping),
+    chords: '',
+    redirect: null,
+    accentPattern: [0],
+    subdivision: 'none',
+    isCountoff: true,
+    countoffBarsRemaining: countoffBarsRemaining
+  };
+}
+
+// Tempo of a bar, interpolated when the next section has a gradual tempo transition
+function getBarTempo(scoreData, bar) {
+  const currentSection = scoreData.sections[bar.sectionIndex];
+  if (!currentSection) return 120;
+
+  // Check if NEXT section has a tempo transition that affects current bars
+  const nextSection = scoreData.sections[bar.sectionIndex + 1];
+  if (nextSection && !bar.isCountoff) {
+    const transitionBars = nextSection.tempoTransitionBars || 0;
+
+    if (transitionBars > 0) {
+      // Calculate how many bars from the end of current section we are
+      const barsFromEnd = currentSection.bars.length - bar.barInSection;
+
+      // If we're within the transition range from the end
+      if (barsFromEnd <= transitionBars) {
+        const fromTempo = currentSection.tempo;
+        const toTempo = nextSection.tempo;
+
+        // Calculate progress: 0.0 at start of transition, 1.0 at end (section boundary)
+        const progress = (transitionBars - barsFromEnd + 1) / transitionBars;
+
+        // Linear interpolation
+        return Math.round(fromTempo + (toTempo - fromTempo) * progress);
+      }
+    }
+  }
+
+  return currentSection.tempo;
+}
+
+function isBarInTempoTransition(scoreData, bar) {
+  if (bar.isCountoff) return false;
+
+  const currentSection = scoreData.sections[bar.sectionIndex];
+  const nextSection = scoreData.sections[bar.sectionIndex + 1];
+  if (!currentSection || !nextSection) return false;
+
+  const transitionBars = nextSection.tempoTransitionBars || 0;
+  return transitionBars > 0 && currentSection.bars.length - bar.barInSection <= transitionBars;
+}
+
+function getBarDuration(tempo, timeSignature, isFermata = false, fermataDuration = 4, fermataDurationType = 'beats', beatUnit = meter.DEFAULT_BEAT_UNIT, tempoPercentage = 100) {
+  if (isFermata) {
+    if (fermataDurationType === 'seconds') {
+      // Duration in seconds - convert to milliseconds
+      return fermataDuration * 1000;
+    } else {
+      // Duration in beats - calculate based on tempo
+      const adjustedTempo = tempo * (tempoPercentage / 100);
+      const beatsPerSecond = adjustedTempo / 60;
+      const secondsForDuration = fermataDuration / beatsPerSecond;
+      return secondsForDuration * 1000;
+    }
+  }
+
+  // Apply tempo percentage
+  // The tempo counts beat units, so 6/8 at dotted quarter = 80 lasts two beats of 750ms
+  const adjustedTempo = tempo * (tempoPercentage / 100);
+  return meter.getBarDurationMs(adjustedTempo, timeSignature, beatUnit);
+}
+
+function getVoltaNumbers(bar) {
+  // Handle both array and single number (backwards compatibility)
+  return Array.isArray(bar.volta) ? bar.volta : [bar.volta];
+}
+
+// Repeat structure of a score. Each repeat is { start, ends, extentEnd }: the bar index it jumps
+// back to, the index of every bar with an end repeat that belongs to it, and the last bar of
+// its endings. Repeats are matched like brackets, so repeats can be nested. An end repeat
+// without a start repeat goes back to the bar after the previous repeat (or to bar 1), and an
+// end repeat on a later ending (|: A [1. B :| [2. C :| [3. D) belongs to the same repeat.
+function buildRepeats(flatBars) {
+  const repeats = [];
+  const repeatByEnd = new Map();
+  const openStarts = [];
+  let previousEnd = -1;
+
+  // Repeat with an earlier ending just before the given ending bar. A lower or equal ending
+  // number starts the endings of another repeat: |: |: A [1. B :| [2. C [1. D :| [2. E
+  const findRepeatOfPrecedingEndings = (index) => {
+    const firstNumber = Math.min(...getVoltaNumbers(flatBars[index]));
+    for (let i = index - 1; i >= 0 && flatBars[i].volta; i--) {
+      if (repeatByEnd.has(i)) {
+        return firstNumber > Math.max(...getVoltaNumbers(flatBars[i])) ? repeatByEnd.get(i) : null;
+      }
+    }
+    return null;
+  };
+
+  flatBars.forEach((bar, index) => {
+    if (bar.startRepeat) {
+      openStarts.push(index);
+    }
+    if (!bar.endRepeat) return;
+
+    let repeat = bar.volta ? findRepeatOfPrecedingEndings(index) : null;
+    if (repeat) {
+      repeat.ends.push(index);
+    } else {
+      const start = openStarts.length > 0 ? openStarts.pop() : previousEnd + 1;
+      repeat = { start, ends: [index], extentEnd: index };
+      repeats.push(repeat);
+    }
+    repeatByEnd.set(index, repeat);
+    previousEnd = index;
+  });
+
+  // Endings continue past the last end repeat for as long as bars have the same or higher ending numbers
+  repeats.forEach(repeat => {
+    let extentEnd = repeat.ends[repeat.ends.length - 1];
+    let lastNumber = flatBars[extentEnd].volta ? Math.max(...getVoltaNumbers(flatBars[extentEnd])) : 0;
+
+    while (extentEnd + 1 < flatBars.length && flatBars[extentEnd + 1].volta) {
+      const numbers = getVoltaNumbers(flatBars[extentEnd + 1]);
+      if (Math.min(...numbers) < lastNumber) break;
+      lastNumber = Math.max(...numbers);
+      extentEnd++;
+    }
+    repeat.extentEnd = extentEnd;
+  });
+
+  return { repeats, repeatByEnd };
+}
+
+// Navigation state used while compiling - only lives for the duration of one compile
+class PathCompiler {
+  constructor(flatBars) {
+    this.flatBars = flatBars;
+    this.barIndex = 0; // Index of the current bar in flatBars
+
+    // Repeat/volta tracking
+    const { repeats, repeatByEnd } = buildRepeats(flatBars);
+    this.repeats = repeats;
+    this.repeatByEnd = repeatByEnd;
+    this.voltaOwners = this.findVoltaOwners();
+    this.passNumbers = new Map(); // Current pass (2, 3...) of each repeat being played, by repeat
+    this.redirectTracking = {};
+
+    // D.S./D.C./Coda navigation tracking
+    this.usedJumps = new Set(); // Bar indexes of D.S./D.C. markers that have been followed
+    this.watchForFine = false; // After D.S./D.C. "al Fine", stop at Fine
+    this.watchForCoda = false; // After D.S./D.C. "al Coda", take the To Coda jump
+    this.skipRepeats = false; // After D.S./D.C. with "no repeats", play repeated passages once
+  }
+
+  // Ending bars belong to the innermost repeat that contains them or that they follow
+  findVoltaOwners() {
+    const owners = new Map();
+    this.flatBars.forEach((bar, index) => {
+      if (!bar.volta) return;
+
+      let owner = null;
+      this.repeats.forEach(repeat => {
+        if (index >= repeat.start && index <= repeat.extentEnd && (!owner || repeat.start > owner.start)) {
+          owner = repeat;
+        }
+      });
+      owners.set(index, owner);
+    });
+    return owners;
+  }
+
+  // Number of times a repeated passage is played: the repeat count of its end repeat,
+  // or the highest ending number, or 2
+  getTotalPasses(repeat) {
+    const explicitCount = repeat.ends.map(index => this.flatBars[index].repeatCount).find(count => count > 0);
+    if (explicitCount) return explicitCount;
+
+    let maxVolta = 1;
+    this.voltaOwners.forEach((owner, index) => {
+      if (owner === repeat) {
+        maxVolta = Math.max(maxVolta, ...getVoltaNumbers(this.flatBars[index]));
+      }
+    });
+    return maxVolta > 1 ? maxVolta : 2;
+  }
+
+  getPassNumber(repeat) {
+    if (!repeat) return 1;
+    // Without repeats only the last time through is played, so only the last ending
+    if (this.skipRepeats) return this.getTotalPasses(repeat);
+    return this.passNumbers.get(repeat) || 1;
+  }
+
+  shouldSkipBarDueToVolta(index) {
+    // If bar has no volta, don't skip it
+    const barInfo = this.flatBars[index];
+    if (!barInfo.volta) return false;
+
+    // Skip this bar if the pass through its repeat is NOT in the volta array
+    return !getVoltaNumbers(barInfo).includes(this.getPassNumber(this.voltaOwners.get(index)));
+  }
+
+  moveToBar(absoluteBarNumber) {
+    this.barIndex = absoluteBarNumber - 1;
+
+    // Leaving a repeat (or starting it over from outside) resets its pass count
+    this.passNumbers.forEach((pass, repeat) => {
+      if (this.barIndex < repeat.start || this.barIndex > repeat.extentEnd) {
+        this.passNumbers.delete(repeat);
+      }
+    });
+  }
+
+  // The segno nearest before the D.S. bar, or the first one
+  findSegnoBar(fromIndex) {
+    for (let i = fromIndex; i >= 0; i--) {
+      if (this.flatBars[i].segno) return i + 1; // Return 1-indexed bar number
+    }
+    const index = this.flatBars.findIndex(bar => bar.segno);
+    return index !== -1 ? index + 1 : null;
+  }
+
+  // The coda after the To Coda bar, or the first one
+  findCodaBar(fromIndex) {
+    for (let i = fromIndex + 1; i < this.flatBars.length; i++) {
+      if (this.flatBars[i].coda) return i + 1; // Return 1-indexed bar number
+    }
+    const index = this.flatBars.findIndex(bar => bar.coda);
+    return index !== -1 ? index + 1 : null;
+  }
+
+  // Follow a D.S. or D.C. Without "al Fine" or "al Coda" both Fine and To Coda are honored.
+  jumpFromDsOrDc(barInfo, absoluteBarNumber) {
+    const watchBoth = !barInfo.alFine && !barInfo.alCoda;
+    this.usedJumps.add(this.barIndex);
+    this.watchForFine = watchBoth || barInfo.alFine;
+    this.watchForCoda = watchBoth || barInfo.alCoda;
+    this.skipRepeats = barInfo.noRepeats;
+    this.passNumbers.clear();
+    this.moveToBar(absoluteBarNumber);
+  }
+
+  // Move to the bar that follows the current one.
+  // Returns 'jump' (navigation marker or repeat), 'next', 'end' (end of score) or 'fine'.
+  advance() {
+    const currentAbsoluteBar = this.barIndex + 1;
+    const currentBarInfo = this.flatBars[this.barIndex];
+
+    // Check for Fine marker (only active after D.S./D.C. jump)
+    if (currentBarInfo.fine && this.watchForFine) {
+      return 'fine';
+    }
+
+    // Check for To Coda marker (only active after D.S./D.C. jump)
+    if (currentBarInfo.toCoda && this.watchForCoda) {
+      const codaBar = this.findCodaBar(this.barIndex);
+      if (codaBar) {
+        this.watchForCoda = false; // Disable further watching
+        this.watchForFine = false;
+        this.passNumbers.clear();
+        this.moveToBar(codaBar);
+        return 'jump';
+      }
+    }
+
+    // Check for Dal Segno (D.S.) marker - every D.S./D.C. is followed once
+    if (currentBarInfo.dalSegno && !this.usedJumps.has(this.barIndex)) {
+      const segnoBar = this.findSegnoBar(this.barIndex);
+      if (segnoBar) {
+        this.jumpFromDsOrDc(currentBarInfo, segnoBar);
+        return 'jump';
+      }
+    }
+
+    // Check for Da Capo (D.C.) marker
+    if (currentBarInfo.daCapo && !this.usedJumps.has(this.barIndex)) {
+      this.jumpFromDsOrDc(currentBarInfo, 1);
+      return 'jump';
+    }
+
+    // Check for redirect with limit
+    if (currentBarInfo.redirect) {
+      const redirectKey = `${currentAbsoluteBar}-${currentBarInfo.redirect}`;
+
+      // Initialize tracking for this redirect if not exists
+      if (!this.redirectTracking[redirectKey]) {
+        this.redirectTracking[redirectKey] = 0;
+      }
+
+      // Check if we should redirect (before incrementing)
+      if (this.redirectTracking[redirectKey] < currentBarInfo.redirectCount) {
+        this.redirectTracking[redirectKey]++;
+        this.moveToBar(currentBarInfo.redirect);
+        return 'jump';
+      } else {
+        // Reset counter and continue to next bar
+        this.redirectTracking[redirectKey] = 0;
+      }
+    }
+
+    // Check for end repeat - ignored when repeats are skipped, and on an ending that is
+    // not played on this pass
+    const repeat = this.repeatByEnd.get(this.barIndex);
+    if (repeat && !this.skipRepeats && !this.shouldSkipBarDueToVolta(this.barIndex)) {
+      const pass = this.getPassNumber(repeat);
+
+      if (pass < this.getTotalPasses(repeat)) {
+        // Repeat again - increment pass number and jump back
+        this.passNumbers.set(repeat, pass + 1);
+        this.moveToBar(repeat.start + 1);
+        return 'jump';
+      }
+    }
+
+    // Advance to next bar
+    if (this.barIndex + 1 >= this.flatBars.length) {
+      return 'end';
+    }
+    let nextIndex = this.barIndex + 1;
+
+    // Skip bars based on volta brackets
+    // Keep advancing while the next bar is an ending that is not played on this pass
+    while (this.shouldSkipBarDueToVolta(nextIndex) && nextIndex + 1 < this.flatBars.length) {
+      nextIndex++;
+    }
+    if (this.shouldSkipBarDueToVolta(nextIndex)) {
+      return 'end'; // End of song while skipping
+    }
+
+    this.moveToBar(nextIndex + 1);
+    return 'next';
+  }
+}
+
+// Compile a score into its performance path:
+// {
+//   flatBars,        // every written bar, see buildFlatBars()
+//   entries,         // performed bars in order (countoff bars first)
+//   songStartIndex,  // index of the first entry after the countoff
+//   songDuration,    // length of the song without countoff (ms)
+//   ending           // 'end', 'fine' or 'limit' (navigation did not finish)
+// }
+// Each entry is { index, bar, barNumber, timesPlayed, isJump, tempo, isTempoTransition, duration, startOffset },
+// where barNumber is 0 for countoff bars and isJump marks bars reached through a repeat or navigation marker.
+function compilePerformancePath(scoreData) {
+  const flatBars = buildFlatBars(scoreData);
+  const tempoPercentage = scoreData.tempoPercentage || 100;
+  const entries = [];
+  let startOffset = 0;
+
+  const addEntry = (bar, timesPlayed, isJump) => {
+    const tempo = getBarTempo(scoreData, bar);
+    const duration = getBarDuration(tempo, bar.timeSignature, bar.isFermata, bar.fermataDuration, bar.fermataDurationType, bar.beatUnit, tempoPercentage);
+
+    entries.push({
+      index: entries.length,
+      bar: bar,
+      barNumber: bar.absoluteNumber,
+      timesPlayed: timesPlayed,
+      isJump: isJump,
+      tempo: tempo,
+      isTempoTransition: isBarInTempoTransition(scoreData, bar),
+      duration: duration,
+      startOffset: startOffset
+    });
+    startOffset += duration;
+  };
+
+  const countoff = flatBars.length > 0 ? scoreData.countoff || 0 : 0;
+  for (let remaining = countoff; remaining > 0; remaining--) {
+    addEntry(getCountoffBar(scoreData, remaining), 1, false);
+  }
+
+  const songStartIndex = entries.length;
+  const playCounts = new Array(flatBars.length).fill(0);
+  const compiler = new PathCompiler(flatBars);
+  let ending = 'end';
+  let result = 'next';
+
+  while (flatBars.length > 0) {
+    if (entries.length >= MAX_PATH_LENGTH) {
+      ending = 'limit';
+      break;
+    }
+
+    const bar = flatBars[compiler.barIndex];
+    playCounts[compiler.barIndex]++;
+    addEntry(bar, playCounts[compiler.barIndex], result === 'jump');
+
+    result = compiler.advance();
+    if (result === 'end' || result === 'fine') {
+      ending = result;
+      break;
+    }
+  }
+
+  const songDuration = entries.length > songStartIndex ? startOffset - entries[songStartIndex].startOffset : 0;
+
+  return { flatBars, entries, songStartIndex, songDuration, ending };
+}
+
+// A new bar of the score model with every field at its default
+function createBar(fields = {}) {
+  return {
+    chords: '',
+    chordChanges: [],
+    redirect: null,
+    redirectCount: 1,
+    isFermata: false,
+    fermataDuration: 4,
+    fermataDurationType: 'beats',
+    accentPattern: [],
+    subdivision: 'none',
+    startRepeat: false,
+    endRepeat: false,
+    volta: null,
+    segno: false,
+    coda: false,
+    dalSegno: false,
+    daCapo: false,
+    toCoda: false,
+    fine: false,
+    repeatCount: null,
+    alFine: false,
+    alCoda: false,
+    noRepeats: false,
+    ...fields
+  };
+}
+
+// Chords of a bar with the beat they start on (1 = downbeat, counted in the time signature's
+// note value). Imported chords keep their beat; typed chords are spread over the bar's beats.
+function getChordChanges(bar, timeSignature) {
+  if (Array.isArray(bar.chordChanges) && bar.chordChanges.length > 0) {
+    return bar.chordChanges.map(({ beat, chord }) => ({ beat, chord }));
+  }
+
+  const chords = (bar.chords || '').split(/\s+/).filter(chord => chord !== '');
+  return chords.map((chord, i) => ({
+    chord,
+    beat: chords.length <= timeSignature.beats
+      ? 1 + Math.floor(i * timeSignature.beats / chords.length)
+      : 1 + i * timeSignature.beats / chords.length
+  }));
+}
+
+// "1st time", "2nd time", ...
+function formatTimesPlayed(timesPlayed) {
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+  const suffix = (timesPlayed % 100 >= 11 && timesPlayed % 100 <= 13) ? 'th' : (suffixes[timesPlayed % 10] || 'th');
+  return `${timesPlayed}${suffix} time`;
+}
+
+module.exports = {
+  buildFlatBars,
+  getBarDuration,
+  compilePerformancePath,
+  createBar,
+  getChordChanges,
+  formatTimesPlayed
+};
@@ -0,0 +1,491 @@
+// Playback engine: walks the performance path compiled from the score (see compiler.js)
+// along the absolute playback timeline. It has no timers, sockets or devices, so it runs
+// on a virtual clock in tests and in the Score Editor's playback order preview.
+const { performance } = require('perf_hooks');
+const meter = require('./meter');
+const { compilePerformancePath, formatTimesPlayed, getChordChanges } = require('./compiler');
+
+class PlaybackEngine {
+  constructor(scoreData, repeatSong = false) {
+    this.scoreData = scoreData;
+    this.repeatSong = repeatSong;
+    this.lastTriggeredBar = -1; // Track last bar to avoid duplicate OSC triggers
+
+    this.isPlaying = false;
+    this.pathIndex = 0; // Position in the compiled performance path
+    this.barSequence = 0; // Counts every move to a bar (next bar, repeat, loop or jump)
+    this.currentBeat = 0;
+
+    // Absolute playback timeline (monotonic milliseconds, see now())
+    // Every bar starts at songStartTime + barStartOffset, where barStartOffset is the
+    // sum of the durations of all bars played so far. Bars are never re-anchored to
+    // "whenever the tick noticed", so timing does not drift over long songs.
+    this.songStartTime = null; // Timeline origin, shifted on resume and by sync adjustments
+    this.barStartOffset = 0; // Cumulative duration of all bars before the current one
+    this.pausedAt = null; // Timeline position at which playback was paused
+
+    // Loop settings
+    this.loopEnabled = scoreData.loop?.enabled || false;
+    this.loopStart = scoreData.loop?.start || null;
+    this.loopEnd = scoreData.loop?.end || null;
+
+    // Pending jump settings
+    this.pendingJump = null; // { barNumber, mode }
+
+    // Sync offset for manual timing adjustment
+    this.syncOffset = 0; // milliseconds
+
+    // Tempo percentage that replaces the score's while following an external clock
+    this.tempoPercentageOverride = null;
+
+    // Loop current bar setting
+    this.loopCurrentBarEnabled = false;
+    this.loopCurrentBarNumber = null;
+
+    // Set while navigating ahead without playing (schedule planning, playback order preview)
+    this.isPeeking = false;
+
+    // Called when the end of the song is reached ('end' or 'repeat')
+    this.onSongEnd = null;
+
+    this.path = null;
+    this.compileScore();
+  }
+
+  // Compile the performance path for the current score.
+  // When the score changes during playback, the position stays on the same bar where possible.
+  compileScore() {
+    const previousEntry = this.path ? this.getCurrentEntry() : null;
+
+    this.path = compilePerformancePath({ ...this.scoreData, tempoPercentage: this.getTempoPercentage() });
+    this.flatBars = this.path.flatBars;
+    this.totalBars = this.flatBars.length;
+
+    if (this.path.ending === 'limit') {
+      console.warn(`Score navigation does not end - playback stops after ${this.path.entries.length} bars`);
+    }
+
+    const entry = this.getCurrentEntry();
+    if (!previousEntry || !entry) {
+      this.pathIndex = 0;
+    } else if (entry.barNumber !== previousEntry.barNumber) {
+      this.pathIndex = previousEntry.barNumber > 0 ? this.findPathIndex(previousEntry.barNumber) : 0;
+    } else if (this.songStartTime !== null && previousEntry.duration > 0 && entry.duration !== previousEntry.duration) {
+      // A tempo change keeps the part of the current bar already played, so the beat carries
+      // on at the new tempo instead of jumping
+      const elapsed = this.getTimelineNow() - this.getBarStartTime();
+      this.barStartOffset += elapsed * (1 - entry.duration / previousEntry.duration);
+    }
+  }
+
+  getCurrentEntry() {
+    return this.path.entries[this.pathIndex] || null;
+  }
+
+  isInCountoff() {
+    const entry = this.getCurrentEntry();
+    return !!(entry && entry.bar.isCountoff);
+  }
+
+  getAbsoluteBarNumber() {
+    const entry = this.getCurrentEntry();
+    if (!entry) return 1;
+
+    if (entry.bar.isCountoff) {
+      return -entry.bar.countoffBarsRemaining; // Negative for countoff
+    }
+    return entry.barNumber;
+  }
+
+  getCurrentBarInfo() {
+    const entry = this.getCurrentEntry();
+    return entry ? entry.bar : null;
+  }
+
+  // Monotonic high-resolution clock used for all playback timing (milliseconds)
+  now() {
+    return performance.now();
+  }
+
+  // Current position on the timeline - frozen while paused
+  getTimelineNow() {
+    if (!this.isPlaying && this.pausedAt !== null) {
+      return this.pausedAt;
+    }
+    return this.now();
+  }
+
+  getBarStartTime() {
+    return this.songStartTime + this.barStartOffset;
+  }
+
+  getCurrentBarDuration() {
+    const entry = this.getCurrentEntry();
+    return entry ? entry.duration : 0;
+  }
+
+  // Start offset (ms) of every beat in the current bar, plus the bar end as the last entry.
+  // Beats follow the section's grouping, so a 7/8 bar grouped 2+2+3 has three uneven beats.
+  getCurrentBeatOffsets() {
+    const barInfo = this.getCurrentBarInfo();
+    if (!barInfo) return [0];
+
+    const barDuration = this.getCurrentBarDuration();
+    if (barInfo.isFermata) {
+      return [0, barDuration];
+    }
+    return meter.getBeatOffsets(barInfo.beatGrouping, barInfo.timeSignature, barDuration);
+  }
+
+  getCurrentBeatDuration() {
+    const offsets = this.getCurrentBeatOffsets();
+    const beat = Math.min(Math.max(this.currentBeat, 0), offsets.length - 2);
+    return offsets[beat + 1] - offsets[beat];
+  }
+
+  getCurrentTempo() {
+    const entry = this.getCurrentEntry();
+    return entry ? entry.tempo : 120;
+  }
+
+  isInTempoTransition() {
+    const entry = this.getCurrentEntry();
+    return this.isPlaying && !!entry && entry.isTempoTransition;
+  }
+
+  // Where playback is in the song: the bar, which time through it, and the elapsed and total
+  // song time (ms, countoff excluded). Exact because the whole performance is known up front.
+  getPlaybackPosition() {
+    const entry = this.getCurrentEntry();
+    if (!entry) return null;
+
+    const songStart = this.path.entries[this.path.songStartIndex];
+    let elapsed = songStart ? Math.max(0, entry.startOffset - songStart.startOffset) : 0;
+    if (this.songStartTime !== null && !entry.bar.isCountoff) {
+      const inBar = this.getTimelineNow() - this.getBarStartTime();
+      elapsed += Math.min(Math.max(inBar, 0), entry.duration);
+    }
+
+    return {
+      pathIndex: this.pathIndex,
+      pathLength: this.path.entries.length,
+      songStartIndex: this.path.songStartIndex,
+      barNumber: entry.barNumber,
+      timesPlayed: entry.timesPlayed,
+      isCountoff: !!entry.bar.isCountoff,
+      elapsed: elapsed,
+      songDuration: this.path.songDuration
+    };
+  }
+
+  // Position (ms) in the song's backing track at the start of a path entry, or null when the
+  // song has none. The track's offset is where bar 1 starts in the audio, so the countoff falls
+  // before it (negative). Bar durations are scaled by the tempo percentage, so the audio plays
+  // at the same rate.
+  getBackingTrackTime(pathIndex = this.pathIndex) {
+    const backingTrack = this.scoreData.backingTrack;
+    const entry = this.path.entries[pathIndex];
+    if (!backingTrack || !backingTrack.path || !entry) return null;
+
+    const songStart = this.path.entries[this.path.songStartIndex];
+    const songStartOffset = songStart ? songStart.startOffset : entry.startOffset;
+    return (backingTrack.offset || 0) + (entry.startOffset - songStartOffset) * this.getBackingTrackRate();
+  }
+
+  getBackingTrackRate() {
+    return this.getTempoPercentage() / 100;
+  }
+
+  // Percentage of the score's tempos that playback runs at
+  getTempoPercentage() {
+    return this.tempoPercentageOverride || this.scoreData.tempoPercentage || 100;
+  }
+
+  // Start or resume the timeline at the current time
+  startTimeline() {
+    const isResuming = this.songStartTime !== null;
+    const now = this.now();
+
+    // Start with countoff if specified and not resuming
+    if (!isResuming && this.path.songStartIndex > 0) {
+      this.pathIndex = 0;
+      this.currentBeat = 0;
+    }
+
+    if (!isResuming) {
+      this.songStartTime = now;
+      this.barStartOffset = 0;
+    } else if (this.pausedAt !== null) {
+      // Shift the whole timeline by the time spent paused so the bar resumes where it stopped
+      this.songStartTime += now - this.pausedAt;
+    }
+    this.pausedAt = null;
+    this.isPlaying = true;
+  }
+
+  pauseTimeline() {
+    this.pausedAt = this.now();
+    this.isPlaying = false;
+    this.pendingJump = null; // Clear any pending jumps on pause
+  }
+
+  // Reset to the start of the song. Also called when the song ends while advancing.
+  stopPlayback() {
+    this.isPlaying = false;
+    this.pathIndex = 0;
+    this.currentBeat = 0;
+    this.songStartTime = null;
+    this.barStartOffset = 0;
+    this.pausedAt = null;
+    this.lastTriggeredBar = -1; // Reset OSC trigger tracking
+    this.pendingJump = null; // Clear any pending jumps
+    this.syncOffset = 0; // Reset sync offset
+    this.loopCurrentBarEnabled = false; // Disable loop current bar
+    this.loopCurrentBarNumber = null;
+  }
+
+  // Path index at which a jump to the given bar lands.
+  // Jumping back (or to the current bar) stays on the current pass: the latest time the bar was
+  // played up to here. Jumping forward goes to the next time the bar is played. Bars that are
+  // never played (endings of passes that don't happen) land on the next bar that is.
+  findPathIndex(absoluteBarNumber, fromIndex = this.pathIndex) {
+    const entries = this.path.entries;
+    const current = entries[fromIndex];
+    const start = this.path.songStartIndex;
+
+    if (current && absoluteBarNumber > current.barNumber) {
+      for (let i = fromIndex + 1; i < entries.length; i++) {
+        if (entries[i].barNumber === absoluteBarNumber) return i;
+      }
+    } else {
+      for (let i = Math.min(fromIndex, entries.length - 1); i >= start; i--) {
+        if (entries[i].barNumber === absoluteBarNumber) return i;
+      }
+    }
+
+    const anyIndex = entries.findIndex(entry => entry.barNumber === absoluteBarNumber);
+    if (anyIndex !== -1) return anyIndex;
+
+    const nextIndex = entries.findIndex(entry => entry.barNumber > absoluteBarNumber);
+    return nextIndex !== -1 ? nextIndex : Math.max(entries.length - 1, 0);
+  }
+
+  // Move the playback position without touching the timeline.
+  // Used for navigation at bar boundaries, where the next bar starts exactly when the previous one ends.
+  moveToBar(absoluteBarNumber) {
+    this.moveToPathIndex(this.findPathIndex(absoluteBarNumber));
+  }
+
+  moveToPathIndex(index) {
+    this.pathIndex = Math.min(Math.max(index, 0), Math.max(this.path.entries.length - 1, 0));
+    this.barSequence++;
+    this.currentBeat = 0;
+  }
+
+  // Bring the playback position up to the given timeline time.
+  // Every bar boundary that has passed is processed in order, and each next bar starts exactly
+  // where the previous one ended - however late the caller is, no time is lost or gained.
+  advanceTimeline(now) {
+    let barDuration = this.getCurrentBarDuration();
+
+    while (barDuration > 0 && now - this.getBarStartTime() >= barDuration) {
+      this.barStartOffset += barDuration;
+      const result = this.advanceToNextBar();
+
+      if ((result === 'end' || result === 'repeat') && this.onSongEnd) {
+        this.onSongEnd();
+      }
+      if (result === 'end' || result === 'fine') {
+        this.stopPlayback();
+        return;
+      }
+      barDuration = this.getCurrentBarDuration();
+    }
+
+    const beatOffsets = this.getCurrentBeatOffsets();
+    const elapsed = now - this.getBarStartTime();
+    let newBeat = 0;
+    while (newBeat < beatOffsets.length - 2 && elapsed >= beatOffsets[newBeat + 1]) {
+      newBeat++;
+    }
+
+    if (newBeat !== this.currentBeat) {
+      this.currentBeat = newBeat;
+
+      // Check for pending jump on next beat - the target bar starts exactly on this beat
+      if (this.pendingJump && this.pendingJump.mode === 'nextBeat') {
+        this.barStartOffset += beatOffsets[newBeat];
+        this.moveToBar(this.pendingJump.barNumber);
+        this.pendingJump = null;
+      }
+    }
+  }
+
+  logNavigation(message) {
+    // Stay quiet while navigating ahead
+    if (!this.isPeeking) {
+      console.log(message);
+    }
+  }
+
+  // Snapshot of everything advanceToNextBar() may change
+  captureNavigationState() {
+    return {
+      pathIndex: this.pathIndex,
+      barSequence: this.barSequence,
+      currentBeat: this.currentBeat,
+      pendingJump: this.pendingJump ? { ...this.pendingJump } : null,
+      lastTriggeredBar: this.lastTriggeredBar
+    };
+  }
+
+  restoreNavigationState(state) {
+    Object.assign(this, state);
+  }
+
+  // Bar at the current navigation position as published in the schedule
+  describeCurrentBar(startTime) {
+    const entry = this.getCurrentEntry();
+    const barInfo = entry.bar;
+
+    return {
+      barNumber: barInfo.absoluteNumber || 0,
+      pathIndex: this.pathIndex,
+      timesPlayed: entry.timesPlayed,
+      startTime: startTime,
+      duration: this.getCurrentBarDuration(),
+      beatOffsets: this.getCurrentBeatOffsets(),
+      chords: barInfo.chords || '',
+      sectionName: barInfo.sectionName || '',
+      timeSignature: barInfo.timeSignature,
+      beatUnit: barInfo.beatUnit,
+      beatGrouping: barInfo.isFermata ? [1] : barInfo.beatGrouping,
+      tempo: this.getCurrentTempo(),
+      isCountoff: !!barInfo.isCountoff,
+      countoffBarsRemaining: barInfo.countoffBarsRemaining || 0,
+      accentPattern: meter.getAccentedBeats(barInfo.accentPattern || [], barInfo.beatGrouping),
+      subdivision: barInfo.subdivision || 'none',
+      subdivisionCount: meter.getSubdivisionCount(barInfo.subdivision),
+      isFermata: barInfo.isFermata || false,
+      fermataDuration: barInfo.fermataDuration || 4,
+      fermataDurationType: barInfo.fermataDurationType || 'beats',
+      isTempoTransition: this.isInTempoTransition(),
+      backingTrackTime: this.getBackingTrackTime(),
+      // Spoken cues (see public/voice.js)
+      startsSection: !barInfo.isCountoff && barInfo.barInSection === 0,
+      voiceCue: barInfo.voiceCue || '',
+      chordCues: barInfo.speakChords ? this.getChordCues(barInfo) : []
+    };
+  }
+
+  // Chords of a bar to be read out, with their offset (ms) into the bar. Beats last as long as
+  // at the bar's tempo, so a fermata holds the chord of its beat instead of stretching the bar's
+  // chords over the hold; chords after the end of a short hold are left out.
+  getChordCues(barInfo) {
+    const tempo = this.getCurrentTempo() * (this.scoreData.tempoPercentage || 100) / 100;
+    const beatDuration = meter.getBarDurationMs(tempo, barInfo.timeSignature, barInfo.beatUnit) / barInfo.timeSignature.beats;
+    const barDuration = this.getCurrentBarDuration();
+    return getChordChanges(barInfo, barInfo.timeSignature)
+      .map(({ beat, chord }) => ({ offset: (beat - 1) * beatDuration, chord }))
+      .filter(cue => cue.offset < barDuration);
+  }
+
+  // The current bar and the bars that follow it, with absolute start times on the timeline.
+  // Navigation is run ahead and restored afterwards, so repeats, jumps and loops are included.
+  planSchedule(barsAhead) {
+    const bars = [];
+    const savedState = this.captureNavigationState();
+    let startTime = this.getBarStartTime();
+
+    this.isPeeking = true;
+    for (let i = 0; i <= barsAhead && this.getCurrentBarInfo(); i++) {
+      const bar = this.describeCurrentBar(startTime);
+      bars.push(bar);
+
+      // A pending "next beat" jump cuts the current bar short at its next beat
+      const nextBeat = this.currentBeat + 1;
+      if (i === 0 && this.pendingJump && this.pendingJump.mode === 'nextBeat' && nextBeat < bar.beatOffsets.length - 1) {
+        bar.duration = bar.beatOffsets[nextBeat];
+        bar.beatOffsets = bar.beatOffsets.slice(0, nextBeat + 1);
+        startTime += bar.duration;
+        this.moveToBar(this.pendingJump.barNumber);
+        this.pendingJump = null;
+        continue;
+      }
+
+      startTime += bar.duration;
+      const result = this.advanceToNextBar();
+      if (result === 'end' || result === 'fine') break;
+    }
+    this.isPeeking = false;
+
+    this.restoreNavigationState(savedState);
+    return bars;
+  }
+
+  // Move the playback position to the bar that follows the current one.
+  // Only navigation state is touched, so the result can be previewed with planSchedule().
+  // Returns 'next', 'repeat' (song ended and restarts at bar 1), 'end' (song ended) or 'fine'.
+  advanceToNextBar() {
+    const entry = this.getCurrentEntry();
+    if (!entry) return 'end';
+
+    const isCountoff = !!entry.bar.isCountoff;
+    const nextEntry = this.path.entries[this.pathIndex + 1] || null;
+
+    // Check for loop current bar (highest priority)
+    if (this.loopCurrentBarEnabled && this.loopCurrentBarNumber && !isCountoff) {
+      this.moveToBar(this.loopCurrentBarNumber);
+      return 'next';
+    }
+
+    // Check for pending jump after bar
+    if (this.pendingJump && this.pendingJump.mode === 'afterBar') {
+      this.moveToBar(this.pendingJump.barNumber);
+      this.pendingJump = null;
+      return 'next';
+    }
+
+    // Check for loop - repeats and navigation jumps inside the loop are still played,
+    // as is a Fine that ends the song
+    const scoreContinues = nextEntry ? !nextEntry.isJump : this.path.ending !== 'fine';
+    if (this.loopEnabled && this.loopEnd && !isCountoff && entry.barNumber >= this.loopEnd && scoreContinues) {
+      this.lastTriggeredBar = -1; // Reset OSC tracking so triggers fire again on loop
+      this.moveToBar(this.loopStart || 1);
+      return 'next';
+    }
+
+    if (nextEntry) {
+      if (nextEntry.isJump) {
+        this.logNavigation(`Bar ${entry.barNumber} - jumping to bar ${nextEntry.barNumber} (${formatTimesPlayed(nextEntry.timesPlayed)})`);
+      }
+      this.moveToPathIndex(this.pathIndex + 1);
+      return 'next';
+    }
+
+    // End of song
+    if (this.path.ending === 'fine') {
+      this.logNavigation('Fine marker reached - stopping playback');
+      return 'fine';
+    }
+
+    // If repeat is enabled, loop back to beginning (skip countoff on repeat)
+    if (this.repeatSong) {
+      this.lastTriggeredBar = -1; // Reset OSC tracking so triggers fire again on loop
+      this.moveToPathIndex(this.path.songStartIndex);
+      return 'repeat';
+    }
+
+    // Stop playback at end of song
+    return 'end';
+  }
+}
+
+// Bar numbers of a score in performance order, from bar 1 to the end of the song.
+// Countoff, practice loop and song repeat are left out.
+function getPlaybackOrder(scoreData) {
+  const { entries, songStartIndex } = compilePerformancePath(scoreData);
+  return entries.slice(songStartIndex).map(entry => entry.barNumber);
+}
+
+module.exports = { PlaybackEngine, getPlaybackOrder };
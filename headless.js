@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+// Headless show machine: runs the metronome server with plain Node, without Electron.
+// Playback is controlled from the web clients or over OSC instead of the desktop UI.
+const fs = require('fs');
+const path = require('path');
+const MetronomeServer = require('./server');
+const { getLocalIP } = require('./network');
+
+const USAGE = `Usage: node headless.js <score-or-setlist.json> [options]
+
+Options:
+  -c, --config <file>   JSON config file (port, OSC, MIDI, click, voice, display and control settings)
+  -p, --port <port>     HTTPS port (overrides the config file)
+  -h, --help            Show this help`;
+
+const DEFAULT_CONFIG = {
+  port: 3000,
+  displaySettings: null,
+  repeatSong: false,
+  autoAdvance: false,
+  pauseBetweenSongs: 3, // Seconds between songs when auto-advancing
+  osc: { enabled: false, host: '127.0.0.1', port: 8000 },
+  midi: {
+    enabled: false,
+    outputPort: '',
+    timecodeEnabled: false,
+    timecodeFrameRate: '25',
+    followClock: false,
+    chaseTimecode: false,
+    inputPort: ''
+  },
+  click: { enabled: false, volume: 75 },
+  voice: { enabled: false, countIn: 'ready', announceSections: true, volume: 100, folder: null }, // Spoken cues
+  backingTrack: { allClients: false }, // Play songs' backing tracks on every client
+  control: { web: true, oscPort: null }
+};
+
+function parseArgs(argv) {
+  const args = { file: null, config: null, port: null, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') {
+      args.help = true;
+    } else if (arg === '-c' || arg === '--config') {
+      args.config = argv[++i];
+    } else if (arg === '-p' || arg === '--port') {
+      args.port = parseInt(argv[++i]);
+    } else if (!args.file) {
+      args.file = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  return args;
+}
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Cannot read ${filePath}: ${error.message}`);
+  }
+}
+
+// Defaults overlaid with the config file, one level deep for the grouped settings
+function loadConfig(configPath) {
+  const fileConfig = configPath ? readJson(configPath) : {};
+  const config = { ...DEFAULT_CONFIG, ...fileConfig };
+
+  ['osc', 'midi', 'click', 'voice', 'backingTrack', 'control'].forEach(key => {
+    config[key] = { ...DEFAULT_CONFIG[key], ...(fileConfig[key] || {}) };
+  });
+
+  // Click sample and voice folder paths may be relative to the config file
+  Object.values(config.click.profile || {}).forEach(voice => {
+    if (voice && voice.samplePath) {
+      voice.samplePath = path.resolve(path.dirname(configPath), voice.samplePath);
+    }
+  });
+  if (config.voice.folder) {
+    config.voice.folder = path.resolve(path.dirname(configPath), config.voice.folder);
+  }
+
+  return config;
+}
+
+// Accepts a setlist saved from the Setlist Manager ({ songs: [...] }) or a single score
+function loadSongs(data, filePath) {
+  const songs = Array.isArray(data.songs) ? data.songs : [data];
+
+  songs.forEach((song, index) => {
+    if (!song.sections || song.sections.every(section => !section.bars || section.bars.length === 0)) {
+      throw new Error(`${path.basename(filePath)}: song ${index + 1} has no bars`);
+    }
+
+    // Backing track paths may be relative to the setlist file
+    if (song.backingTrack && song.backingTrack.path) {
+      song.backingTrack.path = path.resolve(path.dirname(filePath), song.backingTrack.path);
+    }
+  });
+
+  return songs;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !args.file) {
+    console.log(USAGE);
+    process.exit(args.help ? 0 : 1);
+  }
+
+  const config = loadConfig(args.config);
+  if (args.port) {
+    config.port = args.port;
+  }
+
+  const songs = loadSongs(readJson(args.file), args.file);
+  let currentSongIndex = 0;
+  let autoAdvanceTimeout = null;
+
+  const server = new MetronomeServer(songs[0], config.displaySettings, config.repeatSong, config.osc, config.midi);
+  server.updateClickSettings(config.click);
+  server.updateVoiceSettings(config.voice);
+  server.setBackingTrackForAllClients(config.backingTrack.allClients);
+
+  server.onMidiSyncChange = (status) => {
+    if (status.following && status.source === 'timecode') {
+      console.log(status.locked ? `MIDI timecode running at ${status.frameRate} fps` : 'MIDI timecode stopped');
+    } else if (status.following) {
+      console.log(status.locked ? `MIDI clock locked at ${status.bpm.toFixed(1)} BPM` : 'MIDI clock unlocked');
+    }
+  };
+
+  const port = await server.start(config.port);
+  server.setRemoteControl(config.control.web);
+  if (config.control.oscPort) {
+    server.setupOscControl(config.control.oscPort);
+  }
+
+  const songNames = songs.map(song => song.name || 'Untitled');
+  server.setSetlistInfo(songNames, currentSongIndex);
+
+  // Same behavior as the desktop setlist: changing songs stops playback and loads the new score
+  const selectSong = (index) => {
+    if (index < 0 || index >= songs.length) return;
+
+    clearTimeout(autoAdvanceTimeout);
+    currentSongIndex = index;
+    server.stopPlayback();
+    server.updateScore(songs[currentSongIndex]);
+    server.setSetlistInfo(songNames, currentSongIndex);
+    console.log(`Song ${currentSongIndex + 1}/${songs.length}: ${songNames[currentSongIndex]}`);
+  };
+
+  server.onSongControl = (command) => {
+    if (command.action === 'nextSong') {
+      selectSong((currentSongIndex + 1) % songs.length);
+    } else if (command.action === 'previousSong') {
+      selectSong((currentSongIndex - 1 + songs.length) % songs.length);
+    } else if (command.action === 'selectSong') {
+      selectSong(parseInt(command.index));
+    }
+  };
+
+  server.onSongEnd = () => {
+    if (!config.autoAdvance || songs.length < 2 || config.repeatSong) return;
+
+    // Wait for the configured pause, then play the next song
+    autoAdvanceTimeout = setTimeout(() => {
+      selectSong((currentSongIndex + 1) % songs.length);
+      autoAdvanceTimeout = setTimeout(() => server.play(), 500);
+    }, config.pauseBetweenSongs * 1000);
+  };
+
+  console.log(`Loaded ${songs.length} song(s) from ${args.file}`);
+  console.log(`Open https://${getLocalIP()}:${port} on client devices`);
+
+  const shutdown = () => {
+    console.log('Shutting down...');
+    clearTimeout(autoAdvanceTimeout);
+    server.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
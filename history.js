@@ -0,0 +1,76 @@
+// Undo/redo history for the Score Editor.
+// Keeps snapshots of the edited score: the renderer records one after every edit and
+// restores them on undo/redo. Snapshots are stored serialized, so later edits to the
+// live score can never change an entry.
+const MAX_HISTORY = 200;
+
+class EditHistory {
+  constructor(limit = MAX_HISTORY) {
+    this.limit = limit;
+    this.entries = [];
+    this.index = -1; // Entry matching the current state
+    this.lastGroup = null;
+  }
+
+  // Start a new history, e.g. after loading a file
+  reset(state) {
+    this.entries = [JSON.stringify(state)];
+    this.index = 0;
+    this.lastGroup = null;
+  }
+
+  // Record the state after an edit. Unchanged states are ignored, and consecutive edits
+  // with the same group (like a series of tempo taps) are merged into one undo step.
+  // Returns true if a change was recorded.
+  record(state, group = null) {
+    const snapshot = JSON.stringify(state);
+    if (this.index >= 0 && this.entries[this.index] === snapshot) {
+      return false;
+    }
+
+    // A new edit discards everything that could be redone
+    this.entries.splice(this.index + 1);
+
+    if (group && group === this.lastGroup && this.index > 0) {
+      this.entries[this.index] = snapshot;
+    } else {
+      this.entries.push(snapshot);
+      this.index++;
+
+      if (this.entries.length > this.limit) {
+        this.entries.shift();
+        this.index--;
+      }
+    }
+
+    this.lastGroup = group;
+    return true;
+  }
+
+  canUndo() {
+    return this.index > 0;
+  }
+
+  canRedo() {
+    return this.index < this.entries.length - 1;
+  }
+
+  // State to restore, or null if there is nothing to undo
+  undo() {
+    if (!this.canUndo()) return null;
+
+    this.index--;
+    this.lastGroup = null;
+    return JSON.parse(this.entries[this.index]);
+  }
+
+  redo() {
+    if (!this.canRedo()) return null;
+
+    this.index++;
+    this.lastGroup = null;
+    return JSON.parse(this.entries[this.index]);
+  }
+}
+
+module.exports = { EditHistory };
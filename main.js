@@ -1,38 +1,11 @@
 const { app, BrowserWindow, ipcMain, dialog } = require('electron');
 const path = require('path');
 const fs = require('fs').promises;
-const os = require('os');
 const MetronomeServer = require('./server');
-
-// Get the local IPv4 address (prefer 192.168.x.x or 10.x.x.x ranges)
-function getLocalIP() {
-  const interfaces = os.networkInterfaces();
-  let fallbackIP = null;
-
-  for (const name of Object.keys(interfaces)) {
-    // Skip virtual adapters (WSL, VPN, Docker, etc.)
-    const lowerName = name.toLowerCase();
-    if (lowerName.includes('wsl') || lowerName.includes('virtual') ||
-        lowerName.includes('vethernet') || lowerName.includes('docker')) {
-      continue;
-    }
-
-    for (const iface of interfaces[name]) {
-      // Skip internal and non-IPv4 addresses
-      if (iface.family === 'IPv4' && !iface.internal) {
-        // Prefer 192.168.x.x or 10.x.x.x (common home/office networks)
-        if (iface.address.startsWith('192.168.') || iface.address.startsWith('10.')) {
-          return iface.address;
-        }
-        // Keep as fallback
-        if (!fallbackIP) {
-          fallbackIP = iface.address;
-        }
-      }
-    }
-  }
-  return fallbackIP || 'localhost';
-}
+const { getLocalIP } = require('./network');
+const { readMusicXMLFile } = require('./mxl');
+const { COUNT_WORDS } = require('./public/voice');
+const { getOscDestinations } = require('./osc-feedback');
 
 let mainWindow;
 let metronomeServer = null;
@@ -43,6 +16,7 @@ function createWindow() {
     height: 800,
     webPreferences: {
       nodeIntegration: true,
+      nodeIntegrationInWorker: true, // Audio analysis worker (analysis-worker.js)
       contextIsolation: false
     }
   });
@@ -116,12 +90,166 @@ ipcMain.handle('load-musicxml', async () => {
   });
 
   if (filePaths && filePaths.length > 0) {
-    const data = await fs.readFile(filePaths[0], 'utf-8');
+    try {
+      const data = readMusicXMLFile(await fs.readFile(filePaths[0]));
+      return { success: true, data: data };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+  return { success: false };
+});
+
+ipcMain.handle('save-musicxml', async (event, xml) => {
+  const { filePath } = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export MusicXML',
+    defaultPath: 'score.musicxml',
+    filters: [
+      { name: 'MusicXML Files', extensions: ['musicxml', 'xml'] },
+      { name: 'All Files', extensions: ['*'] }
+    ]
+  });
+
+  if (filePath) {
+    await fs.writeFile(filePath, xml);
+    return { success: true, filePath };
+  }
+  return { success: false };
+});
+
+ipcMain.handle('load-midi', async () => {
+  const { filePaths } = await dialog.showOpenDialog(mainWindow, {
+    title: 'Import MIDI File',
+    filters: [
+      { name: 'MIDI Files', extensions: ['mid', 'midi', 'smf'] },
+      { name: 'All Files', extensions: ['*'] }
+    ],
+    properties: ['openFile']
+  });
+
+  if (filePaths && filePaths.length > 0) {
+    const data = await fs.readFile(filePaths[0]);
     return { success: true, data: data };
   }
   return { success: false };
 });
 
+ipcMain.handle('save-midi', async (event, data, defaultPath) => {
+  const { filePath } = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export MIDI File',
+    defaultPath: defaultPath,
+    filters: [
+      { name: 'MIDI Files', extensions: ['mid', 'midi'] },
+      { name: 'All Files', extensions: ['*'] }
+    ]
+  });
+
+  if (filePath) {
+    await fs.writeFile(filePath, Buffer.from(data));
+    return { success: true, filePath };
+  }
+  return { success: false };
+});
+
+ipcMain.handle('load-audio', async () => {
+  const { filePaths } = await dialog.showOpenDialog(mainWindow, {
+    title: 'Analyze Audio File',
+    filters: [
+      { name: 'Audio Files', extensions: ['wav', 'mp3', 'ogg'] },
+      { name: 'All Files', extensions: ['*'] }
+    ],
+    properties: ['openFile']
+  });
+
+  if (filePaths && filePaths.length > 0) {
+    const data = await fs.readFile(filePaths[0]);
+    return { success: true, filePath: filePaths[0], data: data };
+  }
+  return { success: false };
+});
+
+ipcMain.handle('choose-backing-track', async () => {
+  const { filePaths } = await dialog.showOpenDialog(mainWindow, {
+    title: 'Choose Backing Track',
+    filters: [
+      { name: 'Audio Files', extensions: ['wav', 'mp3', 'ogg'] },
+      { name: 'All Files', extensions: ['*'] }
+    ],
+    properties: ['openFile']
+  });
+
+  if (filePaths && filePaths.length > 0) {
+    return { success: true, filePath: filePaths[0] };
+  }
+  return { success: false };
+});
+
+ipcMain.handle('choose-click-sample', async () => {
+  const { filePaths } = await dialog.showOpenDialog(mainWindow, {
+    title: 'Choose Click Sample',
+    filters: [
+      { name: 'Audio Files', extensions: ['wav', 'mp3', 'ogg'] },
+      { name: 'All Files', extensions: ['*'] }
+    ],
+    properties: ['openFile']
+  });
+
+  if (filePaths && filePaths.length > 0) {
+    return { success: true, filePath: filePaths[0] };
+  }
+  return { success: false };
+});
+
+ipcMain.handle('save-wav', async (event, data, defaultPath) => {
+  const { filePath } = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export Click Track',
+    defaultPath: defaultPath,
+    filters: [
+      { name: 'WAV Files', extensions: ['wav'] },
+      { name: 'All Files', extensions: ['*'] }
+    ]
+  });
+
+  if (filePath) {
+    await fs.writeFile(filePath, Buffer.from(data));
+    return { success: true, filePath };
+  }
+  return { success: false };
+});
+
+// Voice folder for the spoken cues and the spoken count-in of the WAV export. With countIn the
+// count recordings are read as well: one per number, named "1.wav" or "one.wav" (also MP3/OGG).
+ipcMain.handle('choose-voice-folder', async (event, options = {}) => {
+  const { filePaths } = await dialog.showOpenDialog(mainWindow, {
+    title: options.countIn ? 'Choose Count-in Voice Folder' : 'Choose Voice Folder',
+    properties: ['openDirectory']
+  });
+
+  if (!filePaths || filePaths.length === 0) {
+    return { success: false };
+  }
+
+  const folderPath = filePaths[0];
+  if (!options.countIn) {
+    return { success: true, folderPath };
+  }
+
+  const samples = {};
+  for (const fileName of await fs.readdir(folderPath)) {
+    const match = fileName.toLowerCase().match(/^([a-z]+|\d+)\.(wav|mp3|ogg)$/);
+    if (!match) continue;
+    const number = /^\d+$/.test(match[1]) ? parseInt(match[1]) : COUNT_WORDS.indexOf(match[1]) + 1;
+    if (number >= 1 && number <= COUNT_WORDS.length) {
+      samples[number] = await fs.readFile(path.join(folderPath, fileName));
+    }
+  }
+
+  if (Object.keys(samples).length === 0) {
+    return { success: false, error: 'No count-in recordings found. Name them 1.wav, 2.wav, ... or one.wav, two.wav, ...' };
+  }
+  return { success: true, folderPath, samples };
+});
+
 // Setlist save/load
 ipcMain.handle('save-setlist', async (event, setlistData) => {
   const { filePath } = await dialog.showSaveDialog(mainWindow, {
@@ -234,6 +362,13 @@ ipcMain.handle('get-current-bar', async () => {
   return 1;
 });
 
+ipcMain.handle('get-playback-position', async () => {
+  if (metronomeServer) {
+    return metronomeServer.getPlaybackPosition();
+  }
+  return null;
+});
+
 ipcMain.handle('adjust-sync-offset', async (event, ms) => {
   if (metronomeServer) {
     const newOffset = metronomeServer.adjustSyncOffset(ms);
@@ -286,6 +421,14 @@ ipcMain.handle('seek-to-bar', async (event, data) => {
   return { success: false, error: 'Server not started' };
 });
 
+ipcMain.handle('seek-to-path-index', async (event, pathIndex) => {
+  if (metronomeServer) {
+    metronomeServer.seekToPathIndex(pathIndex);
+    return { success: true };
+  }
+  return { success: false, error: 'Server not started' };
+});
+
 ipcMain.handle('set-loop', async (event, loopSettings) => {
   if (metronomeServer) {
     metronomeServer.setLoop(loopSettings);
@@ -314,9 +457,11 @@ ipcMain.handle('update-osc-settings', async (event, oscSettings) => {
 ipcMain.handle('test-osc', async (event, oscSettings) => {
   try {
     const osc = require('node-osc');
-    const client = new osc.Client(oscSettings.host, oscSettings.port);
-    client.send('/test', 'Visual Metronome Test', () => {
-      client.close();
+    getOscDestinations(oscSettings).forEach(destination => {
+      const client = new osc.Client(destination.host, destination.port);
+      client.send('/test', 'Visual Metronome Test', () => {
+        client.close();
+      });
     });
     return { success: true };
   } catch (error) {
@@ -332,10 +477,11 @@ ipcMain.handle('get-midi-ports', async () => {
     const jzz = await JZZ();
     const info = jzz.info();
     const ports = info.outputs.map(o => o.name);
-    return { success: true, ports };
+    const inputs = info.inputs.map(i => i.name);
+    return { success: true, ports, inputs };
   } catch (error) {
     console.error('MIDI port detection error:', error);
-    return { success: false, error: error.message, ports: [] };
+    return { success: false, error: error.message, ports: [], inputs: [] };
   }
 });
 
@@ -347,6 +493,22 @@ ipcMain.handle('update-midi-settings', async (event, midiSettings) => {
   return { success: false, error: 'Server not started' };
 });
 
+ipcMain.handle('set-client-backing-track', async (event, socketId, enabled) => {
+  if (metronomeServer) {
+    metronomeServer.setClientBackingTrack(socketId, enabled);
+    return { success: true };
+  }
+  return { success: false, error: 'Server not started' };
+});
+
+ipcMain.handle('set-client-assignment', async (event, clientId, assignment) => {
+  if (metronomeServer) {
+    metronomeServer.setClientAssignment(clientId, assignment);
+    return { success: true };
+  }
+  return { success: false, error: 'Server not started' };
+});
+
 ipcMain.handle('update-click-settings', async (event, clickSettings) => {
   if (metronomeServer) {
     metronomeServer.updateClickSettings(clickSettings);
@@ -355,6 +517,14 @@ ipcMain.handle('update-click-settings', async (event, clickSettings) => {
   return { success: false, error: 'Server not started' };
 });
 
+ipcMain.handle('update-voice-settings', async (event, voiceSettings) => {
+  if (metronomeServer) {
+    metronomeServer.updateVoiceSettings(voiceSettings);
+    return { success: true };
+  }
+  return { success: false, error: 'Server not started' };
+});
+
 // IPC handlers for async dialogs (fixes Windows input focus bug)
 ipcMain.handle('show-message-box', async (event, options) => {
   const result = await dialog.showMessageBox(mainWindow, options);
@@ -382,5 +552,47 @@ function setupServerCallbacks() {
         mainWindow.webContents.send('song-ended');
       }
     };
+
+    // Song changes from OSC control go to the setlist in the renderer
+    metronomeServer.onSongControl = (command) => {
+      if (mainWindow) {
+        mainWindow.webContents.send('song-control', command);
+      }
+    };
+
+    metronomeServer.onControlCommand = (command) => {
+      if (mainWindow) {
+        mainWindow.webContents.send('control-command', command);
+        if (command.action === 'nudge' || command.action === 'resetSync') {
+          mainWindow.webContents.send('sync-offset-update', Math.round(metronomeServer.syncOffset));
+        }
+      }
+    };
+
+    metronomeServer.onMidiSyncChange = (status) => {
+      if (mainWindow) {
+        mainWindow.webContents.send('midi-sync-update', status);
+      }
+    };
+
+    metronomeServer.onClientSyncChange = (clients) => {
+      if (mainWindow) {
+        mainWindow.webContents.send('client-sync-update', clients);
+      }
+    };
+
+    metronomeServer.onPositionChange = (position) => {
+      if (mainWindow) {
+        mainWindow.webContents.send('position-update', position);
+      }
+    };
+
+    // The desktop app plays the backing track from disk, so it also gets the file path
+    metronomeServer.onSchedule = (schedule) => {
+      if (mainWindow) {
+        const backingTrack = metronomeServer.scoreData.backingTrack;
+        mainWindow.webContents.send('schedule-update', schedule, backingTrack ? backingTrack.path : null);
+      }
+    };
   }
 }
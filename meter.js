@@ -0,0 +1,129 @@
+// Meter helpers shared by the server and the Score Editor
+// All durations are measured in quarter notes, so 6/8, 7/8 and 2/2 share one reference.
+
+// Note value the section tempo refers to ("♩. = 80" in 6/8, "𝅗𝅥 = 90" in 2/2, ...)
+const BEAT_UNITS = {
+  quarter: { label: 'Quarter note', symbol: '♩', quarterNotes: 1 },
+  dottedQuarter: { label: 'Dotted quarter', symbol: '♩.', quarterNotes: 1.5 },
+  eighth: { label: 'Eighth note', symbol: '♪', quarterNotes: 0.5 },
+  half: { label: 'Half note', symbol: '𝅗𝅥', quarterNotes: 2 }
+};
+
+const DEFAULT_BEAT_UNIT = 'quarter';
+
+function getBeatUnitQuarterNotes(beatUnit) {
+  return (BEAT_UNITS[beatUnit] || BEAT_UNITS[DEFAULT_BEAT_UNIT]).quarterNotes;
+}
+
+// Length of one bar in quarter notes (6/8 = 3, 7/8 = 3.5, 2/2 = 4)
+function getBarQuarterNotes(timeSignature) {
+  return timeSignature.beats * 4 / timeSignature.noteValue;
+}
+
+// Milliseconds per bar for a tempo expressed in the given beat unit
+function getBarDurationMs(tempo, timeSignature, beatUnit = DEFAULT_BEAT_UNIT) {
+  const beatsPerBar = getBarQuarterNotes(timeSignature) / getBeatUnitQuarterNotes(beatUnit);
+  return beatsPerBar * 60000 / tempo;
+}
+
+function getDefaultBeatGrouping(timeSignature) {
+  const { beats, noteValue } = timeSignature;
+
+  // Compound meters (6/8, 9/8, 12/8, ...) are felt in groups of three
+  if (noteValue >= 8 && beats > 3 && beats % 3 === 0) {
+    return new Array(beats / 3).fill(3);
+  }
+
+  return new Array(beats).fill(1);
+}
+
+function isValidBeatGrouping(grouping, timeSignature) {
+  if (!Array.isArray(grouping) || grouping.length === 0) return false;
+  if (!grouping.every(g => Number.isInteger(g) && g > 0)) return false;
+  return grouping.reduce((sum, g) => sum + g, 0) === timeSignature.beats;
+}
+
+// Grouping of the bar's note values into felt beats, e.g. [2, 2, 3] for 7/8.
+// A custom grouping only applies if it adds up to the time signature.
+function getBeatGrouping(timeSignature, grouping = null) {
+  if (isValidBeatGrouping(grouping, timeSignature)) {
+    return grouping;
+  }
+  return getDefaultBeatGrouping(timeSignature);
+}
+
+// Parse "2+2+3" (or "2,2,3") into [2, 2, 3]; returns null for empty or invalid input
+function parseBeatGrouping(text) {
+  if (!text || !text.trim()) return null;
+
+  const grouping = text.split(/[+,\s]+/).filter(v => v !== '').map(v => parseInt(v));
+  return grouping.every(g => !isNaN(g) && g > 0) ? grouping : null;
+}
+
+function formatBeatGrouping(grouping) {
+  return grouping.join('+');
+}
+
+// Clicks per beat of a bar subdivision ('8th', 'triplet', ...)
+function getSubdivisionCount(subdivision) {
+  switch (subdivision) {
+    case '8th': return 2;
+    case '16th': return 4;
+    case 'triplet': return 3;
+    case 'quintuplet': return 5;
+    case 'sextuplet': return 6;
+    default: return 1;
+  }
+}
+
+// Start offset of every beat within the bar in milliseconds, plus the bar end as the last entry
+function getBeatOffsets(grouping, timeSignature, barDuration) {
+  const noteDuration = barDuration / timeSignature.beats;
+  const offsets = [0];
+  let position = 0;
+
+  grouping.forEach(group => {
+    position += group;
+    offsets.push(position * noteDuration);
+  });
+
+  return offsets;
+}
+
+// Written beat (note of the time signature) each felt beat starts on, e.g. [0, 2, 4] for 2+2+3
+function getBeatStartNotes(grouping) {
+  const starts = [];
+  let position = 0;
+
+  grouping.forEach(group => {
+    starts.push(position);
+    position += group;
+  });
+
+  return starts;
+}
+
+// Felt beats that carry an accent. Accent patterns index the written beats of the bar, so the
+// accents saved for a 6/8 bar stay on its first and fourth eighth whatever the grouping.
+function getAccentedBeats(accentPattern, grouping) {
+  return getBeatStartNotes(grouping)
+    .map((note, beat) => (accentPattern.includes(note) ? beat : -1))
+    .filter(beat => beat !== -1);
+}
+
+module.exports = {
+  BEAT_UNITS,
+  DEFAULT_BEAT_UNIT,
+  getBeatUnitQuarterNotes,
+  getBarQuarterNotes,
+  getBarDurationMs,
+  getDefaultBeatGrouping,
+  isValidBeatGrouping,
+  getBeatGrouping,
+  parseBeatGrouping,
+  formatBeatGrouping,
+  getSubdivisionCount,
+  getBeatOffsets,
+  getBeatStartNotes,
+  getAccentedBeats
+};
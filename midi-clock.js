@@ -0,0 +1,127 @@
+// MIDI clock in and out. Following an external clock, the tempo comes from the rate of clock
+// pulses (24 per quarter note), averaged over a quarter note so that USB and network jitter
+// cancel out. Song Position Pointers and pulse counts are positions in quarter notes from bar 1
+// of the song, both ways; the countoff comes before position 0.
+const PULSES_PER_QUARTER = 24;
+const PULSES_PER_MIDI_BEAT = 6; // Song Position Pointer unit: a 16th note
+const MAX_SONG_POSITION = 0x3FFF; // Song Position Pointers are 14 bits
+
+const MIN_TIMEOUT_MS = 250; // Unlocked when no pulse arrives for this long (or 4 pulse intervals)
+const MAX_JITTER = 0.25; // Locked while pulse intervals vary less than this (standard deviation / mean)
+const OUTLIER_RATIO = 1.5; // Intervals this far from the median are dropped or doubled pulses...
+const MAX_OUTLIERS = PULSES_PER_QUARTER / 2; // ...unless this many in a row, which is a new tempo
+
+class MidiClockFollower {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.lastPulseTime = null;
+    this.intervals = []; // Last quarter note of pulse intervals (ms)
+    this.outliers = 0;
+    this.bpm = null;
+    this.locked = false;
+  }
+
+  // Record a clock pulse received at the given time (ms). Returns true when the lock changed.
+  handlePulse(time) {
+    const wasLocked = this.locked;
+
+    if (this.lastPulseTime !== null) {
+      const interval = time - this.lastPulseTime;
+      const median = this.getMedianInterval();
+      const isOutlier = median !== null && (interval > median * OUTLIER_RATIO || interval < median / OUTLIER_RATIO);
+
+      if (isOutlier && this.outliers + 1 < MAX_OUTLIERS) {
+        this.outliers++; // Keep the tempo as it was
+      } else {
+        if (isOutlier) {
+          this.intervals = []; // The tempo really changed
+        }
+        this.outliers = 0;
+        this.intervals.push(interval);
+        if (this.intervals.length > PULSES_PER_QUARTER) {
+          this.intervals.shift();
+        }
+        this.update();
+      }
+    }
+    this.lastPulseTime = time;
+
+    return this.locked !== wasLocked;
+  }
+
+  // Unlock when the pulses stop. Returns true when the lock changed.
+  checkTimeout(now) {
+    if (this.lastPulseTime === null) return false;
+
+    const median = this.getMedianInterval() || 0;
+    if (now - this.lastPulseTime <= Math.max(MIN_TIMEOUT_MS, median * 4)) return false;
+
+    const wasLocked = this.locked;
+    this.reset();
+    return wasLocked;
+  }
+
+  update() {
+    const mean = this.intervals.reduce((sum, interval) => sum + interval, 0) / this.intervals.length;
+    const variance = this.intervals.reduce((sum, interval) => sum + (interval - mean) ** 2, 0) / this.intervals.length;
+
+    this.bpm = mean > 0 ? 60000 / (mean * PULSES_PER_QUARTER) : null;
+    this.locked = this.bpm !== null && this.intervals.length >= PULSES_PER_QUARTER && Math.sqrt(variance) / mean < MAX_JITTER;
+  }
+
+  getMedianInterval() {
+    if (this.intervals.length === 0) return null;
+    const sorted = [...this.intervals].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+  }
+}
+
+// Length of a bar in quarter notes, as MIDI clock and Song Position Pointers count it
+function getBarQuarterNotes(bar) {
+  return bar.timeSignature.beats * 4 / bar.timeSignature.noteValue;
+}
+
+// Path entry and offset into its bar (ms) at a number of quarter notes from bar 1.
+// Positions past the end of the song stay at the end of the last bar.
+function findPathPosition(path, quarterNotes) {
+  const lastIndex = path.entries.length - 1;
+  let remaining = Math.max(quarterNotes, 0);
+
+  for (let i = path.songStartIndex; i <= lastIndex; i++) {
+    const entry = path.entries[i];
+    const length = getBarQuarterNotes(entry.bar);
+    if (remaining < length || i === lastIndex) {
+      return { pathIndex: i, offset: Math.min(remaining / length, 1) * entry.duration };
+    }
+    remaining -= length;
+  }
+  return { pathIndex: 0, offset: 0 };
+}
+
+// Quarter notes from bar 1 to the start of a path entry, negative for countoff bars
+function getPathQuarterNotes(path, pathIndex) {
+  let quarterNotes = 0;
+  for (let i = Math.min(pathIndex, path.songStartIndex); i < Math.max(pathIndex, path.songStartIndex); i++) {
+    quarterNotes += getBarQuarterNotes(path.entries[i].bar);
+  }
+  return pathIndex < path.songStartIndex ? -quarterNotes : quarterNotes;
+}
+
+// Song Position Pointer message for a position in 16th notes
+function getSongPositionMessage(sixteenths) {
+  const position = Math.min(Math.max(Math.round(sixteenths), 0), MAX_SONG_POSITION);
+  return [0xF2, position & 0x7F, position >> 7];
+}
+
+module.exports = {
+  PULSES_PER_QUARTER,
+  PULSES_PER_MIDI_BEAT,
+  MidiClockFollower,
+  getBarQuarterNotes,
+  findPathPosition,
+  getPathQuarterNotes,
+  getSongPositionMessage
+};
@@ -0,0 +1,481 @@
+// Standard MIDI File export and import
+// A score (or a whole setlist) is exported as a Type 1 file in the order it is played: a
+// conductor track with the tempo map, time signatures, section markers and chords, and a click
+// track with the same beats, accents and subdivisions the clients play. Importing reads the
+// same kind of map back into sections and bars.
+const meter = require('./meter');
+const { compilePerformancePath, createBar, getChordChanges } = require('./compiler');
+
+const TICKS_PER_QUARTER = 480;
+const CLICK_CHANNEL = 9; // General MIDI percussion
+const ACCENT_NOTE = 76; // Hi Wood Block
+const BEAT_NOTE = 77; // Low Wood Block
+const SUBDIVISION_NOTE = 42; // Closed Hi-Hat
+const CLICK_LENGTH = TICKS_PER_QUARTER / 8;
+const MAX_TEMPO = 0xffffff; // Microseconds per quarter note
+
+function variableLength(value) {
+  const bytes = [value & 0x7f];
+  while ((value >>= 7) > 0) {
+    bytes.unshift((value & 0x7f) | 0x80);
+  }
+  return bytes;
+}
+
+function metaEvent(type, data) {
+  return [0xff, type, ...variableLength(data.length), ...data];
+}
+
+function textEvent(type, text) {
+  return metaEvent(type, [...Buffer.from(String(text), 'utf8')]);
+}
+
+function tempoEvent(microsecondsPerQuarter) {
+  const value = Math.min(MAX_TEMPO, Math.max(1, Math.round(microsecondsPerQuarter)));
+  return metaEvent(0x51, [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff]);
+}
+
+// Time signature with the metronome click on the first felt beat (a dotted quarter in 6/8)
+function timeSignatureEvent(timeSignature, beatGrouping) {
+  const clocksPerClick = Math.round(beatGrouping[0] * 96 / timeSignature.noteValue);
+  return metaEvent(0x58, [timeSignature.beats, Math.round(Math.log2(timeSignature.noteValue)), clocksPerClick, 8]);
+}
+
+// Events are { tick, order, bytes }; at the same tick a lower order comes first, so note-offs
+// end before the next note-on
+function buildTrack(name, events) {
+  const sorted = events
+    .map((event, index) => ({ ...event, index }))
+    .sort((a, b) => a.tick - b.tick || a.order - b.order || a.index - b.index);
+
+  const data = [...variableLength(0), ...textEvent(0x03, name)];
+  let lastTick = 0;
+  sorted.forEach(event => {
+    data.push(...variableLength(event.tick - lastTick), ...event.bytes);
+    lastTick = event.tick;
+  });
+  data.push(...variableLength(0), ...metaEvent(0x2f, []));
+
+  const header = Buffer.alloc(8);
+  header.write('MTrk', 0, 'ascii');
+  header.writeUInt32BE(data.length, 4);
+  return Buffer.concat([header, Buffer.from(data)]);
+}
+
+// Conductor and click events of one song, starting at the given tick. Returns the tick after
+// its last bar.
+function addSong(scoreData, startTick, conductor, click, state, songMarker) {
+  // The practice tempo percentage is not part of the map
+  const path = compilePerformancePath({ ...scoreData, tempoPercentage: 100 });
+  if (path.ending === 'limit') {
+    throw new Error(`"${scoreData.name}" never ends - check its redirects and repeats`);
+  }
+
+  if (songMarker) {
+    conductor.push({ tick: startTick, order: 1, bytes: textEvent(0x06, songMarker) });
+  }
+
+  let tick = startTick;
+  let previousEntry = null;
+
+  path.entries.forEach(entry => {
+    const bar = entry.bar;
+    const isCountoff = entry.barNumber === 0;
+    const quarterNotes = meter.getBarQuarterNotes(bar.timeSignature);
+    const barTicks = Math.round(quarterNotes * TICKS_PER_QUARTER);
+    const beatGrouping = bar.beatGrouping;
+
+    // Tempo: each bar plays at the tempo that makes it last as long as it does live, so
+    // transitions, beat units and fermatas all land on the same bar lines
+    const tempo = entry.duration * 1000 / quarterNotes;
+    if (tempo !== state.tempo) {
+      conductor.push({ tick, order: 2, bytes: tempoEvent(tempo) });
+      state.tempo = tempo;
+    }
+
+    const timeSignatureKey = `${bar.timeSignature.beats}/${bar.timeSignature.noteValue}:${beatGrouping.join('+')}`;
+    if (timeSignatureKey !== state.timeSignature) {
+      conductor.push({ tick, order: 0, bytes: timeSignatureEvent(bar.timeSignature, beatGrouping) });
+      state.timeSignature = timeSignatureKey;
+    }
+
+    // Markers where a section starts, and again where a jump lands
+    if (isCountoff) {
+      if (!previousEntry) conductor.push({ tick, order: 1, bytes: textEvent(0x06, bar.sectionName) });
+    } else if (!previousEntry || previousEntry.barNumber === 0 || entry.isJump ||
+        bar.barInSection === 0 || previousEntry.bar.sectionIndex !== bar.sectionIndex) {
+      conductor.push({ tick, order: 1, bytes: textEvent(0x06, bar.sectionName) });
+    }
+
+    const noteTicks = TICKS_PER_QUARTER * 4 / bar.timeSignature.noteValue;
+    getChordChanges(bar, bar.timeSignature).forEach(({ beat, chord }) => {
+      const chordTick = tick + Math.min(barTicks - 1, Math.round((beat - 1) * noteTicks));
+      conductor.push({ tick: chordTick, order: 3, bytes: textEvent(0x01, chord) });
+    });
+
+    // Click: fermata bars are held without clicks, as on the clients
+    if (!bar.isFermata) {
+      const subdivisionCount = meter.getSubdivisionCount(bar.subdivision);
+      const accentedBeats = meter.getAccentedBeats(bar.accentPattern || [], beatGrouping);
+      let beatTick = tick;
+
+      beatGrouping.forEach((group, beat) => {
+        const beatTicks = group * noteTicks;
+        for (let subdivision = 0; subdivision < subdivisionCount; subdivision++) {
+          const noteTick = Math.round(beatTick + subdivision * beatTicks / subdivisionCount);
+          let note = SUBDIVISION_NOTE;
+          let velocity = 70;
+          if (subdivision === 0) {
+            const isAccent = beat === 0 || accentedBeats.includes(beat);
+            note = isAccent ? ACCENT_NOTE : BEAT_NOTE;
+            velocity = isAccent ? 127 : 100;
+          }
+          const length = Math.min(CLICK_LENGTH, Math.round(beatTicks / subdivisionCount));
+          click.push({ tick: noteTick, order: 1, bytes: [0x90 | CLICK_CHANNEL, note, velocity] });
+          click.push({ tick: noteTick + length, order: 0, bytes: [0x80 | CLICK_CHANNEL, note, 0] });
+        }
+        beatTick += beatTicks;
+      });
+    }
+
+    tick += barTicks;
+    previousEntry = entry;
+  });
+
+  return tick;
+}
+
+// Type 1 MIDI file of one or more scores played back to back
+function buildMidiFile(scores, name = null) {
+  const conductor = [];
+  const click = [];
+  const state = { tempo: null, timeSignature: null };
+  const isSetlist = scores.length > 1;
+
+  let tick = 0;
+  scores.forEach(scoreData => {
+    tick = addSong(scoreData, tick, conductor, click, state, isSetlist ? scoreData.name : null);
+  });
+
+  const header = Buffer.alloc(14);
+  header.write('MThd', 0, 'ascii');
+  header.writeUInt32BE(6, 4);
+  header.writeUInt16BE(1, 8); // Type 1
+  header.writeUInt16BE(2, 10); // Tracks
+  header.writeUInt16BE(TICKS_PER_QUARTER, 12);
+
+  return Buffer.concat([
+    header,
+    buildTrack(name || (scores[0] && scores[0].name) || 'Metronome', conductor),
+    buildTrack('Click', click)
+  ]);
+}
+
+// --- Import ---
+
+// Beat unit of a time signature's metronome click (MIDI clocks per click, 24 per quarter note)
+const CLICK_BEAT_UNITS = {
+  12: 'eighth',
+  24: 'quarter',
+  36: 'dottedQuarter',
+  48: 'half'
+};
+
+// Chord symbols among text events ("Am7", "F#m7b5/C", "N.C." - not "Bridge" or "Coda")
+const CHORD_PATTERN = /^(N\.?C\.?|[A-G][#b]?(maj|min|m|dim|aug|sus|add|no|M|\+|-|ø|°|\d|\(|\)|#|b|,)*(\/[A-G][#b]?)?)$/;
+
+// Marker names that label countoff bars
+const COUNTOFF_PATTERN = /^count[\s-]*(off|in)$/i;
+
+const MAX_COUNTOFF_BARS = 4;
+
+// Chunks and events of a MIDI file. Events are { tick, metaType, data } for meta events and
+// { tick, status, data } for everything else.
+function readMidiChunks(buffer) {
+  if (buffer.length < 14 || buffer.toString('ascii', 0, 4) !== 'MThd') {
+    throw new Error('Not a MIDI file');
+  }
+
+  const headerLength = buffer.readUInt32BE(4);
+  const format = buffer.readUInt16BE(8);
+  const division = buffer.readUInt16BE(12);
+  if (division & 0x8000) {
+    throw new Error('MIDI files with SMPTE timing are not supported');
+  }
+  if (division === 0) {
+    throw new Error('Not a valid MIDI file (zero ticks per quarter note)');
+  }
+
+  const tracks = [];
+  let offset = 8 + headerLength;
+  while (offset + 8 <= buffer.length) {
+    const type = buffer.toString('ascii', offset, offset + 4);
+    const end = Math.min(buffer.length, offset + 8 + buffer.readUInt32BE(offset + 4));
+    if (type === 'MTrk') {
+      tracks.push(readTrackEvents(buffer, offset + 8, end));
+    }
+    offset = end;
+  }
+
+  return { format, ticksPerQuarter: division, tracks };
+}
+
+function readTrackEvents(buffer, start, end) {
+  const events = [];
+  let position = start;
+  let tick = 0;
+  let runningStatus = null;
+
+  const readVariableLength = () => {
+    let value = 0;
+    let byte;
+    do {
+      if (position >= end) throw new Error('Not a valid MIDI file (track ends inside an event)');
+      byte = buffer[position++];
+      value = value * 128 + (byte & 0x7f);
+    } while (byte & 0x80);
+    return value;
+  };
+
+  while (position < end) {
+    tick += readVariableLength();
+    let status = buffer[position];
+
+    if (status === 0xff) {
+      const metaType = buffer[position + 1];
+      position += 2;
+      const length = readVariableLength();
+      events.push({ tick, metaType, data: buffer.subarray(position, position + length) });
+      position += length;
+      if (metaType === 0x2f) break;
+    } else if (status === 0xf0 || status === 0xf7) {
+      position++;
+      position += readVariableLength();
+    } else {
+      if (status & 0x80) {
+        position++;
+        runningStatus = status;
+      } else if (runningStatus !== null) {
+        status = runningStatus;
+      } else {
+        throw new Error('Not a valid MIDI file (missing status byte)');
+      }
+      const length = (status & 0xf0) === 0xc0 || (status & 0xf0) === 0xd0 ? 1 : 2;
+      events.push({ tick, status, data: buffer.subarray(position, position + length) });
+      position += length;
+    }
+  }
+
+  return events;
+}
+
+// Milliseconds between two ticks on a tempo map of { tick, microsecondsPerQuarter }
+function getTickSpanMs(tempoMap, ticksPerQuarter, startTick, endTick) {
+  let ms = 0;
+  tempoMap.forEach((tempo, i) => {
+    const segmentEnd = i + 1 < tempoMap.length ? tempoMap[i + 1].tick : Infinity;
+    const from = Math.max(startTick, tempo.tick);
+    const to = Math.min(endTick, segmentEnd);
+    if (to > from) {
+      ms += (to - from) / ticksPerQuarter * tempo.microsecondsPerQuarter / 1000;
+    }
+  });
+  return ms;
+}
+
+// The last event of a list at or before a tick
+function getEventAt(events, tick) {
+  let current = null;
+  for (const event of events) {
+    if (event.tick > tick) break;
+    current = event;
+  }
+  return current;
+}
+
+// Bars of the file with their time signature, beat unit, tempo (in the beat unit), marker and chords
+function readBars({ ticksPerQuarter, tracks }) {
+  const all = tracks.flat().sort((a, b) => a.tick - b.tick);
+  const meta = (type) => all.filter(event => event.metaType === type);
+
+  const tempoMap = [{ tick: 0, microsecondsPerQuarter: 500000 }];
+  meta(0x51).forEach(event => {
+    const entry = { tick: event.tick, microsecondsPerQuarter: event.data.readUIntBE(0, 3) };
+    if (tempoMap[tempoMap.length - 1].tick === event.tick) tempoMap[tempoMap.length - 1] = entry;
+    else tempoMap.push(entry);
+  });
+
+  const timeSignatures = meta(0x58).map(event => ({
+    tick: event.tick,
+    timeSignature: { beats: event.data[0], noteValue: Math.pow(2, event.data[1]) },
+    beatUnit: CLICK_BEAT_UNITS[event.data[2]] || meter.DEFAULT_BEAT_UNIT
+  }));
+
+  // Every bar must move the position forward, or reading bars would never end
+  timeSignatures.forEach(({ timeSignature }) => {
+    const barTicks = Math.round(meter.getBarQuarterNotes(timeSignature) * ticksPerQuarter);
+    if (!(barTicks > 0)) {
+      throw new Error(`Not a valid MIDI file (time signature ${timeSignature.beats}/${timeSignature.noteValue} has no length)`);
+    }
+  });
+  const markers = [...meta(0x06), ...meta(0x07)]
+    .map(event => ({ tick: event.tick, text: event.data.toString('utf8').trim() }))
+    .filter(marker => marker.text)
+    .sort((a, b) => a.tick - b.tick);
+  const chords = meta(0x01)
+    .map(event => ({ tick: event.tick, text: event.data.toString('utf8').trim() }))
+    .filter(chord => CHORD_PATTERN.test(chord.text));
+
+  // The song lasts until its last event - a trailing end of track alone adds no bars
+  const lastTick = all.reduce((max, event) => Math.max(max, event.metaType === 0x2f ? 0 : event.tick), 0);
+  const endTick = Math.max(lastTick + 1, ...tracks.map(track => {
+    const endOfTrack = track.find(event => event.metaType === 0x2f);
+    return endOfTrack ? endOfTrack.tick : 0;
+  }));
+
+  const bars = [];
+  let tick = 0;
+  while (tick < endTick) {
+    const signature = getEventAt(timeSignatures, tick) ||
+      { timeSignature: { beats: 4, noteValue: 4 }, beatUnit: meter.DEFAULT_BEAT_UNIT };
+    const quarterNotes = meter.getBarQuarterNotes(signature.timeSignature);
+    const barTicks = Math.round(quarterNotes * ticksPerQuarter);
+    const durationMs = getTickSpanMs(tempoMap, ticksPerQuarter, tick, tick + barTicks);
+    const noteTicks = ticksPerQuarter * 4 / signature.timeSignature.noteValue;
+
+    // A marker anywhere in the bar names the bar, since DAWs don't always snap them
+    const marker = markers.find(m => m.tick >= tick && m.tick < tick + barTicks);
+
+    bars.push({
+      timeSignature: signature.timeSignature,
+      beatUnit: signature.beatUnit,
+      // Average tempo over the bar, so tempo changes inside a bar keep the bar's length
+      tempo: Math.round(quarterNotes / meter.getBeatUnitQuarterNotes(signature.beatUnit) * 60000 / durationMs),
+      durationMs,
+      marker: marker ? marker.text : null,
+      chordChanges: chords
+        .filter(chord => chord.tick >= tick && chord.tick < tick + barTicks)
+        .map(chord => ({ beat: Math.round((1 + (chord.tick - tick) / noteTicks) * 100) / 100, chord: chord.text }))
+    });
+
+    tick += barTicks;
+  }
+
+  return bars;
+}
+
+// Length of a gradual tempo change starting at bar `start`: bars that step evenly towards a
+// tempo that is then held. Returns 0 if there is none.
+function findTempoRamp(bars, start, sectionEnd) {
+  const from = bars[start - 1].tempo;
+  const direction = Math.sign(bars[start].tempo - from);
+  let end = start;
+
+  while (end + 1 < sectionEnd && Math.sign(bars[end + 1].tempo - bars[end].tempo) === direction) {
+    end++;
+  }
+
+  // The last ramp bar is at the new tempo, and the next bar (the new section) holds it
+  const length = end - start + 1;
+  const to = bars[end].tempo;
+  if (length < 2 || end + 1 >= bars.length || bars[end + 1].tempo !== to) return 0;
+
+  for (let k = 0; k < length; k++) {
+    if (Math.abs(bars[start + k].tempo - (from + (to - from) * (k + 1) / length)) > 1) return 0;
+  }
+  return length;
+}
+
+// Parse a Standard MIDI File into score data ({ name, countoff, sections }) plus the number of
+// imported bars. Markers and cue points name sections; time signature and tempo changes start
+// new ones. Even tempo ramps become tempo transitions, and a single slower bar a fermata.
+function parseMidiFile(buffer) {
+  const file = readMidiChunks(Buffer.from(buffer));
+  if (file.format === 2) {
+    throw new Error('Type 2 MIDI files are not supported');
+  }
+
+  const nameEvent = (file.tracks[0] || []).find(event => event.metaType === 0x03);
+  const name = nameEvent && nameEvent.data.toString('utf8').trim() ? nameEvent.data.toString('utf8').trim() : 'Imported Score';
+
+  let bars = readBars(file);
+
+  // Leading bars marked as a countoff become the score's countoff
+  let countoff = 0;
+  if (bars.length > 0 && bars[0].marker && COUNTOFF_PATTERN.test(bars[0].marker)) {
+    countoff = 1;
+    while (countoff < bars.length && countoff < MAX_COUNTOFF_BARS && !bars[countoff].marker) countoff++;
+    if (countoff < bars.length) {
+      bars = bars.slice(countoff);
+    } else {
+      countoff = 0;
+      bars[0].marker = null;
+    }
+  }
+
+  // Sections are delimited by markers and time signature changes; tempo changes split further
+  const isBoundary = (i) => i === 0 || !!bars[i].marker ||
+    bars[i].timeSignature.beats !== bars[i - 1].timeSignature.beats ||
+    bars[i].timeSignature.noteValue !== bars[i - 1].timeSignature.noteValue ||
+    bars[i].beatUnit !== bars[i - 1].beatUnit;
+
+  const sections = [];
+  let currentSection = null;
+  let pendingTransition = 0;
+
+  const startSection = (bar) => {
+    currentSection = {
+      name: bar.marker || `Section ${sections.length + 1}`,
+      tempo: bar.tempo,
+      timeSignature: { ...bar.timeSignature },
+      beatUnit: bar.beatUnit,
+      beatGrouping: null,
+      tempoTransitionBars: pendingTransition,
+      bars: []
+    };
+    sections.push(currentSection);
+    pendingTransition = 0;
+  };
+
+  const addBar = (bar, fields = {}) => {
+    currentSection.bars.push(createBar({
+      chords: bar.chordChanges.map(change => change.chord).join(' '),
+      chordChanges: bar.chordChanges,
+      ...fields
+    }));
+  };
+
+  for (let i = 0; i < bars.length; i++) {
+    const bar = bars[i];
+
+    if (isBoundary(i) || pendingTransition > 0) {
+      startSection(bar);
+    } else if (bar.tempo !== currentSection.tempo) {
+      // A single slower bar before the section tempo returns (or at the end) is a fermata
+      if (bar.tempo < currentSection.tempo && (i + 1 === bars.length || bars[i + 1].tempo === currentSection.tempo)) {
+        addBar(bar, { isFermata: true, fermataDuration: Math.round(bar.durationMs / 10) / 100, fermataDurationType: 'seconds' });
+        continue;
+      }
+
+      let sectionEnd = i + 1;
+      while (sectionEnd < bars.length && !isBoundary(sectionEnd)) sectionEnd++;
+
+      // Ramp bars end this section, and the next section starts at the new tempo
+      const ramp = findTempoRamp(bars, i, sectionEnd);
+      if (ramp > 0) {
+        bars.slice(i, i + ramp).forEach(rampBar => addBar(rampBar));
+        pendingTransition = ramp;
+        i += ramp - 1;
+        continue;
+      }
+
+      startSection(bar);
+    }
+
+    addBar(bar);
+  }
+
+  return { name, countoff, sections, barCount: bars.length };
+}
+
+module.exports = { buildMidiFile, parseMidiFile, TICKS_PER_QUARTER };
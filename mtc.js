@@ -0,0 +1,198 @@
+// MIDI Time Code (MTC) in and out. Timecode runs with song time: a song's timecode start is
+// where bar 1 falls, so the countoff runs before it. Quarter-frame messages (0xF1) carry the
+// timecode in eight pieces over two frames; a full-frame SysEx message locates receivers after
+// a jump.
+const FRAME_RATES = {
+  '24': { label: '24 fps', fps: 24, rate: 24, dropFrame: false, code: 0 },
+  '25': { label: '25 fps', fps: 25, rate: 25, dropFrame: false, code: 1 },
+  '29.97df': { label: '29.97 fps drop-frame', fps: 30, rate: 30000 / 1001, dropFrame: true, code: 2 },
+  '30': { label: '30 fps', fps: 30, rate: 30, dropFrame: false, code: 3 }
+};
+
+const DEFAULT_FRAME_RATE = '25';
+const QUARTER_FRAMES_PER_FRAME = 4;
+const STOP_FRAMES = 3; // Incoming timecode has stopped when no quarter frame arrives for this long
+
+function getFrameRate(frameRate) {
+  return FRAME_RATES[frameRate] || FRAME_RATES[DEFAULT_FRAME_RATE];
+}
+
+function getFrameRateKey(code) {
+  return Object.keys(FRAME_RATES).find(key => FRAME_RATES[key].code === code);
+}
+
+// Drop-frame timecode skips frame numbers 0 and 1 at the start of every minute except every
+// tenth, so that its labels keep up with 29.97 frames per second of real time
+function getFramesPerDay(frameRate) {
+  const { fps, dropFrame } = getFrameRate(frameRate);
+  return dropFrame ? 24 * 6 * (10 * 60 * fps - 9 * 2) : 24 * 60 * 60 * fps;
+}
+
+// Frames since 00:00:00:00 of a timecode
+function timecodeToFrames({ hours, minutes, seconds, frames }, frameRate) {
+  const { fps, dropFrame } = getFrameRate(frameRate);
+  const totalMinutes = hours * 60 + minutes;
+  const count = (totalMinutes * 60 + seconds) * fps + frames;
+  return dropFrame ? count - 2 * (totalMinutes - Math.floor(totalMinutes / 10)) : count;
+}
+
+// Timecode of a frame count, wrapping around at 24 hours (the countoff of a song that starts
+// at 00:00:00:00 runs at 23:59:5x)
+function framesToTimecode(frameCount, frameRate) {
+  const { fps, dropFrame } = getFrameRate(frameRate);
+  const framesPerDay = getFramesPerDay(frameRate);
+  let count = ((Math.floor(frameCount) % framesPerDay) + framesPerDay) % framesPerDay;
+
+  if (dropFrame) {
+    const framesPerTenMinutes = 10 * 60 * fps - 9 * 2;
+    const framesPerMinute = 60 * fps - 2;
+    const tens = Math.floor(count / framesPerTenMinutes);
+    const rest = count % framesPerTenMinutes;
+    count += 9 * 2 * tens + (rest > 1 ? 2 * Math.floor((rest - 2) / framesPerMinute) : 0);
+  }
+
+  return {
+    hours: Math.floor(count / (3600 * fps)),
+    minutes: Math.floor(count / (60 * fps)) % 60,
+    seconds: Math.floor(count / fps) % 60,
+    frames: count % fps
+  };
+}
+
+// Frames of a timecode written as HH:MM:SS:FF (or HH:MM:SS;FF for drop-frame), or null
+function parseTimecode(text, frameRate) {
+  const match = /^\s*(\d{1,2})[:;.](\d{1,2})[:;.](\d{1,2})[:;.](\d{1,2})\s*$/.exec(String(text || ''));
+  if (!match) return null;
+
+  const [hours, minutes, seconds, frames] = match.slice(1).map(Number);
+  const { fps, dropFrame } = getFrameRate(frameRate);
+  const isDropped = dropFrame && seconds === 0 && frames < 2 && minutes % 10 !== 0;
+  if (hours > 23 || minutes > 59 || seconds > 59 || frames >= fps || isDropped) return null;
+
+  return timecodeToFrames({ hours, minutes, seconds, frames }, frameRate);
+}
+
+function formatTimecode(frameCount, frameRate) {
+  const { hours, minutes, seconds, frames } = framesToTimecode(frameCount, frameRate);
+  const pad = value => String(value).padStart(2, '0');
+  const separator = getFrameRate(frameRate).dropFrame ? ';' : ':';
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(frames)}`;
+}
+
+// Full-frame SysEx message that locates receivers at a frame
+function getFullFrameMessage(frameCount, frameRate) {
+  const { hours, minutes, seconds, frames } = framesToTimecode(frameCount, frameRate);
+  return [0xF0, 0x7F, 0x7F, 0x01, 0x01, (getFrameRate(frameRate).code << 5) | hours, minutes, seconds, frames, 0xF7];
+}
+
+// One of the eight quarter-frame messages that carry the timecode of a frame. The pieces are
+// sent a quarter frame apart, starting with piece 0 on that frame.
+function getQuarterFrameMessage(frameCount, frameRate, piece) {
+  const { hours, minutes, seconds, frames } = framesToTimecode(frameCount, frameRate);
+  const values = [
+    frames & 0x0F, frames >> 4,
+    seconds & 0x0F, seconds >> 4,
+    minutes & 0x0F, minutes >> 4,
+    hours & 0x0F, (getFrameRate(frameRate).code << 1) | (hours >> 4)
+  ];
+  return [0xF1, (piece << 4) | values[piece]];
+}
+
+// Reads incoming timecode. Positions are times (ms since 00:00:00:00) at the moment the
+// message arrived, with the frame rate the sender uses.
+class MtcReader {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.pieces = [];
+    this.lastQuarterFrameTime = null;
+    this.frameRate = null;
+    this.running = false;
+  }
+
+  // Returns the position once all eight pieces have arrived in order, or null
+  handleQuarterFrame(data, time) {
+    const piece = data >> 4;
+    if (piece === 0) {
+      this.pieces = [];
+    }
+    if (this.pieces.length !== piece) {
+      this.pieces = []; // Out of order: wait for the next piece 0
+      return null;
+    }
+    this.pieces.push(data & 0x0F);
+    this.lastQuarterFrameTime = time;
+    if (piece !== 7) return null;
+
+    const [frameLow, frameHigh, secondsLow, secondsHigh, minutesLow, minutesHigh, hoursLow, rateAndHours] = this.pieces;
+    const position = this.getPosition(rateAndHours >> 1, {
+      hours: hoursLow | ((rateAndHours & 0x01) << 4),
+      minutes: minutesLow | (minutesHigh << 4),
+      seconds: secondsLow | (secondsHigh << 4),
+      frames: frameLow | (frameHigh << 4)
+    }, 7 / QUARTER_FRAMES_PER_FRAME); // Piece 7 comes a frame and three quarters after piece 0
+
+    this.running = position !== null;
+    return position;
+  }
+
+  // Position of a full-frame message, or null for other SysEx messages
+  handleFullFrame(message) {
+    const isFullFrame = message.length === 10 && message[0] === 0xF0 && message[1] === 0x7F &&
+      message[3] === 0x01 && message[4] === 0x01;
+    if (!isFullFrame) return null;
+
+    return this.getPosition(message[5] >> 5, {
+      hours: message[5] & 0x1F,
+      minutes: message[6],
+      seconds: message[7],
+      frames: message[8]
+    }, 0);
+  }
+
+  getPosition(code, timecode, extraFrames) {
+    const frameRate = getFrameRateKey(code & 0x03);
+    if (!frameRate) return null;
+
+    this.frameRate = frameRate;
+    const frames = timecodeToFrames(timecode, frameRate) + extraFrames;
+    return { time: frames * 1000 / getFrameRate(frameRate).rate, frameRate };
+  }
+
+  // Incoming timecode has stopped. Returns true when it was running.
+  checkTimeout(now) {
+    if (!this.running || now - this.lastQuarterFrameTime <= STOP_FRAMES * 1000 / getFrameRate(this.frameRate).rate) {
+      return false;
+    }
+    this.running = false;
+    this.pieces = [];
+    return true;
+  }
+}
+
+// Path entry and offset into its bar (ms) at a song time (ms from bar 1, negative in the
+// countoff), or null before the countoff and after the end of the song
+function findSongTimePosition(path, songTime) {
+  const songStart = path.entries[path.songStartIndex];
+  const time = songTime + (songStart ? songStart.startOffset : 0);
+
+  const pathIndex = path.entries.findIndex(entry => time >= entry.startOffset && time < entry.startOffset + entry.duration);
+  return pathIndex === -1 ? null : { pathIndex, offset: time - path.entries[pathIndex].startOffset };
+}
+
+module.exports = {
+  FRAME_RATES,
+  DEFAULT_FRAME_RATE,
+  QUARTER_FRAMES_PER_FRAME,
+  getFrameRate,
+  timecodeToFrames,
+  framesToTimecode,
+  parseTimecode,
+  formatTimecode,
+  getFullFrameMessage,
+  getQuarterFrameMessage,
+  MtcReader,
+  findSongTimePosition
+};
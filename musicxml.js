@@ -0,0 +1,671 @@
+// MusicXML import and export for the Score Editor
+// Import works on a parsed XML document (DOMParser in the renderer, @xmldom/xmldom in tests)
+// and only uses DOM methods both provide. Measures of all parts are merged, so markers and
+// chords are picked up whichever part (or staff) they are written in. Export writes the XML
+// text directly.
+const meter = require('./meter');
+const { buildFlatBars, createBar, getChordChanges } = require('./compiler');
+
+// <kind> values and the chord symbol suffix they are written as
+const CHORD_KIND_SUFFIXES = {
+  'major': '',
+  'minor': 'm',
+  'augmented': 'aug',
+  'diminished': 'dim',
+  'dominant': '7',
+  'major-seventh': 'maj7',
+  'minor-seventh': 'm7',
+  'diminished-seventh': 'dim7',
+  'augmented-seventh': 'aug7',
+  'half-diminished': 'm7b5',
+  'major-minor': 'm(maj7)',
+  'major-sixth': '6',
+  'minor-sixth': 'm6',
+  'dominant-ninth': '9',
+  'major-ninth': 'maj9',
+  'minor-ninth': 'm9',
+  'dominant-11th': '11',
+  'major-11th': 'maj11',
+  'minor-11th': 'm11',
+  'dominant-13th': '13',
+  'major-13th': 'maj13',
+  'minor-13th': 'm13',
+  'suspended-second': 'sus2',
+  'suspended-fourth': 'sus4',
+  'power': '5'
+};
+
+// <metronome> beat units that map onto a section beat unit
+const METRONOME_BEAT_UNITS = {
+  'quarter': 'quarter',
+  'quarter.': 'dottedQuarter',
+  'eighth': 'eighth',
+  'half': 'half'
+};
+
+// Held length of an imported fermata bar, relative to the bar's normal length
+const FERMATA_LENGTH_FACTOR = 2;
+
+// Exported fermata bars carry their hold in a playback hint, e.g.
+// <sound><play><other-play type="fermata-duration">5 seconds</other-play></play></sound>
+const FERMATA_DURATION_PLAY = 'fermata-duration';
+
+function childElements(element, name = null) {
+  return Array.from(element.childNodes).filter(node => node.nodeType === 1 && (!name || node.nodeName === name));
+}
+
+function firstChild(element, name) {
+  return childElements(element, name)[0] || null;
+}
+
+function descendants(element, name) {
+  return Array.from(element.getElementsByTagName(name));
+}
+
+function childText(element, name) {
+  const child = firstChild(element, name);
+  return child ? child.textContent.trim() : null;
+}
+
+// Measures of the score, each as the list of its <measure> (partwise) or <part> (timewise)
+// elements across all parts
+function getMeasureGroups(root) {
+  const groups = [];
+
+  if (root.nodeName === 'score-timewise') {
+    childElements(root, 'measure').forEach(measure => groups.push(childElements(measure, 'part')));
+  } else {
+    childElements(root, 'part').forEach(part => {
+      childElements(part, 'measure').forEach((measure, index) => {
+        if (!groups[index]) groups[index] = [];
+        groups[index].push(measure);
+      });
+    });
+  }
+
+  return groups;
+}
+
+function alterSymbol(alterText) {
+  const alter = parseFloat(alterText) || 0;
+  if (alter > 0) return '#'.repeat(Math.round(alter));
+  if (alter < 0) return 'b'.repeat(Math.round(-alter));
+  return '';
+}
+
+// Chord symbol of a <harmony> element, e.g. "F#m7b5/C" or "N.C."
+function formatHarmony(harmony) {
+  const root = firstChild(harmony, 'root');
+  const kind = firstChild(harmony, 'kind');
+  const kindValue = kind ? kind.textContent.trim() : 'major';
+
+  if (kindValue === 'none') return 'N.C.';
+  if (!root) return '';
+
+  let chord = childText(root, 'root-step') + alterSymbol(childText(root, 'root-alter'));
+
+  // The text attribute is how the chord is written in the score - prefer it when present
+  if (kind && kind.getAttribute('text') !== null && kind.getAttribute('text') !== '') {
+    chord += kind.getAttribute('text');
+  } else {
+    chord += CHORD_KIND_SUFFIXES[kindValue] !== undefined ? CHORD_KIND_SUFFIXES[kindValue] : kindValue;
+  }
+
+  childElements(harmony, 'degree').forEach(degree => {
+    const value = childText(degree, 'degree-value');
+    const type = childText(degree, 'degree-type');
+    const alter = alterSymbol(childText(degree, 'degree-alter'));
+    if (type === 'add') chord += `add${alter}${value}`;
+    else if (type === 'alter') chord += `${alter}${value}`;
+    else if (type === 'subtract') chord += `no${value}`;
+  });
+
+  const bass = firstChild(harmony, 'bass');
+  if (bass) {
+    chord += `/${childText(bass, 'bass-step')}${alterSymbol(childText(bass, 'bass-alter'))}`;
+  }
+
+  return chord;
+}
+
+// Chords of one part's measure with their position in quarter notes from the start of the measure
+function readHarmonies(measure, divisions) {
+  const harmonies = [];
+  let position = 0; // In divisions
+
+  childElements(measure).forEach(element => {
+    switch (element.nodeName) {
+      case 'note':
+        // Chord tones start together with the previous note, grace notes take no time
+        if (!firstChild(element, 'chord') && !firstChild(element, 'grace')) {
+          position += parseFloat(childText(element, 'duration')) || 0;
+        }
+        break;
+      case 'backup':
+        position -= parseFloat(childText(element, 'duration')) || 0;
+        break;
+      case 'forward':
+        position += parseFloat(childText(element, 'duration')) || 0;
+        break;
+      case 'harmony': {
+        const chord = formatHarmony(element);
+        const offset = parseFloat(childText(element, 'offset')) || 0;
+        if (chord) harmonies.push({ chord, quarterNotes: (position + offset) / divisions });
+        break;
+      }
+    }
+  });
+
+  return harmonies;
+}
+
+// Navigation markers from the text of a <words> direction ("D.S. al Coda", "To Coda", "Fine")
+function readNavigationWords(text, bar) {
+  const words = text.toLowerCase();
+
+  if (/\bd\.\s*s\.|dal\s+segno/.test(words)) {
+    bar.dalSegno = true;
+  } else if (/\bd\.\s*c\.|da\s+capo/.test(words)) {
+    bar.daCapo = true;
+  } else if (/to\s+coda/.test(words)) {
+    bar.toCoda = true;
+    return;
+  } else if (/^\s*fine\b/.test(words)) {
+    bar.fine = true;
+    return;
+  } else {
+    return;
+  }
+
+  if (/al\s+fine/.test(words)) bar.alFine = true;
+  if (/al\s+coda/.test(words)) bar.alCoda = true;
+  if (/no\s+repeats|senza\s+repetizion/.test(words)) bar.noRepeats = true;
+}
+
+// Hold of a fermata bar as written by buildMusicXML ("4 beats", "2.5 seconds"), or null
+function readFermataDuration(sound) {
+  const hint = descendants(sound, 'other-play').find(element => element.getAttribute('type') === FERMATA_DURATION_PLAY);
+  const match = hint && /^\s*(\d+(?:\.\d+)?)\s*(beats|seconds)\s*$/.exec(hint.textContent);
+  return match && parseFloat(match[1]) > 0 ? { fermataDuration: parseFloat(match[1]), fermataDurationType: match[2] } : null;
+}
+
+// Playback attributes of a <sound> element - the reliable way notation programs export jumps
+function readSound(sound, bar) {
+  if (sound.getAttribute('segno')) bar.segno = true;
+  if (sound.getAttribute('coda')) bar.coda = true;
+  if (sound.getAttribute('tocoda')) bar.toCoda = true;
+  if (sound.getAttribute('dalsegno')) bar.dalSegno = true;
+  if (sound.getAttribute('dacapo') === 'yes') bar.daCapo = true;
+  if (sound.getAttribute('fine') !== null && sound.getAttribute('fine') !== '') bar.fine = true;
+}
+
+function readDirection(direction, bar, marks) {
+  const soundElement = firstChild(direction, 'sound');
+  const saysToCoda = soundElement && soundElement.getAttribute('tocoda');
+  let wordsText = '';
+
+  childElements(direction, 'direction-type').forEach(directionType => {
+    childElements(directionType).forEach(element => {
+      switch (element.nodeName) {
+        case 'segno':
+          bar.segno = true;
+          break;
+        case 'coda':
+          // The coda sign is written both at the jump and at the target - the words or the
+          // sound tell them apart, so it is only a target on its own
+          marks.codaSign = true;
+          break;
+        case 'words':
+          wordsText += ` ${element.textContent}`;
+          break;
+        case 'rehearsal':
+          if (!marks.rehearsal) marks.rehearsal = element.textContent.trim();
+          break;
+        case 'metronome': {
+          const unit = childText(element, 'beat-unit');
+          const dotted = !!firstChild(element, 'beat-unit-dot');
+          const perMinute = parseFloat(childText(element, 'per-minute'));
+          if (unit && perMinute > 0 && !marks.metronome) {
+            marks.metronome = { beatUnit: METRONOME_BEAT_UNITS[unit + (dotted ? '.' : '')] || null, unit, dotted, perMinute };
+          }
+          break;
+        }
+      }
+    });
+  });
+
+  if (wordsText.trim()) {
+    readNavigationWords(wordsText.trim(), bar);
+    if (/^\s*(accel|rit|rall)/i.test(wordsText)) marks.tempoTransition = true;
+  }
+  if (marks.codaSign && !bar.toCoda && !saysToCoda) {
+    bar.coda = true;
+  }
+  marks.codaSign = false;
+}
+
+// Tempo in quarter notes per minute of a <metronome> mark
+function metronomeQuarterTempo(metronome) {
+  const quarterNotes = {
+    'whole': 4, 'half': 2, 'quarter': 1, 'eighth': 0.5, '16th': 0.25
+  }[metronome.unit] || 1;
+  return metronome.perMinute * quarterNotes * (metronome.dotted ? 1.5 : 1);
+}
+
+// Time signature of an <attributes> element. Composite beats like "2+2+3" become a beat grouping.
+function readTimeSignature(attributes) {
+  const time = firstChild(attributes, 'time');
+  if (!time) return null;
+
+  const beatsText = childText(time, 'beats');
+  const beatType = parseInt(childText(time, 'beat-type'));
+  if (!beatsText || !beatType) return null;
+
+  const grouping = meter.parseBeatGrouping(beatsText);
+  if (!grouping) return null;
+
+  const beats = grouping.reduce((sum, g) => sum + g, 0);
+  return {
+    timeSignature: { beats, noteValue: beatType },
+    beatGrouping: grouping.length > 1 ? grouping : null
+  };
+}
+
+// Parse a MusicXML document into score data ({ name, sections }) plus the number of imported bars.
+// A new section starts at every rehearsal mark and every change of tempo or time signature.
+function parseMusicXML(xmlDoc) {
+  const root = xmlDoc.documentElement;
+  if (!root || (root.nodeName !== 'score-partwise' && root.nodeName !== 'score-timewise')) {
+    throw new Error('Not a MusicXML score');
+  }
+
+  const titleElement = descendants(root, 'work-title')[0] || descendants(root, 'movement-title')[0];
+  const name = titleElement && titleElement.textContent.trim() ? titleElement.textContent.trim() : 'Imported Score';
+
+  const sections = [];
+  let currentSection = null;
+  let tempo = 120;
+  let beatUnit = meter.DEFAULT_BEAT_UNIT;
+  let timeSignature = { beats: 4, noteValue: 4 };
+  let beatGrouping = null;
+  let activeEnding = null; // Ending numbers of the volta bracket we are in
+  let transitionStart = null; // Bar of the current section with an accel./rit. mark
+  const divisionsByPart = [];
+
+  const startSection = (sectionName) => {
+    if (currentSection && currentSection.bars.length > 0) {
+      sections.push(currentSection);
+    }
+    currentSection = {
+      name: sectionName || `Section ${sections.length + 1}`,
+      tempo: tempo,
+      timeSignature: { ...timeSignature },
+      beatUnit: beatUnit,
+      beatGrouping: beatGrouping ? [...beatGrouping] : null,
+      tempoTransitionBars: 0,
+      bars: []
+    };
+  };
+
+  const measureGroups = getMeasureGroups(root);
+
+  measureGroups.forEach(partMeasures => {
+    const bar = createBar();
+    const marks = { rehearsal: null, metronome: null, codaSign: false, tempoTransition: false };
+    let soundTempo = null;
+    let newTime = null;
+    let hasFermata = false;
+    let fermataHold = null;
+    let endingStops = false;
+    const harmonies = [];
+
+    partMeasures.forEach((measure, partIndex) => {
+      childElements(measure, 'attributes').forEach(attributes => {
+        const divisions = parseFloat(childText(attributes, 'divisions'));
+        if (divisions > 0) divisionsByPart[partIndex] = divisions;
+        if (!newTime) newTime = readTimeSignature(attributes);
+      });
+
+      childElements(measure, 'direction').forEach(direction => readDirection(direction, bar, marks));
+
+      // <sound> may stand on its own in the measure or sit in a direction
+      descendants(measure, 'sound').forEach(sound => {
+        readSound(sound, bar);
+        const soundTempoValue = parseFloat(sound.getAttribute('tempo'));
+        if (soundTempo === null && soundTempoValue > 0) soundTempo = soundTempoValue;
+        if (!fermataHold) fermataHold = readFermataDuration(sound);
+      });
+
+      childElements(measure, 'barline').forEach(barline => {
+        const repeat = firstChild(barline, 'repeat');
+        if (repeat && repeat.getAttribute('direction') === 'forward') bar.startRepeat = true;
+        if (repeat && repeat.getAttribute('direction') === 'backward') {
+          bar.endRepeat = true;
+          const times = parseInt(repeat.getAttribute('times'));
+          if (times > 2) bar.repeatCount = times;
+        }
+
+        const ending = firstChild(barline, 'ending');
+        if (ending && ending.getAttribute('type') === 'start') {
+          const numbers = (ending.getAttribute('number') || '').split(/[,\s]+/).map(n => parseInt(n)).filter(n => n > 0);
+          activeEnding = numbers.length > 0 ? numbers : null;
+        } else if (ending) {
+          endingStops = true; // stop or discontinue - this is the last bar of the ending
+        }
+
+        if (firstChild(barline, 'segno')) bar.segno = true;
+        if (firstChild(barline, 'coda')) bar.coda = true;
+      });
+
+      // On a note or on the barline
+      if (descendants(measure, 'fermata').length > 0) hasFermata = true;
+
+      harmonies.push(...readHarmonies(measure, divisionsByPart[partIndex] || 1));
+    });
+
+    // Tempo: the <sound> playback tempo (always in quarter notes), else the <metronome> mark.
+    // The metronome mark's beat unit is kept where the sections support it.
+    let newTempo = tempo;
+    let newBeatUnit = beatUnit;
+    const quarterTempo = soundTempo || (marks.metronome ? metronomeQuarterTempo(marks.metronome) : null);
+    if (quarterTempo) {
+      newBeatUnit = marks.metronome && marks.metronome.beatUnit ? marks.metronome.beatUnit : meter.DEFAULT_BEAT_UNIT;
+      newTempo = Math.round(quarterTempo / meter.getBeatUnitQuarterNotes(newBeatUnit));
+    }
+
+    const timeChanged = newTime && (newTime.timeSignature.beats !== timeSignature.beats ||
+      newTime.timeSignature.noteValue !== timeSignature.noteValue ||
+      String(newTime.beatGrouping) !== String(beatGrouping));
+    const tempoChanged = newTempo !== tempo || newBeatUnit !== beatUnit;
+
+    if (newTime) {
+      timeSignature = newTime.timeSignature;
+      beatGrouping = newTime.beatGrouping;
+    }
+    tempo = newTempo;
+    beatUnit = newBeatUnit;
+
+    if (marks.rehearsal || timeChanged || tempoChanged || !currentSection) {
+      // An accel./rit. leading into a new tempo becomes the section's tempo transition
+      const transitionBars = tempoChanged && currentSection && transitionStart !== null
+        ? currentSection.bars.length - transitionStart
+        : 0;
+      startSection(marks.rehearsal);
+      currentSection.tempoTransitionBars = transitionBars;
+      transitionStart = null;
+    }
+    if (marks.tempoTransition) {
+      transitionStart = currentSection.bars.length;
+    }
+
+    // Every chord with its beat (1 = downbeat, counted in the time signature's note value);
+    // the same chord written in several parts is kept once
+    harmonies.sort((a, b) => a.quarterNotes - b.quarterNotes);
+    harmonies.forEach(({ chord, quarterNotes }) => {
+      const beat = Math.round((1 + quarterNotes * timeSignature.noteValue / 4) * 100) / 100;
+      if (!bar.chordChanges.some(change => change.beat === beat && change.chord === chord)) {
+        bar.chordChanges.push({ beat, chord });
+      }
+    });
+    bar.chords = bar.chordChanges.map(change => change.chord).join(' ');
+
+    if (activeEnding) {
+      bar.volta = [...activeEnding];
+    }
+    if (endingStops) {
+      activeEnding = null;
+    }
+
+    // A fermata holds the bar for the exported hold, else twice its written length (adjustable
+    // in the editor)
+    if (hasFermata) {
+      bar.isFermata = true;
+      if (fermataHold) {
+        Object.assign(bar, fermataHold);
+      } else {
+        bar.fermataDuration = meter.getBarQuarterNotes(timeSignature) / meter.getBeatUnitQuarterNotes(beatUnit) * FERMATA_LENGTH_FACTOR;
+      }
+    }
+
+    currentSection.bars.push(bar);
+  });
+
+  if (currentSection && currentSection.bars.length > 0) {
+    sections.push(currentSection);
+  }
+
+  return { name, sections, barCount: measureGroups.length };
+}
+
+// --- Export ---
+
+// Divisions per quarter note in exported scores: fine enough for chords on 16th notes and triplets
+const EXPORT_DIVISIONS = 24;
+
+const EXPORT_BEAT_UNITS = {
+  quarter: { unit: 'quarter', dotted: false },
+  dottedQuarter: { unit: 'quarter', dotted: true },
+  eighth: { unit: 'eighth', dotted: false },
+  half: { unit: 'half', dotted: false }
+};
+
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// An XML element: node('note', { default-x: 10 }, child, ...). Children are nodes or one text.
+function node(name, attributes = {}, ...children) {
+  return { name, attributes, children: children.filter(child => child !== null && child !== undefined) };
+}
+
+function serialize(element, indent = '') {
+  const attributes = Object.entries(element.attributes)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => ` ${key}="${escapeXML(value)}"`)
+    .join('');
+  const open = `${indent}<${element.name}${attributes}`;
+
+  if (element.children.length === 0) {
+    return `${open}/>`;
+  }
+  if (element.children.every(child => typeof child !== 'object')) {
+    return `${open}>${escapeXML(element.children.join(''))}</${element.name}>`;
+  }
+  const children = element.children.map(child => serialize(child, `${indent}  `)).join('\n');
+  return `${open}>\n${children}\n${indent}</${element.name}>`;
+}
+
+function alterValue(accidentals) {
+  return [...accidentals].reduce((sum, symbol) => sum + (symbol === '#' ? 1 : -1), 0) || null;
+}
+
+// <harmony> element of a chord symbol like "F#m7b5/C", or null if it can't be read as a chord
+function buildHarmony(chord) {
+  if (/^n\.?\s*c\.?$/i.test(chord)) {
+    return node('harmony', {}, node('kind', { text: 'N.C.' }, 'none'));
+  }
+
+  const match = chord.match(/^([A-G])([#b]*)([^/]*)(?:\/([A-G])([#b]*))?$/);
+  if (!match) return null;
+
+  const [, rootStep, rootAccidentals, suffix, bassStep, bassAccidentals] = match;
+  const kind = Object.keys(CHORD_KIND_SUFFIXES).find(key => CHORD_KIND_SUFFIXES[key] === suffix) || 'other';
+  const rootAlter = alterValue(rootAccidentals);
+  const bassAlter = bassStep ? alterValue(bassAccidentals) : null;
+
+  return node('harmony', {},
+    node('root', {},
+      node('root-step', {}, rootStep),
+      rootAlter ? node('root-alter', {}, rootAlter) : null),
+    node('kind', { text: suffix }, kind),
+    bassStep ? node('bass', {},
+      node('bass-step', {}, bassStep),
+      bassAlter ? node('bass-alter', {}, bassAlter) : null) : null);
+}
+
+function direction(directionTypes, sound = null) {
+  return node('direction', { placement: 'above' },
+    ...directionTypes.map(type => node('direction-type', {}, type)),
+    sound ? node('sound', sound) : null);
+}
+
+function navigationEnding(bar) {
+  let text = '';
+  if (bar.alFine && !bar.alCoda) text = ' al Fine';
+  if (bar.alCoda && !bar.alFine) text = ' al Coda';
+  return bar.noRepeats ? `${text} (no repeats)` : text;
+}
+
+function voltaKey(bar) {
+  if (bar.volta === null || bar.volta === undefined || bar.volta === '') return null;
+  const numbers = (Array.isArray(bar.volta) ? bar.volta : String(bar.volta).split(/[,\s]+/))
+    .map(n => parseInt(n))
+    .filter(n => n > 0);
+  return numbers.length > 0 ? numbers.join(', ') : null;
+}
+
+// Beats of the written time signature - a custom beat grouping is written as "3+2"
+function getTimeBeats(scoreData, bar) {
+  const grouping = scoreData.sections[bar.sectionIndex].beatGrouping;
+  return meter.isValidBeatGrouping(grouping, bar.timeSignature) && grouping.length > 1
+    ? meter.formatBeatGrouping(grouping)
+    : String(bar.timeSignature.beats);
+}
+
+function buildMeasure(scoreData, flatBars, index) {
+  const bar = flatBars[index];
+  const section = scoreData.sections[bar.sectionIndex];
+  const previous = flatBars[index - 1] || null;
+  const next = flatBars[index + 1] || null;
+  const isSectionStart = bar.barInSection === 0;
+  const children = [];
+
+  // Left barline: start repeat and the start of an ending
+  const volta = voltaKey(bar);
+  const startsEnding = volta && (!previous || voltaKey(previous) !== volta || previous.endRepeat);
+  const endsEnding = volta && (!next || voltaKey(next) !== volta || bar.endRepeat);
+  if (startsEnding || bar.startRepeat) {
+    children.push(node('barline', { location: 'left' },
+      bar.startRepeat ? node('bar-style', {}, 'heavy-light') : null,
+      startsEnding ? node('ending', { number: volta, type: 'start' }, `${volta}.`) : null,
+      bar.startRepeat ? node('repeat', { direction: 'forward' }) : null));
+  }
+
+  // Attributes: everything on the first measure, the time signature when it changes
+  const beats = getTimeBeats(scoreData, bar);
+  const timeChanged = !previous || getTimeBeats(scoreData, previous) !== beats ||
+    previous.timeSignature.noteValue !== bar.timeSignature.noteValue;
+  if (timeChanged) {
+    children.push(node('attributes', {},
+      !previous ? node('divisions', {}, EXPORT_DIVISIONS) : null,
+      !previous ? node('key', {}, node('fifths', {}, 0)) : null,
+      node('time', {}, node('beats', {}, beats), node('beat-type', {}, bar.timeSignature.noteValue)),
+      !previous ? node('clef', {}, node('sign', {}, 'G'), node('line', {}, 2)) : null));
+  }
+
+  // Directions at the start of the bar
+  if (isSectionStart) {
+    children.push(direction([node('rehearsal', {}, section.name || `Section ${bar.sectionIndex + 1}`)]));
+
+    const previousSection = scoreData.sections[bar.sectionIndex - 1];
+    const beatUnit = section.beatUnit || meter.DEFAULT_BEAT_UNIT;
+    if (!previousSection || previousSection.tempo !== section.tempo ||
+        (previousSection.beatUnit || meter.DEFAULT_BEAT_UNIT) !== beatUnit) {
+      const { unit, dotted } = EXPORT_BEAT_UNITS[beatUnit] || EXPORT_BEAT_UNITS.quarter;
+      children.push(direction(
+        [node('metronome', {}, node('beat-unit', {}, unit), dotted ? node('beat-unit-dot') : null, node('per-minute', {}, section.tempo))],
+        { tempo: section.tempo * meter.getBeatUnitQuarterNotes(beatUnit) }
+      ));
+    }
+  }
+  if (bar.segno) {
+    children.push(direction([node('segno')], { segno: 'segno' }));
+  }
+  if (bar.coda) {
+    children.push(direction([node('coda')], { coda: 'coda' }));
+  }
+
+  // A tempo transition starts in the previous section, the given number of bars before its end
+  const nextSection = scoreData.sections[bar.sectionIndex + 1];
+  if (nextSection && nextSection.tempoTransitionBars > 0 && nextSection.tempo !== section.tempo) {
+    const transitionStart = Math.max(0, section.bars.length - nextSection.tempoTransitionBars);
+    if (bar.barInSection === transitionStart) {
+      children.push(direction([node('words', {}, nextSection.tempo > section.tempo ? 'accel.' : 'rit.')]));
+    }
+  }
+
+  // Chords over rests that fill the bar
+  const barDivisions = Math.round(meter.getBarQuarterNotes(bar.timeSignature) * EXPORT_DIVISIONS);
+  const beatDivisions = EXPORT_DIVISIONS * 4 / bar.timeSignature.noteValue;
+  const chords = getChordChanges(bar, bar.timeSignature)
+    .map(({ beat, chord }) => ({ chord, position: Math.min(barDivisions - 1, Math.max(0, Math.round((beat - 1) * beatDivisions))) }))
+    .sort((a, b) => a.position - b.position);
+  const restStarts = [...new Set([0, ...chords.map(chord => chord.position)])];
+  restStarts.forEach((start, i) => {
+    chords.filter(chord => chord.position === start).forEach(({ chord }) => {
+      children.push(buildHarmony(chord) || direction([node('words', {}, chord)]));
+    });
+
+    const end = i + 1 < restStarts.length ? restStarts[i + 1] : barDivisions;
+    const isLast = i === restStarts.length - 1;
+    children.push(node('note', {},
+      node('rest', restStarts.length === 1 ? { measure: 'yes' } : {}),
+      node('duration', {}, end - start),
+      node('voice', {}, 1),
+      isLast && bar.isFermata ? node('notations', {}, node('fermata', { type: 'upright' })) : null));
+  });
+  if (bar.isFermata) {
+    const hold = `${bar.fermataDuration || 4} ${bar.fermataDurationType === 'seconds' ? 'seconds' : 'beats'}`;
+    children.push(node('sound', {}, node('play', {}, node('other-play', { type: FERMATA_DURATION_PLAY }, hold))));
+  }
+
+  // Directions at the end of the bar
+  if (bar.toCoda) {
+    children.push(direction([node('words', {}, 'To Coda')], { tocoda: 'coda' }));
+  }
+  if (bar.fine) {
+    children.push(direction([node('words', {}, 'Fine')], { fine: 'yes' }));
+  }
+  if (bar.dalSegno) {
+    children.push(direction([node('words', {}, `D.S.${navigationEnding(bar)}`)], { dalsegno: 'segno' }));
+  }
+  if (bar.daCapo) {
+    children.push(direction([node('words', {}, `D.C.${navigationEnding(bar)}`)], { dacapo: 'yes' }));
+  }
+
+  // Right barline: end of an ending and end repeat
+  if (endsEnding || bar.endRepeat) {
+    children.push(node('barline', { location: 'right' },
+      node('bar-style', {}, bar.endRepeat ? 'light-heavy' : 'light-light'),
+      endsEnding ? node('ending', { number: volta, type: bar.endRepeat ? 'stop' : 'discontinue' }) : null,
+      bar.endRepeat ? node('repeat', { direction: 'backward', times: bar.repeatCount > 2 ? bar.repeatCount : null }) : null));
+  }
+
+  return node('measure', { number: bar.absoluteNumber }, ...children);
+}
+
+// MusicXML skeleton of a score: one part with a measure rest per bar, carrying the chords,
+// tempo, time signatures, section names as rehearsal marks and the navigation markers.
+// Importing it with parseMusicXML gives back the same structure.
+function buildMusicXML(scoreData) {
+  const flatBars = buildFlatBars(scoreData);
+
+  const score = node('score-partwise', { version: '4.0' },
+    node('work', {}, node('work-title', {}, scoreData.name || 'Untitled')),
+    node('identification', {}, node('encoding', {}, node('software', {}, 'Visual Metronome'))),
+    node('part-list', {}, node('score-part', { id: 'P1' }, node('part-name', {}, 'Chords'))),
+    node('part', { id: 'P1' }, ...flatBars.map((bar, index) => buildMeasure(scoreData, flatBars, index))));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+    serialize(score),
+    ''
+  ].join('\n');
+}
+
+module.exports = { parseMusicXML, formatHarmony, buildMusicXML };
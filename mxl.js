@@ -0,0 +1,144 @@
+// Compressed MusicXML (.mxl) support.
+// An .mxl file is a zip archive holding the score plus META-INF/container.xml, which names
+// the root score file. The zip reading is done here with Node's zlib so no extra package
+// is needed.
+const zlib = require('zlib');
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+const MAX_COMMENT_LENGTH = 0xffff;
+
+const CONTAINER_PATH = 'META-INF/container.xml';
+const MUSICXML_MEDIA_TYPE = 'application/vnd.recordare.musicxml+xml';
+
+function isZip(buffer) {
+  return buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_FILE_HEADER;
+}
+
+function findEndOfCentralDirectory(buffer) {
+  const lowest = Math.max(0, buffer.length - 22 - MAX_COMMENT_LENGTH);
+  for (let offset = buffer.length - 22; offset >= lowest; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+      return offset;
+    }
+  }
+  throw new Error('Not a valid .mxl file (zip directory not found)');
+}
+
+// Files in a zip archive, by path. Each entry reads its data on demand.
+function readZipEntries(buffer) {
+  const endOffset = findEndOfCentralDirectory(buffer);
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+
+  if (offset === 0xffffffff || entryCount === 0xffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const entries = new Map();
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error('Not a valid .mxl file (damaged zip directory)');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const headerOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    entries.set(name, {
+      name,
+      read: () => readZipEntry(buffer, { name, flags, method, compressedSize, headerOffset })
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+function readZipEntry(buffer, { name, flags, method, compressedSize, headerOffset }) {
+  if (flags & 0x1) {
+    throw new Error(`${name} is encrypted`);
+  }
+  if (buffer.readUInt32LE(headerOffset) !== LOCAL_FILE_HEADER) {
+    throw new Error(`Not a valid .mxl file (damaged entry ${name})`);
+  }
+
+  // The local header repeats the name and may have its own extra field
+  const nameLength = buffer.readUInt16LE(headerOffset + 26);
+  const extraLength = buffer.readUInt16LE(headerOffset + 28);
+  const dataStart = headerOffset + 30 + nameLength + extraLength;
+  const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+  switch (method) {
+    case 0: // Stored
+      return data;
+    case 8: // Deflated
+      return zlib.inflateRawSync(data);
+    default:
+      throw new Error(`${name} uses an unsupported compression method (${method})`);
+  }
+}
+
+// Text of an XML file, honouring a UTF-16 byte order mark
+function decodeXML(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return buffer.toString('utf16le', 2);
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    const swapped = Buffer.from(buffer.subarray(2));
+    swapped.swap16();
+    return swapped.toString('utf16le');
+  }
+  return buffer.toString('utf8').replace(/^\uFEFF/, '');
+}
+
+function readAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`));
+  return match ? (match[1] !== undefined ? match[1] : match[2]) : null;
+}
+
+// Path of the score named in container.xml. The first MusicXML rootfile is the main score;
+// other rootfiles can be PDFs or images.
+function findRootFile(containerXML) {
+  const rootfiles = (containerXML.match(/<rootfile\b[^>]*>/g) || []).map(tag => ({
+    path: readAttribute(tag, 'full-path'),
+    mediaType: readAttribute(tag, 'media-type')
+  })).filter(rootfile => rootfile.path);
+
+  const score = rootfiles.find(rootfile => !rootfile.mediaType || rootfile.mediaType === MUSICXML_MEDIA_TYPE);
+  return score ? score.path : null;
+}
+
+// MusicXML text of the root score in an .mxl archive
+function extractMusicXML(buffer) {
+  const entries = readZipEntries(buffer);
+
+  let scorePath = null;
+  if (entries.has(CONTAINER_PATH)) {
+    scorePath = findRootFile(decodeXML(entries.get(CONTAINER_PATH).read()));
+  }
+
+  // Without a usable container, fall back to the first XML file outside META-INF
+  if (!scorePath || !entries.has(scorePath)) {
+    scorePath = [...entries.keys()].find(name => !name.startsWith('META-INF/') && /\.(xml|musicxml)$/i.test(name));
+  }
+  if (!scorePath) {
+    throw new Error('No MusicXML score found in the .mxl file');
+  }
+
+  return decodeXML(entries.get(scorePath).read());
+}
+
+// MusicXML text of an imported file, compressed or not
+function readMusicXMLFile(buffer) {
+  return isZip(buffer) ? extractMusicXML(buffer) : decodeXML(buffer);
+}
+
+module.exports = { readZipEntries, extractMusicXML, readMusicXMLFile };
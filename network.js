@@ -0,0 +1,33 @@
+const os = require('os');
+
+// Get the local IPv4 address (prefer 192.168.x.x or 10.x.x.x ranges)
+function getLocalIP() {
+  const interfaces = os.networkInterfaces();
+  let fallbackIP = null;
+
+  for (const name of Object.keys(interfaces)) {
+    // Skip virtual adapters (WSL, VPN, Docker, etc.)
+    const lowerName = name.toLowerCase();
+    if (lowerName.includes('wsl') || lowerName.includes('virtual') ||
+        lowerName.includes('vethernet') || lowerName.includes('docker')) {
+      continue;
+    }
+
+    for (const iface of interfaces[name]) {
+      // Skip internal and non-IPv4 addresses
+      if (iface.family === 'IPv4' && !iface.internal) {
+        // Prefer 192.168.x.x or 10.x.x.x (common home/office networks)
+        if (iface.address.startsWith('192.168.') || iface.address.startsWith('10.')) {
+          return iface.address;
+        }
+        // Keep as fallback
+        if (!fallbackIP) {
+          fallbackIP = iface.address;
+        }
+      }
+    }
+  }
+  return fallbackIP || 'localhost';
+}
+
+module.exports = { getLocalIP };
@@ -0,0 +1,35 @@
+// OSC control address space: messages from QLab, TouchOSC, Companion and the like are turned
+// into the same transport commands web clients send (see MetronomeServer.handleControlCommand).
+const OSC_CONTROL_ADDRESSES = {
+  '/metronome/play': () => ({ action: 'play' }),
+  '/metronome/pause': () => ({ action: 'pause' }),
+  '/metronome/stop': () => ({ action: 'stop' }),
+  '/metronome/seek': (bar, mode) => ({ action: 'seek', barNumber: bar, mode }),
+  '/metronome/song/next': () => ({ action: 'nextSong' }),
+  '/metronome/song/previous': () => ({ action: 'previousSong' }),
+  '/metronome/song/select': (index) => ({ action: 'selectSong', index }),
+  '/metronome/tempo/percent': (percent) => ({ action: 'tempoPercent', percent }),
+  '/metronome/loop': (start, end) => ({ action: 'loop', start, end }),
+  '/metronome/sync/nudge': (ms) => ({ action: 'nudge', ms }),
+  '/metronome/sync/reset': () => ({ action: 'resetSync' })
+};
+
+const SEEK_MODES = ['direct', 'nextBeat', 'afterBar'];
+
+// Command for an incoming OSC message, or null when the address is not part of the space.
+// Controller buttons send 1 when pressed and 0 when released, so commands without arguments
+// ignore a 0 and only fire on the press.
+function getOscControlCommand(address, args = []) {
+  const toCommand = OSC_CONTROL_ADDRESSES[address];
+  if (!toCommand) return null;
+
+  if (toCommand.length === 0 && args.length > 0 && Number(args[0]) === 0) return null;
+
+  const command = toCommand(...args);
+  if (command.action === 'seek' && !SEEK_MODES.includes(command.mode)) {
+    command.mode = 'direct';
+  }
+  return command;
+}
+
+module.exports = { OSC_CONTROL_ADDRESSES, SEEK_MODES, getOscControlCommand };
@@ -0,0 +1,66 @@
+// OSC output: per-bar triggers and the transport feedback stream go to every destination in
+// the OSC settings. Feedback tells lighting and video rigs where the show is on each beat, bar,
+// section and song change, play/pause/stop and tempo change.
+const FEEDBACK_EVENTS = {
+  beat: 'Beats',
+  bar: 'Bars',
+  section: 'Section changes',
+  song: 'Song changes',
+  transport: 'Play / pause / stop',
+  tempo: 'Tempo changes'
+};
+
+const DEFAULT_OSC_PREFIX = '/metronome';
+
+const DEFAULT_OSC_FEEDBACK = {
+  enabled: false,
+  events: ['bar', 'section', 'song', 'transport', 'tempo']
+};
+
+// Destinations as [{ host, port, prefix }]. Settings from before multiple destinations have a
+// single host and port.
+function getOscDestinations(settings) {
+  const destinations = Array.isArray(settings.destinations) && settings.destinations.length > 0
+    ? settings.destinations
+    : [{ host: settings.host, port: settings.port }];
+
+  return destinations.map(destination => ({
+    host: destination.host || '127.0.0.1',
+    port: parseInt(destination.port) || 8000,
+    prefix: normalizePrefix(destination.prefix)
+  }));
+}
+
+// "metronome/" and "/metronome" are the same prefix; an empty one falls back to the default
+function normalizePrefix(prefix) {
+  const trimmed = String(prefix || '').trim().replace(/\/+$/, '');
+  if (!trimmed) return DEFAULT_OSC_PREFIX;
+  return trimmed.startsWith('/') ? trimmed : `/${trimmed}`;
+}
+
+function normalizeOscFeedback(feedback) {
+  const settings = { ...DEFAULT_OSC_FEEDBACK, ...(feedback || {}) };
+  return {
+    enabled: !!settings.enabled,
+    events: (Array.isArray(settings.events) ? settings.events : []).filter(event => FEEDBACK_EVENTS[event])
+  };
+}
+
+// Address and arguments of a feedback message. Every message carries the bar number (negative
+// during the countoff), the beat (from 1), the section name and the BPM, followed by any extras
+// such as the song name. Transport events are sent as /play, /pause and /stop.
+function buildFeedbackMessage(prefix, event, position, extraArgs = []) {
+  return {
+    address: `${prefix}/${event}`,
+    args: [position.bar, position.beat, position.section, position.bpm, ...extraArgs]
+  };
+}
+
+module.exports = {
+  FEEDBACK_EVENTS,
+  DEFAULT_OSC_PREFIX,
+  DEFAULT_OSC_FEEDBACK,
+  getOscDestinations,
+  normalizeOscFeedback,
+  buildFeedbackMessage
+};
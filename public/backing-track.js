@@ -0,0 +1,128 @@
+// Backing track player, shared by the web client and the desktop app.
+// The audio follows the published schedule: every bar says where the backing track should be
+// when the bar starts, so after jumps, loops, pauses and sync nudges the audio is moved to the
+// bar that is playing. Small drift is taken up by adjusting the playback rate, larger drift by
+// seeking.
+const BACKING_TRACK_SEEK_THRESHOLD = 0.1; // Seconds of drift before the audio is moved
+const BACKING_TRACK_DRIFT_TOLERANCE = 0.01; // Seconds of drift that are left alone
+const BACKING_TRACK_MAX_RATE_CORRECTION = 0.05;
+
+class BackingTrackPlayer {
+  constructor(audio) {
+    this.audio = audio;
+    this.audio.preload = 'auto';
+    this.audio.preservesPitch = true;
+    this.url = null;
+    this.isStarting = false;
+    this.blocked = false; // The browser refused to play without a user gesture
+
+    // Called when playing becomes blocked or allowed again
+    this.onBlockedChange = null;
+  }
+
+  // Bring the audio in line with the schedule at the given time on the server clock.
+  // Called often (every scheduler tick); url overrides the schedule's (the desktop app plays the file directly).
+  update(schedule, serverNow, url = null) {
+    const backingTrack = schedule && schedule.backingTrack;
+    if (!backingTrack || schedule.bars.length === 0) {
+      this.stop();
+      return;
+    }
+
+    const source = url || backingTrack.url;
+    if (source !== this.url) {
+      this.url = source;
+      this.audio.src = source;
+    }
+
+    // Latest bar that has already started
+    const bars = schedule.bars;
+    let bar = bars[0];
+    bars.forEach(candidate => {
+      if (candidate.startTime <= serverNow) bar = candidate;
+    });
+
+    const last = bars[bars.length - 1];
+    if (bar.backingTrackTime === null || bar.backingTrackTime === undefined || serverNow >= last.startTime + last.duration) {
+      this.stop();
+      return;
+    }
+
+    const rate = backingTrack.rate || 1;
+    const expected = (bar.backingTrackTime + (serverNow - bar.startTime) * rate) / 1000;
+
+    // Before bar 1 (countoff) or past the end of the audio
+    if (expected < 0 || (this.audio.duration && expected >= this.audio.duration)) {
+      this.stop();
+      return;
+    }
+
+    // Seeking needs the file's metadata - the next tick tries again
+    if (this.audio.readyState < 1) return;
+
+    if (this.audio.paused) {
+      if (this.isStarting || this.blocked) return;
+      this.audio.currentTime = expected;
+      this.audio.playbackRate = rate;
+      this.start();
+      return;
+    }
+
+    const drift = this.audio.currentTime - expected;
+    if (Math.abs(drift) > BACKING_TRACK_SEEK_THRESHOLD) {
+      this.audio.currentTime = expected;
+      this.audio.playbackRate = rate;
+    } else if (Math.abs(drift) > BACKING_TRACK_DRIFT_TOLERANCE) {
+      // Catch up (or wait) over about a second
+      const correction = Math.min(Math.max(drift, -BACKING_TRACK_MAX_RATE_CORRECTION), BACKING_TRACK_MAX_RATE_CORRECTION);
+      this.audio.playbackRate = rate * (1 - correction);
+    } else {
+      this.audio.playbackRate = rate;
+    }
+  }
+
+  start() {
+    this.isStarting = true;
+    this.audio.play().then(() => {
+      this.isStarting = false;
+      this.setBlocked(false);
+    }).catch(error => {
+      this.isStarting = false;
+      if (error.name === 'NotAllowedError') {
+        this.setBlocked(true);
+      } else {
+        console.warn('Backing track cannot play:', error.message);
+      }
+    });
+  }
+
+  // Allow playing after the browser blocked it - call from a click or tap handler
+  unlock() {
+    this.setBlocked(false);
+    if (this.url) {
+      this.start();
+    }
+  }
+
+  setBlocked(blocked) {
+    if (blocked === this.blocked) return;
+    this.blocked = blocked;
+    if (this.onBlockedChange) {
+      this.onBlockedChange(blocked);
+    }
+  }
+
+  stop() {
+    if (!this.audio.paused) {
+      this.audio.pause();
+    }
+  }
+
+  setVolume(volume) {
+    this.audio.volume = Math.min(Math.max(volume, 0), 1);
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { BackingTrackPlayer };
+}
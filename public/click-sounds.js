@@ -0,0 +1,158 @@
+// Synthesized click sounds and click profiles, shared by the WAV click export, the server and
+// the web client. Each sound is rendered once as samples; accents play at full level and other
+// beats at 0.6, like the original beep.
+const CLICK_SOUNDS = {
+  beep: 'Beep',
+  woodblock: 'Woodblock',
+  cowbell: 'Cowbell',
+  hihat: 'Hi-hat',
+  rimshot: 'Rimshot'
+};
+const DEFAULT_CLICK_SOUND = 'beep';
+const ACCENT_LEVEL = 1;
+const BEAT_LEVEL = 0.6;
+
+// A click profile gives each kind of click its own sound and volume (0-100). A sound is a
+// CLICK_SOUNDS key, or 'sample' for a recording: sampleUrl on the clients, samplePath (a file
+// the server serves) in the operator's profile.
+const CLICK_VOICES = {
+  downbeat: 'Downbeat',
+  accent: 'Accent',
+  beat: 'Beat',
+  subdivision: 'Subdivision'
+};
+
+// The original click: high beep on downbeats and accents, low beep on beats, no subdivisions
+const DEFAULT_CLICK_PROFILE = {
+  downbeat: { sound: 'beep', volume: 100 },
+  accent: { sound: 'beep', volume: 100 },
+  beat: { sound: 'beep', volume: 100 },
+  subdivision: { sound: 'beep', volume: 0 }
+};
+
+// Complete profile with valid values; missing or broken voices get their default
+function normalizeClickProfile(profile) {
+  const normalized = {};
+  Object.keys(CLICK_VOICES).forEach(voice => {
+    const settings = { ...DEFAULT_CLICK_PROFILE[voice], ...(profile && profile[voice]) };
+    const isSample = settings.sound === 'sample' && (settings.sampleUrl || settings.samplePath);
+    if (!isSample && !CLICK_SOUNDS[settings.sound]) {
+      settings.sound = DEFAULT_CLICK_PROFILE[voice].sound;
+    }
+    const volume = parseFloat(settings.volume);
+    settings.volume = isNaN(volume) ? DEFAULT_CLICK_PROFILE[voice].volume : Math.min(Math.max(volume, 0), 100);
+    normalized[voice] = settings;
+  });
+  return normalized;
+}
+
+// Voice that plays a beat or subdivision
+function getClickVoice(beat, subdivision, isAccent) {
+  if (subdivision > 0) return 'subdivision';
+  if (beat === 0) return 'downbeat';
+  return isAccent ? 'accent' : 'beat';
+}
+
+// Downbeats and accents play the accented (higher, louder) variant of their sound
+function isAccentVoice(voice) {
+  return voice === 'downbeat' || voice === 'accent';
+}
+
+// Deterministic noise, so a sound renders the same every time
+function createClickNoise() {
+  let seed = 22222;
+  return () => {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+    return seed / 0x7fffffff * 2 - 1;
+  };
+}
+
+// 1ms linear attack, then an exponential decay to 1% at the end of the sound
+function clickEnvelope(time, length) {
+  const attack = 0.001;
+  if (time < attack) return time / attack;
+  return Math.pow(0.01, (time - attack) / (length - attack));
+}
+
+// Samples of one click: sound is a CLICK_SOUNDS key, unknown sounds play the beep
+function renderClickSound(sound, isAccent, sampleRate) {
+  const noise = createClickNoise();
+  let length;
+  let wave;
+
+  switch (sound) {
+    case 'woodblock': {
+      const frequency = isAccent ? 1200 : 900;
+      length = 0.06;
+      wave = t => Math.sin(2 * Math.PI * frequency * t) + 0.3 * Math.sin(2 * Math.PI * frequency * 2.7 * t);
+      break;
+    }
+    case 'cowbell': {
+      // Two clipped partials give the metallic tone
+      const scale = isAccent ? 1 : 0.85;
+      length = 0.25;
+      wave = t => Math.tanh(3 * Math.sin(2 * Math.PI * 587 * scale * t)) + Math.tanh(3 * Math.sin(2 * Math.PI * 845 * scale * t));
+      break;
+    }
+    case 'hihat': {
+      // High-passed noise
+      let previous = 0;
+      length = isAccent ? 0.08 : 0.05;
+      wave = () => {
+        const value = noise();
+        const output = value - previous;
+        previous = value;
+        return output;
+      };
+      break;
+    }
+    case 'rimshot':
+      length = 0.04;
+      wave = t => noise() + Math.sin(2 * Math.PI * 1700 * t) + (isAccent ? Math.sin(2 * Math.PI * 400 * t) : 0);
+      break;
+    default: {
+      // The live click: an 800Hz (accent) or 400Hz sine blip
+      const frequency = isAccent ? 800 : 400;
+      length = 0.05;
+      wave = t => Math.sin(2 * Math.PI * frequency * t);
+    }
+  }
+
+  return normalizeClick(renderWave(wave, length, sampleRate), isAccent ? ACCENT_LEVEL : BEAT_LEVEL);
+}
+
+// Count-in beats in tone mode: higher than any click, so the count-in stands out
+function renderCountInTone(isAccent, sampleRate) {
+  const frequency = isAccent ? 1760 : 1320;
+  const samples = renderWave(t => Math.sin(2 * Math.PI * frequency * t), 0.1, sampleRate);
+  return normalizeClick(samples, isAccent ? ACCENT_LEVEL : BEAT_LEVEL);
+}
+
+function renderWave(wave, length, sampleRate) {
+  const samples = new Float32Array(Math.round(length * sampleRate));
+  for (let i = 0; i < samples.length; i++) {
+    const time = i / sampleRate;
+    samples[i] = wave(time) * clickEnvelope(time, length);
+  }
+  return samples;
+}
+
+function normalizeClick(samples, level) {
+  let peak = 0;
+  samples.forEach(value => { peak = Math.max(peak, Math.abs(value)); });
+  return peak > 0 ? samples.map(value => value / peak * level) : samples;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    CLICK_SOUNDS,
+    DEFAULT_CLICK_SOUND,
+    CLICK_VOICES,
+    DEFAULT_CLICK_PROFILE,
+    normalizeClickProfile,
+    getClickVoice,
+    isAccentVoice,
+    renderClickSound,
+    renderCountInTone
+  };
+}
@@ -10,7 +10,7 @@ const socket = io({
 let currentBeat = -1;
 let currentSubdivision = -1;
 let scoreData = null;
-let currentBeatsInBar = 0;
+let currentBeatGrouping = [];
 let lightElements = [];
 let backgroundFlashTimeout = null;
 let lastTempo = null;
@@ -24,38 +24,216 @@ let displaySettings = {
   chordColor: '#ffcc00'
 };
 
+// Clock Sync Class
+// NTP-style offset estimation against the server's playback clock.
+// Each ping/pong yields a round trip time and an offset (server clock - local clock);
+// samples delayed by the network are rejected, so the estimate stays within a few ms on Wi-Fi.
+class ClockSync {
+  constructor() {
+    this.samples = []; // Recent { offset, roundTrip } measurements
+    this.maxSamples = 30;
+    this.offset = 0; // Server clock minus local clock (ms)
+    this.jitter = 0; // Spread of the accepted offset samples (ms)
+    this.roundTrip = 0; // Median round trip time (ms)
+    this.seq = 0;
+    this.timer = null;
+  }
+
+  start() {
+    this.stop();
+    this.samples = [];
+
+    // Burst of pings for a quick first estimate, then keep tracking clock drift
+    let burstCount = 0;
+    const burstPing = () => {
+      this.ping();
+      burstCount++;
+      if (burstCount < 10) {
+        this.timer = setTimeout(burstPing, 100);
+      } else {
+        this.timer = setInterval(() => this.ping(), 2000);
+      }
+    };
+    burstPing();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  ping() {
+    this.seq++;
+    socket.emit('time-sync-ping', { seq: this.seq, clientSendTime: performance.now() });
+  }
+
+  handlePong(data) {
+    const clientReceiveTime = performance.now();
+    const roundTrip = (clientReceiveTime - data.clientSendTime) - (data.serverSendTime - data.serverReceiveTime);
+    const offset = ((data.serverReceiveTime - data.clientSendTime) + (data.serverSendTime - clientReceiveTime)) / 2;
+
+    this.samples.push({ offset, roundTrip });
+    if (this.samples.length > this.maxSamples) {
+      this.samples.shift();
+    }
+
+    this.updateEstimate();
+    this.report();
+  }
+
+  updateEstimate() {
+    // Outlier rejection: only trust the faster half of the samples.
+    // Slow round trips (Wi-Fi retries, busy radio) are usually asymmetric and skew the offset.
+    const roundTrips = this.samples.map(s => s.roundTrip).sort((a, b) => a - b);
+    this.roundTrip = median(roundTrips);
+    const accepted = this.samples.filter(s => s.roundTrip <= this.roundTrip);
+
+    const offsets = accepted.map(s => s.offset).sort((a, b) => a - b);
+    this.offset = median(offsets);
+
+    const variance = offsets.reduce((sum, o) => sum + (o - this.offset) ** 2, 0) / offsets.length;
+    this.jitter = Math.sqrt(variance);
+  }
+
+  report() {
+    socket.emit('time-sync-report', {
+      device: getDeviceName(),
+      offset: this.offset,
+      jitter: this.jitter,
+      roundTrip: this.roundTrip,
+      samples: this.samples.length
+    });
+  }
+
+  // Convert a server clock time (ms) to local performance.now() time
+  toLocalTime(serverTime) {
+    return serverTime - this.offset;
+  }
+
+  toServerTime(localTime) {
+    return localTime + this.offset;
+  }
+}
+
+function median(sortedValues) {
+  if (sortedValues.length === 0) return 0;
+  const middle = Math.floor(sortedValues.length / 2);
+  return sortedValues.length % 2 === 0
+    ? (sortedValues[middle - 1] + sortedValues[middle]) / 2
+    : sortedValues[middle];
+}
+
+// Short device description for the operator's client list
+function getDeviceName() {
+  const ua = navigator.userAgent;
+  if (/iPad/.test(ua)) return 'iPad';
+  if (/iPhone/.test(ua)) return 'iPhone';
+  if (/Android/.test(ua)) return 'Android';
+  if (/Macintosh/.test(ua)) return 'Mac';
+  if (/Windows/.test(ua)) return 'Windows';
+  if (/Linux/.test(ua)) return 'Linux';
+  return 'Unknown device';
+}
+
+const clockSync = new ClockSync();
+
 // Click Track Class
 class ClickTrack {
   constructor() {
     this.audioContext = null;
     this.enabled = false;
     this.volume = 0.75;
-    this.serverTimeOffset = 0; // Difference between server and client time (ms)
     this.manualOffset = 0; // Manual delay adjustment (ms, positive only - delays clicks to sync with fastest device)
-    this.lastBeat = -1;
-    this.lastBar = -1;
-    this.audioContextStartTime = 0; // When AudioContext was created (Date.now())
-    this.audioContextStartAudioTime = 0; // AudioContext.currentTime when created
+    this.serverProfile = DEFAULT_CLICK_PROFILE; // Sounds pushed by the operator
+    this.localProfile = null; // Sounds chosen on this device, replacing the operator's
+    this.buffers = new Map(); // Rendered sounds and decoded samples, by sound or sample URL
   }
 
   init() {
     // Create AudioContext on first user interaction to avoid browser restrictions
     if (!this.audioContext) {
       this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-      this.audioContextStartTime = Date.now();
-      this.audioContextStartAudioTime = this.audioContext.currentTime;
+      this.loadSamples();
     }
   }
 
-  stop() {
-    // Reset state when playback stops
-    this.lastBeat = -1;
-    this.lastBar = -1;
-  }
-
   updateSettings(settings) {
     this.enabled = settings.enabled;
     this.volume = settings.volume / 100; // Convert 0-100 to 0-1
+    this.serverProfile = normalizeClickProfile(settings.profile);
+    this.loadSamples();
+  }
+
+  // Sounds in use: this device's own choice, or the operator's
+  getProfile() {
+    return this.localProfile || this.serverProfile;
+  }
+
+  // Replace the operator's sounds on this device (null follows the operator again)
+  setLocalProfile(profile) {
+    this.localProfile = profile ? normalizeClickProfile(profile) : null;
+    try {
+      if (this.localProfile) {
+        localStorage.setItem('clickProfile', JSON.stringify(this.localProfile));
+      } else {
+        localStorage.removeItem('clickProfile');
+      }
+    } catch (error) {
+      // Samples are stored as data URLs and can exceed the storage quota
+      console.warn('Click sounds cannot be saved on this device:', error.message);
+    }
+    this.loadSamples();
+  }
+
+  loadLocalProfile() {
+    const saved = localStorage.getItem('clickProfile');
+    if (saved !== null) {
+      try {
+        this.localProfile = normalizeClickProfile(JSON.parse(saved));
+      } catch (error) {
+        console.warn('Ignoring saved click sounds:', error.message);
+      }
+    }
+  }
+
+  // Decode the recordings of the profile ahead of the first click that needs them
+  loadSamples() {
+    if (!this.audioContext) return;
+
+    Object.values(this.getProfile()).forEach(settings => {
+      const url = settings.sampleUrl;
+      if (settings.sound !== 'sample' || this.buffers.has(url)) return;
+
+      this.buffers.set(url, null); // Loading
+      fetch(url)
+        .then(response => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.arrayBuffer();
+        })
+        .then(data => this.audioContext.decodeAudioData(data))
+        .then(buffer => this.buffers.set(url, buffer))
+        .catch(error => console.warn('Click sample cannot be loaded:', error.message));
+    });
+  }
+
+  // Audio of a voice's sound; a sample that is not loaded (yet) plays the beep instead
+  getSoundBuffer(settings, isAccent) {
+    if (settings.sound === 'sample' && this.buffers.get(settings.sampleUrl)) {
+      return this.buffers.get(settings.sampleUrl);
+    }
+
+    const sound = settings.sound === 'sample' ? DEFAULT_CLICK_SOUND : settings.sound;
+    const key = `${sound}:${isAccent}`;
+    if (!this.buffers.has(key)) {
+      const samples = renderClickSound(sound, isAccent, this.audioContext.sampleRate);
+      const buffer = this.audioContext.createBuffer(1, samples.length, this.audioContext.sampleRate);
+      buffer.getChannelData(0).set(samples);
+      this.buffers.set(key, buffer);
+    }
+    return this.buffers.get(key);
   }
 
   setManualOffset(offsetMs) {
@@ -75,33 +253,16 @@ class ClickTrack {
     }
   }
 
-  updateTimeOffset(serverTimestamp) {
-    // Calculate offset between server and client clocks
-    const clientTime = Date.now();
-    const newOffset = serverTimestamp - clientTime;
-
-    // Use exponential moving average to smooth out network jitter
-    if (this.serverTimeOffset === 0) {
-      this.serverTimeOffset = newOffset;
-    } else {
-      // Slower smoothing (0.95/0.05) for more stable offset
-      this.serverTimeOffset = this.serverTimeOffset * 0.95 + newOffset * 0.05;
-    }
-  }
-
   /**
-   * Convert server timestamp (Date.now() format) to AudioContext time
+   * Convert a server clock time (ms) to AudioContext time
    * Adds manual delay for fine-tuning sync across devices
    */
   serverTimeToAudioTime(serverTimeMs) {
-    // Convert server time to client time using measured offset
-    const clientTimeMs = serverTimeMs - this.serverTimeOffset;
-
-    // Calculate elapsed time since AudioContext was created
-    const elapsedMs = clientTimeMs - this.audioContextStartTime;
+    // Convert server time to local time using the synchronized clock offset
+    const localTimeMs = clockSync.toLocalTime(serverTimeMs);
 
-    // Convert to AudioContext time (seconds since context start)
-    const audioTime = this.audioContextStartAudioTime + (elapsedMs / 1000);
+    // Convert to AudioContext time (seconds) relative to the current audio time
+    const audioTime = this.audioContext.currentTime + ((localTimeMs - performance.now()) / 1000);
 
     // Add manual delay (convert ms to seconds, positive only)
     // This delays clicks to match the fastest/earliest device
@@ -110,8 +271,12 @@ class ClickTrack {
     return adjustedTime;
   }
 
-  playClick(isAccent, when = null) {
-    if (!this.enabled || !this.audioContext) return;
+  // Play a click of a voice (downbeat, accent, beat or subdivision)
+  playClick(voice, when = null) {
+    if (!this.enabled || !this.audioContext) return null;
+
+    const settings = this.getProfile()[voice];
+    if (!settings || settings.volume <= 0) return null;
 
     const now = this.audioContext.currentTime;
     const playTime = when !== null ? when : now;
@@ -119,35 +284,28 @@ class ClickTrack {
     // Don't schedule in the past (with small tolerance for jitter)
     if (playTime < now - 0.05) {
       console.warn('Click scheduled too far in past, skipping:', (playTime - now).toFixed(3), 's');
-      return;
+      return null;
     }
 
     // If slightly in past, play immediately
     const actualPlayTime = playTime < now ? now : playTime;
 
-    // Create oscillator for beep sound
-    const osc = this.audioContext.createOscillator();
+    const source = this.audioContext.createBufferSource();
     const gainNode = this.audioContext.createGain();
-
-    // Frequency: 800Hz for accent, 400Hz for normal beat
-    osc.frequency.value = isAccent ? 800 : 400;
-
-    // Volume envelope
-    gainNode.gain.value = 0;
-    gainNode.gain.setValueAtTime(0, actualPlayTime);
-    gainNode.gain.linearRampToValueAtTime(this.volume * (isAccent ? 1.0 : 0.6), actualPlayTime + 0.001);
-    gainNode.gain.exponentialRampToValueAtTime(0.01, actualPlayTime + 0.05);
+    source.buffer = this.getSoundBuffer(settings, isAccentVoice(voice));
+    gainNode.gain.value = this.volume * settings.volume / 100;
 
     // Connect and play
-    osc.connect(gainNode);
+    source.connect(gainNode);
     gainNode.connect(this.audioContext.destination);
+    source.start(actualPlayTime);
 
-    osc.start(actualPlayTime);
-    osc.stop(actualPlayTime + 0.05);
+    return source;
   }
 
-  onBeat(state) {
-    if (!this.enabled || !state.isPlaying) return;
+  // Schedule a click at a beat time on the server clock; returns the source so it can be cancelled
+  scheduleClick(serverTime, voice) {
+    if (!this.enabled) return null;
 
     // Initialize AudioContext if needed
     if (!this.audioContext) {
@@ -155,36 +313,288 @@ class ClickTrack {
       this.loadManualOffset();
     }
 
-    // Update time offset for sync
-    if (state.serverTimestamp) {
-      this.updateTimeOffset(state.serverTimestamp);
+    return this.playClick(voice, this.serverTimeToAudioTime(serverTime));
+  }
+}
+
+// Create click track instance
+const clickTrack = new ClickTrack();
+
+// Spoken cues, played with the click: recordings from the operator's voice folder where there
+// is one for the cue, the browser's speech synthesizer otherwise
+class VoicePlayer {
+  constructor() {
+    this.settings = { ...DEFAULT_VOICE_SETTINGS };
+    this.muted = localStorage.getItem('voiceCuesMuted') === 'true'; // Turned off on this device
+    this.samples = new Map(); // Decoded recordings by name; null while loading or when there is none
+  }
+
+  updateSettings(settings) {
+    this.settings = settings;
+  }
+
+  isActive() {
+    return this.settings.enabled && !this.muted && clickTrack.enabled;
+  }
+
+  setMuted(muted) {
+    this.muted = muted;
+    localStorage.setItem('voiceCuesMuted', muted.toString());
+  }
+
+  // Fetch the recordings of upcoming cues before they are due
+  preload(cues) {
+    if (!this.settings.samples || !clickTrack.audioContext) return;
+
+    cues.forEach(cue => {
+      const name = getVoiceSampleName(cue.text);
+      if (!name || this.samples.has(name)) return;
+
+      this.samples.set(name, null);
+      fetch(`/voice/${name}`)
+        .then(response => response.ok ? response.arrayBuffer() : null)
+        .then(data => data && clickTrack.audioContext.decodeAudioData(data))
+        .then(buffer => {
+          if (buffer) this.samples.set(name, buffer);
+        })
+        .catch(error => console.warn('Voice recording cannot be loaded:', error.message));
+    });
+  }
+
+  // Speak a cue at its time on the server clock; returns a handle that can be stopped
+  play(cue) {
+    const volume = clickTrack.volume * this.settings.volume / 100;
+    const buffer = this.samples.get(getVoiceSampleName(cue.text));
+
+    if (buffer) {
+      const source = clickTrack.audioContext.createBufferSource();
+      const gainNode = clickTrack.audioContext.createGain();
+      source.buffer = buffer;
+      gainNode.gain.value = volume;
+      source.connect(gainNode);
+      gainNode.connect(clickTrack.audioContext.destination);
+      source.start(Math.max(clickTrack.audioContext.currentTime, clickTrack.serverTimeToAudioTime(cue.time)));
+      return source;
     }
 
-    // Only trigger click once per beat
-    if (state.beat !== this.lastBeat || state.barNumber !== this.lastBar) {
-      this.lastBeat = state.beat;
-      this.lastBar = state.barNumber;
+    if (!window.speechSynthesis) return null;
+
+    // Speech can't be scheduled ahead, so it starts from a timer
+    const delay = clockSync.toLocalTime(cue.time) + clickTrack.manualOffset - performance.now();
+    const timeout = setTimeout(() => {
+      const utterance = new SpeechSynthesisUtterance(cue.text);
+      utterance.volume = Math.min(volume, 1);
+      utterance.rate = 1.3; // Short enough to fit a beat
+      window.speechSynthesis.speak(utterance);
+    }, Math.max(0, delay));
+    return { stop: () => clearTimeout(timeout) };
+  }
+}
 
-      // Don't play click during fermata
-      if (!state.isFermata) {
-        // Play immediately with manual delay offset
-        const now = this.audioContext.currentTime;
-        const playTime = now + (this.manualOffset / 1000); // Add manual delay in seconds
+const voicePlayer = new VoicePlayer();
 
-        console.log(`Beat ${state.beat}, bar ${state.barNumber}, accent: ${state.isAccent}, delay: ${this.manualOffset}ms`);
+// Backing track, played on this device when the operator enables it
+const backingTrackPlayer = new BackingTrackPlayer(new Audio());
+let backingTrackEnabled = false;
 
-        this.playClick(state.isAccent, playTime);
-      }
+function updateBackingTrack() {
+  if (!backingTrackEnabled || !currentSchedule) {
+    backingTrackPlayer.stop();
+    return;
+  }
+  // The manual delay holds back the audio together with the clicks
+  const serverNow = clockSync.toServerTime(performance.now()) - clickTrack.manualOffset;
+  backingTrackPlayer.update(currentSchedule, serverNow);
+}
+
+// Beat scheduling
+// The server publishes the upcoming bars with absolute times on its clock. Lights and clicks are
+// scheduled slightly ahead against the synchronized clock, so every device fires on the beat
+// no matter when the schedule arrived.
+const SCHEDULE_LOOKAHEAD_MS = 150;
+const SCHEDULER_INTERVAL_MS = 25;
+let currentSchedule = null; // Latest { version, songName, bars } from the server
+let schedulerInterval = null;
+let displayFrame = null;
+let displayedBarKey = null;
+const scheduledBeats = new Map(); // key -> { timeout, clickSource, localTime }
+
+function getBarKey(bar) {
+  return `${bar.startTime.toFixed(1)}:${bar.barNumber}`;
+}
+
+// All beat and subdivision events of a bar (none for fermata bars)
+function getBeatEvents(bar) {
+  const events = [];
+  if (bar.isFermata) return events;
+
+  const barKey = getBarKey(bar);
+  const subdivisionCount = bar.subdivisionCount || 1;
+  const accentPattern = bar.accentPattern || [];
+
+  for (let beat = 0; beat < bar.beatOffsets.length - 1; beat++) {
+    const beatStart = bar.startTime + bar.beatOffsets[beat];
+    const beatDuration = bar.beatOffsets[beat + 1] - bar.beatOffsets[beat];
+
+    for (let subdivision = 0; subdivision < subdivisionCount; subdivision++) {
+      events.push({
+        key: `${barKey}:${beat}:${subdivision}`,
+        time: beatStart + subdivision * beatDuration / subdivisionCount,
+        beat,
+        subdivision,
+        isAccented: accentPattern.includes(beat),
+        isClickAccent: beat === 0 || accentPattern.includes(beat)
+      });
     }
   }
+
+  return events;
 }
 
-// Create click track instance
-const clickTrack = new ClickTrack();
+function scheduleUpcomingBeats() {
+  if (!currentSchedule) return;
+
+  updateBackingTrack();
+
+  const now = performance.now();
+
+  // Forget beats that have long been played
+  scheduledBeats.forEach((entry, key) => {
+    if (entry.localTime < now - 1000) {
+      scheduledBeats.delete(key);
+    }
+  });
+
+  currentSchedule.bars.forEach(bar => {
+    getBeatEvents(bar).forEach(event => {
+      if (scheduledBeats.has(event.key)) return;
+
+      const localTime = clockSync.toLocalTime(event.time);
+      if (localTime > now + SCHEDULE_LOOKAHEAD_MS) return; // Not due yet
+      if (localTime < now - 50) return; // Already passed (e.g. joined mid-bar)
+
+      const timeout = setTimeout(() => {
+        updateMetronomeLights(event.beat, event.subdivision, event.isAccented);
+      }, Math.max(0, localTime - now));
+
+      // Subdivisions only click when the subdivision voice is turned up
+      const clickSource = clickTrack.scheduleClick(event.time, getClickVoice(event.beat, event.subdivision, event.isClickAccent));
+
+      scheduledBeats.set(event.key, { timeout, clickSource, localTime });
+    });
+  });
+
+  scheduleVoiceCues();
+}
+
+function scheduleVoiceCues() {
+  if (!voicePlayer.isActive()) return;
+
+  const now = performance.now();
+  const cues = getVoiceCues(currentSchedule.bars, voicePlayer.settings);
+  voicePlayer.preload(cues);
+
+  cues.forEach(cue => {
+    if (scheduledBeats.has(cue.key)) return;
+
+    const localTime = clockSync.toLocalTime(cue.time);
+    if (localTime > now + SCHEDULE_LOOKAHEAD_MS) return; // Not due yet
+    if (localTime < now - 50) return; // Already passed
+
+    scheduledBeats.set(cue.key, { timeout: null, clickSource: voicePlayer.play(cue), localTime });
+  });
+}
+
+function applySchedule(schedule) {
+  currentSchedule = schedule;
+  displayedBarKey = null; // Re-render in case the current bar changed (e.g. live score edits)
+
+  // Cancel beats that are no longer part of the plan (jumps, tempo changes, sync nudges)
+  const plannedKeys = new Set();
+  schedule.bars.forEach(bar => getBeatEvents(bar).forEach(event => plannedKeys.add(event.key)));
+  getVoiceCues(schedule.bars, voicePlayer.settings).forEach(cue => plannedKeys.add(cue.key));
+
+  const now = performance.now();
+  scheduledBeats.forEach((entry, key) => {
+    if (entry.localTime > now && !plannedKeys.has(key)) {
+      cancelScheduledBeat(entry);
+      scheduledBeats.delete(key);
+    }
+  });
+
+  scheduleUpcomingBeats();
+
+  if (!schedulerInterval) {
+    schedulerInterval = setInterval(scheduleUpcomingBeats, SCHEDULER_INTERVAL_MS);
+  }
+  if (!displayFrame) {
+    displayFrame = requestAnimationFrame(updateDisplay);
+  }
+}
+
+function stopScheduler() {
+  currentSchedule = null;
+  displayedBarKey = null;
+
+  if (schedulerInterval) {
+    clearInterval(schedulerInterval);
+    schedulerInterval = null;
+  }
+  if (displayFrame) {
+    cancelAnimationFrame(displayFrame);
+    displayFrame = null;
+  }
+
+  cancelAllScheduledBeats();
+  backingTrackPlayer.stop();
+}
+
+function cancelScheduledBeat(entry) {
+  clearTimeout(entry.timeout);
+  if (entry.clickSource) {
+    try {
+      entry.clickSource.stop();
+    } catch (error) {
+      // Source already finished
+    }
+  }
+}
+
+function cancelAllScheduledBeats() {
+  scheduledBeats.forEach(entry => cancelScheduledBeat(entry));
+  scheduledBeats.clear();
+}
+
+// Show the bar that is playing right now and move the progress line, once per animation frame
+function updateDisplay() {
+  displayFrame = requestAnimationFrame(updateDisplay);
+
+  const serverNow = clockSync.toServerTime(performance.now());
+  const bars = currentSchedule.bars;
+  if (bars.length === 0) return;
+
+  // Latest bar that has already started
+  let bar = bars[0];
+  bars.forEach(candidate => {
+    if (candidate.startTime <= serverNow) bar = candidate;
+  });
+
+  const barKey = getBarKey(bar);
+  if (barKey !== displayedBarKey) {
+    displayedBarKey = barKey;
+    renderBar(bar);
+  }
+
+  // Update progress line and trail - move from left (0%) to right (100%)
+  const progress = Math.min(Math.max((serverNow - bar.startTime) / bar.duration, 0), 1) * 100;
+  progressLineEl.style.left = `${progress}%`;
+  progressTrailEl.style.left = `${progress}%`;
+}
 
 // DOM elements
 const statusEl = document.getElementById('status');
 const barNumberEl = document.getElementById('barNumber');
+const barPassEl = document.getElementById('barPass');
 const chordsEl = document.getElementById('chords');
 const progressLineEl = document.getElementById('progressLine');
 const progressTrailEl = document.getElementById('progressTrail');
@@ -197,11 +607,21 @@ const fermataSymbolEl = document.getElementById('fermataSymbol');
 const fermataInfoEl = document.getElementById('fermataInfo');
 const tempoChangeIndicatorEl = document.getElementById('tempoChangeIndicator');
 
-// Create lights dynamically based on number of beats
-function createLights(numBeats) {
-  if (numBeats === currentBeatsInBar && lightElements.length === numBeats) return;
+// Beat unit symbols for the tempo display (matches meter.js on the server)
+const BEAT_UNIT_SYMBOLS = {
+  quarter: '♩',
+  dottedQuarter: '♩.',
+  eighth: '♪',
+  half: '𝅗𝅥'
+};
+
+// Create lights dynamically based on the beat grouping of the bar
+// One light per felt beat; longer groups (e.g. the 3 in 7/8 = 2+2+3) get wider lights
+function createLights(beatGrouping) {
+  const numBeats = beatGrouping.length;
+  if (beatGrouping.join('+') === currentBeatGrouping.join('+') && lightElements.length === numBeats) return;
 
-  currentBeatsInBar = numBeats;
+  currentBeatGrouping = beatGrouping;
   metronomeLightsEl.innerHTML = '';
   lightElements = [];
 
@@ -226,11 +646,15 @@ function createLights(numBeats) {
   const b = parseInt(displaySettings.lightColor.slice(5, 7), 16);
   const dimColor = `rgba(${Math.floor(r * 0.4)}, ${Math.floor(g * 0.4)}, ${Math.floor(b * 0.4)}, 0.3)`;
 
+  // Widen lights for uneven groupings so the long beat is visible at a glance
+  const isUneven = beatGrouping.some(group => group !== beatGrouping[0]);
+
   for (let i = 0; i < numBeats; i++) {
     const light = document.createElement('div');
     light.className = 'light';
-    light.style.width = `${size}px`;
+    light.style.width = isUneven ? `${size * (0.5 + beatGrouping[i] * 0.5)}px` : `${size}px`;
     light.style.height = `${size}px`;
+    light.style.borderRadius = `${size / 2}px`;
     light.style.backgroundColor = dimColor;
     light.dataset.lightColor = displaySettings.lightColor;
     metronomeLightsEl.appendChild(light);
@@ -241,14 +665,22 @@ function createLights(numBeats) {
 // Socket event handlers
 socket.on('connect', () => {
   console.log('Connected to server');
-  statusEl.textContent = 'Connected';
   statusEl.className = 'status connected';
+  updateStatusText();
+  socket.emit('identify', getClientIdentity());
+  clockSync.start();
 });
 
 socket.on('disconnect', () => {
   console.log('Disconnected from server');
-  statusEl.textContent = 'Disconnected';
   statusEl.className = 'status disconnected';
+  updateStatusText();
+  clockSync.stop();
+  stopScheduler();
+});
+
+socket.on('time-sync-pong', (data) => {
+  clockSync.handlePong(data);
 });
 
 socket.on('score-data', (data) => {
@@ -267,8 +699,69 @@ socket.on('click-settings', (settings) => {
   console.log('Received click settings:', settings);
   clickTrack.updateSettings(settings);
   updateClickControlsUI(settings);
+  renderClickSoundsPanel();
+});
+
+socket.on('voice-settings', (settings) => {
+  voicePlayer.updateSettings(settings);
+  document.getElementById('voiceControl').style.display = settings.enabled ? 'flex' : 'none';
 });
 
+socket.on('backing-track-settings', (settings) => {
+  backingTrackEnabled = settings.enabled;
+  document.getElementById('backingTrackControls').style.display = backingTrackEnabled ? 'block' : 'none';
+  updateBackingTrack();
+});
+
+// Layout the operator chose for this device
+socket.on('client-settings', (settings) => {
+  document.body.dataset.layout = settings.layout;
+});
+
+socket.on('remote-control', (info) => {
+  updateRemoteControlsUI(info);
+});
+
+// Name and role this device is listed with for the operator. The id stays on the device,
+// so the settings the operator gave it are kept when it reconnects.
+function getClientIdentity() {
+  let clientId = localStorage.getItem('clientId');
+  if (!clientId) {
+    clientId = Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+    localStorage.setItem('clientId', clientId);
+  }
+  return {
+    clientId,
+    name: localStorage.getItem('clientName') || '',
+    role: localStorage.getItem('clientRole') || 'other'
+  };
+}
+
+function updateStatusText() {
+  const { name, role } = getClientIdentity();
+  const state = socket.connected ? 'Connected' : 'Disconnected';
+  statusEl.textContent = name ? `${state} · ${name} (${CLIENT_ROLES[role] || CLIENT_ROLES.other})` : state;
+}
+
+function sendControl(command) {
+  socket.emit('control', command);
+}
+
+function updateRemoteControlsUI(info) {
+  document.getElementById('remoteControls').style.display = info.enabled ? 'flex' : 'none';
+
+  const songSelect = document.getElementById('remoteSongSelect');
+  songSelect.innerHTML = '';
+  info.songs.forEach((name, index) => {
+    const option = document.createElement('option');
+    option.value = index;
+    option.textContent = `${index + 1}. ${name}`;
+    songSelect.appendChild(option);
+  });
+  songSelect.value = info.currentSongIndex;
+  songSelect.style.display = info.songs.length > 1 ? 'block' : 'none';
+}
+
 function updateClickControlsUI(settings) {
   const clickControlsEl = document.getElementById('clickControls');
   const clickStatusIconEl = document.getElementById('clickStatusIcon');
@@ -292,6 +785,86 @@ function updateClickControlsUI(settings) {
   }
 }
 
+// Sound and volume of each click voice, as used on this device
+function renderClickSoundsPanel() {
+  const profile = clickTrack.getProfile();
+  document.getElementById('clickSoundsSource').textContent = clickTrack.localProfile ? 'This device' : 'Operator';
+  document.getElementById('clickSoundsReset').disabled = !clickTrack.localProfile;
+
+  const container = document.getElementById('clickSoundsVoices');
+  container.innerHTML = '';
+
+  Object.entries(CLICK_VOICES).forEach(([voice, label]) => {
+    const settings = profile[voice];
+    const row = document.createElement('div');
+    row.className = 'click-sound-row';
+
+    const name = document.createElement('label');
+    name.textContent = label;
+
+    const select = document.createElement('select');
+    Object.entries(CLICK_SOUNDS).forEach(([sound, soundLabel]) => {
+      select.add(new Option(soundLabel, sound));
+    });
+    if (settings.sound === 'sample') {
+      select.add(new Option(settings.sampleName || 'Sample', 'sample'));
+    }
+    select.add(new Option('Upload sample...', 'upload'));
+    select.value = settings.sound;
+
+    const volume = document.createElement('input');
+    volume.type = 'range';
+    volume.min = 0;
+    volume.max = 100;
+    volume.step = 5;
+    volume.value = settings.volume;
+
+    const volumeValue = document.createElement('span');
+    volumeValue.textContent = settings.volume + '%';
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = 'audio/*';
+    fileInput.style.display = 'none';
+
+    select.addEventListener('change', () => {
+      if (select.value === 'upload') {
+        fileInput.click();
+        select.value = settings.sound; // Until a file is chosen
+        return;
+      }
+      updateClickVoice(voice, { sound: select.value });
+    });
+
+    volume.addEventListener('input', () => {
+      volumeValue.textContent = volume.value + '%';
+    });
+    volume.addEventListener('change', () => {
+      updateClickVoice(voice, { volume: parseInt(volume.value) });
+    });
+
+    // Samples are kept as data URLs so they survive a reload
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => updateClickVoice(voice, { sound: 'sample', sampleUrl: reader.result, sampleName: file.name });
+      reader.readAsDataURL(file);
+    });
+
+    row.append(name, select, volume, volumeValue, fileInput);
+    container.appendChild(row);
+  });
+}
+
+// Change one voice on this device, starting from the sounds currently in use
+function updateClickVoice(voice, changes) {
+  const profile = { ...clickTrack.getProfile() };
+  profile[voice] = { ...profile[voice], ...changes };
+  clickTrack.setLocalProfile(profile);
+  renderClickSoundsPanel();
+}
+
 // Client-side volume and sync controls
 document.addEventListener('DOMContentLoaded', () => {
   console.log('Client controls initializing...');
@@ -340,6 +913,94 @@ document.addEventListener('DOMContentLoaded', () => {
   clickTrack.loadManualOffset();
   updateSyncDisplay();
 
+  // Spoken cues on this device
+  const voiceToggle = document.getElementById('voiceToggle');
+  voiceToggle.textContent = voicePlayer.muted ? 'Off' : 'On';
+  voiceToggle.addEventListener('click', () => {
+    voicePlayer.setMuted(!voicePlayer.muted);
+    voiceToggle.textContent = voicePlayer.muted ? 'Off' : 'On';
+  });
+
+  // Click sounds of this device
+  clickTrack.loadLocalProfile();
+  renderClickSoundsPanel();
+  document.getElementById('clickSoundsToggle').addEventListener('click', () => {
+    const panel = document.getElementById('clickSoundsPanel');
+    panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+  });
+  document.getElementById('clickSoundsReset').addEventListener('click', () => {
+    clickTrack.setLocalProfile(null);
+    renderClickSoundsPanel();
+  });
+
+  // Backing track volume, and a button for browsers that only play audio after a tap
+  const backingTrackVolume = document.getElementById('backingTrackVolume');
+  const backingTrackVolumeValue = document.getElementById('backingTrackVolumeValue');
+  const backingTrackUnlock = document.getElementById('backingTrackUnlock');
+
+  backingTrackVolume.addEventListener('input', (e) => {
+    const volume = parseInt(e.target.value);
+    backingTrackVolumeValue.textContent = volume + '%';
+    backingTrackPlayer.setVolume(volume / 100);
+  });
+
+  backingTrackPlayer.onBlockedChange = (blocked) => {
+    backingTrackUnlock.style.display = blocked ? 'block' : 'none';
+  };
+  backingTrackUnlock.addEventListener('click', () => backingTrackPlayer.unlock());
+
+  // Remote transport controls
+  document.getElementById('remotePlay').addEventListener('click', () => sendControl({ action: 'play' }));
+  document.getElementById('remotePause').addEventListener('click', () => sendControl({ action: 'pause' }));
+  document.getElementById('remoteStop').addEventListener('click', () => sendControl({ action: 'stop' }));
+  document.getElementById('remotePrevSong').addEventListener('click', () => sendControl({ action: 'previousSong' }));
+  document.getElementById('remoteNextSong').addEventListener('click', () => sendControl({ action: 'nextSong' }));
+  document.getElementById('remoteSongSelect').addEventListener('change', (e) => {
+    sendControl({ action: 'selectSong', index: parseInt(e.target.value) });
+  });
+  document.getElementById('remoteSeek').addEventListener('click', () => {
+    const barNumber = parseInt(document.getElementById('remoteBar').value);
+    if (barNumber >= 1) {
+      sendControl({ action: 'seek', barNumber });
+    }
+  });
+
+  // Name and role; asked for on the first visit and changed by tapping the status
+  const identityPanel = document.getElementById('identityPanel');
+  const identityName = document.getElementById('identityName');
+  const identityRole = document.getElementById('identityRole');
+  Object.entries(CLIENT_ROLES).forEach(([role, label]) => {
+    const option = document.createElement('option');
+    option.value = role;
+    option.textContent = label;
+    identityRole.appendChild(option);
+  });
+
+  const showIdentityPanel = () => {
+    const identity = getClientIdentity();
+    identityName.value = identity.name;
+    identityRole.value = CLIENT_ROLES[identity.role] ? identity.role : 'other';
+    identityPanel.style.display = 'flex';
+  };
+
+  statusEl.addEventListener('click', () => {
+    if (identityPanel.style.display === 'none') {
+      showIdentityPanel();
+    } else {
+      identityPanel.style.display = 'none';
+    }
+  });
+  document.getElementById('identitySave').addEventListener('click', () => {
+    localStorage.setItem('clientName', identityName.value.trim());
+    localStorage.setItem('clientRole', identityRole.value);
+    identityPanel.style.display = 'none';
+    updateStatusText();
+    socket.emit('identify', getClientIdentity());
+  });
+  if (localStorage.getItem('clientName') === null) {
+    showIdentityPanel();
+  }
+
   console.log('Client controls initialized successfully');
 });
 
@@ -354,8 +1015,8 @@ socket.on('playback-paused', () => {
   waitingMessageEl.style.display = 'block';
   waitingMessageEl.textContent = 'Paused';
 
-  // Stop click track
-  clickTrack.stop();
+  // Cancel scheduled lights and clicks
+  stopScheduler();
 });
 
 socket.on('playback-stopped', () => {
@@ -363,6 +1024,7 @@ socket.on('playback-stopped', () => {
   waitingMessageEl.style.display = 'block';
   waitingMessageEl.textContent = 'Waiting for playback to start...';
   barNumberEl.textContent = '--';
+  barPassEl.textContent = '';
   chordsEl.textContent = '';
   sectionNameEl.textContent = '';
   songNameEl.textContent = '';
@@ -370,8 +1032,8 @@ socket.on('playback-stopped', () => {
   progressLineEl.style.left = '0%';
   progressTrailEl.style.left = '0%';
 
-  // Stop click track
-  clickTrack.stop();
+  // Cancel scheduled lights and clicks
+  stopScheduler();
 
   // Hide fermata elements
   fermataSymbolEl.classList.remove('active');
@@ -399,32 +1061,36 @@ socket.on('playback-stopped', () => {
   currentSubdivision = -1;
 });
 
-socket.on('state-update', (state) => {
-  if (!state.isPlaying) return;
-
-  // Handle click track
-  clickTrack.onBeat(state);
+socket.on('schedule', (schedule) => {
+  waitingMessageEl.style.display = 'none';
+  applySchedule(schedule);
+});
 
+// Show the text, lights and fermata info of a bar as it starts
+function renderBar(bar) {
   // Get first section's tempo for initial display
-  let currentTempo = state.tempo || (scoreData && scoreData.sections && scoreData.sections[0] ? scoreData.sections[0].tempo : 120);
+  let currentTempo = bar.tempo || (scoreData && scoreData.sections && scoreData.sections[0] ? scoreData.sections[0].tempo : 120);
 
   // Find current section to get actual tempo
-  if (scoreData && scoreData.sections && state.barNumber > 0) {
+  if (scoreData && scoreData.sections && bar.barNumber > 0) {
     let barCount = 0;
     for (const section of scoreData.sections) {
       barCount += section.bars.length;
-      if (state.barNumber <= barCount) {
+      if (bar.barNumber <= barCount) {
         currentTempo = section.tempo;
         break;
       }
     }
   }
 
-  // Update time signature and tempo
-  timeSignatureEl.textContent = `${state.timeSignature.beats}/${state.timeSignature.noteValue} @ ${currentTempo} BPM`;
+  // Update time signature and tempo (with the beat grouping for compound and asymmetric meters)
+  const beatGrouping = bar.beatGrouping || new Array(bar.timeSignature.beats).fill(1);
+  const groupingText = beatGrouping.length !== bar.timeSignature.beats ? ` (${beatGrouping.join('+')})` : '';
+  const beatUnitSymbol = BEAT_UNIT_SYMBOLS[bar.beatUnit] || BEAT_UNIT_SYMBOLS.quarter;
+  timeSignatureEl.textContent = `${bar.timeSignature.beats}/${bar.timeSignature.noteValue}${groupingText} @ ${beatUnitSymbol} = ${currentTempo}`;
 
   // Show tempo change indicator if we're in a tempo transition
-  if (state.isTempoTransition) {
+  if (bar.isTempoTransition) {
     // Determine direction by comparing current tempo to last tempo
     if (lastTempo !== null) {
       if (currentTempo > lastTempo) {
@@ -449,12 +1115,12 @@ socket.on('state-update', (state) => {
   lastTempo = currentTempo;
 
   // Handle fermata bars
-  if (state.isFermata) {
+  if (bar.isFermata) {
     // Show fermata symbol and info
     fermataSymbolEl.classList.add('active');
-    const durationText = state.fermataDurationType === 'seconds'
-      ? `${state.fermataDuration} seconds`
-      : `${state.fermataDuration} beats`;
+    const durationText = bar.fermataDurationType === 'seconds'
+      ? `${bar.fermataDuration} seconds`
+      : `${bar.fermataDuration} beats`;
     fermataInfoEl.textContent = `Hold for ${durationText}`;
     fermataInfoEl.classList.add('active');
     // Hide lights for fermata
@@ -465,51 +1131,43 @@ socket.on('state-update', (state) => {
     fermataInfoEl.classList.remove('active');
     // Show lights for normal bars
     metronomeLightsEl.style.display = 'flex';
-    // Create/update lights based on time signature
-    createLights(state.timeSignature.beats);
+    // Create/update lights based on the beat grouping
+    createLights(beatGrouping);
   }
 
   // Update song name
-  songNameEl.textContent = state.songName || '';
+  songNameEl.textContent = currentSchedule.songName || '';
 
   // Update section name
-  if (state.isCountoff) {
+  if (bar.isCountoff) {
     sectionNameEl.textContent = 'COUNTOFF';
     sectionNameEl.className = 'section-name countoff';
     barNumberEl.textContent = '0';
+    barPassEl.textContent = '';
   } else {
-    sectionNameEl.textContent = state.sectionName || '';
+    sectionNameEl.textContent = bar.sectionName || '';
     sectionNameEl.className = 'section-name';
-    barNumberEl.textContent = state.barNumber;
+    barNumberEl.textContent = bar.barNumber;
+    barPassEl.textContent = bar.timesPlayed > 1 ? formatTimesPlayed(bar.timesPlayed) : '';
   }
 
   // Update chords
-  if (state.chords) {
-    chordsEl.textContent = state.chords;
+  if (bar.chords) {
+    chordsEl.textContent = bar.chords;
   } else {
     chordsEl.textContent = '';
   }
+}
 
-  // Update progress line and trail - move from left (0%) to right (100%)
-  const progress = Math.min(state.progress * 100, 100);
-  progressLineEl.style.left = `${progress}%`;
-  progressTrailEl.style.left = `${progress}%`;
-
-  // Update metronome lights with accent pattern and subdivisions (only for non-fermata bars)
-  if (!state.isFermata) {
-    const isAccented = state.accentPattern && state.accentPattern.includes(state.beat);
-    const subdivisionIndex = state.currentSubdivision || 0;
-    updateMetronomeLights(state.beat, subdivisionIndex, isAccented);
-  }
-});
+// "2nd time", "3rd time", ... (same wording as the desktop app)
+function formatTimesPlayed(timesPlayed) {
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+  const suffix = (timesPlayed % 100 >= 11 && timesPlayed % 100 <= 13) ? 'th' : (suffixes[timesPlayed % 10] || 'th');
+  return `${timesPlayed}${suffix} time`;
+}
 
 function updateMetronomeLights(beat, subdivisionIndex, isAccented) {
-  // Create unique identifier for beat + subdivision
-  const currentCombined = beat * 100 + subdivisionIndex;
-  const lastCombined = currentBeat * 100 + currentSubdivision;
-
-  if (currentCombined === lastCombined) return;
-
+  // Each scheduled beat calls this exactly once, so no duplicate check is needed
   currentBeat = beat;
   currentSubdivision = subdivisionIndex;
 
@@ -611,6 +1269,7 @@ function applyDisplaySettings() {
 
   // Text colors
   barNumberEl.style.color = displaySettings.textColor;
+  barPassEl.style.color = displaySettings.textColor;
   songNameEl.style.color = hexToRgba(displaySettings.textColor, 0.5);
   sectionNameEl.style.color = hexToRgba(displaySettings.textColor, 0.3);
   timeSignatureEl.style.color = hexToRgba(displaySettings.textColor, 0.25);
@@ -627,10 +1286,10 @@ function applyDisplaySettings() {
   document.documentElement.style.setProperty('--light-color', displaySettings.lightColor);
 
   // Recreate lights with new color
-  if (currentBeatsInBar > 0) {
-    const numBeats = currentBeatsInBar;
-    currentBeatsInBar = 0; // Force recreate
-    createLights(numBeats);
+  if (currentBeatGrouping.length > 0) {
+    const beatGrouping = currentBeatGrouping;
+    currentBeatGrouping = []; // Force recreate
+    createLights(beatGrouping);
   }
 }
 
@@ -643,7 +1302,7 @@ function hexToRgba(hex, alpha) {
 }
 
 // Initialize with default 4 lights
-createLights(4);
+createLights([1, 1, 1, 1]);
 
 // Apply initial settings
 applyDisplaySettings();
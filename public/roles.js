@@ -0,0 +1,65 @@
+// Who is looking at a client, shared by the server, the operator UI and the web client.
+// Clients identify themselves with a name and a role; the operator gives each of them a
+// display layout and its own click settings, which the server pushes to that client only.
+const CLIENT_ROLES = {
+  drums: 'Drums',
+  keys: 'Keys',
+  vocals: 'Vocals',
+  foh: 'FOH',
+  lighting: 'Lighting',
+  other: 'Other'
+};
+
+const DISPLAY_LAYOUTS = {
+  full: 'Full',
+  lights: 'Beat lights', // Large lights and bar number, no chords
+  chords: 'Chords', // Large chords, small lights
+  position: 'Song position' // Song, section and bar number only
+};
+
+// Settings the operator assigns to one client; null click settings follow the global ones
+const DEFAULT_CLIENT_ASSIGNMENT = {
+  layout: 'full',
+  clickEnabled: null,
+  clickVolume: null
+};
+
+// Identity sent by a client, with a name short enough for the operator's client list
+function normalizeClientIdentity(identity) {
+  const data = identity || {};
+  return {
+    clientId: String(data.clientId || '').slice(0, 40) || null,
+    name: String(data.name || '').trim().slice(0, 30),
+    role: CLIENT_ROLES[data.role] ? data.role : 'other'
+  };
+}
+
+function normalizeClientAssignment(assignment) {
+  const data = { ...DEFAULT_CLIENT_ASSIGNMENT, ...(assignment || {}) };
+  const volume = parseInt(data.clickVolume);
+  return {
+    layout: DISPLAY_LAYOUTS[data.layout] ? data.layout : 'full',
+    clickEnabled: typeof data.clickEnabled === 'boolean' ? data.clickEnabled : null,
+    clickVolume: data.clickVolume === null || isNaN(volume) ? null : Math.max(0, Math.min(100, volume))
+  };
+}
+
+// Global click settings with a client's own on/off state and volume applied
+function applyClientAssignment(clickSettings, assignment) {
+  return {
+    ...clickSettings,
+    enabled: assignment.clickEnabled === null ? clickSettings.enabled : assignment.clickEnabled,
+    volume: assignment.clickVolume === null ? clickSettings.volume : assignment.clickVolume
+  };
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    CLIENT_ROLES,
+    DISPLAY_LAYOUTS,
+    DEFAULT_CLIENT_ASSIGNMENT,
+    normalizeClientIdentity,
+    normalizeClientAssignment,
+    applyClientAssignment
+  };
+}
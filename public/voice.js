@@ -0,0 +1,121 @@
+// Spoken cues, shared by the server and the web client: count-in words, section announcements
+// one bar ahead and chords, worked out from the published schedule. Clients speak them with
+// recordings from the operator's voice folder, or with the browser's speech synthesizer.
+const COUNT_WORDS = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven', 'twelve'];
+
+const COUNT_IN_STYLES = {
+  off: 'Off',
+  numbers: 'One, two, three, four',
+  ready: 'One, two, ready, go'
+};
+
+const DEFAULT_VOICE_SETTINGS = {
+  enabled: false,
+  countIn: 'ready', // COUNT_IN_STYLES key
+  announceSections: true, // Speak each section's name one bar before it starts
+  volume: 100 // Relative to the click volume
+};
+
+// Words spoken on the beats of a countoff bar. The "ready, go" style ends the last countoff
+// bar with "ready, go" on its last two beats.
+function getCountInWords(beatCount, style, isLastBar) {
+  if (style !== 'numbers' && style !== 'ready') return [];
+
+  const words = [];
+  for (let beat = 0; beat < beatCount; beat++) {
+    words.push(COUNT_WORDS[beat] || '');
+  }
+  if (style === 'ready' && isLastBar && beatCount >= 2) {
+    words[beatCount - 2] = 'ready';
+    words[beatCount - 1] = 'go';
+  }
+  return words;
+}
+
+const CHORD_QUALITIES = [
+  [/^(maj|M|Δ)/, 'major'],
+  [/^(min|m|-)/, 'minor'],
+  [/^(dim|°)/, 'diminished'],
+  [/^(aug|\+)/, 'augmented'],
+  [/^sus/, 'sus']
+];
+
+// A chord symbol as it is said: "F#m7/C#" becomes "F sharp minor 7 over C sharp"
+function getSpokenChord(chord) {
+  const [, symbol, bass] = chord.match(/^(.*?)(?:\/([A-G][#b]?))?$/);
+  const match = symbol.match(/^([A-G])([#b]?)(.*)$/);
+  if (!match) return chord;
+
+  const spokenNote = (letter, accidental) => letter + (accidental === '#' ? ' sharp' : accidental === 'b' ? ' flat' : '');
+  let rest = match[3];
+  let spoken = spokenNote(match[1], match[2]);
+
+  while (rest) {
+    const quality = CHORD_QUALITIES.find(([pattern]) => pattern.test(rest));
+    if (quality) {
+      spoken += ' ' + quality[1];
+      rest = rest.replace(quality[0], '');
+    } else {
+      // Extensions and alterations are read as they are written ("7", "b9", "add9", "6/9")
+      const token = rest.match(/^(add|[#b]?\d+|.)/)[0];
+      if (/^(add|[#b]?\d+)$/.test(token)) {
+        spoken += ' ' + token.replace(/^#/, 'sharp ').replace(/^b/, 'flat ');
+      }
+      rest = rest.slice(token.length);
+    }
+  }
+
+  if (bass) {
+    spoken += ' over ' + spokenNote(bass[0], bass[1]);
+  }
+  return spoken.replace(/\s+/g, ' ').trim();
+}
+
+// File name (without extension) of the recording of a cue in a voice folder: "Verse 2" -> "verse-2"
+function getVoiceSampleName(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Cues of the bars of a schedule as [{ key, time, text }] on the server clock. A bar's
+// announcement is spoken when the bar before it starts, so it needs that bar in the schedule;
+// it is left out over a spoken count-in.
+function getVoiceCues(bars, settings) {
+  const cues = [];
+  if (!settings || !settings.enabled) return cues;
+
+  bars.forEach((bar, index) => {
+    const barKey = `${bar.startTime.toFixed(1)}:${bar.barNumber}`;
+
+    if (bar.isCountoff) {
+      const words = getCountInWords(bar.beatOffsets.length - 1, settings.countIn, bar.countoffBarsRemaining === 1);
+      words.forEach((text, beat) => {
+        if (text) cues.push({ key: `${barKey}:voice:${beat}`, time: bar.startTime + bar.beatOffsets[beat], text });
+      });
+    }
+
+    (bar.chordCues || []).forEach(({ offset, chord }, i) => {
+      cues.push({ key: `${barKey}:chord:${i}`, time: bar.startTime + offset, text: getSpokenChord(chord) });
+    });
+
+    const previous = bars[index - 1];
+    const announcement = bar.voiceCue || (settings.announceSections && bar.startsSection ? bar.sectionName : '');
+    const overCountIn = previous && previous.isCountoff && settings.countIn !== 'off';
+    if (announcement && previous && !overCountIn) {
+      cues.push({ key: `${barKey}:announce`, time: previous.startTime, text: announcement });
+    }
+  });
+
+  return cues.sort((a, b) => a.time - b.time);
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    COUNT_WORDS,
+    COUNT_IN_STYLES,
+    DEFAULT_VOICE_SETTINGS,
+    getCountInWords,
+    getSpokenChord,
+    getVoiceSampleName,
+    getVoiceCues
+  };
+}
@@ -1,4 +1,18 @@
 const { ipcRenderer } = require('electron');
+const meter = require('./meter');
+const { compilePerformancePath, formatTimesPlayed } = require('./compiler');
+const { EditHistory } = require('./history');
+const { parseMusicXML, buildMusicXML } = require('./musicxml');
+const { buildMidiFile, parseMidiFile } = require('./midi');
+const { buildClickTrackWav, SAMPLE_RATE: WAV_SAMPLE_RATE } = require('./wav');
+const { CLICK_SOUNDS, CLICK_VOICES, DEFAULT_CLICK_PROFILE } = require('./public/click-sounds');
+const { DEFAULT_VOICE_SETTINGS } = require('./public/voice');
+const { CLIENT_ROLES, DISPLAY_LAYOUTS } = require('./public/roles');
+const { FEEDBACK_EVENTS, DEFAULT_OSC_PREFIX, DEFAULT_OSC_FEEDBACK } = require('./osc-feedback');
+const { FRAME_RATES, DEFAULT_FRAME_RATE, parseTimecode, formatTimecode } = require('./mtc');
+const { getTempoFromBeats, proposeTempoMap } = require('./beats');
+const { BackingTrackPlayer } = require('./public/backing-track');
+const { pathToFileURL } = require('url');
 
 // Async dialog helpers (fixes Windows input focus bug with synchronous dialogs)
 async function showAlert(message) {
@@ -37,6 +51,20 @@ let totalBars = 0;
 let scoreName = 'Untitled Score';
 let selectedSetlistIndex = -1;
 let tempoPercentage = 100;
+let backingTrack = null; // { path, offset } - offset is where bar 1 starts in the audio (ms)
+let timecodeStart = null; // Timecode of bar 1 (HH:MM:SS:FF), set per song in the setlist
+let tempoProposal = null; // Score proposed from an analyzed audio file, waiting for review
+let clickProfile = DEFAULT_CLICK_PROFILE; // Default click sounds pushed to the clients
+let voiceSettings = { ...DEFAULT_VOICE_SETTINGS, folder: null }; // Spoken cues on the clients
+let countInVoice = null; // { folderPath, samples } - decoded recordings for the spoken count-in of the WAV export
+const editHistory = new EditHistory();
+
+// Backing track playback on this computer, following the schedule relayed from the server
+const localBackingTrack = new BackingTrackPlayer(new Audio());
+let localSchedule = null;
+let localScheduleClockOffset = 0; // Server clock - this window's clock (ms)
+let localBackingTrackPath = null;
+let localBackingTrackInterval = null;
 
 // Display settings
 let displaySettings = {
@@ -52,19 +80,27 @@ let displaySettings = {
 // OSC settings
 let oscSettings = {
   enabled: false,
-  host: '127.0.0.1',
-  port: 8000
+  destinations: [{ host: '127.0.0.1', port: 8000, prefix: DEFAULT_OSC_PREFIX }],
+  feedback: { ...DEFAULT_OSC_FEEDBACK }, // Transport stream to every destination (see osc-feedback.js)
+  controlEnabled: false, // Listen for transport commands (see osc-control.js)
+  controlPort: 9000
 };
 
 // MIDI settings
 let midiSettings = {
   enabled: false,
-  outputPort: ''
+  outputPort: '',
+  timecodeEnabled: false, // Send MIDI timecode on outputPort
+  timecodeFrameRate: DEFAULT_FRAME_RATE,
+  followClock: false, // Follow the clock and transport of inputPort
+  chaseTimecode: false, // Or chase the timecode on inputPort
+  inputPort: ''
 };
 
 // Initialize
 function init() {
   addSection();
+  editHistory.reset(getEditorState());
   setupEventListeners();
   setupKeyboardShortcuts();
   calculateTotalBars();
@@ -83,15 +119,36 @@ function setupEventListeners() {
   document.getElementById('scoreName').addEventListener('input', (e) => {
     scoreName = e.target.value;
   });
+  document.getElementById('scoreName').addEventListener('blur', () => {
+    updateServerIfRunning();
+  });
+
+  // Undo/redo
+  document.getElementById('undo').addEventListener('click', undo);
+  document.getElementById('redo').addEventListener('click', redo);
 
   // Sections
   document.getElementById('addSection').addEventListener('click', addSection);
+  document.getElementById('previewPlaybackOrder').addEventListener('click', previewPlaybackOrder);
 
   // Countoff setting
   document.getElementById('countoff').addEventListener('change', () => {
     updateServerIfRunning();
   });
 
+  // Backing track
+  document.getElementById('chooseBackingTrack').addEventListener('click', chooseBackingTrack);
+  document.getElementById('removeBackingTrack').addEventListener('click', () => {
+    backingTrack = null;
+    renderBackingTrack();
+    updateServerIfRunning();
+  });
+  document.getElementById('backingTrackOffset').addEventListener('change', (e) => {
+    if (!backingTrack) return;
+    backingTrack = { ...backingTrack, offset: Math.max(0, parseFloat(e.target.value) || 0) };
+    updateServerIfRunning();
+  });
+
   // Loop & Navigation
   document.getElementById('enableLoop').addEventListener('click', enableLoop);
   document.getElementById('disableLoop').addEventListener('click', disableLoop);
@@ -101,6 +158,8 @@ function setupEventListeners() {
   document.getElementById('addCurrentToSetlist').addEventListener('click', addToSetlist);
   document.getElementById('loadScoreToSetlist').addEventListener('click', loadScoreToSetlist);
   document.getElementById('saveSetlist').addEventListener('click', saveSetlist);
+  document.getElementById('exportSetlistMidi').addEventListener('click', exportSetlistMidi);
+  document.getElementById('exportSetlistClickWav').addEventListener('click', exportSetlistClickWav);
   document.getElementById('loadSetlist').addEventListener('click', loadSetlist);
   document.getElementById('clearSetlist').addEventListener('click', clearSetlist);
   document.getElementById('moveUp').addEventListener('click', moveSetlistItemUp);
@@ -133,6 +192,17 @@ function setupEventListeners() {
   document.getElementById('saveScore').addEventListener('click', saveScore);
   document.getElementById('loadScore').addEventListener('click', loadScore);
   document.getElementById('importMusicXML').addEventListener('click', importMusicXML);
+  document.getElementById('exportMusicXML').addEventListener('click', exportMusicXML);
+  document.getElementById('importMidi').addEventListener('click', importMidi);
+  document.getElementById('analyzeAudio').addEventListener('click', analyzeAudioFile);
+  document.getElementById('tempoProposalBeatsPerBar').addEventListener('change', (e) => {
+    updateTempoProposal(parseInt(e.target.value));
+  });
+  document.getElementById('acceptTempoProposal').addEventListener('click', acceptTempoProposal);
+  document.getElementById('discardTempoProposal').addEventListener('click', discardTempoProposal);
+  document.getElementById('exportMidi').addEventListener('click', exportMidi);
+  document.getElementById('exportClickWav').addEventListener('click', exportClickWav);
+  document.getElementById('chooseCountInVoice').addEventListener('click', chooseCountInVoice);
   document.getElementById('newScore').addEventListener('click', newScore);
 
   // Tempo percentage
@@ -162,15 +232,26 @@ function setupEventListeners() {
     oscSettings.enabled = e.target.checked;
     updateOscSettings();
   });
-  document.getElementById('oscHost').addEventListener('blur', (e) => {
-    oscSettings.host = e.target.value || '127.0.0.1';
+  document.getElementById('addOscDestination').addEventListener('click', () => {
+    oscSettings.destinations.push({ host: '127.0.0.1', port: 8000, prefix: DEFAULT_OSC_PREFIX });
+    renderOscDestinations();
     updateOscSettings();
   });
-  document.getElementById('oscPort').addEventListener('blur', (e) => {
-    oscSettings.port = parseInt(e.target.value) || 8000;
+  document.getElementById('oscFeedbackEnabled').addEventListener('change', (e) => {
+    oscSettings.feedback.enabled = e.target.checked;
     updateOscSettings();
   });
+  renderOscDestinations();
+  renderOscFeedbackEvents();
   document.getElementById('testOsc').addEventListener('click', testOscConnection);
+  document.getElementById('oscControlEnabled').addEventListener('change', (e) => {
+    oscSettings.controlEnabled = e.target.checked;
+    updateOscSettings();
+  });
+  document.getElementById('oscControlPort').addEventListener('blur', (e) => {
+    oscSettings.controlPort = parseInt(e.target.value) || 9000;
+    updateOscSettings();
+  });
 
   // Click track settings
   document.getElementById('clickEnabled').addEventListener('change', (e) => {
@@ -180,6 +261,33 @@ function setupEventListeners() {
     document.getElementById('clickVolumeValue').textContent = e.target.value + '%';
     updateClickSettings();
   });
+  renderClickVoices();
+
+  // Voice cues
+  document.getElementById('voiceEnabled').addEventListener('change', (e) => {
+    updateVoiceSettings({ enabled: e.target.checked });
+  });
+  document.getElementById('voiceCountIn').addEventListener('change', (e) => {
+    updateVoiceSettings({ countIn: e.target.value });
+  });
+  document.getElementById('voiceAnnounceSections').addEventListener('change', (e) => {
+    updateVoiceSettings({ announceSections: e.target.checked });
+  });
+  document.getElementById('voiceVolume').addEventListener('input', (e) => {
+    document.getElementById('voiceVolumeValue').textContent = e.target.value + '%';
+    updateVoiceSettings({ volume: parseInt(e.target.value) });
+  });
+  document.getElementById('chooseVoiceFolder').addEventListener('click', chooseVoiceFolder);
+  document.getElementById('removeVoiceFolder').addEventListener('click', () => {
+    updateVoiceSettings({ folder: null });
+  });
+
+  // Backing track playback on this computer
+  document.getElementById('backingTrackLocal').addEventListener('change', updateLocalBackingTrack);
+  document.getElementById('backingTrackVolume').addEventListener('input', (e) => {
+    document.getElementById('backingTrackVolumeValue').textContent = e.target.value + '%';
+    localBackingTrack.setVolume(parseInt(e.target.value) / 100);
+  });
 
   // MIDI settings
   document.getElementById('midiEnabled').addEventListener('change', (e) => {
@@ -191,6 +299,40 @@ function setupEventListeners() {
     updateMidiSettings();
   });
   document.getElementById('refreshMidiPorts').addEventListener('click', refreshMidiPorts);
+  document.getElementById('midiTimecodeEnabled').addEventListener('change', (e) => {
+    midiSettings.timecodeEnabled = e.target.checked;
+    updateMidiSettings();
+  });
+  const frameRateSelect = document.getElementById('midiTimecodeFrameRate');
+  Object.entries(FRAME_RATES).forEach(([value, { label }]) => {
+    frameRateSelect.appendChild(new Option(label, value, false, value === midiSettings.timecodeFrameRate));
+  });
+  frameRateSelect.addEventListener('change', (e) => {
+    midiSettings.timecodeFrameRate = e.target.value;
+    renderSetlist(); // Timecode starts are shown in the new frame rate
+    updateMidiSettings();
+  });
+  // The input either follows the clock or chases the timecode
+  document.getElementById('midiFollowClock').addEventListener('change', (e) => {
+    midiSettings.followClock = e.target.checked;
+    if (e.target.checked) {
+      midiSettings.chaseTimecode = false;
+      document.getElementById('midiChaseTimecode').checked = false;
+    }
+    updateMidiSettings();
+  });
+  document.getElementById('midiChaseTimecode').addEventListener('change', (e) => {
+    midiSettings.chaseTimecode = e.target.checked;
+    if (e.target.checked) {
+      midiSettings.followClock = false;
+      document.getElementById('midiFollowClock').checked = false;
+    }
+    updateMidiSettings();
+  });
+  document.getElementById('midiInput').addEventListener('change', (e) => {
+    midiSettings.inputPort = e.target.value;
+    updateMidiSettings();
+  });
 
   // Load MIDI ports on startup
   refreshMidiPorts();
@@ -240,6 +382,21 @@ function setupKeyboardShortcuts() {
   document.addEventListener('keydown', (e) => {
     const target = e.target;
 
+    // Undo/redo: Ctrl+Z, Ctrl+Shift+Z or Ctrl+Y (Cmd on macOS)
+    // Text fields keep their own text undo; checkboxes, selects and buttons don't have one
+    const key = e.key.toLowerCase();
+    const isTextField = target.tagName === 'TEXTAREA' || target.isContentEditable ||
+      (target.tagName === 'INPUT' && !['checkbox', 'radio', 'range', 'button', 'color'].includes(target.type));
+    if ((e.ctrlKey || e.metaKey) && (key === 'z' || key === 'y') && !isTextField) {
+      e.preventDefault();
+      if (key === 'y' || e.shiftKey) {
+        redo();
+      } else {
+        undo();
+      }
+      return;
+    }
+
     // Explicitly allow ALL keyboard input in input fields
     if (target.tagName === 'INPUT' ||
         target.tagName === 'SELECT' ||
@@ -299,24 +456,25 @@ async function togglePlayPause() {
   }
 }
 
+// The bar keys step through bars as performed, so repeats and jumps are followed
 async function jumpToPreviousBar() {
   if (!serverRunning) return;
 
-  const currentAbsoluteBar = await ipcRenderer.invoke('get-current-bar');
-  const targetBar = Math.max(1, currentAbsoluteBar - 1);
+  const position = await ipcRenderer.invoke('get-playback-position');
+  if (!position) return;
+  const targetIndex = Math.max(position.songStartIndex, position.pathIndex - 1);
 
-  // Use direct jump for keyboard shortcuts
-  await ipcRenderer.invoke('seek-to-bar', { barNumber: targetBar, mode: 'direct' });
+  await ipcRenderer.invoke('seek-to-path-index', targetIndex);
 }
 
 async function jumpToNextBar() {
   if (!serverRunning) return;
 
-  const currentAbsoluteBar = await ipcRenderer.invoke('get-current-bar');
-  const targetBar = Math.min(totalBars, currentAbsoluteBar + 1);
+  const position = await ipcRenderer.invoke('get-playback-position');
+  if (!position) return;
+  const targetIndex = Math.min(position.pathLength - 1, Math.max(position.songStartIndex, position.pathIndex + 1));
 
-  // Use direct jump for keyboard shortcuts
-  await ipcRenderer.invoke('seek-to-bar', { barNumber: targetBar, mode: 'direct' });
+  await ipcRenderer.invoke('seek-to-path-index', targetIndex);
 }
 
 // Section management
@@ -325,11 +483,15 @@ function addSection() {
   // Use tempo from previous section, or default to 120
   const previousTempo = sections.length > 0 ? sections[sections.length - 1].tempo : 120;
   const previousTimeSignature = sections.length > 0 ? sections[sections.length - 1].timeSignature : { beats: 4, noteValue: 4 };
+  const previousBeatUnit = sections.length > 0 ? sections[sections.length - 1].beatUnit : meter.DEFAULT_BEAT_UNIT;
+  const previousBeatGrouping = sections.length > 0 ? sections[sections.length - 1].beatGrouping : null;
 
   sections.push({
     name: `Section ${sectionNumber}`,
     tempo: previousTempo,
     timeSignature: { ...previousTimeSignature },
+    beatUnit: previousBeatUnit || meter.DEFAULT_BEAT_UNIT,
+    beatGrouping: previousBeatGrouping ? [...previousBeatGrouping] : null,
     tempoTransitionBars: 0,
     bars: [{
       chords: '',
@@ -350,6 +512,10 @@ function addSection() {
       daCapo: false,
       toCoda: false,
       fine: false,
+      repeatCount: null,
+      alFine: false,
+      alCoda: false,
+      noRepeats: false,
     }]
   });
   renderSections();
@@ -408,6 +574,24 @@ function renderSections() {
           </div>
         </div>
 
+        <div class="section-field" title="Note value the tempo refers to, e.g. dotted quarter for 6/8 or half note for 2/2">
+          <label>Beat Unit:</label>
+          <select class="section-beat-unit" data-section="${sectionIndex}">
+            ${Object.entries(meter.BEAT_UNITS).map(([value, unit]) => `
+              <option value="${value}" ${(section.beatUnit || meter.DEFAULT_BEAT_UNIT) === value ? 'selected' : ''}>${unit.symbol} ${unit.label}</option>
+            `).join('')}
+          </select>
+        </div>
+
+        <div class="section-field" title="How the bar's notes are grouped into beats, e.g. 2+2+3 for 7/8. Leave empty for the default grouping">
+          <label>Beat Grouping:</label>
+          <input type="text"
+                 class="section-beat-grouping"
+                 data-section="${sectionIndex}"
+                 value="${section.beatGrouping ? meter.formatBeatGrouping(section.beatGrouping) : ''}"
+                 placeholder="${meter.formatBeatGrouping(meter.getDefaultBeatGrouping(section.timeSignature))}">
+        </div>
+
         <div class="section-field" title="Transition happens in the PREVIOUS section's last X bars. Number of bars to gradually transition from previous tempo to this section's tempo">
           <label>Tempo Transition (bars):</label>
           <input type="number"
@@ -465,7 +649,8 @@ function renderBarsForSection(sectionIndex) {
     const barDiv = document.createElement('div');
     barDiv.className = 'bar-item-wrapper';
 
-    // Generate accent pattern checkboxes
+    // Generate accent pattern checkboxes (one per written beat; only beats that start a
+    // group of the beat grouping are clicked)
     const accentCheckboxes = [];
     for (let i = 0; i < section.timeSignature.beats; i++) {
       const isAccented = bar.accentPattern && bar.accentPattern.includes(i);
@@ -613,6 +798,18 @@ function renderBarsForSection(sectionIndex) {
                      placeholder="1,2 or 1,2,3"
                      style="width: 100%; padding: 6px 10px; background: #252525; color: #e0e0e0; border: 1px solid #444; border-radius: 4px;">
             </div>
+            <div>
+              <label style="font-size: 0.9em;">Play (times):</label>
+              <input type="number"
+                     class="bar-repeat-count"
+                     data-section="${sectionIndex}"
+                     data-bar="${barIndex}"
+                     value="${bar.repeatCount || ''}"
+                     min="2"
+                     placeholder="auto"
+                     title="Times the repeated passage is played (on the End Repeat bar). Auto: highest ending number, or 2."
+                     style="width: 100%; padding: 6px 10px; background: #252525; color: #e0e0e0; border: 1px solid #444; border-radius: 4px;">
+            </div>
           </div>
         </div>
 
@@ -667,9 +864,43 @@ function renderBarsForSection(sectionIndex) {
                      ${bar.fine ? 'checked' : ''}>
               Fine (end)
             </label>
+            <div>
+              <label style="font-size: 0.9em;">D.S./D.C. continues:</label>
+              <select class="bar-ds-dc-ending" data-section="${sectionIndex}" data-bar="${barIndex}">
+                <option value="" ${!bar.alFine && !bar.alCoda ? 'selected' : ''}>al Fine or al Coda</option>
+                <option value="fine" ${bar.alFine && !bar.alCoda ? 'selected' : ''}>al Fine</option>
+                <option value="coda" ${bar.alCoda && !bar.alFine ? 'selected' : ''}>al Coda</option>
+              </select>
+            </div>
+            <label class="checkbox-label">
+              <input type="checkbox"
+                     class="bar-no-repeats"
+                     data-section="${sectionIndex}"
+                     data-bar="${barIndex}"
+                     ${bar.noRepeats ? 'checked' : ''}>
+              No repeats after D.S./D.C.
+            </label>
           </div>
         </div>
 
+        <div class="advanced-field">
+          <label>Voice Cue (spoken one bar before this bar starts):</label>
+          <input type="text"
+                 class="bar-voice-cue"
+                 data-section="${sectionIndex}"
+                 data-bar="${barIndex}"
+                 value="${bar.voiceCue || ''}"
+                 placeholder="e.g. Chorus, Break, Last time">
+          <label class="checkbox-label">
+            <input type="checkbox"
+                   class="bar-speak-chords"
+                   data-section="${sectionIndex}"
+                   data-bar="${barIndex}"
+                   ${bar.speakChords ? 'checked' : ''}>
+            Speak chords
+          </label>
+        </div>
+
         <div class="advanced-field">
           <label>OSC Trigger (send when bar starts):</label>
           <input type="text"
@@ -735,6 +966,7 @@ function attachSectionEventListeners() {
       sections[sectionIndex].timeSignature.beats = parseInt(e.target.value);
     });
     input.addEventListener('blur', (e) => {
+      renderSections(); // Re-render to update grouping placeholder and accent checkboxes
       updateServerIfRunning();
     });
   });
@@ -743,6 +975,35 @@ function attachSectionEventListeners() {
     select.addEventListener('change', (e) => {
       const sectionIndex = parseInt(e.target.dataset.section);
       sections[sectionIndex].timeSignature.noteValue = parseInt(e.target.value);
+      renderSections(); // Re-render to update grouping placeholder and accent checkboxes
+      updateServerIfRunning();
+    });
+  });
+
+  // Section beat unit
+  document.querySelectorAll('.section-beat-unit').forEach(select => {
+    select.addEventListener('change', (e) => {
+      const sectionIndex = parseInt(e.target.dataset.section);
+      sections[sectionIndex].beatUnit = e.target.value;
+      updateServerIfRunning();
+    });
+  });
+
+  // Section beat grouping (e.g. "2+2+3"), must add up to the time signature's beats
+  document.querySelectorAll('.section-beat-grouping').forEach(input => {
+    input.addEventListener('change', async (e) => {
+      const sectionIndex = parseInt(e.target.dataset.section);
+      const section = sections[sectionIndex];
+      const grouping = meter.parseBeatGrouping(e.target.value);
+
+      if (grouping && grouping.reduce((sum, g) => sum + g, 0) !== section.timeSignature.beats) {
+        await showAlert(`Beat grouping ${meter.formatBeatGrouping(grouping)} does not add up to ${section.timeSignature.beats}.`);
+        e.target.value = section.beatGrouping ? meter.formatBeatGrouping(section.beatGrouping) : '';
+        return;
+      }
+
+      section.beatGrouping = grouping;
+      renderSections(); // Re-render to update accent checkboxes
       updateServerIfRunning();
     });
   });
@@ -809,7 +1070,10 @@ function attachSectionEventListeners() {
     input.addEventListener('input', (e) => {
       const sectionIndex = parseInt(e.target.dataset.section);
       const barIndex = parseInt(e.target.dataset.bar);
-      sections[sectionIndex].bars[barIndex].chords = e.target.value;
+      const bar = sections[sectionIndex].bars[barIndex];
+      bar.chords = e.target.value;
+      // Imported chord positions no longer match edited chords
+      delete bar.chordChanges;
       // Don't update server while typing
     });
     input.addEventListener('blur', (e) => {
@@ -963,6 +1227,17 @@ function attachSectionEventListeners() {
     input.addEventListener('blur', () => updateServerIfRunning());
   });
 
+  // Repeat count (blank for automatic)
+  document.querySelectorAll('.bar-repeat-count').forEach(input => {
+    input.addEventListener('input', (e) => {
+      const sectionIndex = parseInt(e.target.dataset.section);
+      const barIndex = parseInt(e.target.dataset.bar);
+      const count = parseInt(e.target.value);
+      sections[sectionIndex].bars[barIndex].repeatCount = count >= 2 ? count : null;
+    });
+    input.addEventListener('blur', () => updateServerIfRunning());
+  });
+
   // Segno checkbox
   document.querySelectorAll('.bar-segno').forEach(checkbox => {
     checkbox.addEventListener('change', (e) => {
@@ -1023,6 +1298,46 @@ function attachSectionEventListeners() {
     });
   });
 
+  // D.S./D.C. ending: al Fine, al Coda, or either (whichever marker comes first)
+  document.querySelectorAll('.bar-ds-dc-ending').forEach(select => {
+    select.addEventListener('change', (e) => {
+      const sectionIndex = parseInt(e.target.dataset.section);
+      const barIndex = parseInt(e.target.dataset.bar);
+      sections[sectionIndex].bars[barIndex].alFine = e.target.value === 'fine';
+      sections[sectionIndex].bars[barIndex].alCoda = e.target.value === 'coda';
+      updateServerIfRunning();
+    });
+  });
+
+  // No repeats after D.S./D.C. checkbox
+  document.querySelectorAll('.bar-no-repeats').forEach(checkbox => {
+    checkbox.addEventListener('change', (e) => {
+      const sectionIndex = parseInt(e.target.dataset.section);
+      const barIndex = parseInt(e.target.dataset.bar);
+      sections[sectionIndex].bars[barIndex].noRepeats = e.target.checked;
+      updateServerIfRunning();
+    });
+  });
+
+  // Voice cue fields
+  document.querySelectorAll('.bar-voice-cue').forEach(input => {
+    input.addEventListener('input', (e) => {
+      const sectionIndex = parseInt(e.target.dataset.section);
+      const barIndex = parseInt(e.target.dataset.bar);
+      sections[sectionIndex].bars[barIndex].voiceCue = e.target.value;
+    });
+    input.addEventListener('blur', () => updateServerIfRunning());
+  });
+
+  document.querySelectorAll('.bar-speak-chords').forEach(checkbox => {
+    checkbox.addEventListener('change', (e) => {
+      const sectionIndex = parseInt(e.target.dataset.section);
+      const barIndex = parseInt(e.target.dataset.bar);
+      sections[sectionIndex].bars[barIndex].speakChords = e.target.checked;
+      updateServerIfRunning();
+    });
+  });
+
   // OSC trigger fields
   document.querySelectorAll('.bar-osc-address').forEach(input => {
     input.addEventListener('input', (e) => {
@@ -1080,6 +1395,10 @@ function addBarToSection(sectionIndex) {
     daCapo: false,
     toCoda: false,
     fine: false,
+    repeatCount: null,
+    alFine: false,
+    alCoda: false,
+    noRepeats: false,
     announceBar: false
   });
   calculateTotalBars();
@@ -1109,6 +1428,10 @@ function addBarsToSection(sectionIndex, count) {
       daCapo: false,
       toCoda: false,
       fine: false,
+      repeatCount: null,
+      alFine: false,
+      alCoda: false,
+      noRepeats: false,
     });
   }
   calculateTotalBars();
@@ -1157,6 +1480,42 @@ function calculateTotalBars() {
   totalBars = sections.reduce((sum, section) => sum + section.bars.length, 0);
 }
 
+// Show the performance order using the same navigation code as playback
+function previewPlaybackOrder() {
+  const container = document.getElementById('playbackOrder');
+  const summary = document.getElementById('playbackOrderSummary');
+  container.innerHTML = '';
+
+  if (totalBars === 0) {
+    summary.textContent = 'No bars in score';
+    return;
+  }
+
+  const path = compilePerformancePath(getCurrentScoreData());
+  const entries = path.entries.slice(path.songStartIndex);
+
+  entries.forEach((entry, index) => {
+    const barEl = document.createElement('span');
+    barEl.className = 'playback-order-bar';
+    barEl.textContent = entry.barNumber;
+    barEl.title = `${entry.bar.sectionName} · ${formatTimesPlayed(entry.timesPlayed)} · ${formatSongTime(entry.startOffset - entries[0].startOffset)}`;
+
+    // Mark bars that are followed by a jump (repeat, D.S./D.C., Coda, skipped ending)
+    const nextEntry = entries[index + 1];
+    if (nextEntry && nextEntry.barNumber !== entry.barNumber + 1) {
+      barEl.classList.add('jump');
+      barEl.title += ` → ${nextEntry.barNumber}`;
+    }
+
+    container.appendChild(barEl);
+  });
+
+  summary.textContent = `${entries.length} bars played (${totalBars} written) · ${formatSongTime(path.songDuration)}`;
+  if (path.ending === 'limit') {
+    summary.textContent += ' · navigation does not end';
+  }
+}
+
 function updateTempoTransitionMaxValues() {
   // Update max values for tempo transition inputs based on previous section bar counts
   document.querySelectorAll('.section-tempo-transition').forEach(input => {
@@ -1210,17 +1569,14 @@ function handleTapTempo(sectionIndex, buttonElement) {
   // Calculate tempo from total duration divided by number of intervals
   if (tapTimes[sectionIndex].length >= 2) {
     // Calculate average BPM from first tap to last tap
-    const totalDuration = now - tapTimes[sectionIndex][0];
-    const numberOfIntervals = tapTimes[sectionIndex].length - 1;
-    const avgInterval = totalDuration / numberOfIntervals;
-    const bpm = Math.round(60000 / avgInterval);
+    const bpm = Math.round(getTempoFromBeats(tapTimes[sectionIndex]));
 
     // Validate BPM is in reasonable range
     if (bpm >= 20 && bpm <= 300) {
       // Apply to this section only
       sections[sectionIndex].tempo = bpm;
       renderSections();
-      updateServerIfRunning();
+      updateServerIfRunning(`tap-tempo-${sectionIndex}`); // All taps of a series are one undo step
     }
   }
 }
@@ -1363,6 +1719,24 @@ async function saveSetlist() {
   }
 }
 
+async function exportSetlistMidi() {
+  if (setlist.length === 0) {
+    await showAlert('No songs in setlist to export.');
+    return;
+  }
+
+  await saveMidiFile(setlist, 'setlist.mid');
+}
+
+async function exportSetlistClickWav() {
+  if (setlist.length === 0) {
+    await showAlert('No songs in setlist to export.');
+    return;
+  }
+
+  await saveClickWav(setlist, 'setlist click.wav');
+}
+
 async function loadSetlist() {
   const result = await ipcRenderer.invoke('load-setlist');
 
@@ -1403,6 +1777,10 @@ function renderSetlist() {
         <div class="setlist-item-name">${index + 1}. ${song.name || 'Untitled'}</div>
         <div class="setlist-item-details">${song.sections.length} sections, ${totalBarsInSong} bars</div>
       </div>
+      <label class="setlist-item-timecode">
+        Timecode start
+        <input type="text" class="timecode-start-input" data-index="${index}" placeholder="00:00:00:00">
+      </label>
       <div class="setlist-item-controls">
         <button class="select-song-btn" data-index="${index}">Select</button>
         <button class="remove-song-btn" data-index="${index}">Remove</button>
@@ -1427,11 +1805,36 @@ function renderSetlist() {
     });
   });
 
+  document.querySelectorAll('.timecode-start-input').forEach(input => {
+    const song = setlist[parseInt(input.dataset.index)];
+    const frames = parseTimecode(song.timecodeStart, midiSettings.timecodeFrameRate);
+    input.value = frames === null ? '' : formatTimecode(frames, midiSettings.timecodeFrameRate);
+    input.addEventListener('change', (e) => setSongTimecodeStart(parseInt(e.target.dataset.index), e.target.value));
+  });
+
   // Update move buttons
   document.getElementById('moveUp').disabled = selectedSetlistIndex <= 0;
   document.getElementById('moveDown').disabled = selectedSetlistIndex < 0 || selectedSetlistIndex >= setlist.length - 1;
 }
 
+// Timecode at which bar 1 of a song falls, for MIDI timecode output and chase
+async function setSongTimecodeStart(index, text) {
+  const frames = parseTimecode(text, midiSettings.timecodeFrameRate);
+  if (text.trim() && frames === null) {
+    await showAlert(`"${text}" is not a timecode at ${FRAME_RATES[midiSettings.timecodeFrameRate].label}. Use HH:MM:SS:FF.`);
+    renderSetlist();
+    return;
+  }
+
+  setlist[index].timecodeStart = frames === null ? null : formatTimecode(frames, midiSettings.timecodeFrameRate);
+  renderSetlist();
+
+  if (index === currentSongIndex) {
+    timecodeStart = setlist[index].timecodeStart;
+    updateServerIfRunning();
+  }
+}
+
 function selectSetlistItem(index) {
   selectedSetlistIndex = index;
   renderSetlist();
@@ -1525,7 +1928,13 @@ async function restartServer() {
   await ipcRenderer.invoke('update-score', scoreData);
 }
 
-async function updateServerIfRunning() {
+// Every score edit ends here, so this is also where edits are recorded for undo.
+// Edits with the same editGroup in a row are undone together.
+async function updateServerIfRunning(editGroup = null) {
+  if (editHistory.record(getEditorState(), editGroup)) {
+    updateUndoRedoButtons();
+  }
+
   if (serverRunning) {
     const scoreData = getCurrentScoreData();
     await ipcRenderer.invoke('update-score', scoreData);
@@ -1543,14 +1952,81 @@ function getCurrentScoreData() {
       start: loopStart,
       end: loopEnd
     },
-    tempoPercentage: tempoPercentage
+    tempoPercentage: tempoPercentage,
+    backingTrack: backingTrack,
+    timecodeStart: timecodeStart
   };
 }
 
+// Score content covered by undo/redo. Playback settings (loop, tempo percentage) are not
+// part of it, and neither is which bars have their advanced options open.
+function getEditorState() {
+  return {
+    name: scoreName,
+    countoff: parseInt(document.getElementById('countoff').value) || 0,
+    backingTrack: backingTrack,
+    sections: sections.map(section => ({
+      ...section,
+      bars: section.bars.map(({ showAdvanced, ...bar }) => bar)
+    }))
+  };
+}
+
+function applyEditorState(state) {
+  const openBars = sections.map(section => section.bars.map(bar => bar.showAdvanced));
+
+  scoreName = state.name;
+  document.getElementById('scoreName').value = scoreName;
+  document.getElementById('countoff').value = state.countoff;
+  backingTrack = state.backingTrack;
+  renderBackingTrack();
+
+  state.sections.forEach((section, sectionIndex) => {
+    section.bars.forEach((bar, barIndex) => {
+      bar.showAdvanced = !!(openBars[sectionIndex] && openBars[sectionIndex][barIndex]);
+    });
+  });
+  // Replace the contents, not the array - a score loaded from the setlist shares it
+  sections.splice(0, sections.length, ...state.sections);
+
+  calculateTotalBars();
+  renderSections();
+  updateTempoTransitionMaxValues();
+  updateUndoRedoButtons();
+
+  // Keep a running server on the restored score
+  updateServerIfRunning();
+}
+
+function undo() {
+  // Pick up edits that have not been recorded yet (e.g. a field that still has focus)
+  editHistory.record(getEditorState());
+
+  const state = editHistory.undo();
+  if (state) {
+    applyEditorState(state);
+  }
+}
+
+function redo() {
+  const state = editHistory.redo();
+  if (state) {
+    applyEditorState(state);
+  }
+}
+
+function updateUndoRedoButtons() {
+  document.getElementById('undo').disabled = !editHistory.canUndo();
+  document.getElementById('redo').disabled = !editHistory.canRedo();
+}
+
 function loadScoreData(data) {
   scoreName = data.name || 'Untitled Score';
   document.getElementById('scoreName').value = scoreName;
   document.getElementById('countoff').value = data.countoff || 0;
+  backingTrack = data.backingTrack || null;
+  renderBackingTrack();
+  timecodeStart = data.timecodeStart || null;
   sections = data.sections || [];
 
   if (data.loop) {
@@ -1564,6 +2040,10 @@ function loadScoreData(data) {
 
   renderSections();
   calculateTotalBars();
+
+  // A loaded score starts a new history
+  editHistory.reset(getEditorState());
+  updateUndoRedoButtons();
 }
 
 async function newScore() {
@@ -1575,9 +2055,14 @@ async function newScore() {
     loopStart = null;
     loopEnd = null;
     document.getElementById('countoff').value = 1;
+    backingTrack = null;
+    renderBackingTrack();
+    timecodeStart = null;
     document.getElementById('loopStart').value = '';
     document.getElementById('loopEnd').value = '';
     addSection();
+    editHistory.reset(getEditorState());
+    updateUndoRedoButtons();
   }
 }
 
@@ -1607,173 +2092,294 @@ async function importMusicXML() {
     try {
       const parser = new DOMParser();
       const xmlDoc = parser.parseFromString(result.data, 'text/xml');
-
-      // Extract score name from title
-      const titleEl = xmlDoc.querySelector('work-title');
-      scoreName = titleEl ? titleEl.textContent : 'Imported Score';
-      document.getElementById('scoreName').value = scoreName;
-
-      // Parse MusicXML structure
-      sections = [];
-      let currentSection = null;
-      let currentSectionName = 'Section 1';
-      let currentTempo = 120;
-      let currentTimeSignature = { beats: 4, noteValue: 4 };
-      let barCount = 0;
-
-      const parts = xmlDoc.querySelectorAll('part');
-      if (parts.length > 0) {
-        const measures = parts[0].querySelectorAll('measure');
-
-        measures.forEach((measure, index) => {
-          barCount++;
-
-          // Check for tempo changes
-          const sound = measure.querySelector('sound[tempo]');
-          if (sound) {
-            const newTempo = parseInt(sound.getAttribute('tempo'));
-            if (newTempo !== currentTempo) {
-              // Start new section on tempo change
-              if (currentSection && currentSection.bars.length > 0) {
-                sections.push(currentSection);
-              }
-              currentTempo = newTempo;
-              currentSection = {
-                name: `Section ${sections.length + 1}`,
-                tempo: currentTempo,
-                timeSignature: { ...currentTimeSignature },
-                tempoTransitionBars: 0,
-                            bars: []
-              };
-            }
-          }
-
-          // Check for time signature changes
-          const time = measure.querySelector('time');
-          if (time) {
-            const beats = time.querySelector('beats');
-            const beatType = time.querySelector('beat-type');
-            if (beats && beatType) {
-              const newTS = {
-                beats: parseInt(beats.textContent),
-                noteValue: parseInt(beatType.textContent)
-              };
-              if (newTS.beats !== currentTimeSignature.beats ||
-                  newTS.noteValue !== currentTimeSignature.noteValue) {
-                // Start new section on time signature change
-                if (currentSection && currentSection.bars.length > 0) {
-                  sections.push(currentSection);
-                }
-                currentTimeSignature = newTS;
-                currentSection = {
-                  name: `Section ${sections.length + 1}`,
-                  tempo: currentTempo,
-                  timeSignature: { ...currentTimeSignature },
-                  tempoTransitionBars: 0,
-                                bars: []
-                };
-              }
-            }
-          }
-
-          // Check for rehearsal marks (section names)
-          const rehearsal = measure.querySelector('rehearsal');
-          if (rehearsal) {
-            if (currentSection && currentSection.bars.length > 0) {
-              sections.push(currentSection);
-            }
-            currentSectionName = rehearsal.textContent || `Section ${sections.length + 1}`;
-            currentSection = {
-              name: currentSectionName,
-              tempo: currentTempo,
-              timeSignature: { ...currentTimeSignature },
-              tempoTransitionBars: 0,
-                        bars: []
-            };
-          }
-
-          // Initialize section if not exists
-          if (!currentSection) {
-            currentSection = {
-              name: currentSectionName,
-              tempo: currentTempo,
-              timeSignature: { ...currentTimeSignature },
-              tempoTransitionBars: 0,
-                        bars: []
-            };
-          }
-
-          // Extract chord symbols
-          const harmony = measure.querySelector('harmony');
-          let chords = '';
-          if (harmony) {
-            const root = harmony.querySelector('root-step');
-            const kind = harmony.querySelector('kind');
-            if (root) {
-              chords = root.textContent;
-              const alter = harmony.querySelector('root-alter');
-              if (alter) {
-                const alterValue = parseInt(alter.textContent);
-                if (alterValue === 1) chords += '#';
-                else if (alterValue === -1) chords += 'b';
-              }
-              if (kind && kind.textContent !== 'major') {
-                chords += kind.textContent;
-              }
-            }
-          }
-
-          // Add bar to current section
-          currentSection.bars.push({
-            chords: chords,
-            redirect: null,
-            redirectCount: 1,
-            isFermata: false,
-            fermataDuration: 4,
-            fermataDurationType: 'beats',
-            accentPattern: [],
-            subdivision: 'none',
-            showAdvanced: false,
-            startRepeat: false,
-            endRepeat: false,
-            volta: null,
-            segno: false,
-            coda: false,
-            dalSegno: false,
-            daCapo: false,
-            toCoda: false,
-            fine: false,
-                });
-        });
-
-        // Add final section
-        if (currentSection && currentSection.bars.length > 0) {
-          sections.push(currentSection);
-        }
+      if (xmlDoc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('The file is not valid XML');
       }
 
-      // If no sections created, create a default one
-      if (sections.length === 0) {
-        sections.push({
-          name: 'Section 1',
-          tempo: 120,
-          timeSignature: { beats: 4, noteValue: 4 },
-          tempoTransitionBars: 0,
-                bars: []
-        });
-      }
-
-      renderSections();
-      calculateTotalBars();
+      const imported = parseMusicXML(xmlDoc);
+      applyImportedScore(imported);
 
-      await showAlert(`Imported ${barCount} bars from MusicXML!`);
+      await showAlert(`Imported ${imported.barCount} bars from MusicXML!`);
     } catch (error) {
       await showAlert(`Error parsing MusicXML: ${error.message}`);
       console.error('MusicXML parse error:', error);
     }
+  } else if (result.error) {
+    await showAlert(`Error reading MusicXML file: ${result.error}`);
   }
 }
 
+async function exportMusicXML() {
+  const result = await ipcRenderer.invoke('save-musicxml', buildMusicXML(getCurrentScoreData()));
+
+  if (result.success) {
+    await showAlert(`MusicXML exported to ${result.filePath}`);
+  }
+}
+
+async function importMidi() {
+  const result = await ipcRenderer.invoke('load-midi');
+
+  if (result.success) {
+    try {
+      const imported = parseMidiFile(result.data);
+      applyImportedScore(imported);
+
+      await showAlert(`Imported ${imported.barCount} bars in ${imported.sections.length} sections from MIDI!`);
+    } catch (error) {
+      await showAlert(`Error reading MIDI file: ${error.message}`);
+      console.error('MIDI import error:', error);
+    }
+  }
+}
+
+async function exportMidi() {
+  await saveMidiFile([getCurrentScoreData()], 'score.mid');
+}
+
+// Tempo map and click of a score or setlist as a MIDI file
+async function saveMidiFile(scores, defaultPath) {
+  let data;
+  try {
+    data = buildMidiFile(scores, scores.length > 1 ? 'Setlist' : null);
+  } catch (error) {
+    await showAlert(`Error exporting MIDI: ${error.message}`);
+    return;
+  }
+
+  const result = await ipcRenderer.invoke('save-midi', data, defaultPath);
+  if (result.success) {
+    await showAlert(`MIDI file exported to ${result.filePath}`);
+  }
+}
+
+async function exportClickWav() {
+  const scoreData = getCurrentScoreData();
+  await saveClickWav([scoreData], `${scoreData.name || 'score'} click.wav`);
+}
+
+// Click of a score or setlist rendered as a WAV file, with the settings of the Click Track Export section
+async function saveClickWav(scores, defaultPath) {
+  const countIn = document.getElementById('clickExportCountIn').value;
+  if (countIn === 'spoken' && !countInVoice) {
+    await showAlert('Choose a folder with count-in recordings first.');
+    return;
+  }
+
+  let data;
+  try {
+    data = buildClickTrackWav(scores, {
+      sound: document.getElementById('clickExportSound').value,
+      subdivisions: document.getElementById('clickExportSubdivisions').checked,
+      countIn,
+      voice: countInVoice ? countInVoice.samples : null,
+      gapSeconds: scores.length > 1 ? pauseBetweenSongs : 0
+    });
+  } catch (error) {
+    await showAlert(`Error exporting click track: ${error.message}`);
+    return;
+  }
+
+  const result = await ipcRenderer.invoke('save-wav', data, defaultPath);
+  if (result.success) {
+    await showAlert(`Click track exported to ${result.filePath}`);
+  }
+}
+
+// Decode the recordings of a count-in voice folder at the export sample rate
+async function chooseCountInVoice() {
+  const result = await ipcRenderer.invoke('choose-voice-folder', { countIn: true });
+  if (!result.success) {
+    if (result.error) await showAlert(result.error);
+    return;
+  }
+
+  const audioContext = new AudioContext({ sampleRate: WAV_SAMPLE_RATE });
+  const samples = {};
+  try {
+    for (const [number, data] of Object.entries(result.samples)) {
+      const audioBuffer = await audioContext.decodeAudioData(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+      samples[number] = audioBuffer.getChannelData(0);
+    }
+  } catch (error) {
+    await showAlert(`Error reading count-in recordings: ${error.message}`);
+    return;
+  } finally {
+    audioContext.close();
+  }
+
+  countInVoice = { folderPath: result.folderPath, samples };
+  const folderName = result.folderPath.split(/[\\/]/).pop();
+  document.getElementById('countInVoiceFolder').textContent = `${folderName} (${Object.keys(samples).length} recordings)`;
+  document.getElementById('countInVoiceFolder').title = result.folderPath;
+  document.getElementById('clickExportCountIn').value = 'spoken';
+}
+
+// Backing track file of the score
+async function chooseBackingTrack() {
+  const result = await ipcRenderer.invoke('choose-backing-track');
+
+  if (result.success) {
+    backingTrack = { path: result.filePath, offset: backingTrack ? backingTrack.offset : 0 };
+    renderBackingTrack();
+    updateServerIfRunning();
+  }
+}
+
+function renderBackingTrack() {
+  const fileName = backingTrack ? backingTrack.path.split(/[\\/]/).pop() : 'No backing track';
+  document.getElementById('backingTrackFile').textContent = fileName;
+  document.getElementById('backingTrackFile').title = backingTrack ? backingTrack.path : '';
+  document.getElementById('backingTrackOffset').value = backingTrack ? backingTrack.offset || 0 : 0;
+  document.getElementById('backingTrackOffset').disabled = !backingTrack;
+  document.getElementById('removeBackingTrack').disabled = !backingTrack;
+}
+
+// Track the beats of a recording and propose sections with tempos for review
+// Beat tracking takes seconds on a song, so it runs in a worker instead of blocking the window.
+// The samples are handed over to the worker and can't be used afterwards.
+function analyzeAudioInWorker(samples, sampleRate) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker('analysis-worker.js');
+    worker.onmessage = ({ data }) => {
+      worker.terminate();
+      if (data.error) {
+        reject(new Error(data.error));
+      } else {
+        resolve(data.analysis);
+      }
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'The analysis worker failed'));
+    };
+    worker.postMessage({ samples, sampleRate }, [samples.buffer]);
+  });
+}
+
+async function analyzeAudioFile() {
+  const result = await ipcRenderer.invoke('load-audio');
+  if (!result.success) return;
+
+  const button = document.getElementById('analyzeAudio');
+  button.disabled = true;
+  button.textContent = 'Analyzing...';
+
+  try {
+    const audioContext = new AudioContext();
+    let audioBuffer;
+    try {
+      const data = result.data;
+      audioBuffer = await audioContext.decodeAudioData(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+    } finally {
+      audioContext.close();
+    }
+
+    // Mix down to mono
+    const samples = new Float32Array(audioBuffer.length);
+    for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+      const channelData = audioBuffer.getChannelData(channel);
+      for (let i = 0; i < samples.length; i++) {
+        samples[i] += channelData[i] / audioBuffer.numberOfChannels;
+      }
+    }
+
+    const analysis = await analyzeAudioInWorker(samples, audioBuffer.sampleRate);
+    const fileName = result.filePath.split(/[\\/]/).pop();
+    tempoProposal = { filePath: result.filePath, fileName, ...analysis };
+    renderTempoProposal();
+  } catch (error) {
+    await showAlert(`Error analyzing audio: ${error.message}`);
+    console.error('Audio analysis error:', error);
+  } finally {
+    button.disabled = false;
+    button.textContent = 'Tempo Map from Audio';
+  }
+}
+
+// Group the tracked beats into bars of a different length
+function updateTempoProposal(beatsPerBar) {
+  if (!tempoProposal) return;
+  tempoProposal = { ...tempoProposal, ...proposeTempoMap(tempoProposal.beats, beatsPerBar) };
+  renderTempoProposal();
+}
+
+function renderTempoProposal() {
+  const panel = document.getElementById('tempoProposal');
+  if (!tempoProposal) {
+    panel.style.display = 'none';
+    return;
+  }
+
+  panel.style.display = 'block';
+  document.getElementById('tempoProposalSummary').textContent =
+    `${tempoProposal.fileName}: ${tempoProposal.beats.length} beats, ${tempoProposal.barCount} bars, ` +
+    `bar 1 starts at ${(tempoProposal.offset / 1000).toFixed(2)} s. Check the proposal, then replace the score with it.`;
+  document.getElementById('tempoProposalBeatsPerBar').value = tempoProposal.beatsPerBar;
+
+  const container = document.getElementById('tempoProposalSections');
+  container.innerHTML = '';
+  tempoProposal.sections.forEach(section => {
+    const row = document.createElement('div');
+    const transition = section.tempoTransitionBars > 0 ? `, reached over ${section.tempoTransitionBars} bars` : '';
+    row.textContent = `${section.name}: ${section.tempo} BPM, ${section.bars.length} bars${transition}`;
+    container.appendChild(row);
+  });
+}
+
+function acceptTempoProposal() {
+  if (!tempoProposal) return;
+
+  if (document.getElementById('tempoProposalBackingTrack').checked) {
+    backingTrack = { path: tempoProposal.filePath, offset: Math.round(tempoProposal.offset) };
+    renderBackingTrack();
+  }
+  applyImportedScore({
+    name: tempoProposal.fileName.replace(/\.[^.]+$/, ''),
+    sections: tempoProposal.sections
+  });
+
+  tempoProposal = null;
+  renderTempoProposal();
+}
+
+function discardTempoProposal() {
+  tempoProposal = null;
+  renderTempoProposal();
+}
+
+// Replace the editor's score with an imported one ({ name, sections, countoff? })
+function applyImportedScore(imported) {
+  scoreName = imported.name;
+  document.getElementById('scoreName').value = scoreName;
+  if (imported.countoff !== undefined) {
+    document.getElementById('countoff').value = imported.countoff;
+  }
+
+  sections = imported.sections;
+  sections.forEach(section => {
+    section.bars.forEach(bar => {
+      bar.showAdvanced = false;
+    });
+  });
+
+  // If no sections created, create a default one
+  if (sections.length === 0) {
+    sections.push({
+      name: 'Section 1',
+      tempo: 120,
+      timeSignature: { beats: 4, noteValue: 4 },
+      tempoTransitionBars: 0,
+      bars: []
+    });
+  }
+
+  renderSections();
+  calculateTotalBars();
+  editHistory.reset(getEditorState());
+  updateUndoRedoButtons();
+}
+
 // Server control
 async function startServer() {
   // Use setlist song if available, otherwise use current score editor
@@ -1794,12 +2400,17 @@ async function startServer() {
 
   // Read current OSC settings from UI
   oscSettings.enabled = document.getElementById('oscEnabled').checked;
-  oscSettings.host = document.getElementById('oscHost').value || '127.0.0.1';
-  oscSettings.port = parseInt(document.getElementById('oscPort').value) || 8000;
+  oscSettings.controlEnabled = document.getElementById('oscControlEnabled').checked;
+  oscSettings.controlPort = parseInt(document.getElementById('oscControlPort').value) || 9000;
 
   // Read current MIDI settings from UI
   midiSettings.enabled = document.getElementById('midiEnabled').checked;
   midiSettings.outputPort = document.getElementById('midiOutput').value;
+  midiSettings.timecodeEnabled = document.getElementById('midiTimecodeEnabled').checked;
+  midiSettings.timecodeFrameRate = document.getElementById('midiTimecodeFrameRate').value;
+  midiSettings.followClock = document.getElementById('midiFollowClock').checked;
+  midiSettings.chaseTimecode = document.getElementById('midiChaseTimecode').checked;
+  midiSettings.inputPort = document.getElementById('midiInput').value;
 
   // Read port from UI
   const port = parseInt(document.getElementById('serverPort').value) || 3000;
@@ -1819,6 +2430,8 @@ async function startServer() {
     document.getElementById('loopCurrentBar').disabled = false;
     updateSetlistControls();
     updateSongSelect();
+    updateClickSettings(); // Click settings made before the server started
+    updateVoiceSettings();
 
     await showAlert(`Server started!\nOpen this URL on client devices:\n${result.url}`);
   }
@@ -1831,6 +2444,7 @@ async function stopServer() {
   document.getElementById('serverStatus').classList.remove('running');
   document.getElementById('serverUrl').textContent = '';
   document.getElementById('connectedClients').textContent = 'Clients: 0';
+  renderClientSyncList([]);
   document.getElementById('syncOffsetDisplay').textContent = '0 ms';
   document.getElementById('startServer').disabled = false;
   document.getElementById('stopServer').disabled = true;
@@ -1953,6 +2567,67 @@ async function updateOscSettings() {
   }
 }
 
+// One row per destination: target IP, port and the address prefix of feedback messages
+function renderOscDestinations() {
+  const container = document.getElementById('oscDestinations');
+  container.innerHTML = '';
+
+  oscSettings.destinations.forEach((destination, index) => {
+    const row = document.createElement('div');
+    row.className = 'osc-destination-row';
+
+    const addInput = (field, type, placeholder, parse) => {
+      const input = document.createElement('input');
+      input.type = type;
+      input.placeholder = placeholder;
+      input.title = placeholder;
+      input.value = destination[field];
+      input.addEventListener('blur', () => {
+        destination[field] = parse(input.value);
+        input.value = destination[field];
+        updateOscSettings();
+      });
+      row.appendChild(input);
+    };
+    addInput('host', 'text', 'Target IP', value => value.trim() || '127.0.0.1');
+    addInput('port', 'number', 'Target Port', value => parseInt(value) || 8000);
+    addInput('prefix', 'text', 'Feedback prefix', value => value.trim() || DEFAULT_OSC_PREFIX);
+
+    const remove = document.createElement('button');
+    remove.textContent = 'Remove';
+    remove.disabled = oscSettings.destinations.length === 1;
+    remove.addEventListener('click', () => {
+      oscSettings.destinations.splice(index, 1);
+      renderOscDestinations();
+      updateOscSettings();
+    });
+    row.appendChild(remove);
+
+    container.appendChild(row);
+  });
+}
+
+function renderOscFeedbackEvents() {
+  const container = document.getElementById('oscFeedbackEvents');
+  container.innerHTML = '';
+
+  Object.entries(FEEDBACK_EVENTS).forEach(([event, label]) => {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = oscSettings.feedback.events.includes(event);
+    checkbox.addEventListener('change', () => {
+      const events = oscSettings.feedback.events.filter(enabled => enabled !== event);
+      oscSettings.feedback.events = checkbox.checked ? [...events, event] : events;
+      updateOscSettings();
+    });
+
+    const labelEl = document.createElement('label');
+    labelEl.appendChild(checkbox);
+    labelEl.appendChild(document.createTextNode(` ${label}`));
+    container.appendChild(labelEl);
+  });
+}
+
 async function testOscConnection() {
   const result = await ipcRenderer.invoke('test-osc', oscSettings);
   if (result.success) {
@@ -1965,22 +2640,42 @@ async function testOscConnection() {
 // MIDI functions
 async function refreshMidiPorts() {
   const result = await ipcRenderer.invoke('get-midi-ports');
-  const select = document.getElementById('midiOutput');
+  fillMidiPortSelect(document.getElementById('midiOutput'), 'Select MIDI output...', result.success ? result.ports : []);
+  fillMidiPortSelect(document.getElementById('midiInput'), 'Select MIDI input...', result.success ? result.inputs : []);
+}
+
+function fillMidiPortSelect(select, placeholder, ports) {
   const currentValue = select.value;
 
-  select.innerHTML = '<option value="">Select MIDI output...</option>';
+  select.innerHTML = `<option value="">${placeholder}</option>`;
 
-  if (result.success && result.ports) {
-    result.ports.forEach(port => {
-      const option = document.createElement('option');
-      option.value = port;
-      option.textContent = port;
-      if (port === currentValue) option.selected = true;
-      select.appendChild(option);
-    });
-  }
+  (ports || []).forEach(port => {
+    const option = document.createElement('option');
+    option.value = port;
+    option.textContent = port;
+    if (port === currentValue) option.selected = true;
+    select.appendChild(option);
+  });
 }
 
+// Lock indicator for the external MIDI clock or timecode
+ipcRenderer.on('midi-sync-update', (event, status) => {
+  const statusEl = document.getElementById('midiSyncStatus');
+  if (!status.following) {
+    statusEl.textContent = 'External clock: Off';
+    statusEl.className = 'status';
+  } else if (status.source === 'timecode') {
+    statusEl.textContent = status.locked ? `Timecode: Running, ${FRAME_RATES[status.frameRate].label}` : 'Timecode: Stopped';
+    statusEl.className = status.locked ? 'status running' : 'status unlocked';
+  } else if (status.locked) {
+    statusEl.textContent = `External clock: Locked, ${status.bpm.toFixed(1)} BPM (${Math.round(status.tempoPercentage)}% of the score)`;
+    statusEl.className = 'status running';
+  } else {
+    statusEl.textContent = 'External clock: Unlocked';
+    statusEl.className = 'status unlocked';
+  }
+});
+
 async function updateMidiSettings() {
   if (serverRunning) {
     await ipcRenderer.invoke('update-midi-settings', midiSettings);
@@ -1990,7 +2685,8 @@ async function updateMidiSettings() {
 async function updateClickSettings() {
   const clickSettings = {
     enabled: document.getElementById('clickEnabled').checked,
-    volume: parseInt(document.getElementById('clickVolume').value) || 75
+    volume: parseInt(document.getElementById('clickVolume').value) || 75,
+    profile: clickProfile
   };
 
   if (serverRunning) {
@@ -1998,11 +2694,258 @@ async function updateClickSettings() {
   }
 }
 
+async function updateVoiceSettings(changes = {}) {
+  voiceSettings = { ...voiceSettings, ...changes };
+  renderVoiceFolder();
+
+  if (serverRunning) {
+    await ipcRenderer.invoke('update-voice-settings', voiceSettings);
+  }
+}
+
+async function chooseVoiceFolder() {
+  const result = await ipcRenderer.invoke('choose-voice-folder');
+  if (result.success) {
+    updateVoiceSettings({ folder: result.folderPath });
+  }
+}
+
+function renderVoiceFolder() {
+  const folder = voiceSettings.folder;
+  document.getElementById('voiceFolder').textContent = folder
+    ? `Recordings from ${folder.split(/[\\/]/).pop()} (speech synthesizer for the rest)`
+    : 'Speech synthesizer (no voice folder)';
+  document.getElementById('voiceFolder').title = folder || '';
+  document.getElementById('removeVoiceFolder').disabled = !folder;
+}
+
+// Sound, sample file and volume of each click voice
+function renderClickVoices() {
+  const container = document.getElementById('clickVoices');
+  container.innerHTML = '';
+
+  Object.entries(CLICK_VOICES).forEach(([voice, label]) => {
+    const settings = clickProfile[voice];
+    const row = document.createElement('div');
+    row.className = 'click-voice-row';
+
+    const name = document.createElement('label');
+    name.textContent = label;
+
+    const select = document.createElement('select');
+    Object.entries(CLICK_SOUNDS).forEach(([sound, soundLabel]) => {
+      select.add(new Option(soundLabel, sound));
+    });
+    select.add(new Option('Sample file', 'sample'));
+    select.value = settings.sound;
+    select.addEventListener('change', async () => {
+      if (select.value === 'sample' && !settings.samplePath) {
+        await chooseClickSample(voice);
+      } else {
+        updateClickVoice(voice, { sound: select.value });
+      }
+    });
+
+    const sampleFile = document.createElement('span');
+    sampleFile.className = 'click-sample-file';
+    sampleFile.textContent = settings.samplePath ? settings.samplePath.split(/[\\/]/).pop() : '';
+    sampleFile.title = settings.samplePath || '';
+
+    const chooseSample = document.createElement('button');
+    chooseSample.textContent = 'Choose...';
+    chooseSample.style.display = settings.sound === 'sample' ? '' : 'none';
+    chooseSample.addEventListener('click', () => chooseClickSample(voice));
+
+    const volume = document.createElement('input');
+    volume.type = 'range';
+    volume.min = 0;
+    volume.max = 100;
+    volume.value = settings.volume;
+
+    const volumeValue = document.createElement('span');
+    volumeValue.textContent = `${settings.volume}%`;
+    volume.addEventListener('input', () => {
+      volumeValue.textContent = `${volume.value}%`;
+    });
+    volume.addEventListener('change', () => updateClickVoice(voice, { volume: parseInt(volume.value) }));
+
+    row.append(name, select, volume, volumeValue, chooseSample, sampleFile);
+    container.appendChild(row);
+  });
+}
+
+async function chooseClickSample(voice) {
+  const result = await ipcRenderer.invoke('choose-click-sample');
+  if (result.success) {
+    updateClickVoice(voice, { sound: 'sample', samplePath: result.filePath });
+  } else {
+    renderClickVoices(); // Back to the previous sound
+  }
+}
+
+function updateClickVoice(voice, changes) {
+  clickProfile = { ...clickProfile, [voice]: { ...clickProfile[voice], ...changes } };
+  renderClickVoices();
+  updateClickSettings();
+}
+
 // Listen for client count updates
 ipcRenderer.on('client-count-update', (event, count) => {
   document.getElementById('connectedClients').textContent = `Clients: ${count}`;
 });
 
+// Listen for client clock sync updates
+ipcRenderer.on('client-sync-update', (event, clients) => {
+  renderClientSyncList(clients);
+});
+
+// Reports arrive every few seconds; the list waits while one of its dropdowns is in use
+let pendingClientSyncList = null;
+
+document.getElementById('clientSyncList').addEventListener('focusout', () => {
+  if (pendingClientSyncList) {
+    const clients = pendingClientSyncList;
+    pendingClientSyncList = null;
+    setTimeout(() => renderClientSyncList(clients), 0);
+  }
+});
+
+function renderClientSyncList(clients) {
+  const container = document.getElementById('clientSyncList');
+  if (container.contains(document.activeElement) && document.activeElement.tagName === 'SELECT') {
+    pendingClientSyncList = clients;
+    return;
+  }
+  container.innerHTML = '';
+
+  clients.forEach(client => {
+    const row = document.createElement('div');
+    row.className = 'client-sync-row';
+
+    // Names and device names come from the clients, so they are set as text only
+    const cells = [
+      ['client-sync-device', client.name || client.device],
+      ['client-sync-role', client.name ? `${CLIENT_ROLES[client.role]} · ${client.device}` : client.id.slice(0, 6)],
+      ['', `offset ${client.offset.toFixed(1)} ms`],
+      ['', `jitter ±${client.jitter.toFixed(1)} ms`],
+      ['', `round trip ${client.roundTrip.toFixed(1)} ms`]
+    ];
+    cells.forEach(([className, text]) => {
+      const cell = document.createElement('span');
+      if (className) cell.className = className;
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+
+    // Whether this client plays the backing track
+    const backingTrackLabel = document.createElement('label');
+    const backingTrackCheckbox = document.createElement('input');
+    backingTrackCheckbox.type = 'checkbox';
+    backingTrackCheckbox.checked = !!client.backingTrack;
+    backingTrackCheckbox.addEventListener('change', (e) => {
+      ipcRenderer.invoke('set-client-backing-track', client.id, e.target.checked);
+    });
+    backingTrackLabel.appendChild(backingTrackCheckbox);
+    backingTrackLabel.appendChild(document.createTextNode(' backing track'));
+    row.appendChild(backingTrackLabel);
+
+    // Layout and click settings pushed to this client only
+    if (client.clientId) {
+      row.appendChild(createClientAssignmentControls(client));
+    }
+
+    container.appendChild(row);
+  });
+}
+
+function createClientAssignmentControls(client) {
+  const controls = document.createElement('span');
+  controls.className = 'client-assignment';
+
+  const addSelect = (title, options, value, onChange) => {
+    const select = document.createElement('select');
+    select.title = title;
+    options.forEach(([optionValue, label]) => {
+      const option = document.createElement('option');
+      option.value = optionValue;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    select.value = value;
+    select.addEventListener('change', (e) => onChange(e.target.value));
+    controls.appendChild(select);
+  };
+
+  const assign = (changes) => ipcRenderer.invoke('set-client-assignment', client.clientId, changes);
+  const { layout, clickEnabled, clickVolume } = client.assignment;
+
+  addSelect('Display layout', Object.entries(DISPLAY_LAYOUTS), layout, value => assign({ layout: value }));
+
+  addSelect('Click', [['default', 'Click: default'], ['on', 'Click: on'], ['off', 'Click: off']],
+    clickEnabled === null ? 'default' : clickEnabled ? 'on' : 'off',
+    value => assign({ clickEnabled: value === 'default' ? null : value === 'on' }));
+
+  const volumes = [['default', 'Volume: default']];
+  for (let volume = 100; volume >= 0; volume -= 10) {
+    volumes.push([String(volume), `Volume: ${volume}%`]);
+  }
+  addSelect('Click volume', volumes, clickVolume === null ? 'default' : String(clickVolume),
+    value => assign({ clickVolume: value === 'default' ? null : parseInt(value) }));
+
+  return controls;
+}
+
+// Schedule relayed from the server for the backing track on this computer (null when not playing)
+ipcRenderer.on('schedule-update', (event, schedule, backingTrackPath) => {
+  localSchedule = schedule;
+  localBackingTrackPath = backingTrackPath;
+  if (schedule) {
+    localScheduleClockOffset = schedule.serverTime - performance.now();
+  }
+
+  if (schedule && !localBackingTrackInterval) {
+    localBackingTrackInterval = setInterval(updateLocalBackingTrack, 25);
+  } else if (!schedule && localBackingTrackInterval) {
+    clearInterval(localBackingTrackInterval);
+    localBackingTrackInterval = null;
+  }
+  updateLocalBackingTrack();
+});
+
+function updateLocalBackingTrack() {
+  if (!localSchedule || !localBackingTrackPath || !document.getElementById('backingTrackLocal').checked) {
+    localBackingTrack.stop();
+    return;
+  }
+  const serverNow = performance.now() + localScheduleClockOffset;
+  localBackingTrack.update(localSchedule, serverNow, pathToFileURL(localBackingTrackPath).href);
+}
+
+// Listen for playback position updates
+ipcRenderer.on('position-update', (event, position) => {
+  renderPlaybackPosition(position);
+});
+
+function renderPlaybackPosition(position) {
+  const element = document.getElementById('playbackPosition');
+
+  if (!position) {
+    element.textContent = 'Stopped';
+  } else if (position.isCountoff) {
+    element.textContent = `Countoff · 0:00 / ${formatSongTime(position.songDuration)}`;
+  } else {
+    const pass = position.timesPlayed > 1 ? ` (${formatTimesPlayed(position.timesPlayed)})` : '';
+    element.textContent = `Bar ${position.barNumber}${pass} · ${formatSongTime(position.elapsed)} / ${formatSongTime(position.songDuration)}`;
+  }
+}
+
+// m:ss
+function formatSongTime(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const seconds = totalSeconds % 60;
+  return `${Math.floor(totalSeconds / 60)}:${seconds < 10 ? '0' : ''}${seconds}`;
+}
+
 // Listen for song end (for auto-advance)
 ipcRenderer.on('song-ended', async () => {
   if (autoAdvance && setlist.length > 0 && !repeatSong) {
@@ -2019,6 +2962,32 @@ ipcRenderer.on('song-ended', async () => {
   // If repeatSong is true, the server handles looping automatically
 });
 
+// Song changes from OSC control, handled like the buttons in the Song Selection panel
+ipcRenderer.on('song-control', (event, command) => {
+  if (command.action === 'nextSong') {
+    nextSong();
+  } else if (command.action === 'previousSong') {
+    previousSong();
+  } else if (command.action === 'selectSong') {
+    loadSongFromSetlist(parseInt(command.index));
+  }
+});
+
+// Tempo and loop changes from OSC control were already applied by the server; the controls follow
+ipcRenderer.on('control-command', (event, command) => {
+  if (command.action === 'tempoPercent') {
+    tempoPercentage = command.percent;
+    document.getElementById('tempoPercentage').value = tempoPercentage;
+    document.getElementById('tempoPercentageDisplay').textContent = `${tempoPercentage}%`;
+  } else if (command.action === 'loop') {
+    loopEnabled = command.enabled;
+    loopStart = command.start;
+    loopEnd = command.end;
+    document.getElementById('loopStart').value = loopStart || '';
+    document.getElementById('loopEnd').value = loopEnd || '';
+  }
+});
+
 // Listen for sync offset updates
 ipcRenderer.on('sync-offset-update', (event, offset) => {
   document.getElementById('syncOffsetDisplay').textContent = `${offset >= 0 ? '+' : ''}${offset} ms`;
@@ -4,33 +4,95 @@ const https = require('https');
 const fs = require('fs');
 const { Server } = require('socket.io');
 const path = require('path');
+const crypto = require('crypto');
 const osc = require('node-osc');
 const JZZ = require('jzz');
-
-class MetronomeServer {
+const { PlaybackEngine } = require('./engine');
+const { CLICK_VOICES, DEFAULT_CLICK_PROFILE, normalizeClickProfile } = require('./public/click-sounds');
+const { COUNT_WORDS, DEFAULT_VOICE_SETTINGS } = require('./public/voice');
+const { OSC_CONTROL_ADDRESSES, getOscControlCommand } = require('./osc-control');
+const {
+  PULSES_PER_QUARTER,
+  PULSES_PER_MIDI_BEAT,
+  MidiClockFollower,
+  getBarQuarterNotes,
+  findPathPosition,
+  getPathQuarterNotes,
+  getSongPositionMessage
+} = require('./midi-clock');
+const { getOscDestinations, normalizeOscFeedback, buildFeedbackMessage } = require('./osc-feedback');
+const {
+  QUARTER_FRAMES_PER_FRAME,
+  getFrameRate,
+  parseTimecode,
+  formatTimecode,
+  getFullFrameMessage,
+  getQuarterFrameMessage,
+  MtcReader,
+  findSongTimePosition
+} = require('./mtc');
+const { normalizeSyncPing, normalizeSyncReport } = require('./time-sync');
+const { DEFAULT_CLIENT_ASSIGNMENT, normalizeClientIdentity, normalizeClientAssignment, applyClientAssignment } = require('./public/roles');
+
+// Number of bars after the current one included in each published schedule
+const SCHEDULE_BARS_AHEAD = 2;
+const TEMPO_FOLLOW_THRESHOLD = 0.005; // Relative tempo change that recompiles the path while following MIDI clock
+const PHASE_TOLERANCE_MS = 2; // MIDI clock and timecode jitter that is not corrected
+const PHASE_RESEND_MS = 5; // Position corrections that resend the schedule while following MIDI clock or timecode
+const PULSE_TOLERANCE = 0.25; // Part of a MIDI clock pulse a relocated clock may start late by
+
+// Navigation and timing live in PlaybackEngine; the server adds the network, OSC and MIDI side
+class MetronomeServer extends PlaybackEngine {
   constructor(scoreData, displaySettings = null, repeatSong = false, oscSettings = null, midiSettings = null) {
-    this.scoreData = scoreData;
-    this.repeatSong = repeatSong;
-    this.oscSettings = oscSettings || { enabled: false, host: '127.0.0.1', port: 8000 };
-    this.oscClient = null;
-    this.lastTriggeredBar = -1; // Track last bar to avoid duplicate triggers
+    super(scoreData, repeatSong);
+
+    const settings = oscSettings || { enabled: false, host: '127.0.0.1', port: 8000 };
+    this.oscSettings = { ...settings, feedback: normalizeOscFeedback(settings.feedback) };
+    this.oscClients = []; // One per destination: { client, host, port, prefix }
+    this.lastFeedback = null; // Position of the last feedback sent while playing
 
     // MIDI settings
     this.midiSettings = midiSettings || { enabled: false, outputPort: '' };
     this.midiOutput = null;
-    this.midiClockInterval = null;
-    this.lastMidiClockTime = 0;
+    this.midiClockTimer = null;
+    this.resetMidiClock();
+    this.timecodeTimer = null;
+    this.resetTimecode();
+
+    // Following an external MIDI clock: position in quarter notes from bar 1 at the last Start,
+    // Stop or Song Position Pointer, pulses counted since, and whether to start on the next pulse
+    this.midiInput = null;
+    this.midiFollower = new MidiClockFollower();
+    this.midiSync = { position: 0, pulses: 0, waiting: false };
+    this.midiSyncWatchdog = null;
+
+    // Chasing incoming MIDI timecode instead
+    this.mtcReader = new MtcReader();
 
-    // Click track settings
-    this.clickSettings = { enabled: false, volume: 75 };
+    // Click track settings; the profile is the default sound of each click, clients can override it
+    this.clickSettings = { enabled: false, volume: 75, profile: DEFAULT_CLICK_PROFILE };
+
+    // Spoken cues; folder holds the operator's recordings, otherwise clients use speech synthesis
+    this.voiceSettings = { ...DEFAULT_VOICE_SETTINGS, folder: null };
+
+    // Remote transport control from web clients (used by the headless server) and OSC
+    this.remoteControlEnabled = false;
+    this.oscControlServer = null;
+    this.setlistInfo = { songs: [], currentSongIndex: 0 };
 
     if (this.oscSettings.enabled) {
-      this.setupOscClient();
+      this.setupOscClients();
+    }
+    if (this.oscSettings.controlEnabled && this.oscSettings.controlPort) {
+      this.setupOscControl(this.oscSettings.controlPort);
     }
 
-    if (this.midiSettings.enabled && this.midiSettings.outputPort) {
+    if (this.isMidiOutputEnabled()) {
       this.setupMidiOutput(); // async but we don't need to wait in constructor
     }
+    if (this.isMidiInputEnabled()) {
+      this.setupMidiInput();
+    }
 
     this.displaySettings = displaySettings || {
       lightColor: '#ff0000',
@@ -60,45 +122,33 @@ class MetronomeServer {
       pingInterval: 25000
     });
 
-    this.isPlaying = false;
-    this.inCountoff = false;
-    this.countoffBarsRemaining = 0;
-    this.currentSectionIndex = 0;
-    this.currentBarInSection = 0;
-    this.currentBeat = 0;
-    this.barStartTime = null;
     this.updateInterval = null;
     this.connectedClients = 0;
 
-    // Loop settings
-    this.loopEnabled = scoreData.loop?.enabled || false;
-    this.loopStart = scoreData.loop?.start || null;
-    this.loopEnd = scoreData.loop?.end || null;
+    // Published beat schedule (see broadcastSchedule())
+    this.scheduleVersion = 0;
+    this.scheduledBarStartTime = null; // Start time of the current bar when the schedule was last sent
 
-    // Pending jump settings
-    this.pendingJump = null; // { barNumber, mode }
+    // Clock synchronization stats reported by each client, keyed by socket id
+    this.clientSyncStats = new Map();
 
-    // Sync offset for manual timing adjustment
-    this.syncOffset = 0; // milliseconds
+    // Names and roles clients identify with (by socket id), and the layout and click settings
+    // the operator gave them (by the client's own id, so they survive reconnects)
+    this.clientIdentities = new Map();
+    this.clientAssignments = new Map();
 
-    // Repeat/volta tracking
-    this.repeatStack = []; // Stack of {startBar, timesPlayed, endBar}
-    this.currentPassNumber = 1; // Which pass through the repeat (1, 2, 3...)
-
-    // D.S./D.C./Coda navigation tracking
-    this.hasJumpedViaDSorDC = false; // Track if we've executed a D.S. or D.C. jump
-    this.shouldWatchForToCodaOrFine = false; // After D.S./D.C., watch for To Coda or Fine
-
-    // Loop current bar setting
-    this.loopCurrentBarEnabled = false;
-    this.loopCurrentBarNumber = null;
-
-    // Build flat bar structure for easier navigation
-    this.buildBarStructure();
+    // Clients that play the song's backing track (socket ids), or all of them
+    this.backingTrackClients = new Set();
+    this.backingTrackAllClients = false;
 
     // Callbacks
     this.onClientCountChange = null;
-    this.onSongEnd = null;
+    this.onClientSyncChange = null;
+    this.onSongControl = null; // Song changes are handled by whoever owns the setlist
+    this.onControlCommand = null; // Remote commands after they were applied, so the desktop UI can follow
+    this.onMidiSyncChange = null; // External MIDI clock lock and tempo
+    this.onPositionChange = null;
+    this.onSchedule = null; // Latest schedule while playing, null when playback pauses or stops
 
     // HTTP redirect server (will be created on start)
     this.httpRedirectServer = null;
@@ -108,86 +158,6 @@ class MetronomeServer {
     this.setupSocketHandlers();
   }
 
-  buildBarStructure() {
-    // Create a flat array of all bars with their section info
-    this.flatBars = [];
-    let absoluteBarNumber = 1;
-
-    this.scoreData.sections.forEach((section, sectionIndex) => {
-      section.bars.forEach((bar, barIndex) => {
-        this.flatBars.push({
-          absoluteNumber: absoluteBarNumber++,
-          sectionIndex: sectionIndex,
-          barInSection: barIndex,
-          sectionName: section.name,
-          tempo: section.tempo,
-          tempoTransitionBars: section.tempoTransitionBars || 0,
-          timeSignature: section.timeSignature,
-          chords: bar.chords,
-          redirect: bar.redirect,
-          redirectCount: bar.redirectCount || 1,
-          isFermata: bar.isFermata || false,
-          fermataDuration: bar.fermataDuration || 4,
-          fermataDurationType: bar.fermataDurationType || 'beats',
-          accentPattern: bar.accentPattern || [],
-          subdivision: bar.subdivision || 'none',
-          startRepeat: bar.startRepeat || false,
-          endRepeat: bar.endRepeat || false,
-          volta: bar.volta || null,
-          segno: bar.segno || false,
-          coda: bar.coda || false,
-          dalSegno: bar.dalSegno || false,
-          daCapo: bar.daCapo || false,
-          toCoda: bar.toCoda || false,
-          fine: bar.fine || false,
-          oscAddress: bar.oscAddress || null,
-          oscArgs: bar.oscArgs || null
-        });
-      });
-    });
-
-    this.totalBars = this.flatBars.length;
-
-    // Initialize redirect tracking
-    this.redirectTracking = {};
-  }
-
-  getAbsoluteBarNumber() {
-    if (this.inCountoff) {
-      return -this.countoffBarsRemaining; // Negative for countoff
-    }
-
-    let absoluteBar = 1;
-    for (let i = 0; i < this.currentSectionIndex; i++) {
-      absoluteBar += this.scoreData.sections[i].bars.length;
-    }
-    absoluteBar += this.currentBarInSection;
-    return absoluteBar;
-  }
-
-  getCurrentBarInfo() {
-    if (this.inCountoff) {
-      const firstSection = this.scoreData.sections[0];
-      return {
-        absoluteNumber: 0,
-        sectionIndex: 0,
-        barInSection: 0,
-        sectionName: 'Countoff',
-        tempo: firstSection.tempo,
-        timeSignature: firstSection.timeSignature,
-        chords: '',
-        redirect: null,
-        accentPattern: [0],
-        subdivision: 'none',
-        isCountoff: true,
-        countoffBarsRemaining: this.countoffBarsRemaining
-      };
-    }
-
-    const absoluteBar = this.getAbsoluteBarNumber();
-    return this.flatBars[absoluteBar - 1] || null;
-  }
-
   setupRoutes() {
     // Enable CORS for all routes
     this.app.use((req, res, next) => {
@@ -202,6 +172,62 @@ class MetronomeServer {
     this.app.get('/', (req, res) => {
       res.sendFile(path.join(__dirname, 'public', 'client.html'));
     });
+
+    // Audio of the current song's backing track. sendFile answers range requests, so clients
+    // can seek without downloading the whole file first.
+    this.app.get('/backing-track', (req, res) => {
+      const backingTrack = this.scoreData.backingTrack;
+      if (!backingTrack || !backingTrack.path) {
+        res.sendStatus(404);
+        return;
+      }
+      res.sendFile(path.resolve(backingTrack.path), (err) => {
+        if (err && !res.headersSent) {
+          console.error('Cannot send backing track:', err.message);
+          res.sendStatus(404);
+        }
+      });
+    });
+
+    // Recording of a spoken cue from the voice folder, e.g. /voice/chorus plays chorus.wav.
+    // Counts may also be recorded as 1.wav, 2.wav, ...
+    this.app.get('/voice/:name', (req, res) => {
+      const folder = this.voiceSettings.folder;
+      const name = req.params.name;
+      if (!folder || !/^[a-z0-9-]+$/.test(name)) {
+        res.sendStatus(404);
+        return;
+      }
+
+      const count = COUNT_WORDS.indexOf(name) + 1;
+      const names = count > 0 ? [name, String(count)] : [name];
+      const candidates = [];
+      names.forEach(fileName => ['wav', 'mp3', 'ogg'].forEach(extension => {
+        candidates.push(path.resolve(folder, `${fileName}.${extension}`));
+      }));
+
+      const filePath = candidates.find(candidate => fs.existsSync(candidate));
+      if (filePath) {
+        res.sendFile(filePath);
+      } else {
+        res.sendStatus(404);
+      }
+    });
+
+    // Recording the operator chose as a click voice
+    this.app.get('/click-sample/:voice', (req, res) => {
+      const settings = this.clickSettings.profile[req.params.voice];
+      if (!CLICK_VOICES[req.params.voice] || !settings || settings.sound !== 'sample' || !settings.samplePath) {
+        res.sendStatus(404);
+        return;
+      }
+      res.sendFile(path.resolve(settings.samplePath), (err) => {
+        if (err && !res.headersSent) {
+          console.error('Cannot send click sample:', err.message);
+          res.sendStatus(404);
+        }
+      });
+    });
   }
 
   setupSocketHandlers() {
@@ -217,17 +243,65 @@ class MetronomeServer {
       socket.emit('display-settings', this.displaySettings);
 
       // Send click track settings
-      socket.emit('click-settings', this.clickSettings);
+      socket.emit('click-settings', this.getClientClickSettings(socket.id));
+      socket.emit('voice-settings', this.getClientVoiceSettings());
 
-      // Send current playback state
+      // Send remote control availability and the setlist to pick songs from
+      socket.emit('remote-control', this.getRemoteControlInfo());
+
+      // Tell the client whether it plays the backing track
+      socket.emit('backing-track-settings', { enabled: this.isBackingTrackClient(socket.id) });
+
+      // Send the upcoming schedule so the client can join mid-song
       if (this.isPlaying) {
-        socket.emit('state-update', this.getCurrentState());
+        socket.emit('schedule', this.getSchedule());
       }
 
+      // NTP-style clock sync: answer with receive and transmit times on the playback clock,
+      // so the client can measure round-trip time and its offset to the server clock
+      socket.on('time-sync-ping', (data) => {
+        const serverReceiveTime = this.now();
+        const ping = normalizeSyncPing(data);
+        if (!ping) return;
+        socket.emit('time-sync-pong', {
+          seq: ping.seq,
+          clientSendTime: ping.clientSendTime,
+          serverReceiveTime: serverReceiveTime,
+          serverSendTime: this.now()
+        });
+      });
+
+      // Clients report their current sync estimate for display in the operator UI
+      socket.on('time-sync-report', (report) => {
+        this.clientSyncStats.set(socket.id, {
+          id: socket.id,
+          ...normalizeSyncReport(report),
+          backingTrack: this.isBackingTrackClient(socket.id),
+          ...this.getClientInfo(socket.id),
+          updatedAt: Date.now()
+        });
+        this.notifyClientSyncChange();
+      });
+
+      // Clients tell who they are on every connect; their assigned settings follow them
+      socket.on('identify', (identity) => {
+        this.clientIdentities.set(socket.id, normalizeClientIdentity(identity));
+        this.sendClientSettings(socket.id);
+      });
+
+      socket.on('control', (command) => {
+        if (!this.remoteControlEnabled || !command) return;
+        this.handleControlCommand(command);
+      });
+
       socket.on('disconnect', () => {
         console.log('Client disconnected:', socket.id);
         this.connectedClients--;
+        this.clientSyncStats.delete(socket.id);
+        this.clientIdentities.delete(socket.id);
+        this.backingTrackClients.delete(socket.id);
         this.notifyClientCountChange();
+        this.notifyClientSyncChange();
       });
     });
   }
@@ -239,45 +313,302 @@ class MetronomeServer {
 
   setRepeat(repeat) {
     this.repeatSong = repeat;
+    this.broadcastSchedule();
   }
 
-  setupOscClient() {
-    try {
-      if (this.oscClient) {
-        this.oscClient.close();
+  // Choose whether one client plays the backing track
+  setClientBackingTrack(socketId, enabled) {
+    if (enabled) {
+      this.backingTrackClients.add(socketId);
+    } else {
+      this.backingTrackClients.delete(socketId);
+    }
+    this.io.to(socketId).emit('backing-track-settings', { enabled: this.isBackingTrackClient(socketId) });
+
+    const stats = this.clientSyncStats.get(socketId);
+    if (stats) {
+      stats.backingTrack = this.isBackingTrackClient(socketId);
+      this.notifyClientSyncChange();
+    }
+  }
+
+  // Play the backing track on every client, including ones that connect later
+  setBackingTrackForAllClients(enabled) {
+    this.backingTrackAllClients = enabled;
+    this.io.emit('backing-track-settings', { enabled });
+    this.clientSyncStats.forEach(stats => {
+      stats.backingTrack = this.isBackingTrackClient(stats.id);
+    });
+    this.notifyClientSyncChange();
+  }
+
+  isBackingTrackClient(socketId) {
+    return this.backingTrackAllClients || this.backingTrackClients.has(socketId);
+  }
+
+  // Give a client its own display layout, click on/off state and volume. Clients are
+  // identified by the id they keep on the device, so this applies to all of its connections.
+  setClientAssignment(clientId, assignment) {
+    const current = this.clientAssignments.get(clientId) || DEFAULT_CLIENT_ASSIGNMENT;
+    this.clientAssignments.set(clientId, normalizeClientAssignment({ ...current, ...assignment }));
+
+    this.clientIdentities.forEach((identity, socketId) => {
+      if (identity.clientId === clientId) {
+        this.sendClientSettings(socketId);
       }
-      this.oscClient = new osc.Client(this.oscSettings.host, this.oscSettings.port);
-      console.log(`OSC client connected to ${this.oscSettings.host}:${this.oscSettings.port}`);
-    } catch (error) {
-      console.error('Failed to setup OSC client:', error);
+    });
+  }
+
+  getClientAssignment(socketId) {
+    const identity = this.clientIdentities.get(socketId);
+    return (identity && identity.clientId && this.clientAssignments.get(identity.clientId)) || DEFAULT_CLIENT_ASSIGNMENT;
+  }
+
+  // Identity and assigned settings of a client, as listed in the operator UI
+  getClientInfo(socketId) {
+    const identity = this.clientIdentities.get(socketId) || normalizeClientIdentity(null);
+    return { ...identity, assignment: this.getClientAssignment(socketId) };
+  }
+
+  // Push a client's own settings to that socket only
+  sendClientSettings(socketId) {
+    this.io.to(socketId).emit('client-settings', { layout: this.getClientAssignment(socketId).layout });
+    this.io.to(socketId).emit('click-settings', this.getClientClickSettings(socketId));
+
+    const stats = this.clientSyncStats.get(socketId);
+    if (stats) {
+      Object.assign(stats, this.getClientInfo(socketId));
+      this.notifyClientSyncChange();
     }
   }
 
+  setupOscClients() {
+    this.closeOscClients();
+    getOscDestinations(this.oscSettings).forEach(destination => {
+      try {
+        this.oscClients.push({ ...destination, client: new osc.Client(destination.host, destination.port) });
+        console.log(`OSC client connected to ${destination.host}:${destination.port}`);
+      } catch (error) {
+        console.error(`Failed to setup OSC client for ${destination.host}:${destination.port}:`, error);
+      }
+    });
+  }
+
+  closeOscClients() {
+    this.oscClients.forEach(({ client }) => client.close());
+    this.oscClients = [];
+  }
+
   updateOscSettings(settings) {
-    this.oscSettings = settings;
+    const previous = this.oscSettings;
+    this.oscSettings = { ...settings, feedback: normalizeOscFeedback(settings.feedback) };
     if (settings.enabled) {
-      this.setupOscClient();
-    } else if (this.oscClient) {
-      this.oscClient.close();
-      this.oscClient = null;
+      this.setupOscClients();
+    } else {
+      this.closeOscClients();
+    }
+
+    // Only rebind the control port when it changes, so messages are not lost while reopening it
+    if (!settings.controlEnabled || !settings.controlPort) {
+      this.closeOscControl();
+    } else if (!this.oscControlServer || settings.controlPort !== previous.controlPort) {
+      this.setupOscControl(settings.controlPort);
     }
   }
 
+  // Send a message to every destination
   sendOscMessage(address, args) {
-    if (!this.oscSettings.enabled || !this.oscClient) return;
+    if (!this.oscSettings.enabled) return;
 
+    this.oscClients.forEach(({ client }) => this.sendOscTo(client, address, args));
+    if (this.oscClients.length > 0) {
+      console.log(`OSC sent: ${address}`, args);
+    }
+  }
+
+  sendOscTo(client, address, args) {
     try {
       if (args && args.length > 0) {
-        this.oscClient.send(address, ...args);
+        client.send(address, ...args);
       } else {
-        this.oscClient.send(address);
+        client.send(address);
       }
-      console.log(`OSC sent: ${address}`, args);
     } catch (error) {
       console.error('OSC send error:', error);
     }
   }
 
+  // Send a feedback message to every destination under its own prefix, if the event is enabled
+  sendOscFeedback(event, extraArgs = []) {
+    const feedback = this.oscSettings.feedback;
+    const type = ['play', 'pause', 'stop'].includes(event) ? 'transport' : event;
+    if (!this.oscSettings.enabled || !feedback.enabled || !feedback.events.includes(type)) return;
+
+    const position = this.getFeedbackPosition();
+    this.oscClients.forEach(({ client, prefix }) => {
+      const message = buildFeedbackMessage(prefix, event, position, extraArgs);
+      this.sendOscTo(client, message.address, message.args);
+    });
+  }
+
+  // Bar, beat, section and BPM as carried by every feedback message
+  getFeedbackPosition() {
+    const barInfo = this.getCurrentBarInfo();
+    return {
+      bar: this.getAbsoluteBarNumber(),
+      beat: this.currentBeat + 1,
+      section: (barInfo && barInfo.sectionName) || '',
+      bpm: Math.round(this.getCurrentTempo() * this.getTempoPercentage()) / 100
+    };
+  }
+
+  // Feedback for what changed since the last tick: tempo, section, bar and beat, in that order.
+  // Bars are told apart by the engine's bar sequence, so pausing and timeline corrections within
+  // a bar do not resend them, while a bar that is played again is sent again.
+  sendPositionFeedback() {
+    const barInfo = this.getCurrentBarInfo();
+    const current = {
+      barKey: `${this.pathIndex}:${this.barSequence}`,
+      beat: this.currentBeat,
+      sectionIndex: barInfo.isCountoff ? null : barInfo.sectionIndex,
+      bpm: this.getFeedbackPosition().bpm
+    };
+    const last = this.lastFeedback || {};
+    this.lastFeedback = current;
+
+    if (current.barKey === last.barKey && current.beat === last.beat) return;
+
+    if (last.bpm !== undefined && current.bpm !== last.bpm) {
+      this.sendOscFeedback('tempo');
+    }
+    if (current.barKey !== last.barKey) {
+      const startsSection = !barInfo.isCountoff && (barInfo.barInSection === 0 || current.sectionIndex !== last.sectionIndex);
+      if (startsSection) {
+        this.sendOscFeedback('section');
+      }
+      this.sendOscFeedback('bar');
+    }
+    this.sendOscFeedback('beat');
+  }
+
+  // Remote control methods
+  setRemoteControl(enabled) {
+    this.remoteControlEnabled = enabled;
+    this.io.emit('remote-control', this.getRemoteControlInfo());
+  }
+
+  setSetlistInfo(songNames, currentSongIndex) {
+    this.setlistInfo = { songs: songNames, currentSongIndex };
+    this.io.emit('remote-control', this.getRemoteControlInfo());
+  }
+
+  getRemoteControlInfo() {
+    return {
+      enabled: this.remoteControlEnabled,
+      songs: this.setlistInfo.songs,
+      currentSongIndex: this.setlistInfo.currentSongIndex
+    };
+  }
+
+  // Shared entry point for transport commands from web clients and OSC
+  handleControlCommand(command) {
+    switch (command.action) {
+      case 'play':
+        this.play();
+        break;
+      case 'pause':
+        this.pause();
+        break;
+      case 'stop':
+        this.stopPlayback();
+        break;
+      case 'seek': {
+        const barNumber = parseInt(command.barNumber);
+        if (barNumber >= 1 && barNumber <= this.totalBars) {
+          this.seekToBar(barNumber, command.mode || 'direct');
+        }
+        break;
+      }
+      case 'nextSong':
+      case 'previousSong':
+      case 'selectSong':
+        if (this.onSongControl) {
+          this.onSongControl(command);
+        }
+        return;
+      case 'tempoPercent': {
+        const percent = parseInt(command.percent);
+        if (isNaN(percent)) return;
+        this.setTempoPercentage(percent);
+        command = { action: 'tempoPercent', percent: this.scoreData.tempoPercentage };
+        break;
+      }
+      case 'loop': {
+        // A loop without a valid range turns the loop off
+        const start = parseInt(command.start);
+        const end = parseInt(command.end);
+        const enabled = start >= 1 && end >= start && end <= this.totalBars;
+        const loop = { enabled, start: enabled ? start : null, end: enabled ? end : null };
+        this.scoreData = { ...this.scoreData, loop };
+        this.setLoop(loop);
+        command = { action: 'loop', ...loop };
+        break;
+      }
+      case 'nudge': {
+        const ms = Number(command.ms);
+        if (!ms) return;
+        this.adjustSyncOffset(ms);
+        break;
+      }
+      case 'resetSync':
+        this.resetSyncOffset();
+        break;
+      default:
+        console.log('Unknown control command:', command.action);
+        return;
+    }
+
+    this.notifyControlCommand(command);
+  }
+
+  // Playback speed as a percentage of the score's tempos (25-150%, as in the desktop UI)
+  setTempoPercentage(percent) {
+    const tempoPercentage = Math.max(25, Math.min(150, Math.round(percent)));
+    this.updateScore({ ...this.scoreData, tempoPercentage });
+  }
+
+  // Listen for OSC transport commands
+  setupOscControl(port) {
+    try {
+      this.closeOscControl();
+      this.oscControlServer = new osc.Server(port, '0.0.0.0', () => {
+        console.log(`OSC control listening on port ${port}`);
+      });
+
+      this.oscControlServer.on('message', ([address, ...args]) => {
+        const command = getOscControlCommand(address, args);
+        if (command) {
+          this.handleControlCommand(command);
+        } else if (!OSC_CONTROL_ADDRESSES[address]) {
+          console.log('Unhandled OSC control message:', address, args);
+        }
+      });
+
+      this.oscControlServer.on('error', (error) => {
+        console.error('OSC control error:', error.message);
+      });
+    } catch (error) {
+      console.error('Failed to setup OSC control:', error);
+    }
+  }
+
+  closeOscControl() {
+    if (this.oscControlServer) {
+      this.oscControlServer.close();
+      this.oscControlServer = null;
+    }
+  }
+
   // MIDI methods
   async setupMidiOutput() {
     try {
@@ -287,22 +618,297 @@ class MetronomeServer {
       const jzz = await JZZ();
       this.midiOutput = await jzz.openMidiOut(this.midiSettings.outputPort);
       console.log(`MIDI output opened: ${this.midiSettings.outputPort}`);
+
+      // Receivers on a new port join at the current position
+      this.resetMidiClock();
+      this.resetTimecode();
+      this.runMidiClock();
+      this.runTimecode();
     } catch (error) {
       console.error('Failed to setup MIDI output:', error);
       this.midiOutput = null;
     }
   }
 
+  async setupMidiInput() {
+    try {
+      this.closeMidiInput();
+      const jzz = await JZZ();
+      this.midiInput = await jzz.openMidiIn(this.midiSettings.inputPort);
+      this.midiInput.connect(message => this.handleMidiInput(message));
+      console.log(`MIDI input opened: ${this.midiSettings.inputPort}`);
+
+      // Clocks that stop without a Stop message unlock after a few missing pulses, and playback
+      // chasing timecode pauses when the timecode stops
+      this.midiSyncWatchdog = setInterval(() => {
+        if (this.midiFollower.checkTimeout(this.now())) {
+          this.notifyMidiSyncChange();
+        }
+        if (this.mtcReader.checkTimeout(this.now())) {
+          this.pause();
+          this.notifyMidiSyncChange();
+        }
+      }, 100);
+    } catch (error) {
+      console.error('Failed to setup MIDI input:', error);
+      this.midiInput = null;
+    }
+    this.notifyMidiSyncChange();
+  }
+
+  closeMidiInput() {
+    clearInterval(this.midiSyncWatchdog);
+    this.midiSyncWatchdog = null;
+    if (this.midiInput) {
+      this.midiInput.close();
+      this.midiInput = null;
+    }
+    this.midiFollower.reset();
+    this.midiSync = { position: 0, pulses: 0, waiting: false };
+    this.mtcReader.reset();
+
+    // Back to the score's tempo
+    if (this.tempoPercentageOverride) {
+      this.tempoPercentageOverride = null;
+      this.compileScore();
+      this.broadcastSchedule();
+    }
+  }
+
+  // Clock, Start, Continue, Stop and Song Position Pointer from the sequencer or DAW that runs the show
+  handleMidiInput(message) {
+    if (this.midiSettings.chaseTimecode) {
+      this.handleTimecodeInput(message);
+      return;
+    }
+
+    const now = this.now();
+
+    switch (message[0]) {
+      case 0xF8: // Clock
+        if (this.midiFollower.handlePulse(now)) {
+          this.notifyMidiSyncChange();
+        }
+        if (this.midiSync.waiting) {
+          // Playback starts on the first pulse after Start or Continue
+          this.midiSync.waiting = false;
+          this.moveToSongPosition(this.midiSync.position);
+          this.play();
+        } else if (this.isPlaying && ++this.midiSync.pulses % PULSES_PER_MIDI_BEAT === 0) {
+          this.chaseMidiClock(now);
+        }
+        break;
+      case 0xFA: // Start from bar 1
+        this.pause();
+        this.midiSync = { position: 0, pulses: 0, waiting: true };
+        break;
+      case 0xFB: // Continue
+        this.midiSync.waiting = true;
+        break;
+      case 0xFC: // Stop, keeping the position for Continue
+        this.midiSync.position += this.midiSync.pulses / PULSES_PER_QUARTER;
+        this.midiSync.pulses = 0;
+        this.midiSync.waiting = false;
+        this.pause();
+        break;
+      case 0xF2: // Song Position Pointer, in 16th notes
+        this.midiSync.position = (message[1] | (message[2] << 7)) * PULSES_PER_MIDI_BEAT / PULSES_PER_QUARTER;
+        this.midiSync.pulses = 0;
+        if (this.isPlaying) {
+          this.moveToSongPosition(this.midiSync.position);
+          this.broadcastSchedule();
+        }
+        break;
+    }
+  }
+
+  // Put playback at a number of quarter notes from bar 1, keeping the timeline running
+  moveToSongPosition(quarterNotes) {
+    this.moveToPathPosition(findPathPosition(this.path, quarterNotes));
+  }
+
+  // Put playback at an offset (ms) into a path entry, keeping the timeline running
+  moveToPathPosition(target) {
+    const now = this.getTimelineNow();
+
+    if (target.pathIndex !== this.pathIndex) {
+      this.moveToPathIndex(target.pathIndex);
+    }
+    if (this.songStartTime === null) {
+      // Not started yet: anchor the timeline here so play() resumes from the target
+      this.songStartTime = now;
+      this.pausedAt = now;
+    }
+    this.barStartOffset = now - this.songStartTime - target.offset;
+  }
+
+  // Keep playback on the external clock: the tempo follows the pulse rate once locked, and the
+  // position follows the pulses counted since the last Start or Song Position Pointer
+  chaseMidiClock(now) {
+    let resend = false;
+
+    const entry = this.getCurrentEntry();
+    if (this.midiFollower.locked && entry) {
+      const percentage = this.midiFollower.bpm / entry.tempo * 100;
+      const current = this.getTempoPercentage();
+      if (Math.abs(percentage - current) > current * TEMPO_FOLLOW_THRESHOLD) {
+        this.tempoPercentageOverride = percentage;
+        this.compileScore();
+        this.notifyMidiSyncChange();
+        resend = true;
+      }
+    }
+
+    const quarterNotes = this.midiSync.position + this.midiSync.pulses / PULSES_PER_QUARTER;
+    resend = this.followPathPosition(findPathPosition(this.path, quarterNotes), now) || resend;
+
+    if (resend) {
+      this.broadcastSchedule();
+    }
+  }
+
+  // Bring playback to where an external clock or timecode says it is. Positions are compared on
+  // the path, so being just before or after a barline is not a bar off. Small errors shift the
+  // current bar; clients keep the schedule they have for the smallest (see the playback loop).
+  // Returns whether clients need a new schedule.
+  followPathPosition(target, now) {
+    const entries = this.path.entries;
+    const error = (entries[this.pathIndex].startOffset + now - this.getBarStartTime()) -
+      (entries[target.pathIndex].startOffset + target.offset);
+
+    if (Math.abs(error) <= PHASE_TOLERANCE_MS) return false;
+
+    if (target.pathIndex === this.pathIndex) {
+      const isScheduled = this.scheduledBarStartTime === this.getBarStartTime();
+      this.barStartOffset += error;
+      if (isScheduled && Math.abs(error) <= PHASE_RESEND_MS) {
+        this.scheduledBarStartTime = this.getBarStartTime();
+      }
+    } else {
+      this.moveToPathPosition(target);
+    }
+    return Math.abs(error) > PHASE_RESEND_MS;
+  }
+
+  // Quarter frames and full frames from a video playback server or timecode generator. Playback
+  // runs while quarter frames come in and pauses when they stop; a full frame only locates.
+  handleTimecodeInput(message) {
+    const now = this.now();
+
+    if (message[0] === 0xF1) {
+      const wasRunning = this.mtcReader.running;
+      const position = this.mtcReader.handleQuarterFrame(message[1], now);
+      if (this.mtcReader.running !== wasRunning) {
+        this.notifyMidiSyncChange();
+      }
+      if (position) {
+        this.chaseTimecode(position, now);
+      }
+    } else if (message[0] === 0xF0) {
+      const position = this.mtcReader.handleFullFrame(message);
+      const target = position && this.getTimecodeTarget(position);
+      if (target) {
+        this.pause();
+        this.moveToPathPosition(target);
+        this.broadcastSchedule();
+      }
+    }
+  }
+
+  // Timecode before the countoff or after the end of the song keeps playback paused
+  chaseTimecode(position, now) {
+    const target = this.getTimecodeTarget(position);
+    if (!target) {
+      this.pause();
+      return;
+    }
+
+    if (!this.isPlaying) {
+      this.moveToPathPosition(target);
+      this.play();
+    } else if (this.followPathPosition(target, now)) {
+      this.broadcastSchedule();
+    }
+  }
+
+  // Path position at an incoming timecode position, or null outside the song
+  getTimecodeTarget(position) {
+    const start = this.getTimecodeStart(position.frameRate);
+    return findSongTimePosition(this.path, position.time - start * 1000 / getFrameRate(position.frameRate).rate);
+  }
+
+  // Frame at which bar 1 of the song falls
+  getTimecodeStart(frameRate) {
+    return parseTimecode(this.scoreData.timecodeStart, frameRate) || 0;
+  }
+
+  // Whether playback follows an external clock or timecode, and whether it is locked to it
+  getMidiSyncStatus() {
+    if (this.midiSettings.chaseTimecode) {
+      return {
+        following: !!this.midiInput,
+        source: 'timecode',
+        locked: this.mtcReader.running,
+        frameRate: this.mtcReader.frameRate
+      };
+    }
+    return {
+      following: !!this.midiInput,
+      source: 'clock',
+      locked: this.midiFollower.locked,
+      bpm: this.midiFollower.bpm,
+      tempoPercentage: this.getTempoPercentage()
+    };
+  }
+
   updateClickSettings(settings) {
-    this.clickSettings = settings;
-    // Broadcast click settings to all connected clients
-    this.io.emit('click-settings', this.clickSettings);
+    this.clickSettings = { ...settings, profile: normalizeClickProfile(settings.profile) };
+    // Send click settings to all connected clients, with their own on/off state and volume
+    this.io.sockets.sockets.forEach((socket, socketId) => {
+      socket.emit('click-settings', this.getClientClickSettings(socketId));
+    });
+  }
+
+  updateVoiceSettings(settings) {
+    this.voiceSettings = { ...DEFAULT_VOICE_SETTINGS, folder: null, ...settings };
+    this.io.emit('voice-settings', this.getClientVoiceSettings());
+  }
+
+  // Voice settings as clients see them: whether to look for recordings instead of the folder
+  getClientVoiceSettings() {
+    const { folder, ...settings } = this.voiceSettings;
+    return { ...settings, samples: !!folder };
+  }
+
+  // Click settings as clients see them: sample files are replaced by the URL they are served at.
+  // The file hash in the URL makes clients load a new recording instead of a cached one.
+  // With a socket id, that client's assigned on/off state and volume replace the global ones.
+  getClientClickSettings(socketId = null) {
+    const profile = {};
+    Object.entries(this.clickSettings.profile).forEach(([voice, settings]) => {
+      const { samplePath, ...clientSettings } = settings;
+      if (settings.sound === 'sample') {
+        const file = crypto.createHash('sha1').update(samplePath).digest('hex').slice(0, 12);
+        clientSettings.sampleUrl = `/click-sample/${voice}?file=${file}`;
+      }
+      profile[voice] = clientSettings;
+    });
+    const settings = { ...this.clickSettings, profile };
+    return socketId ? applyClientAssignment(settings, this.getClientAssignment(socketId)) : settings;
   }
 
   async updateMidiSettings(settings) {
+    const previous = this.midiSettings;
     this.midiSettings = settings;
 
-    if (settings.enabled && settings.outputPort) {
+    if (!this.isMidiInputEnabled()) {
+      this.closeMidiInput();
+      this.notifyMidiSyncChange();
+    } else if (!this.midiInput || settings.inputPort !== previous.inputPort || settings.chaseTimecode !== previous.chaseTimecode) {
+      await this.setupMidiInput();
+    }
+
+    if (this.isMidiOutputEnabled()) {
       await this.setupMidiOutput();
     } else if (this.midiOutput) {
       this.stopMidiClock();
@@ -311,43 +917,178 @@ class MetronomeServer {
     }
   }
 
-  startMidiClock(tempo) {
-    if (!this.midiSettings.enabled || !this.midiOutput) return;
+  // The output port carries the clock, the timecode or both
+  isMidiOutputEnabled() {
+    return !!((this.midiSettings.enabled || this.midiSettings.timecodeEnabled) && this.midiSettings.outputPort);
+  }
 
-    this.stopMidiClock();
+  isMidiInputEnabled() {
+    return !!((this.midiSettings.followClock || this.midiSettings.chaseTimecode) && this.midiSettings.inputPort);
+  }
+
+  // Clock output state: the next pulse to send (song position in pulses), whether receivers
+  // are playing, and the pulse they are started on with Start or Continue
+  resetMidiClock() {
+    this.midiClock = { next: null, running: false, startAt: null };
+  }
+
+  sendMidi(message, name = null) {
+    if (!this.midiOutput) return;
 
-    // Send MIDI Start message (0xFA)
     try {
-      this.midiOutput.send([0xFA]);
-      console.log('MIDI Start sent');
+      this.midiOutput.send(message);
+      if (name) {
+        console.log(`MIDI ${name} sent`);
+      }
     } catch (error) {
-      console.error('MIDI Start error:', error);
+      console.error(`MIDI ${name || 'Clock'} error:`, error);
     }
+  }
 
-    // MIDI clock sends 24 pulses per quarter note
-    const pulsesPerQuarterNote = 24;
-    const msPerBeat = 60000 / tempo;
-    const msPerPulse = msPerBeat / pulsesPerQuarterNote;
-
-    this.midiClockInterval = setInterval(() => {
-      if (this.midiOutput && this.isPlaying) {
-        try {
-          this.midiOutput.send([0xF8]); // MIDI Clock pulse
-        } catch (error) {
-          console.error('MIDI Clock error:', error);
-        }
+  // MIDI clock output runs off the playback timeline: each pulse is sent when the timeline
+  // reaches it, so tempo changes and ramps need no restart. The countoff sends pulses with the
+  // transport stopped, so receivers have the tempo when Start comes on bar 1.
+  // Called for every pulse and whenever the schedule changes.
+  runMidiClock() {
+    clearTimeout(this.midiClockTimer);
+    this.midiClockTimer = null;
+    if (!this.isPlaying || !this.midiSettings.enabled || !this.midiOutput) return;
+
+    const now = this.now();
+    this.advanceTimeline(now);
+    if (!this.isPlaying) return; // Song ended while advancing
+
+    const clock = this.midiClock;
+    const position = this.getMidiSongPosition(now);
+    const reached = Math.floor(position + 1e-6);
+
+    // A late pulse or two are caught up; anything further is a jump
+    if (clock.next === null || reached < clock.next - PULSES_PER_MIDI_BEAT || reached >= clock.next + PULSES_PER_MIDI_BEAT) {
+      this.relocateMidiClock(position);
+    }
+
+    while (clock.next <= reached) {
+      if (clock.next === clock.startAt) {
+        this.sendMidi([clock.startAt === 0 ? 0xFA : 0xFB], clock.startAt === 0 ? 'Start' : 'Continue');
+        clock.running = true;
+        clock.startAt = null;
       }
-    }, msPerPulse);
+      this.sendMidi([0xF8]);
+      clock.next++;
+    }
+
+    const delay = this.getMidiPulseTime(clock.next) - now;
+    this.midiClockTimer = setTimeout(() => this.runMidiClock(), Math.max(Math.ceil(delay), 1));
   }
 
-  stopMidiClock() {
-    if (this.midiClockInterval) {
-      clearInterval(this.midiClockInterval);
-      this.midiClockInterval = null;
+  // Move receivers to a new position: Stop, then a Song Position Pointer to the next 16th note,
+  // and Continue once the timeline gets there. Bar 1 is started with Start instead.
+  relocateMidiClock(position) {
+    const clock = this.midiClock;
+    if (clock.running) {
+      this.sendMidi([0xFC], 'Stop');
+    }
+
+    const sixteenths = Math.max(Math.ceil(position / PULSES_PER_MIDI_BEAT - PULSE_TOLERANCE / PULSES_PER_MIDI_BEAT), 0);
+    clock.running = false;
+    clock.startAt = sixteenths * PULSES_PER_MIDI_BEAT;
+    clock.next = Math.min(Math.ceil(position - PULSE_TOLERANCE), clock.startAt);
+
+    if (sixteenths > 0) {
+      this.sendMidi(getSongPositionMessage(sixteenths), `Song Position ${sixteenths}`);
     }
+  }
+
+  // Song position in clock pulses from bar 1 at a time in the current bar
+  getMidiSongPosition(time) {
+    const entry = this.getCurrentEntry();
+    const barPulses = getBarQuarterNotes(entry.bar) * PULSES_PER_QUARTER;
+    const inBar = entry.duration > 0 ? Math.min(Math.max((time - this.getBarStartTime()) / entry.duration, 0), 1) : 0;
+    return getPathQuarterNotes(this.path, this.pathIndex) * PULSES_PER_QUARTER + inBar * barPulses;
+  }
+
+  // Time on the timeline of a pulse, or the end of the current bar for pulses after it
+  getMidiPulseTime(pulse) {
+    const entry = this.getCurrentEntry();
+    const barPulses = getBarQuarterNotes(entry.bar) * PULSES_PER_QUARTER;
+    const inBar = (pulse - getPathQuarterNotes(this.path, this.pathIndex) * PULSES_PER_QUARTER) / barPulses;
+    return this.getBarStartTime() + Math.min(inBar, 1) * entry.duration;
+  }
+
+  // Timecode output state: the next quarter frame to send (counted from 00:00:00:00) and the
+  // frame receivers were last located at
+  resetTimecode() {
+    this.timecode = { next: null, located: null };
+  }
+
+  // MIDI timecode output runs off the playback timeline like the clock, with the song's timecode
+  // start on bar 1. Quarter frames are sent as song time reaches them; after a jump a full frame
+  // locates receivers and quarter frames carry on from the next even frame.
+  runTimecode() {
+    clearTimeout(this.timecodeTimer);
+    this.timecodeTimer = null;
+    if (!this.isPlaying || !this.midiSettings.timecodeEnabled || !this.midiOutput) return;
+
+    const now = this.now();
+    this.advanceTimeline(now);
+    if (!this.isPlaying) return; // Song ended while advancing
+
+    const frameRate = this.midiSettings.timecodeFrameRate;
+    const timecode = this.timecode;
+    const position = this.getTimecodeFrames(now, frameRate) * QUARTER_FRAMES_PER_FRAME;
+    const reached = Math.floor(position + 1e-6);
+    const piecesPerMessage = 2 * QUARTER_FRAMES_PER_FRAME;
+
+    if (timecode.next === null || reached < timecode.next - piecesPerMessage || reached >= timecode.next + piecesPerMessage) {
+      this.sendTimecodeFullFrame(Math.round(position / QUARTER_FRAMES_PER_FRAME), frameRate);
+      timecode.next = Math.ceil(position / piecesPerMessage - 1e-6) * piecesPerMessage;
+    }
+
+    while (timecode.next <= reached) {
+      const piece = ((timecode.next % piecesPerMessage) + piecesPerMessage) % piecesPerMessage;
+      const frame = (timecode.next - piece) / QUARTER_FRAMES_PER_FRAME;
+      this.sendMidi(getQuarterFrameMessage(frame, frameRate, piece));
+      timecode.next++;
+    }
+
+    const delay = (timecode.next - position) / QUARTER_FRAMES_PER_FRAME * 1000 / getFrameRate(frameRate).rate;
+    this.timecodeTimer = setTimeout(() => this.runTimecode(), Math.max(Math.ceil(delay), 1));
+  }
+
+  // Locate receivers at the paused position, e.g. after a jump while paused
+  locateTimecodeOutput() {
+    if (!this.midiSettings.timecodeEnabled || !this.midiOutput || this.songStartTime === null) return;
+
+    const frameRate = this.midiSettings.timecodeFrameRate;
+    const frame = Math.round(this.getTimecodeFrames(this.getTimelineNow(), frameRate));
+    if (frame !== this.timecode.located) {
+      this.sendTimecodeFullFrame(frame, frameRate);
+    }
+  }
+
+  sendTimecodeFullFrame(frame, frameRate) {
+    this.sendMidi(getFullFrameMessage(frame, frameRate), `Timecode ${formatTimecode(frame, frameRate)}`);
+    this.timecode.located = frame;
+  }
+
+  // Timecode in frames at a time in the current bar
+  getTimecodeFrames(time, frameRate) {
+    const entries = this.path.entries;
+    const songStart = entries[this.path.songStartIndex];
+    const songTime = entries[this.pathIndex].startOffset - (songStart ? songStart.startOffset : 0) + time - this.getBarStartTime();
+    return this.getTimecodeStart(frameRate) + songTime * getFrameRate(frameRate).rate / 1000;
+  }
+
+  stopMidiClock() {
+    clearTimeout(this.midiClockTimer);
+    this.midiClockTimer = null;
+    this.resetMidiClock();
+    clearTimeout(this.timecodeTimer);
+    this.timecodeTimer = null;
+    this.timecode.next = null;
 
     // Send MIDI Stop message (0xFC)
-    if (this.midiOutput) {
+    if (this.midiOutput && this.midiSettings.enabled) {
       try {
         this.midiOutput.send([0xFC]);
         console.log('MIDI Stop sent');
@@ -357,28 +1098,39 @@ class MetronomeServer {
     }
   }
 
-  sendMidiContinue() {
-    if (!this.midiSettings.enabled || !this.midiOutput) return;
+  notifyClientCountChange() {
+    if (this.onClientCountChange) {
+      this.onClientCountChange(this.connectedClients);
+    }
+  }
 
-    try {
-      this.midiOutput.send([0xFB]); // MIDI Continue
-      console.log('MIDI Continue sent');
-    } catch (error) {
-      console.error('MIDI Continue error:', error);
+  notifyPositionChange() {
+    if (this.onPositionChange) {
+      this.onPositionChange(this.getPlaybackPosition());
+    }
+  }
+
+  notifySchedule(schedule) {
+    if (this.onSchedule) {
+      this.onSchedule(schedule);
     }
   }
 
-  updateMidiClockTempo(tempo) {
-    if (!this.midiSettings.enabled || !this.midiOutput || !this.isPlaying) return;
+  notifyMidiSyncChange() {
+    if (this.onMidiSyncChange) {
+      this.onMidiSyncChange(this.getMidiSyncStatus());
+    }
+  }
 
-    // Restart clock with new tempo
-    this.stopMidiClock();
-    this.startMidiClock(tempo);
+  notifyControlCommand(command) {
+    if (this.onControlCommand) {
+      this.onControlCommand(command);
+    }
   }
 
-  notifyClientCountChange() {
-    if (this.onClientCountChange) {
-      this.onClientCountChange(this.connectedClients);
+  notifyClientSyncChange() {
+    if (this.onClientSyncChange) {
+      this.onClientSyncChange(Array.from(this.clientSyncStats.values()));
     }
   }
 
@@ -445,10 +1197,9 @@ class MetronomeServer {
 
   stop() {
     this.pause();
-    if (this.oscClient) {
-      this.oscClient.close();
-      this.oscClient = null;
-    }
+    this.closeOscClients();
+    this.closeOscControl();
+    this.closeMidiInput();
     if (this.midiOutput) {
       this.stopMidiClock();
       this.midiOutput.close();
@@ -467,102 +1218,17 @@ class MetronomeServer {
   play() {
     if (this.isPlaying) return;
 
-    const wasPlaying = this.barStartTime !== null; // Check if resuming
-    this.isPlaying = true;
-    const now = Date.now();
-
-    // Start with countoff if specified and not resuming
-    if (!this.barStartTime && this.scoreData.countoff > 0) {
-      this.inCountoff = true;
-      this.countoffBarsRemaining = this.scoreData.countoff;
-      this.currentSectionIndex = 0;
-      this.currentBarInSection = 0;
-      this.currentBeat = 0;
-    }
-
-    if (!this.barStartTime) {
-      this.barStartTime = now;
-    }
-
-    // Start MIDI clock
-    const currentTempo = this.getCurrentTempo();
-    if (wasPlaying) {
-      this.sendMidiContinue();
-      this.startMidiClock(currentTempo);
-    } else {
-      this.startMidiClock(currentTempo);
-    }
-
+    this.startTimeline(); // MIDI clock starts with the schedule (see runMidiClock)
     this.startPlaybackLoop();
     this.io.emit('playback-started');
-  }
-
-  getCurrentTempo() {
-    if (this.inCountoff) {
-      return this.scoreData.sections[0]?.tempo || 120;
-    }
-
-    const currentSection = this.scoreData.sections[this.currentSectionIndex];
-    if (!currentSection) return 120;
-
-    // Check if NEXT section has a tempo transition that affects current bars
-    const nextSectionIndex = this.currentSectionIndex + 1;
-    if (nextSectionIndex < this.scoreData.sections.length) {
-      const nextSection = this.scoreData.sections[nextSectionIndex];
-      const transitionBars = nextSection.tempoTransitionBars || 0;
-
-      if (transitionBars > 0) {
-        // Calculate how many bars from the end of current section we are
-        const totalBarsInSection = currentSection.bars.length;
-        const barsFromEnd = totalBarsInSection - this.currentBarInSection;
-
-        // If we're within the transition range from the end
-        if (barsFromEnd <= transitionBars) {
-          const fromTempo = currentSection.tempo;
-          const toTempo = nextSection.tempo;
-
-          // Calculate progress: 0.0 at start of transition, 1.0 at end (section boundary)
-          const progress = (transitionBars - barsFromEnd + 1) / transitionBars;
-
-          // Linear interpolation
-          const interpolatedTempo = fromTempo + (toTempo - fromTempo) * progress;
-
-          return Math.round(interpolatedTempo);
-        }
-      }
-    }
-
-    return currentSection.tempo;
-  }
-
-  isInTempoTransition() {
-    if (this.inCountoff || !this.isPlaying) return false;
-
-    const currentSection = this.scoreData.sections[this.currentSectionIndex];
-    if (!currentSection) return false;
-
-    // Check if NEXT section has a tempo transition that affects current bars
-    const nextSectionIndex = this.currentSectionIndex + 1;
-    if (nextSectionIndex < this.scoreData.sections.length) {
-      const nextSection = this.scoreData.sections[nextSectionIndex];
-      const transitionBars = nextSection.tempoTransitionBars || 0;
-
-      if (transitionBars > 0) {
-        const totalBarsInSection = currentSection.bars.length;
-        const barsFromEnd = totalBarsInSection - this.currentBarInSection;
-
-        return barsFromEnd <= transitionBars;
-      }
-    }
-
-    return false;
+    this.sendOscFeedback('play');
+    this.broadcastSchedule();
   }
 
   pause() {
     if (!this.isPlaying) return;
 
-    this.isPlaying = false;
-    this.pendingJump = null; // Clear any pending jumps on pause
+    this.pauseTimeline();
 
     if (this.updateInterval) {
       clearInterval(this.updateInterval);
@@ -573,26 +1239,12 @@ class MetronomeServer {
     this.stopMidiClock();
 
     this.io.emit('playback-paused');
+    this.sendOscFeedback('pause');
+    this.notifySchedule(null);
   }
 
   stopPlayback() {
-    this.isPlaying = false;
-    this.inCountoff = false;
-    this.countoffBarsRemaining = 0;
-    this.currentSectionIndex = 0;
-    this.currentBarInSection = 0;
-    this.currentBeat = 0;
-    this.barStartTime = null;
-    this.lastTriggeredBar = -1; // Reset OSC trigger tracking
-    this.redirectTracking = {}; // Reset redirect tracking
-    this.pendingJump = null; // Clear any pending jumps
-    this.syncOffset = 0; // Reset sync offset
-    this.loopCurrentBarEnabled = false; // Disable loop current bar
-    this.loopCurrentBarNumber = null;
-    this.repeatStack = []; // Reset repeat tracking
-    this.currentPassNumber = 1;
-    this.hasJumpedViaDSorDC = false; // Reset D.S./D.C. navigation
-    this.shouldWatchForToCodaOrFine = false;
+    super.stopPlayback();
 
     if (this.updateInterval) {
       clearInterval(this.updateInterval);
@@ -603,6 +1255,10 @@ class MetronomeServer {
     this.stopMidiClock();
 
     this.io.emit('playback-stopped');
+    this.lastFeedback = null;
+    this.sendOscFeedback('stop');
+    this.notifyPositionChange();
+    this.notifySchedule(null);
   }
 
   seekToBar(absoluteBarNumber, mode = 'direct') {
@@ -612,50 +1268,50 @@ class MetronomeServer {
     } else {
       // Store pending jump to be executed at the appropriate time
       this.pendingJump = { barNumber: absoluteBarNumber, mode };
+      this.broadcastSchedule();
     }
   }
 
-  executeJump(absoluteBarNumber) {
-    // Find the section and bar for this absolute bar number
-    let remaining = absoluteBarNumber;
-    let sectionIndex = 0;
-
-    for (let i = 0; i < this.scoreData.sections.length; i++) {
-      const barsInSection = this.scoreData.sections[i].bars.length;
+  // Jump to an exact point of the performance, e.g. the second time through bar 12
+  seekToPathIndex(pathIndex) {
+    this.moveToPathIndex(pathIndex);
+    this.restartCurrentBar();
+  }
 
-      if (remaining <= barsInSection) {
-        sectionIndex = i;
-        break;
-      }
+  executeJump(absoluteBarNumber) {
+    this.moveToBar(absoluteBarNumber);
+    this.restartCurrentBar();
+  }
 
-      remaining -= barsInSection;
-      sectionIndex++;
+  restartCurrentBar() {
+    // A manual jump interrupts the current bar - the target bar starts right now
+    const now = this.getTimelineNow();
+    if (this.songStartTime === null) {
+      // Not started yet: anchor the timeline here so play() resumes from the target bar
+      this.songStartTime = now;
+      this.pausedAt = now;
     }
+    this.barStartOffset = now - this.songStartTime;
 
-    this.currentSectionIndex = Math.min(sectionIndex, this.scoreData.sections.length - 1);
-    this.currentBarInSection = remaining - 1;
-    this.currentBeat = 0;
-    this.inCountoff = false;
-    this.barStartTime = Date.now();
-
-    const state = this.getCurrentState();
-    this.io.emit('state-update', state);
+    this.broadcastSchedule();
   }
 
   setLoop(loopSettings) {
     this.loopEnabled = loopSettings.enabled;
     this.loopStart = loopSettings.start;
     this.loopEnd = loopSettings.end;
+    this.broadcastSchedule();
   }
 
   setLoopCurrentBar(enabled) {
     this.loopCurrentBarEnabled = enabled;
-    if (enabled && this.isPlaying && !this.inCountoff) {
+    if (enabled && this.isPlaying && !this.isInCountoff()) {
       // Store the current bar number when enabling
       this.loopCurrentBarNumber = this.getAbsoluteBarNumber();
     } else if (!enabled) {
       this.loopCurrentBarNumber = null;
     }
+    this.broadcastSchedule();
   }
 
   adjustSyncOffset(ms) {
@@ -664,10 +1320,11 @@ class MetronomeServer {
     // Adjust the sync offset
     this.syncOffset += ms;
 
-    // Apply the offset by adjusting barStartTime
+    // Apply the offset by shifting the timeline origin
     // Positive offset = shift playback forward (earlier beat)
     // Negative offset = shift playback backward (later beat)
-    this.barStartTime -= ms;
+    this.songStartTime -= ms;
+    this.broadcastSchedule();
 
     return this.syncOffset;
   }
@@ -678,20 +1335,11 @@ class MetronomeServer {
     const barInfo = this.getCurrentBarInfo();
     if (!barInfo) return this.syncOffset;
 
-    // Calculate beat duration
-    const barDuration = this.getBarDuration(
-      barInfo.tempo,
-      barInfo.timeSignature,
-      barInfo.isFermata,
-      barInfo.fermataDuration,
-      barInfo.fermataDurationType
-    );
-    const beatDuration = barInfo.isFermata ? barDuration : barDuration / barInfo.timeSignature.beats;
-
     // Adjust by one beat duration
-    const adjustment = direction * beatDuration;
+    const adjustment = direction * this.getCurrentBeatDuration();
     this.syncOffset += adjustment;
-    this.barStartTime -= adjustment;
+    this.songStartTime -= adjustment;
+    this.broadcastSchedule();
 
     return Math.round(this.syncOffset);
   }
@@ -702,45 +1350,44 @@ class MetronomeServer {
       return;
     }
 
-    // Remove the current offset from barStartTime
-    this.barStartTime += this.syncOffset;
+    // Remove the current offset from the timeline origin
+    this.songStartTime += this.syncOffset;
     this.syncOffset = 0;
+    this.broadcastSchedule();
   }
 
   updateScore(newScoreData) {
+    const previousName = this.scoreData.name;
     this.scoreData = newScoreData;
     this.loopEnabled = newScoreData.loop?.enabled || false;
     this.loopStart = newScoreData.loop?.start || null;
     this.loopEnd = newScoreData.loop?.end || null;
 
-    this.buildBarStructure();
+    this.compileScore();
 
     // Don't stop playback - just update the score data
     // This allows live editing while playing
 
-    // Send new score data to all clients
+    // Send new score data to all clients - tempo and structure edits change the upcoming bars
     this.io.emit('score-data', this.scoreData);
-  }
+    this.broadcastSchedule();
 
-  getSubdivisionCount(subdivision) {
-    switch (subdivision) {
-      case '8th': return 2;
-      case '16th': return 4;
-      case 'triplet': return 3;
-      case 'quintuplet': return 5;
-      case 'sextuplet': return 6;
-      default: return 1;
+    if (newScoreData.name !== previousName) {
+      this.sendOscFeedback('song', [newScoreData.name || 'Untitled']);
     }
   }
 
   startPlaybackLoop() {
+    // The tick advances the timeline and fires bar-level side effects (OSC).
+    // Clients are only sent a new schedule when a bar starts or the plan is invalidated.
     const updateRate = 1000 / 60; // 60Hz
-    let lastTempo = this.getCurrentTempo();
 
     this.updateInterval = setInterval(() => {
       if (!this.isPlaying) return;
 
-      const now = Date.now();
+      this.advanceTimeline(this.now());
+      if (!this.isPlaying) return; // Song ended while advancing
+
       const barInfo = this.getCurrentBarInfo();
 
       if (!barInfo) {
@@ -748,48 +1395,8 @@ class MetronomeServer {
         return;
       }
 
-      // Use interpolated tempo if in transition
-      const currentTempo = this.getCurrentTempo();
-
-      const barDuration = this.getBarDuration(
-        currentTempo,
-        barInfo.timeSignature,
-        barInfo.isFermata,
-        barInfo.fermataDuration,
-        barInfo.fermataDurationType
-      );
-      const beatDuration = barInfo.isFermata ? barDuration : barDuration / barInfo.timeSignature.beats;
-      const elapsed = now - this.barStartTime;
-
-      // Update MIDI clock if tempo has changed
-      if (currentTempo !== lastTempo) {
-        this.updateMidiClockTempo(currentTempo);
-        lastTempo = currentTempo;
-      }
-
-      // Calculate current beat
-      const newBeat = Math.floor(elapsed / beatDuration);
-
-      // Calculate subdivision within current beat
-      const subdivisionCount = this.getSubdivisionCount(barInfo.subdivision);
-      const elapsedInBeat = elapsed - (newBeat * beatDuration);
-      const subdivisionDuration = beatDuration / subdivisionCount;
-      const currentSubdivision = Math.floor(elapsedInBeat / subdivisionDuration);
-
-      if (elapsed >= barDuration) {
-        this.advanceToNextBar();
-      } else if (newBeat !== this.currentBeat) {
-        this.currentBeat = newBeat;
-
-        // Check for pending jump on next beat
-        if (this.pendingJump && this.pendingJump.mode === 'nextBeat') {
-          this.executeJump(this.pendingJump.barNumber);
-          this.pendingJump = null;
-        }
-      }
-
       // Check for OSC trigger on bar start (beat 0, new bar)
-      if (!this.inCountoff && barInfo.absoluteNumber !== this.lastTriggeredBar) {
+      if (!this.isInCountoff() && barInfo.absoluteNumber !== this.lastTriggeredBar) {
         this.lastTriggeredBar = barInfo.absoluteNumber;
         if (barInfo.oscAddress) {
           // Parse args - split by comma and try to convert numbers
@@ -805,413 +1412,56 @@ class MetronomeServer {
         }
       }
 
-      // Send state update to all clients
-      const state = this.getCurrentState();
-      state.subdivision = barInfo.subdivision;
-      state.subdivisionCount = subdivisionCount;
-      state.currentSubdivision = currentSubdivision;
-      this.io.emit('state-update', state);
-
-    }, updateRate);
-  }
-
-  findMatchingStartRepeat(endBarIndex) {
-    // Search backwards from endBarIndex to find matching start repeat
-    for (let i = endBarIndex - 1; i >= 0; i--) {
-      if (this.flatBars[i].startRepeat) {
-        return i + 1; // Return 1-indexed bar number
-      }
-    }
-    // If no start repeat found, return bar 1
-    return 1;
-  }
-
-  shouldSkipBarDueToVolta(barInfo) {
-    // If bar has no volta, don't skip it
-    if (!barInfo.volta) return false;
-
-    // Handle both array and single number (backwards compatibility)
-    const voltaArray = Array.isArray(barInfo.volta) ? barInfo.volta : [barInfo.volta];
-
-    // Skip this bar if currentPassNumber is NOT in the volta array
-    return !voltaArray.includes(this.currentPassNumber);
-  }
-
-  getMaxVoltaInRepeatSection(startBarIndex, endBarIndex) {
-    // Find the highest volta number in and around the repeat section
-    // Scan from start repeat to end repeat, AND beyond end repeat to find volta bars that follow
-    let maxVolta = 1;
-
-    // First scan the repeat section itself
-    for (let i = startBarIndex; i <= endBarIndex; i++) {
-      const bar = this.flatBars[i];
-      if (bar && bar.volta) {
-        const voltaArray = Array.isArray(bar.volta) ? bar.volta : [bar.volta];
-        const maxInBar = Math.max(...voltaArray);
-        maxVolta = Math.max(maxVolta, maxInBar);
-      }
-    }
-
-    // Then scan bars immediately after the end repeat to find additional volta endings
-    // Continue scanning while we find consecutive bars with volta markers
-    for (let i = endBarIndex + 1; i < this.flatBars.length; i++) {
-      const bar = this.flatBars[i];
-      if (bar && bar.volta) {
-        const voltaArray = Array.isArray(bar.volta) ? bar.volta : [bar.volta];
-        const maxInBar = Math.max(...voltaArray);
-        maxVolta = Math.max(maxVolta, maxInBar);
-      } else {
-        // Stop when we hit a bar without volta (end of volta sequence)
-        break;
+      // A new bar has started - move the schedule window forward
+      if (this.getBarStartTime() !== this.scheduledBarStartTime) {
+        this.broadcastSchedule();
       }
-    }
 
-    return maxVolta;
-  }
+      this.sendPositionFeedback();
 
-  findSegnoBar() {
-    // Find the first bar with segno marker
-    for (let i = 0; i < this.flatBars.length; i++) {
-      if (this.flatBars[i].segno) {
-        return i + 1; // Return 1-indexed bar number
-      }
-    }
-    return null;
-  }
-
-  findCodaBar() {
-    // Find the first bar with coda marker
-    for (let i = 0; i < this.flatBars.length; i++) {
-      if (this.flatBars[i].coda) {
-        return i + 1; // Return 1-indexed bar number
-      }
-    }
-    return null;
+    }, updateRate);
   }
 
-  advanceToNextBar() {
-    // Check for loop current bar (highest priority)
-    if (this.loopCurrentBarEnabled && this.loopCurrentBarNumber && !this.inCountoff) {
-      this.executeJump(this.loopCurrentBarNumber);
-      return;
-    }
-
-    // Check for pending jump after bar
-    if (this.pendingJump && this.pendingJump.mode === 'afterBar') {
-      this.executeJump(this.pendingJump.barNumber);
-      this.pendingJump = null;
-      return;
-    }
-
-    if (this.inCountoff) {
-      this.countoffBarsRemaining--;
-
-      if (this.countoffBarsRemaining <= 0) {
-        // Countoff finished, start real song
-        this.inCountoff = false;
-        this.currentSectionIndex = 0;
-        this.currentBarInSection = 0;
-      }
-
-      this.currentBeat = 0;
-      this.barStartTime = Date.now();
-      return;
-    }
-
-    const currentAbsoluteBar = this.getAbsoluteBarNumber();
-    const currentBarInfo = this.flatBars[currentAbsoluteBar - 1];
-
-    // Check for Fine marker (only active after D.S./D.C. jump)
-    if (currentBarInfo && currentBarInfo.fine && this.shouldWatchForToCodaOrFine) {
-      console.log('Fine marker reached - stopping playback');
-      this.stopPlayback();
-      return;
-    }
-
-    // Check for To Coda marker (only active after D.S./D.C. jump)
-    if (currentBarInfo && currentBarInfo.toCoda && this.shouldWatchForToCodaOrFine) {
-      const codaBar = this.findCodaBar();
-      if (codaBar) {
-        console.log(`To Coda marker - jumping to bar ${codaBar}`);
-        this.shouldWatchForToCodaOrFine = false; // Disable further watching
-        this.seekToBar(codaBar);
-        return;
-      } else {
-        console.warn('To Coda marker found but no Coda marker exists');
-      }
-    }
-
-    // Check for Dal Segno (D.S.) marker
-    if (currentBarInfo && currentBarInfo.dalSegno && !this.hasJumpedViaDSorDC) {
-      const segnoBar = this.findSegnoBar();
-      if (segnoBar) {
-        console.log(`Dal Segno - jumping to bar ${segnoBar}`);
-        this.hasJumpedViaDSorDC = true;
-        this.shouldWatchForToCodaOrFine = true;
-        this.seekToBar(segnoBar);
-        return;
-      } else {
-        console.warn('Dal Segno marker found but no Segno marker exists');
-      }
-    }
-
-    // Check for Da Capo (D.C.) marker
-    if (currentBarInfo && currentBarInfo.daCapo && !this.hasJumpedViaDSorDC) {
-      console.log('Da Capo - jumping to bar 1');
-      this.hasJumpedViaDSorDC = true;
-      this.shouldWatchForToCodaOrFine = true;
-      this.seekToBar(1);
-      return;
-    }
-
-    // Check for redirect with limit
-    if (currentBarInfo && currentBarInfo.redirect) {
-      const redirectKey = `${currentAbsoluteBar}-${currentBarInfo.redirect}`;
-
-      // Initialize tracking for this redirect if not exists
-      if (!this.redirectTracking[redirectKey]) {
-        this.redirectTracking[redirectKey] = 0;
-      }
-
-      // Check if we should redirect (before incrementing)
-      if (this.redirectTracking[redirectKey] < currentBarInfo.redirectCount) {
-        this.redirectTracking[redirectKey]++;
-        this.seekToBar(currentBarInfo.redirect);
-        return;
-      } else {
-        // Reset counter and continue to next bar
-        this.redirectTracking[redirectKey] = 0;
-        // Fall through to continue to next bar normally
-      }
-    }
-
-    // Check for end repeat
-    if (currentBarInfo && currentBarInfo.endRepeat) {
-      // If this bar has a volta, check if we should honor the end repeat
-      // Only process end repeat if the volta matches the current pass OR if there's no volta
-      const shouldHonorEndRepeat = !currentBarInfo.volta || !this.shouldSkipBarDueToVolta(currentBarInfo);
-
-      if (shouldHonorEndRepeat) {
-        const startRepeatBar = this.findMatchingStartRepeat(currentAbsoluteBar - 1);
-
-        // Check if we're already in this repeat
-        const existingRepeat = this.repeatStack.find(r => r.startBar === startRepeatBar);
-
-        if (existingRepeat) {
-          existingRepeat.timesPlayed++;
-
-          // Calculate max repeats based on highest volta number in the section
-          const maxVoltaNumber = this.getMaxVoltaInRepeatSection(startRepeatBar - 1, currentAbsoluteBar - 1);
-          const maxRepeats = maxVoltaNumber > 1 ? maxVoltaNumber : 2; // Default to 2 if no voltas
-
-          if (existingRepeat.timesPlayed < maxRepeats) {
-            // Repeat again - increment pass number and jump back
-            this.currentPassNumber++;
-            this.seekToBar(startRepeatBar);
-            return;
-          } else {
-            // Done repeating - remove from stack and reset pass number
-            this.repeatStack = this.repeatStack.filter(r => r.startBar !== startRepeatBar);
-            this.currentPassNumber = 1;
-            // Fall through to continue to next bar
-          }
-        } else {
-          // First time encountering this repeat
-          this.repeatStack.push({ startBar: startRepeatBar, timesPlayed: 1, endBar: currentAbsoluteBar });
-          this.currentPassNumber = 2; // Next pass
-          this.seekToBar(startRepeatBar);
-          return;
-        }
-      } else {
-        // Not honoring end repeat due to volta mismatch - clean up repeat stack
-        const startRepeatBar = this.findMatchingStartRepeat(currentAbsoluteBar - 1);
-        this.repeatStack = this.repeatStack.filter(r => r.startBar !== startRepeatBar);
-        this.currentPassNumber = 1;
-        // Fall through to continue to next bar normally
-      }
-    }
-
-    // Check for loop
-    if (this.loopEnabled && this.loopEnd && currentAbsoluteBar >= this.loopEnd) {
-      this.lastTriggeredBar = -1; // Reset OSC tracking so triggers fire again on loop
-      this.seekToBar(this.loopStart || 1);
-      return;
-    }
-
-    // Advance to next bar
-    const currentSection = this.scoreData.sections[this.currentSectionIndex];
-
-    if (this.currentBarInSection + 1 < currentSection.bars.length) {
-      // Stay in same section
-      this.currentBarInSection++;
-    } else {
-      // Move to next section
-      if (this.currentSectionIndex + 1 < this.scoreData.sections.length) {
-        this.currentSectionIndex++;
-        this.currentBarInSection = 0;
-      } else {
-        // End of song
-        if (this.onSongEnd) {
-          this.onSongEnd();
-        }
-
-        // If repeat is enabled, loop back to beginning (skip countoff on repeat)
-        if (this.repeatSong) {
-          this.currentSectionIndex = 0;
-          this.currentBarInSection = 0;
-          this.lastTriggeredBar = -1; // Reset OSC tracking so triggers fire again on loop
-          // Don't restart countoff on loop - go straight to bar 1
-        } else {
-          // Stop playback at end of song
-          this.stopPlayback();
-          return;
-        }
-      }
-    }
-
-    // Skip bars based on volta brackets
-    // Keep advancing while the current bar should be skipped
-    let safetyCounter = 0;
-    let skippedAnyBars = false;
-    while (safetyCounter < 100) { // Prevent infinite loops
-      const nextAbsoluteBar = this.getAbsoluteBarNumber();
-      const nextBarInfo = this.flatBars[nextAbsoluteBar - 1];
-
-      if (!nextBarInfo || !this.shouldSkipBarDueToVolta(nextBarInfo)) {
-        break; // Found a bar we shouldn't skip
-      }
-
-      skippedAnyBars = true;
-
-      // Check if this skipped bar has an end repeat - if so, clean up repeat state
-      if (nextBarInfo.endRepeat) {
-        const startRepeatBar = this.findMatchingStartRepeat(nextAbsoluteBar - 1);
-        this.repeatStack = this.repeatStack.filter(r => r.startBar !== startRepeatBar);
-        // DON'T reset currentPassNumber here - keep it so subsequent volta bars can be played
-      }
-
-      // Skip this bar - advance again
-      const section = this.scoreData.sections[this.currentSectionIndex];
-      if (this.currentBarInSection + 1 < section.bars.length) {
-        this.currentBarInSection++;
-      } else {
-        // Move to next section
-        if (this.currentSectionIndex + 1 < this.scoreData.sections.length) {
-          this.currentSectionIndex++;
-          this.currentBarInSection = 0;
-        } else {
-          // End of song while skipping
-          break;
-        }
-      }
-
-      safetyCounter++;
-    }
-
-    // After skipping volta bars, check if we should reset currentPassNumber
-    // Reset to 1 if the current bar we landed on has no volta AND we're not in any active repeat
-    const currentAbsoluteBarAfterSkip = this.getAbsoluteBarNumber();
-    const currentBarInfoAfterSkip = this.flatBars[currentAbsoluteBarAfterSkip - 1];
-    if (currentBarInfoAfterSkip && !currentBarInfoAfterSkip.volta && this.currentPassNumber > 1 && this.repeatStack.length === 0) {
-      // We've moved past all volta bars and exited all repeats, reset to pass 1
-      this.currentPassNumber = 1;
-    }
-
-    this.currentBeat = 0;
-    this.barStartTime = Date.now();
+  getSchedule() {
+    return {
+      version: this.scheduleVersion,
+      songName: this.scoreData.name || 'Untitled',
+      serverTime: this.now(),
+      bars: this.planSchedule(SCHEDULE_BARS_AHEAD),
+      backingTrack: this.getBackingTrackInfo()
+    };
   }
 
-  getBarDuration(tempo, timeSignature, isFermata = false, fermataDuration = 4, fermataDurationType = 'beats') {
-    if (isFermata) {
-      if (fermataDurationType === 'seconds') {
-        // Duration in seconds - convert to milliseconds
-        return fermataDuration * 1000;
-      } else {
-        // Duration in beats - calculate based on tempo
-        const tempoPercentage = this.scoreData.tempoPercentage || 100;
-        const adjustedTempo = tempo * (tempoPercentage / 100);
-        const beatsPerSecond = adjustedTempo / 60;
-        const secondsForDuration = fermataDuration / beatsPerSecond;
-        return secondsForDuration * 1000;
-      }
-    }
+  // Where players load the backing track from and how fast it plays, or null without one.
+  // The URL changes with the file so clients reload it when the song changes.
+  getBackingTrackInfo() {
+    const backingTrack = this.scoreData.backingTrack;
+    if (!backingTrack || !backingTrack.path) return null;
 
-    const beatsPerBar = timeSignature.beats;
-    // Apply tempo percentage (default to 100% if not set)
-    const tempoPercentage = this.scoreData.tempoPercentage || 100;
-    const adjustedTempo = tempo * (tempoPercentage / 100);
-    const beatsPerSecond = adjustedTempo / 60;
-    const secondsPerBar = beatsPerBar / beatsPerSecond;
-    return secondsPerBar * 1000;
+    return {
+      url: `/backing-track?file=${crypto.createHash('sha1').update(backingTrack.path).digest('hex').slice(0, 12)}`,
+      rate: this.getBackingTrackRate()
+    };
   }
 
-  getCurrentState() {
+  // Publish the upcoming bars to all clients. Called whenever a bar starts and whenever the
+  // plan changes (jumps, pending jumps, loops, sync nudges, score or tempo edits), which also
+  // moves the MIDI clock.
+  broadcastSchedule() {
+    this.notifyPositionChange();
     if (!this.isPlaying) {
-      return {
-        isPlaying: false,
-        barNumber: 1,
-        beat: 0,
-        progress: 0,
-        chords: '',
-        sectionName: '',
-        timeSignature: { beats: 4, noteValue: 4 },
-        isCountoff: false
-      };
-    }
-
-    const barInfo = this.getCurrentBarInfo();
-
-    if (!barInfo) {
-      return {
-        isPlaying: false,
-        barNumber: 1,
-        beat: 0,
-        progress: 0,
-        chords: '',
-        sectionName: '',
-        timeSignature: { beats: 4, noteValue: 4 },
-        isCountoff: false
-      };
+      this.locateTimecodeOutput();
+      return;
     }
 
-    const now = Date.now();
-    const currentTempo = this.getCurrentTempo();
-    const barDuration = this.getBarDuration(
-      currentTempo,
-      barInfo.timeSignature,
-      barInfo.isFermata,
-      barInfo.fermataDuration,
-      barInfo.fermataDurationType
-    );
-    const elapsed = now - this.barStartTime;
-    const progress = Math.min(elapsed / barDuration, 1);
-
-    // Determine if current beat is accented
-    const accentPattern = barInfo.accentPattern || [];
-    const isAccent = accentPattern.includes(this.currentBeat) || this.currentBeat === 0;
+    this.scheduleVersion++;
+    this.scheduledBarStartTime = this.getBarStartTime();
 
-    return {
-      isPlaying: true,
-      barNumber: barInfo.absoluteNumber || 0,
-      beat: this.currentBeat,
-      progress: progress,
-      chords: barInfo.chords || '',
-      sectionName: barInfo.sectionName || '',
-      songName: this.scoreData.name || 'Untitled',
-      timeSignature: barInfo.timeSignature,
-      tempo: currentTempo,
-      isCountoff: this.inCountoff,
-      countoffBarsRemaining: this.countoffBarsRemaining,
-      accentPattern: barInfo.accentPattern || [],
-      subdivision: barInfo.subdivision || 'none',
-      isFermata: barInfo.isFermata || false,
-      fermataDuration: barInfo.fermataDuration || 4,
-      fermataDurationType: barInfo.fermataDurationType || 'beats',
-      isTempoTransition: this.isInTempoTransition(),
-      // Click track data
-      serverTimestamp: Date.now(),
-      isAccent: isAccent
-    };
+    const schedule = this.getSchedule();
+    this.io.emit('schedule', schedule);
+    this.notifySchedule(schedule);
+    this.runMidiClock();
+    this.runTimecode();
   }
 }
 
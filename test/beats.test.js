@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getTempoFromBeats, analyzeAudio, proposeTempoMap } = require('../beats');
+
+const SAMPLE_RATE = 22050;
+
+// Deterministic noise, so every run analyzes the same audio
+function createNoise(seed = 1) {
+  return () => {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+    return seed / 0x7fffffff * 2 - 1;
+  };
+}
+
+// A click on every beat of the given bars ([{ tempo, beats }]), with a low thump on each
+// downbeat. Returns the samples and the beat times (ms).
+function renderClicks(bars, { start = 500, pickupBeats = 0, jitter = 0 } = {}) {
+  const noise = createNoise();
+  const beats = [];
+  let time = start;
+
+  for (let i = 0; i < pickupBeats; i++) {
+    beats.push({ time, downbeat: false });
+    time += 60000 / bars[0].tempo;
+  }
+  bars.forEach(bar => {
+    for (let beat = 0; beat < bar.beats; beat++) {
+      beats.push({ time: time + noise() * jitter, downbeat: beat === 0 });
+      time += 60000 / bar.tempo;
+    }
+  });
+
+  const samples = new Float32Array(Math.ceil((time / 1000 + 1) * SAMPLE_RATE));
+  for (let i = 0; i < samples.length; i++) samples[i] = noise() * 0.005;
+
+  beats.forEach(beat => {
+    const offset = Math.round(beat.time / 1000 * SAMPLE_RATE);
+    for (let i = 0; i < SAMPLE_RATE * 0.08 && offset + i < samples.length; i++) {
+      samples[offset + i] += Math.exp(-i / (SAMPLE_RATE * 0.01)) * 0.5 * noise();
+      if (beat.downbeat) {
+        samples[offset + i] += Math.exp(-i / (SAMPLE_RATE * 0.03)) * Math.sin(2 * Math.PI * 80 * i / SAMPLE_RATE);
+      }
+    }
+  });
+
+  return { samples, beats };
+}
+
+function bars(tempo, count, beats = 4) {
+  return Array.from({ length: count }, () => ({ tempo, beats }));
+}
+
+function summarize(sections) {
+  return sections.map(section => [section.tempo, `${section.timeSignature.beats}/${section.timeSignature.noteValue}`, section.bars.length, section.tempoTransitionBars]);
+}
+
+test('tempo from beat times averages over all intervals', () => {
+  assert.strictEqual(getTempoFromBeats([0, 500, 1000, 1500]), 120);
+  assert.strictEqual(getTempoFromBeats([0, 590, 1000, 1500]), 120);
+  assert.strictEqual(getTempoFromBeats([1000]), null);
+});
+
+test('beats of a steady recording are found within a few milliseconds', () => {
+  const { samples, beats } = renderClicks(bars(100, 12));
+  const analysis = analyzeAudio(samples, SAMPLE_RATE);
+
+  assert.strictEqual(analysis.beats.length, beats.length);
+  analysis.beats.forEach((beat, i) => {
+    assert.ok(Math.abs(beat.time - beats[i].time) < 5, `beat ${i + 1} at ${beat.time.toFixed(1)} ms`);
+  });
+  assert.deepStrictEqual(summarize(analysis.sections), [[100, '4/4', 12, 0]]);
+  assert.ok(Math.abs(analysis.offset - 500) < 5);
+});
+
+test('bars start on the accented beat after a pickup, in three', () => {
+  const { samples, beats } = renderClicks(bars(90, 8, 3), { pickupBeats: 2, jitter: 8 });
+  const analysis = analyzeAudio(samples, SAMPLE_RATE);
+
+  assert.strictEqual(analysis.beatsPerBar, 3);
+  assert.ok(Math.abs(analysis.offset - beats[2].time) < 5);
+  assert.deepStrictEqual(summarize(analysis.sections), [[90, '3/4', 8, 0]]);
+});
+
+test('tempo steps start sections and gradual changes become tempo transitions', () => {
+  const ramp = [107.5, 115, 122.5, 130].map(tempo => ({ tempo, beats: 4 }));
+  const { samples } = renderClicks([...bars(100, 8), ...ramp, ...bars(130, 6), ...bars(96, 6)], { jitter: 5 });
+  const analysis = analyzeAudio(samples, SAMPLE_RATE);
+
+  assert.deepStrictEqual(summarize(analysis.sections), [[100, '4/4', 12, 0], [130, '4/4', 6, 4], [96, '4/4', 6, 0]]);
+  assert.deepStrictEqual(analysis.sections.map(section => section.name), ['Section 1', 'Section 2', 'Section 3']);
+});
+
+test('the beats can be grouped into bars of another length', () => {
+  const beats = Array.from({ length: 13 }, (_, i) => ({ time: 1000 + i * 500, strength: 1, accent: i % 4 === 0 ? 2 : 1 }));
+
+  assert.strictEqual(proposeTempoMap(beats).barCount, 3);
+  const inTwo = proposeTempoMap(beats, 2);
+  assert.deepStrictEqual(summarize(inTwo.sections), [[120, '2/4', 6, 0]]);
+  assert.strictEqual(inTwo.offset, 1000);
+});
+
+test('silence has no beats to propose', () => {
+  assert.throws(() => analyzeAudio(new Float32Array(SAMPLE_RATE * 3), SAMPLE_RATE), /No beat found/);
+});
@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_CLICK_PROFILE, normalizeClickProfile, getClickVoice, renderClickSound } = require('../public/click-sounds');
+
+test('each beat and subdivision is played by its own voice', () => {
+  assert.strictEqual(getClickVoice(0, 0, false), 'downbeat');
+  assert.strictEqual(getClickVoice(0, 0, true), 'downbeat');
+  assert.strictEqual(getClickVoice(2, 0, true), 'accent');
+  assert.strictEqual(getClickVoice(1, 0, false), 'beat');
+  assert.strictEqual(getClickVoice(0, 1, true), 'subdivision');
+});
+
+test('profiles are completed with the default voices and valid values', () => {
+  assert.deepStrictEqual(normalizeClickProfile(null), DEFAULT_CLICK_PROFILE);
+
+  const profile = normalizeClickProfile({
+    downbeat: { sound: 'cowbell', volume: 150 },
+    accent: { sound: 'sample', sampleUrl: '/click-sample/accent?file=abc', volume: '40' },
+    beat: { sound: 'sample', volume: 80 }, // No recording
+    subdivision: { sound: 'gong' }
+  });
+
+  assert.deepStrictEqual(profile.downbeat, { sound: 'cowbell', volume: 100 });
+  assert.deepStrictEqual(profile.accent, { sound: 'sample', sampleUrl: '/click-sample/accent?file=abc', volume: 40 });
+  assert.deepStrictEqual(profile.beat, { sound: 'beep', volume: 80 });
+  assert.deepStrictEqual(profile.subdivision, DEFAULT_CLICK_PROFILE.subdivision);
+});
+
+test('accented clicks are louder than the other beats for every sound', () => {
+  const peak = samples => samples.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+  ['beep', 'woodblock', 'cowbell', 'hihat', 'rimshot'].forEach(sound => {
+    assert.ok(Math.abs(peak(renderClickSound(sound, true, 44100)) - 1) < 1e-6, sound);
+    assert.ok(Math.abs(peak(renderClickSound(sound, false, 44100)) - 0.6) < 1e-6, sound);
+  });
+});
@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { compilePerformancePath, formatTimesPlayed } = require('../compiler');
+const { PlaybackEngine } = require('../engine');
+const { bar, score } = require('./helpers');
+
+function loadFixture(name) {
+  return require(path.join(__dirname, 'fixtures', `${name}.json`));
+}
+
+test('entries count how many times each bar has been played', () => {
+  const { entries } = compilePerformancePath(loadFixture('first-second-endings'));
+  assert.deepStrictEqual(
+    entries.map(entry => `${entry.barNumber}:${entry.timesPlayed}`),
+    ['1:1', '2:1', '3:1', '4:1', '5:1', '7:1', '1:2', '2:2', '3:2', '4:2', '6:1', '7:2']
+  );
+});
+
+test('entries reached by a jump are marked', () => {
+  const { entries } = compilePerformancePath(score([bar({ startRepeat: true }), bar({ endRepeat: true }), bar()]));
+  assert.deepStrictEqual(entries.map(entry => entry.isJump), [false, false, true, false, false]);
+});
+
+test('countoff entries come first and are left out of the song duration', () => {
+  const scoreData = score([bar(), bar({ isFermata: true, fermataDuration: 3, fermataDurationType: 'seconds' })], { countoff: 2 });
+  const { entries, songStartIndex, songDuration, ending } = compilePerformancePath(scoreData);
+
+  assert.strictEqual(songStartIndex, 2);
+  assert.deepStrictEqual(entries.map(entry => entry.barNumber), [0, 0, 1, 2]);
+  assert.deepStrictEqual(entries.map(entry => entry.startOffset), [0, 2000, 4000, 6000]);
+  assert.strictEqual(songDuration, 5000);
+  assert.strictEqual(ending, 'end');
+});
+
+test('tempo transitions and tempo percentage are part of each entry', () => {
+  const scoreData = score([bar(), bar()], { tempoPercentage: 50 });
+  scoreData.sections.push({ name: 'B', tempo: 60, tempoTransitionBars: 2, timeSignature: { beats: 4, noteValue: 4 }, bars: [bar()] });
+
+  const { entries } = compilePerformancePath(scoreData);
+  assert.deepStrictEqual(entries.map(entry => entry.tempo), [90, 60, 60]);
+  assert.deepStrictEqual(entries.map(entry => entry.isTempoTransition), [true, true, false]);
+  assert.deepStrictEqual(entries.map(entry => Math.round(entry.duration)), [5333, 8000, 8000]);
+});
+
+test('navigation that never ends is cut off', () => {
+  const { entries, ending } = compilePerformancePath(score([bar(), bar({ redirect: 1, redirectCount: Infinity })]));
+  assert.strictEqual(ending, 'limit');
+  assert.strictEqual(entries.length, 10000);
+});
+
+test('Fine ends the path', () => {
+  const { ending } = compilePerformancePath(loadFixture('dc-al-fine'));
+  assert.strictEqual(ending, 'fine');
+});
+
+test('seeking back stays on the current pass, seeking forward finds the next one', () => {
+  const engine = new PlaybackEngine(loadFixture('first-second-endings'));
+  engine.moveToPathIndex(8); // Bar 3, 2nd time
+
+  engine.moveToBar(1);
+  assert.deepStrictEqual([engine.pathIndex, engine.getCurrentEntry().timesPlayed], [6, 2]);
+
+  engine.moveToBar(6);
+  assert.deepStrictEqual([engine.pathIndex, engine.getCurrentEntry().timesPlayed], [10, 1]);
+});
+
+test('seeking to a bar that is never played lands on the next bar that is', () => {
+  const engine = new PlaybackEngine(score([bar(), bar({ volta: 3 }), bar()]));
+  engine.moveToBar(2);
+  assert.strictEqual(engine.getAbsoluteBarNumber(), 3);
+});
+
+test('playback position reports the pass and song time', () => {
+  const engine = new PlaybackEngine(loadFixture('first-second-endings'));
+  engine.moveToPathIndex(7); // Bar 2, 2nd time
+
+  const position = engine.getPlaybackPosition();
+  assert.strictEqual(position.barNumber, 2);
+  assert.strictEqual(position.timesPlayed, 2);
+  assert.strictEqual(position.elapsed, 14000);
+  assert.strictEqual(position.songDuration, 24000);
+});
+
+test('times played is spelled out', () => {
+  assert.deepStrictEqual([1, 2, 3, 4, 11, 12, 21].map(formatTimesPlayed),
+    ['1st time', '2nd time', '3rd time', '4th time', '11th time', '12th time', '21st time']);
+});
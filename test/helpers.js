@@ -0,0 +1,26 @@
+// Score builders shared by the tests. Sections default to 4/4 at 120 bpm, scores to no countoff.
+
+function bar(options = {}) {
+  return { chords: '', ...options };
+}
+
+function section(bars, options = {}) {
+  return { name: 'A', tempo: 120, timeSignature: { beats: 4, noteValue: 4 }, bars, ...options };
+}
+
+// Score of several sections
+function scoreWithSections(sections, options = {}) {
+  return { name: 'Test', countoff: 0, sections, ...options };
+}
+
+// Score of a single section
+function score(bars, options = {}) {
+  return scoreWithSections([section(bars)], options);
+}
+
+module.exports = {
+  bar,
+  section,
+  score,
+  scoreWithSections
+};
@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { EditHistory } = require('../history');
+
+test('undo and redo step through recorded states', () => {
+  const history = new EditHistory();
+  history.reset({ tempo: 120 });
+  history.record({ tempo: 130 });
+  history.record({ tempo: 140 });
+
+  assert.deepStrictEqual(history.undo(), { tempo: 130 });
+  assert.deepStrictEqual(history.undo(), { tempo: 120 });
+  assert.strictEqual(history.undo(), null);
+  assert.deepStrictEqual(history.redo(), { tempo: 130 });
+  assert.deepStrictEqual(history.redo(), { tempo: 140 });
+  assert.strictEqual(history.redo(), null);
+});
+
+test('unchanged states are not recorded', () => {
+  const history = new EditHistory();
+  history.reset({ tempo: 120 });
+
+  assert.strictEqual(history.record({ tempo: 120 }), false);
+  assert.strictEqual(history.canUndo(), false);
+});
+
+test('a new edit discards the redo states', () => {
+  const history = new EditHistory();
+  history.reset({ tempo: 120 });
+  history.record({ tempo: 130 });
+  history.undo();
+  history.record({ tempo: 100 });
+
+  assert.strictEqual(history.canRedo(), false);
+  assert.deepStrictEqual(history.undo(), { tempo: 120 });
+});
+
+test('edits of the same group are undone together', () => {
+  const history = new EditHistory();
+  history.reset({ tempo: 120 });
+  history.record({ tempo: 90 }, 'tap');
+  history.record({ tempo: 95 }, 'tap');
+  history.record({ tempo: 96 }, 'tap');
+
+  assert.deepStrictEqual(history.undo(), { tempo: 120 });
+  assert.deepStrictEqual(history.redo(), { tempo: 96 });
+});
+
+test('recorded states are not affected by later changes', () => {
+  const history = new EditHistory();
+  const state = { bars: [{ chords: 'C' }] };
+  history.reset(state);
+  state.bars[0].chords = 'G';
+  history.record(state);
+
+  assert.deepStrictEqual(history.undo(), { bars: [{ chords: 'C' }] });
+});
+
+test('the oldest states are dropped beyond the limit', () => {
+  const history = new EditHistory(3);
+  history.reset({ step: 0 });
+  [1, 2, 3].forEach(step => history.record({ step }));
+
+  assert.deepStrictEqual(history.undo(), { step: 2 });
+  assert.deepStrictEqual(history.undo(), { step: 1 });
+  assert.strictEqual(history.undo(), null);
+});
@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const meter = require('../meter');
+
+test('bar length follows the beat unit the tempo refers to', () => {
+  assert.strictEqual(meter.getBarDurationMs(120, { beats: 4, noteValue: 4 }), 2000);
+  assert.strictEqual(meter.getBarDurationMs(60, { beats: 6, noteValue: 8 }, 'dottedQuarter'), 2000);
+  assert.strictEqual(meter.getBarDurationMs(120, { beats: 6, noteValue: 8 }, 'eighth'), 3000);
+  assert.strictEqual(meter.getBarDurationMs(60, { beats: 2, noteValue: 2 }, 'half'), 2000);
+  assert.strictEqual(meter.getBarDurationMs(120, { beats: 7, noteValue: 8 }), 1750);
+});
+
+test('unknown beat units fall back to the quarter note', () => {
+  assert.strictEqual(meter.getBeatUnitQuarterNotes('whole'), 1);
+  assert.strictEqual(meter.getBarDurationMs(120, { beats: 3, noteValue: 4 }, undefined), 1500);
+});
+
+test('simple meters are felt on every written beat', () => {
+  assert.deepStrictEqual(meter.getBeatGrouping({ beats: 4, noteValue: 4 }), [1, 1, 1, 1]);
+  assert.deepStrictEqual(meter.getBeatGrouping({ beats: 3, noteValue: 8 }), [1, 1, 1]);
+  assert.deepStrictEqual(meter.getBeatGrouping({ beats: 2, noteValue: 2 }), [1, 1]);
+});
+
+test('compound meters are felt in groups of three', () => {
+  assert.deepStrictEqual(meter.getBeatGrouping({ beats: 6, noteValue: 8 }), [3, 3]);
+  assert.deepStrictEqual(meter.getBeatGrouping({ beats: 9, noteValue: 8 }), [3, 3, 3]);
+  assert.deepStrictEqual(meter.getBeatGrouping({ beats: 12, noteValue: 8 }), [3, 3, 3, 3]);
+  assert.deepStrictEqual(meter.getBeatGrouping({ beats: 6, noteValue: 4 }), [1, 1, 1, 1, 1, 1]);
+});
+
+test('irregular meters use a custom grouping only when it adds up', () => {
+  const timeSignature = { beats: 7, noteValue: 8 };
+  assert.deepStrictEqual(meter.getBeatGrouping(timeSignature, [2, 2, 3]), [2, 2, 3]);
+  assert.deepStrictEqual(meter.getBeatGrouping(timeSignature, [2, 2, 2]), new Array(7).fill(1));
+  assert.deepStrictEqual(meter.getBeatGrouping(timeSignature, [2, 0, 5]), new Array(7).fill(1));
+  assert.deepStrictEqual(meter.parseBeatGrouping('2+2+3'), [2, 2, 3]);
+  assert.strictEqual(meter.parseBeatGrouping('2+x'), null);
+  assert.strictEqual(meter.formatBeatGrouping([3, 2, 2]), '3+2+2');
+});
+
+test('beat offsets follow the grouping', () => {
+  assert.deepStrictEqual(meter.getBeatOffsets([2, 2, 3], { beats: 7, noteValue: 8 }, 1750), [0, 500, 1000, 1750]);
+  assert.deepStrictEqual(meter.getBeatOffsets([3, 3], { beats: 6, noteValue: 8 }, 1500), [0, 750, 1500]);
+});
+
+test('accents index written beats, whatever the grouping', () => {
+  // 6/8 accents saved on the first and fourth eighth land on both felt beats
+  assert.deepStrictEqual(meter.getAccentedBeats([0, 3], [3, 3]), [0, 1]);
+  assert.deepStrictEqual(meter.getAccentedBeats([3], [1, 1, 1, 1, 1, 1]), [3]);
+  assert.deepStrictEqual(meter.getAccentedBeats([3, 6, 9], [3, 3, 3, 3]), [1, 2, 3]);
+  // 7/8 as 2+2+3: the third felt beat starts on the fifth eighth
+  assert.deepStrictEqual(meter.getBeatStartNotes([2, 2, 3]), [0, 2, 4]);
+  assert.deepStrictEqual(meter.getAccentedBeats([4], [2, 2, 3]), [2]);
+});
+
+test('accents inside a group do not move to another beat', () => {
+  assert.deepStrictEqual(meter.getAccentedBeats([1, 2], [3, 3]), []);
+  assert.deepStrictEqual(meter.getAccentedBeats([1], [2, 2, 3]), []);
+  assert.deepStrictEqual(meter.getAccentedBeats([], [1, 1, 1, 1]), []);
+});
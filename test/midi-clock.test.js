@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { MidiClockFollower, findPathPosition, getPathQuarterNotes, getSongPositionMessage } = require('../midi-clock');
+const { compilePerformancePath } = require('../compiler');
+
+function pulses(follower, count, interval, start = 0, jitter = () => 0) {
+  for (let i = 0; i < count; i++) {
+    follower.handlePulse(start + i * interval + jitter(i));
+  }
+  return start + count * interval;
+}
+
+test('the tempo is taken from the pulse rate and locks once a quarter note is steady', () => {
+  const follower = new MidiClockFollower();
+  const interval = 60000 / 120 / 24;
+
+  pulses(follower, 10, interval);
+  assert.strictEqual(follower.locked, false);
+
+  // A millisecond of jitter either way
+  const end = pulses(follower, 40, interval, 10 * interval, i => (i % 2 ? 1 : -1));
+  assert.strictEqual(follower.locked, true);
+  assert.ok(Math.abs(follower.bpm - 120) < 1, follower.bpm);
+
+  // A dropped pulse does not change the tempo
+  follower.handlePulse(end + interval);
+  assert.ok(Math.abs(follower.bpm - 120) < 1, follower.bpm);
+
+  // Pulses that stop unlock the clock
+  assert.strictEqual(follower.checkTimeout(end + 100), false);
+  assert.strictEqual(follower.checkTimeout(end + 1000), true);
+  assert.strictEqual(follower.locked, false);
+});
+
+test('a sudden new tempo is adopted after half a quarter note', () => {
+  const follower = new MidiClockFollower();
+  const end = pulses(follower, 30, 60000 / 60 / 24);
+  pulses(follower, 40, 60000 / 180 / 24, end);
+  assert.strictEqual(follower.locked, true);
+  assert.ok(Math.abs(follower.bpm - 180) < 1, follower.bpm);
+});
+
+test('song positions are counted in quarter notes from bar 1, after the countoff', () => {
+  const path = compilePerformancePath({
+    name: 'Test',
+    countoff: 1,
+    sections: [
+      { name: 'A', tempo: 120, timeSignature: { beats: 4, noteValue: 4 }, bars: [{}, {}] },
+      { name: 'B', tempo: 120, timeSignature: { beats: 6, noteValue: 8 }, bars: [{}, {}] }
+    ]
+  });
+
+  assert.deepStrictEqual(findPathPosition(path, 0), { pathIndex: 1, offset: 0 });
+  assert.deepStrictEqual(findPathPosition(path, 5), { pathIndex: 2, offset: 500 });
+  // 6/8 bars are three quarter notes long
+  assert.deepStrictEqual(findPathPosition(path, 9.5), { pathIndex: 3, offset: path.entries[3].duration / 2 });
+  assert.deepStrictEqual(findPathPosition(path, 100), { pathIndex: 4, offset: path.entries[4].duration });
+});
+
+test('path entries start at the song position that leads back to them', () => {
+  const path = compilePerformancePath({
+    name: 'Test',
+    countoff: 2,
+    sections: [
+      { name: 'A', tempo: 120, timeSignature: { beats: 4, noteValue: 4 }, bars: [{}, {}] },
+      { name: 'B', tempo: 120, timeSignature: { beats: 7, noteValue: 8 }, bars: [{}, {}] }
+    ]
+  });
+
+  assert.deepStrictEqual(path.entries.map((entry, i) => getPathQuarterNotes(path, i)), [-8, -4, 0, 4, 8, 11.5]);
+  path.entries.forEach((entry, i) => {
+    if (i >= path.songStartIndex) {
+      assert.deepStrictEqual(findPathPosition(path, getPathQuarterNotes(path, i)), { pathIndex: i, offset: 0 });
+    }
+  });
+});
+
+test('song position pointers carry 16th notes in two 7-bit bytes', () => {
+  assert.deepStrictEqual(getSongPositionMessage(0), [0xF2, 0, 0]);
+  assert.deepStrictEqual(getSongPositionMessage(200), [0xF2, 72, 1]);
+  assert.deepStrictEqual(getSongPositionMessage(-4), [0xF2, 0, 0]);
+  assert.deepStrictEqual(getSongPositionMessage(20000), [0xF2, 0x7F, 0x7F]);
+});
@@ -0,0 +1,201 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildMidiFile, parseMidiFile, TICKS_PER_QUARTER } = require('../midi');
+const { bar, section, scoreWithSections } = require('./helpers');
+
+// Events of every track as { tick, type, ... }
+function readTracks(buffer) {
+  assert.strictEqual(buffer.toString('ascii', 0, 4), 'MThd');
+  const trackCount = buffer.readUInt16BE(10);
+  const tracks = [];
+  let offset = 14;
+
+  for (let t = 0; t < trackCount; t++) {
+    assert.strictEqual(buffer.toString('ascii', offset, offset + 4), 'MTrk');
+    const end = offset + 8 + buffer.readUInt32BE(offset + 4);
+    const events = [];
+    let position = offset + 8;
+    let tick = 0;
+
+    const readVariableLength = () => {
+      let value = 0;
+      let byte;
+      do {
+        byte = buffer[position++];
+        value = (value << 7) | (byte & 0x7f);
+      } while (byte & 0x80);
+      return value;
+    };
+
+    while (position < end) {
+      tick += readVariableLength();
+      const status = buffer[position++];
+      if (status === 0xff) {
+        const type = buffer[position++];
+        const length = readVariableLength();
+        const data = buffer.subarray(position, position + length);
+        position += length;
+        events.push({ tick, type, data, text: data.toString('utf8') });
+      } else {
+        events.push({ tick, type: status & 0xf0, channel: status & 0x0f, note: buffer[position], velocity: buffer[position + 1] });
+        position += 2;
+      }
+    }
+
+    tracks.push(events);
+    offset = end;
+  }
+
+  return tracks;
+}
+
+function tempos(conductor) {
+  return conductor.filter(event => event.type === 0x51)
+    .map(event => [event.tick, Math.round(60000000 / event.data.readUIntBE(0, 3))]);
+}
+
+test('the conductor track holds the tempo map, time signatures and markers in playing order', () => {
+  const scoreData = scoreWithSections([
+    section([bar({ startRepeat: true }), bar({ endRepeat: true })], { name: 'Verse', tempo: 100 }),
+    section([bar()], { name: 'Bridge', tempo: 80, beatUnit: 'dottedQuarter', timeSignature: { beats: 6, noteValue: 8 } })
+  ], { countoff: 1 });
+
+  const [conductor, click] = readTracks(buildMidiFile([scoreData]));
+  const bar4 = TICKS_PER_QUARTER * 4;
+
+  assert.deepStrictEqual(conductor.filter(event => event.type === 0x06).map(event => [event.tick, event.text]),
+    [[0, 'Countoff'], [bar4, 'Verse'], [bar4 * 3, 'Verse'], [bar4 * 5, 'Bridge']]);
+  assert.deepStrictEqual(tempos(conductor), [[0, 100], [bar4 * 5, 120]]);
+  assert.deepStrictEqual(conductor.filter(event => event.type === 0x58).map(event => [event.tick, [...event.data]]),
+    [[0, [4, 2, 24, 8]], [bar4 * 5, [6, 3, 36, 8]]]);
+  assert.strictEqual(conductor[0].text, 'Test');
+  assert.strictEqual(click[0].text, 'Click');
+});
+
+test('tempo transitions ramp bar by bar and fermatas stretch their bar', () => {
+  const scoreData = scoreWithSections([
+    section([bar(), bar(), bar(), bar({ isFermata: true, fermataDuration: 4, fermataDurationType: 'seconds' })], { tempo: 60 }),
+    section([bar()], { tempo: 120, tempoTransitionBars: 3 })
+  ], { tempoPercentage: 50 });
+
+  const [conductor, click] = readTracks(buildMidiFile([scoreData]));
+  const bar4 = TICKS_PER_QUARTER * 4;
+
+  // The fermata bar is the last bar of the transition - it lasts 4 seconds, like a 4/4 bar at 60
+  assert.deepStrictEqual(tempos(conductor), [[0, 60], [bar4, 80], [bar4 * 2, 100], [bar4 * 3, 60], [bar4 * 4, 120]]);
+  assert.ok(!click.some(event => event.type === 0x90 && event.tick >= bar4 * 3 && event.tick < bar4 * 4));
+});
+
+test('the click plays accents and subdivisions', () => {
+  const scoreData = scoreWithSections([section([bar({ accentPattern: [2], subdivision: '8th' })], { timeSignature: { beats: 3, noteValue: 4 } })]);
+  const [, click] = readTracks(buildMidiFile([scoreData]));
+
+  const notes = click.filter(event => event.type === 0x90).map(event => [event.tick, event.note, event.channel]);
+  const half = TICKS_PER_QUARTER / 2;
+  assert.deepStrictEqual(notes, [
+    [0, 76, 9], [half, 42, 9],
+    [half * 2, 77, 9], [half * 3, 42, 9],
+    [half * 4, 76, 9], [half * 5, 42, 9]
+  ]);
+  assert.strictEqual(click.filter(event => event.type === 0x80).length, notes.length);
+});
+
+test('chords are text events on their beat', () => {
+  const scoreData = scoreWithSections([section([
+    bar({ chords: 'C G' }),
+    bar({ chords: 'Am F', chordChanges: [{ beat: 1, chord: 'Am' }, { beat: 4, chord: 'F' }] })
+  ])]);
+  const [conductor] = readTracks(buildMidiFile([scoreData]));
+
+  assert.deepStrictEqual(conductor.filter(event => event.type === 0x01).map(event => [event.tick / TICKS_PER_QUARTER, event.text]),
+    [[0, 'C'], [2, 'G'], [4, 'Am'], [7, 'F']]);
+});
+
+test('a setlist plays its songs back to back with a marker for each song', () => {
+  const songs = [
+    scoreWithSections([section([bar()])], { name: 'First' }),
+    scoreWithSections([section([bar()], { name: 'B', tempo: 90 })], { name: 'Second' })
+  ];
+  const [conductor] = readTracks(buildMidiFile(songs, 'Setlist'));
+
+  assert.strictEqual(conductor[0].text, 'Setlist');
+  assert.deepStrictEqual(conductor.filter(event => event.type === 0x06).map(event => [event.tick, event.text]),
+    [[0, 'First'], [0, 'A'], [TICKS_PER_QUARTER * 4, 'Second'], [TICKS_PER_QUARTER * 4, 'B']]);
+});
+
+test('a score that never ends is not exported', () => {
+  const endless = scoreWithSections([section([bar(), bar({ redirect: 1, redirectCount: Infinity })])]);
+  assert.throws(() => buildMidiFile([endless]), /never ends/);
+});
+
+test('an exported map imports back into sections, transitions, fermatas and countoff', () => {
+  const scoreData = scoreWithSections([
+    section([bar({ chords: 'C G' }), bar(), bar(), bar()], { name: 'Intro', tempo: 100 }),
+    section([bar({ chords: 'Am' }), bar({ isFermata: true, fermataDuration: 5, fermataDurationType: 'seconds' }), bar()],
+      { name: 'Verse', tempo: 120, tempoTransitionBars: 3 }),
+    section([bar(), bar()], { name: 'Outro', tempo: 80, beatUnit: 'dottedQuarter', timeSignature: { beats: 6, noteValue: 8 } })
+  ], { name: 'Song', countoff: 2 });
+
+  const imported = parseMidiFile(buildMidiFile([scoreData]));
+
+  assert.strictEqual(imported.name, 'Song');
+  assert.strictEqual(imported.countoff, 2);
+  assert.strictEqual(imported.barCount, 9);
+  assert.deepStrictEqual(
+    imported.sections.map(s => [s.name, s.tempo, s.beatUnit, `${s.timeSignature.beats}/${s.timeSignature.noteValue}`, s.tempoTransitionBars, s.bars.length]),
+    [['Intro', 100, 'quarter', '4/4', 0, 4], ['Verse', 120, 'quarter', '4/4', 3, 3], ['Outro', 80, 'dottedQuarter', '6/8', 0, 2]]
+  );
+  assert.deepStrictEqual(imported.sections[0].bars[0].chordChanges, [{ beat: 1, chord: 'C' }, { beat: 3, chord: 'G' }]);
+
+  const fermata = imported.sections[1].bars[1];
+  assert.deepStrictEqual([fermata.isFermata, fermata.fermataDuration, fermata.fermataDurationType], [true, 5, 'seconds']);
+});
+
+test('a DAW tempo map without markers is split at tempo and time signature changes', () => {
+  const track = [
+    0x00, 0xff, 0x51, 0x03, 0x07, 0xa1, 0x20, // 120 bpm
+    0x00, 0xff, 0x58, 0x04, 0x03, 0x02, 0x18, 0x08, // 3/4
+    0x00, 0x90, 0x3c, 0x64, // Note on, then running status
+    0x83, 0x60, 0x3c, 0x00,
+    0x92, 0x60, 0xff, 0x51, 0x03, 0x09, 0x27, 0xc0, // 100 bpm at bar 3
+    0x00, 0xff, 0x01, 0x02, 0x44, 0x6d, // "Dm"
+    0x00, 0xff, 0x01, 0x06, 0x42, 0x72, 0x69, 0x64, 0x67, 0x65, // "Bridge" is not a chord
+    0x8b, 0x20, 0xff, 0x07, 0x04, 0x4c, 0x61, 0x73, 0x74, // Cue "Last" at bar 4
+    0x8b, 0x20, 0xff, 0x2f, 0x00
+  ];
+  const header = Buffer.from([0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 0, 0, 1, 0x01, 0xe0]);
+  const trackHeader = Buffer.from([0x4d, 0x54, 0x72, 0x6b, 0, 0, 0, track.length]);
+
+  const imported = parseMidiFile(Buffer.concat([header, trackHeader, Buffer.from(track)]));
+
+  assert.strictEqual(imported.name, 'Imported Score');
+  assert.deepStrictEqual(imported.sections.map(s => [s.name, s.tempo, s.timeSignature.beats, s.bars.length]),
+    [['Section 1', 120, 3, 2], ['Section 2', 100, 3, 1], ['Last', 100, 3, 1]]);
+  assert.strictEqual(imported.sections[1].bars[0].chords, 'Dm');
+});
+
+test('files that are not MIDI are rejected', () => {
+  assert.throws(() => parseMidiFile(Buffer.from('RIFF....WAVE')), /Not a MIDI file/);
+});
+
+// A one-track file with the given events after the header's ticks per quarter note
+function midiFile(division, events) {
+  const track = [...events, 0x00, 0xff, 0x2f, 0x00];
+  const header = Buffer.from([0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 0, 0, 1, division >> 8, division & 0xff]);
+  const trackHeader = Buffer.from([0x4d, 0x54, 0x72, 0x6b, 0, 0, 0, track.length]);
+  return Buffer.concat([header, trackHeader, Buffer.from(track)]);
+}
+
+test('files whose bars have no length are rejected', () => {
+  const note = [0x00, 0x90, 0x3c, 0x64, 0x83, 0x60, 0x80, 0x3c, 0x00];
+
+  assert.throws(() => parseMidiFile(midiFile(0, note)), /zero ticks per quarter note/);
+  // 0/4
+  assert.throws(() => parseMidiFile(midiFile(480, [0x00, 0xff, 0x58, 0x04, 0x00, 0x02, 0x18, 0x08, ...note])),
+    /time signature 0\/4 has no length/);
+  // 1/128 at one tick per quarter note rounds to an empty bar
+  assert.throws(() => parseMidiFile(midiFile(1, [0x00, 0xff, 0x58, 0x04, 0x01, 0x07, 0x18, 0x08, ...note])),
+    /time signature 1\/128 has no length/);
+  // Time signature without its data
+  assert.throws(() => parseMidiFile(midiFile(480, [0x00, 0xff, 0x58, 0x00, ...note])), /has no length/);
+});
@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  parseTimecode,
+  formatTimecode,
+  getFullFrameMessage,
+  getQuarterFrameMessage,
+  MtcReader,
+  findSongTimePosition
+} = require('../mtc');
+const { compilePerformancePath } = require('../compiler');
+
+test('timecodes are counted in frames, with drop-frame skipping frame numbers', () => {
+  assert.strictEqual(parseTimecode('01:00:00:00', '25'), 90000);
+  assert.strictEqual(formatTimecode(90000 + 24, '25'), '01:00:00:24');
+  assert.strictEqual(parseTimecode('00:00:01:25', '25'), null);
+
+  // The first two frame numbers of a minute are skipped, except every tenth minute
+  assert.strictEqual(formatTimecode(1799, '29.97df'), '00:00:59;29');
+  assert.strictEqual(formatTimecode(1800, '29.97df'), '00:01:00;02');
+  assert.strictEqual(formatTimecode(17982, '29.97df'), '00:10:00;00');
+  assert.strictEqual(parseTimecode('00:01:00;02', '29.97df'), 1800);
+  assert.strictEqual(parseTimecode('00:01:00;00', '29.97df'), null);
+  [0, 1799, 1800, 17981, 17982, 107892].forEach(frames => {
+    assert.strictEqual(parseTimecode(formatTimecode(frames, '29.97df'), '29.97df'), frames);
+  });
+
+  // Before 00:00:00:00 wraps around the day
+  assert.strictEqual(formatTimecode(-30, '30'), '23:59:59:00');
+});
+
+test('quarter frames and full frames carry the timecode and frame rate', () => {
+  const frames = parseTimecode('01:02:03:04', '30');
+  assert.deepStrictEqual(getFullFrameMessage(frames, '30'), [0xF0, 0x7F, 0x7F, 0x01, 0x01, 0x61, 2, 3, 4, 0xF7]);
+
+  const pieces = [0, 1, 2, 3, 4, 5, 6, 7].map(piece => getQuarterFrameMessage(frames, '30', piece));
+  assert.deepStrictEqual(pieces.map(message => message[1]), [0x04, 0x10, 0x23, 0x30, 0x42, 0x50, 0x61, 0x76]);
+
+  const reader = new MtcReader();
+  assert.strictEqual(reader.handleQuarterFrame(pieces[3][1], 0), null); // Waits for piece 0
+  let position = null;
+  pieces.forEach((message, i) => {
+    position = reader.handleQuarterFrame(message[1], i * 1000 / 120);
+  });
+  // The last piece arrives a frame and three quarters after the frame it describes
+  assert.deepStrictEqual(position, { time: (frames + 1.75) * 1000 / 30, frameRate: '30' });
+  assert.deepStrictEqual(reader.handleFullFrame(getFullFrameMessage(frames, '30')), { time: frames * 1000 / 30, frameRate: '30' });
+
+  assert.strictEqual(reader.checkTimeout(70), false);
+  assert.strictEqual(reader.checkTimeout(200), true);
+});
+
+test('song time is counted from bar 1, with the countoff before it', () => {
+  const path = compilePerformancePath({
+    name: 'Test',
+    countoff: 1,
+    sections: [{ name: 'A', tempo: 120, timeSignature: { beats: 4, noteValue: 4 }, bars: [{}, {}] }]
+  });
+
+  assert.deepStrictEqual(findSongTimePosition(path, -500), { pathIndex: 0, offset: 1500 });
+  assert.deepStrictEqual(findSongTimePosition(path, 2500), { pathIndex: 2, offset: 500 });
+  assert.strictEqual(findSongTimePosition(path, -2500), null);
+  assert.strictEqual(findSongTimePosition(path, 4000), null);
+});
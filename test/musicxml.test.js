@@ -0,0 +1,177 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { DOMParser } = require('@xmldom/xmldom');
+const { parseMusicXML, formatHarmony, buildMusicXML } = require('../musicxml');
+const { getPlaybackOrder } = require('../engine');
+const { compilePerformancePath } = require('../compiler');
+
+function parse(xml) {
+  return new DOMParser().parseFromString(xml, 'text/xml');
+}
+
+function importFixture(name) {
+  return parseMusicXML(parse(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8')));
+}
+
+function partwise(measures) {
+  return `<?xml version="1.0"?>
+<score-partwise version="4.0">
+  <part-list><score-part id="P1"><part-name>Lead</part-name></score-part></part-list>
+  <part id="P1">${measures}</part>
+</score-partwise>`;
+}
+
+function harmony(content) {
+  return formatHarmony(parse(`<harmony>${content}</harmony>`).documentElement);
+}
+
+test('sections follow rehearsal marks, tempo and time signature changes', () => {
+  const imported = importFixture('song.musicxml');
+
+  assert.strictEqual(imported.name, 'Imported Song');
+  assert.strictEqual(imported.barCount, 7);
+  assert.deepStrictEqual(
+    imported.sections.map(section => [section.name, section.tempo, section.timeSignature.beats, section.timeSignature.noteValue, section.bars.length]),
+    [['Intro', 96, 4, 4, 1], ['Verse', 96, 4, 4, 4], ['Section 3', 150, 5, 8, 2]]
+  );
+  assert.deepStrictEqual(imported.sections[2].beatGrouping, [3, 2]);
+});
+
+test('chords from every part are kept with their beat', () => {
+  const [intro] = importFixture('song.musicxml').sections;
+
+  assert.strictEqual(intro.bars[0].chords, 'C Am7 G7/B');
+  assert.deepStrictEqual(intro.bars[0].chordChanges, [
+    { beat: 1, chord: 'C' },
+    { beat: 3, chord: 'Am7' },
+    { beat: 4, chord: 'G7/B' }
+  ]);
+});
+
+test('repeats, endings, navigation markers and fermatas map onto the bar fields', () => {
+  const { sections } = importFixture('song.musicxml');
+  const [verse, coda] = [sections[1].bars, sections[2].bars];
+
+  assert.ok(verse[0].startRepeat && verse[0].segno);
+  assert.ok(verse[1].endRepeat);
+  assert.deepStrictEqual(verse[1].volta, [1]);
+  assert.deepStrictEqual(verse[2].volta, [2]);
+  assert.ok(verse[2].toCoda);
+  assert.ok(verse[3].dalSegno && verse[3].alCoda);
+  assert.ok(coda[0].coda);
+  assert.ok(coda[1].isFermata);
+  assert.strictEqual(coda[1].fermataDuration, 5);
+});
+
+test('an imported score plays in the written order', () => {
+  const imported = importFixture('song.musicxml');
+  assert.deepStrictEqual(getPlaybackOrder({ name: imported.name, countoff: 0, sections: imported.sections }),
+    [1, 2, 3, 2, 4, 5, 2, 3, 2, 4, 6, 7]);
+});
+
+test('tempo comes from the metronome mark when there is no sound tempo', () => {
+  const imported = parseMusicXML(parse(partwise(`
+    <measure number="1">
+      <attributes><divisions>1</divisions><time><beats>6</beats><beat-type>8</beat-type></time></attributes>
+      <direction><direction-type><metronome><beat-unit>quarter</beat-unit><beat-unit-dot/><per-minute>60</per-minute></metronome></direction-type></direction>
+    </measure>`)));
+
+  const [section] = imported.sections;
+  assert.strictEqual(section.tempo, 60);
+  assert.strictEqual(section.beatUnit, 'dottedQuarter');
+  assert.strictEqual(imported.name, 'Imported Score');
+});
+
+test('chord kinds, alterations and bass notes are spelled out', () => {
+  assert.strictEqual(harmony('<root><root-step>F</root-step><root-alter>1</root-alter></root><kind>half-diminished</kind>'), 'F#m7b5');
+  assert.strictEqual(harmony('<root><root-step>B</root-step><root-alter>-1</root-alter></root><kind text="maj7">major-seventh</kind>'), 'Bbmaj7');
+  assert.strictEqual(harmony('<root><root-step>G</root-step></root><kind>dominant</kind><degree><degree-value>9</degree-value><degree-alter>-1</degree-alter><degree-type>alter</degree-type></degree><bass><bass-step>D</bass-step></bass>'), 'G7b9/D');
+  assert.strictEqual(harmony('<kind>none</kind>'), 'N.C.');
+});
+
+test('other documents are rejected', () => {
+  assert.throws(() => parseMusicXML(parse('<svg></svg>')), /Not a MusicXML score/);
+});
+
+test('an exported score imports back unchanged', () => {
+  const imported = importFixture('song.musicxml');
+  const exported = parseMusicXML(parse(buildMusicXML({ ...imported, countoff: 0 })));
+
+  assert.deepStrictEqual(exported, imported);
+});
+
+test('exported structure, tempo transitions and typed chords survive a round trip', () => {
+  const scoreData = {
+    name: 'Round & Trip',
+    countoff: 0,
+    sections: [
+      {
+        name: 'A', tempo: 100, timeSignature: { beats: 4, noteValue: 4 }, tempoTransitionBars: 0,
+        bars: [
+          { chords: 'C G', startRepeat: true },
+          { chords: 'F', volta: [1, 2], endRepeat: true, repeatCount: 3 },
+          { chords: 'Bb/D', volta: [3], fine: true }
+        ]
+      },
+      {
+        name: 'B', tempo: 80, beatUnit: 'dottedQuarter', timeSignature: { beats: 6, noteValue: 8 }, tempoTransitionBars: 2,
+        bars: [{ chords: 'N.C.' }, { chords: '', daCapo: true, alFine: true, noRepeats: true }]
+      },
+      {
+        name: 'C', tempo: 80, beatUnit: 'dottedQuarter', timeSignature: { beats: 7, noteValue: 8 }, beatGrouping: [2, 2, 3],
+        bars: [{ chords: 'Am' }]
+      }
+    ]
+  };
+
+  const imported = parseMusicXML(parse(buildMusicXML(scoreData)));
+  const [a, b, c] = imported.sections;
+
+  assert.strictEqual(imported.name, 'Round & Trip');
+  assert.deepStrictEqual(imported.sections.map(section => [section.name, section.tempo, section.beatUnit, section.tempoTransitionBars]),
+    [['A', 100, 'quarter', 0], ['B', 80, 'dottedQuarter', 2], ['C', 80, 'dottedQuarter', 0]]);
+  assert.deepStrictEqual(c.beatGrouping, [2, 2, 3]);
+  assert.deepStrictEqual(a.bars[0].chordChanges, [{ beat: 1, chord: 'C' }, { beat: 3, chord: 'G' }]);
+  assert.deepStrictEqual([a.bars[1].volta, a.bars[1].repeatCount, a.bars[2].volta], [[1, 2], 3, [3]]);
+  assert.ok(a.bars[2].fine);
+  assert.strictEqual(b.bars[0].chords, 'N.C.');
+  assert.deepStrictEqual([b.bars[1].daCapo, b.bars[1].alFine, b.bars[1].alCoda, b.bars[1].noRepeats], [true, true, false, true]);
+  assert.deepStrictEqual(getPlaybackOrder({ ...imported, countoff: 0 }), getPlaybackOrder(scoreData));
+});
+
+test('fermata holds survive a round trip, so the bars keep their timing', () => {
+  const scoreData = {
+    name: 'Holds',
+    countoff: 0,
+    sections: [{
+      name: 'A', tempo: 90, timeSignature: { beats: 3, noteValue: 4 },
+      bars: [
+        { chords: 'C' },
+        { chords: 'G', isFermata: true, fermataDuration: 6, fermataDurationType: 'beats' },
+        { chords: 'F', isFermata: true, fermataDuration: 2.5, fermataDurationType: 'seconds' }
+      ]
+    }]
+  };
+
+  const xml = buildMusicXML(scoreData);
+  assert.match(xml, /<other-play type="fermata-duration">6 beats<\/other-play>/);
+  const imported = parseMusicXML(parse(xml));
+
+  const holds = imported.sections[0].bars.map(bar => [bar.isFermata, bar.fermataDuration, bar.fermataDurationType]);
+  assert.deepStrictEqual(holds, [[false, 4, 'beats'], [true, 6, 'beats'], [true, 2.5, 'seconds']]);
+  const durations = data => compilePerformancePath(data).entries.map(entry => entry.duration);
+  assert.deepStrictEqual(durations(imported), durations(scoreData));
+});
+
+test('fermatas from other programs hold twice the written bar', () => {
+  const imported = parseMusicXML(parse(partwise(`
+    <measure number="1">
+      <attributes><divisions>1</divisions><time><beats>3</beats><beat-type>4</beat-type></time></attributes>
+      <note><rest measure="yes"/><duration>3</duration><notations><fermata/></notations></note>
+    </measure>`)));
+
+  const bar = imported.sections[0].bars[0];
+  assert.deepStrictEqual([bar.isFermata, bar.fermataDuration, bar.fermataDurationType], [true, 6, 'beats']);
+});
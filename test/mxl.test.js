@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { DOMParser } = require('@xmldom/xmldom');
+const { readZipEntries, readMusicXMLFile } = require('../mxl');
+const { parseMusicXML } = require('../musicxml');
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name));
+}
+
+test('zip entries are listed and read, stored or deflated', () => {
+  const entries = readZipEntries(readFixture('song.mxl'));
+
+  assert.deepStrictEqual([...entries.keys()], ['mimetype', 'META-INF/container.xml', 'score/song.musicxml']);
+  assert.strictEqual(entries.get('mimetype').read().toString(), 'application/vnd.recordare.musicxml');
+  assert.ok(entries.get('META-INF/container.xml').read().toString().includes('<rootfiles>'));
+});
+
+test('the root score named in container.xml is imported', () => {
+  const xml = readMusicXMLFile(readFixture('song.mxl'));
+  assert.strictEqual(xml, readFixture('song.musicxml').toString('utf8'));
+
+  const imported = parseMusicXML(new DOMParser().parseFromString(xml, 'text/xml'));
+  assert.strictEqual(imported.name, 'Imported Song');
+  assert.strictEqual(imported.barCount, 7);
+});
+
+test('uncompressed files are decoded, including UTF-16', () => {
+  const xml = '<?xml version="1.0" encoding="UTF-16"?><score-partwise/>';
+  const utf16 = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(xml, 'utf16le')]);
+
+  assert.strictEqual(readMusicXMLFile(Buffer.from(xml)), xml);
+  assert.strictEqual(readMusicXMLFile(utf16), xml);
+});
+
+test('a damaged archive is reported', () => {
+  const truncated = readFixture('song.mxl').subarray(0, 200);
+  assert.throws(() => readMusicXMLFile(truncated), /Not a valid \.mxl file/);
+});
@@ -0,0 +1,254 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { PlaybackEngine, getPlaybackOrder } = require('../engine');
+const { bar, score } = require('./helpers');
+
+function loadFixture(name) {
+  return require(path.join(__dirname, 'fixtures', `${name}.json`));
+}
+
+// Play a score on a virtual clock, jumping straight to each bar boundary, and record every
+// bar as it starts. Countoff bars are recorded as bar 0.
+function playThrough(scoreData, { repeatSong = false, maxBars = 1000, beforeBar = null } = {}) {
+  const engine = new PlaybackEngine(scoreData, repeatSong);
+  engine.isPeeking = true; // No navigation logging
+
+  let clock = 0;
+  engine.now = () => clock;
+
+  const bars = [];
+  engine.startTimeline();
+
+  while (engine.isPlaying && bars.length < maxBars) {
+    bars.push({ barNumber: engine.getCurrentBarInfo().absoluteNumber, startTime: engine.getBarStartTime() });
+    if (beforeBar) beforeBar(engine, bars.length);
+
+    clock = engine.getBarStartTime() + engine.getCurrentBarDuration();
+    engine.advanceTimeline(clock);
+  }
+
+  return { bars, order: bars.map(b => b.barNumber), endTime: clock };
+}
+
+// README: "Repeat with First and Second Endings"
+test('first and second endings', () => {
+  const { order } = playThrough(loadFixture('first-second-endings'));
+  assert.deepStrictEqual(order, [1, 2, 3, 4, 5, 7, 1, 2, 3, 4, 6, 7]);
+});
+
+// README: "D.S. al Coda"
+test('D.S. al Coda', () => {
+  const { order } = playThrough(loadFixture('ds-al-coda'));
+  assert.deepStrictEqual(order, [1, 2, 3, 4, 5, 6, 7, 8, 9, 3, 4, 5, 6, 10, 11, 12]);
+});
+
+// README: "D.C. al Fine"
+test('D.C. al Fine', () => {
+  const { order } = playThrough(loadFixture('dc-al-fine'));
+  assert.deepStrictEqual(order, [1, 2, 3, 4, 5, 6, 7, 8, 9, 1, 2, 3, 4, 5]);
+});
+
+// README: "Multiple Ending Numbers"
+test('endings 1,2 and 3 repeat three times', () => {
+  const { order } = playThrough(loadFixture('multiple-endings'));
+  assert.deepStrictEqual(order, [1, 2, 3, 1, 2, 3, 1, 2, 4]);
+});
+
+test('plain repeat plays twice', () => {
+  const { order } = playThrough(score([bar({ startRepeat: true }), bar({ endRepeat: true }), bar()]));
+  assert.deepStrictEqual(order, [1, 2, 1, 2, 3]);
+});
+
+test('end repeat without start repeat goes back to bar 1', () => {
+  const { order } = playThrough(score([bar(), bar({ endRepeat: true }), bar()]));
+  assert.deepStrictEqual(order, [1, 2, 1, 2, 3]);
+});
+
+test('nested repeats', () => {
+  const { order } = playThrough(score([
+    bar({ startRepeat: true }), bar({ startRepeat: true }), bar({ endRepeat: true }), bar({ endRepeat: true }), bar()
+  ]));
+  assert.deepStrictEqual(order, [1, 2, 3, 2, 3, 4, 1, 2, 3, 2, 3, 4, 5]);
+});
+
+test('nested repeats with their own endings', () => {
+  const { order } = playThrough(score([
+    bar({ startRepeat: true }),
+    bar({ startRepeat: true }), bar({ volta: 1, endRepeat: true }), bar({ volta: 2 }),
+    bar({ volta: 1, endRepeat: true }), bar({ volta: 2 }),
+    bar()
+  ]));
+  assert.deepStrictEqual(order, [1, 2, 3, 2, 4, 5, 1, 2, 3, 2, 4, 6, 7]);
+});
+
+test('repeat count on the end repeat', () => {
+  const { order } = playThrough(score([bar(), bar({ startRepeat: true }), bar({ endRepeat: true, repeatCount: 4 }), bar()]));
+  assert.deepStrictEqual(order, [1, 2, 3, 2, 3, 2, 3, 2, 3, 4]);
+});
+
+test('end repeat on a later ending belongs to the same repeat', () => {
+  const { order } = playThrough(score([
+    bar({ startRepeat: true }), bar({ volta: 1, endRepeat: true }), bar({ volta: 2, endRepeat: true }), bar({ volta: 3 }), bar()
+  ]));
+  assert.deepStrictEqual(order, [1, 2, 1, 3, 1, 4, 5]);
+});
+
+test('second end repeat without start repeat goes back to the bar after the first repeat', () => {
+  const { order } = playThrough(score([bar({ startRepeat: true }), bar({ endRepeat: true }), bar(), bar({ endRepeat: true }), bar()]));
+  assert.deepStrictEqual(order, [1, 2, 1, 2, 3, 4, 3, 4, 5]);
+});
+
+test('D.S. al Coda followed by D.C. al Fine', () => {
+  const { order } = playThrough(score([
+    bar(), bar({ fine: true }), bar({ segno: true }), bar({ toCoda: true }), bar({ dalSegno: true, alCoda: true }),
+    bar({ coda: true }), bar({ daCapo: true, alFine: true })
+  ]));
+  assert.deepStrictEqual(order, [1, 2, 3, 4, 5, 3, 4, 6, 7, 1, 2]);
+});
+
+test('D.C. al Coda ignores Fine', () => {
+  const { order } = playThrough(score([bar(), bar({ fine: true, toCoda: true }), bar(), bar({ daCapo: true, alCoda: true }), bar({ coda: true })]));
+  assert.deepStrictEqual(order, [1, 2, 3, 4, 1, 2, 5]);
+});
+
+test('repeats are played again after D.S. unless "no repeats" is set', () => {
+  const bars = (options) => [
+    bar({ segno: true }), bar({ startRepeat: true }), bar({ volta: 1, endRepeat: true }), bar({ volta: 2 }), bar({ dalSegno: true, ...options })
+  ];
+  assert.deepStrictEqual(playThrough(score(bars())).order, [1, 2, 3, 2, 4, 5, 1, 2, 3, 2, 4, 5]);
+  assert.deepStrictEqual(playThrough(score(bars({ noRepeats: true }))).order, [1, 2, 3, 2, 4, 5, 1, 2, 4, 5]);
+});
+
+test('redirect is followed redirectCount times', () => {
+  const { order } = playThrough(score([bar(), bar({ redirect: 1, redirectCount: 2 }), bar()]));
+  assert.deepStrictEqual(order, [1, 2, 1, 2, 1, 2, 3]);
+});
+
+test('D.S. without a segno continues to the next bar', () => {
+  const { order } = playThrough(score([bar(), bar({ dalSegno: true }), bar()]));
+  assert.deepStrictEqual(order, [1, 2, 3]);
+});
+
+test('To Coda without a coda is ignored', () => {
+  const { order } = playThrough(score([bar({ toCoda: true }), bar({ daCapo: true }), bar()]));
+  assert.deepStrictEqual(order, [1, 2, 1, 2, 3]);
+});
+
+test('sections are played in order', () => {
+  const scoreData = score([bar(), bar()]);
+  scoreData.sections.push({ name: 'B', tempo: 60, timeSignature: { beats: 3, noteValue: 4 }, bars: [bar()] });
+  assert.deepStrictEqual(playThrough(scoreData).order, [1, 2, 3]);
+});
+
+test('countoff bars come first', () => {
+  const { order } = playThrough(score([bar(), bar()], { countoff: 2 }));
+  assert.deepStrictEqual(order, [0, 0, 1, 2]);
+});
+
+test('repeat song restarts at bar 1 without countoff', () => {
+  const { order } = playThrough(score([bar(), bar()], { countoff: 1 }), { repeatSong: true, maxBars: 6 });
+  assert.deepStrictEqual(order, [0, 1, 2, 1, 2, 1]);
+});
+
+test('pending jump after bar takes effect at the bar line', () => {
+  const { order } = playThrough(score([bar(), bar(), bar(), bar()]), {
+    beforeBar: (engine, count) => {
+      if (count === 1) engine.pendingJump = { barNumber: 4, mode: 'afterBar' };
+    }
+  });
+  assert.deepStrictEqual(order, [1, 4]);
+});
+
+test('loop current bar repeats the bar until disabled', () => {
+  const { order } = playThrough(score([bar(), bar(), bar()]), {
+    beforeBar: (engine, count) => {
+      if (count === 2) {
+        engine.loopCurrentBarEnabled = true;
+        engine.loopCurrentBarNumber = 2;
+      } else if (count === 4) {
+        engine.loopCurrentBarEnabled = false;
+      }
+    }
+  });
+  assert.deepStrictEqual(order, [1, 2, 2, 2, 3]);
+});
+
+test('bars follow each other on the timeline without gaps', () => {
+  const scoreData = score([bar(), bar({ isFermata: true, fermataDuration: 3, fermataDurationType: 'seconds' }), bar()]);
+  scoreData.sections.push({ name: 'B', tempo: 60, timeSignature: { beats: 3, noteValue: 4 }, bars: [bar()] });
+
+  const { bars, endTime } = playThrough(scoreData);
+  assert.deepStrictEqual(bars.map(b => b.startTime), [0, 2000, 5000, 7000]);
+  assert.strictEqual(endTime, 10000);
+});
+
+test('late ticks do not shift the timeline', () => {
+  const engine = new PlaybackEngine(loadFixture('first-second-endings'));
+  engine.isPeeking = true;
+  let clock = 0;
+  engine.now = () => clock;
+  engine.startTimeline();
+
+  // Tick every 37ms - bar starts must still land exactly on multiples of 2000ms
+  const starts = [];
+  while (engine.isPlaying) {
+    clock += 37;
+    engine.advanceTimeline(clock);
+    if (engine.isPlaying && starts[starts.length - 1] !== engine.getBarStartTime()) {
+      starts.push(engine.getBarStartTime());
+    }
+  }
+  assert.deepStrictEqual(starts, [0, 2000, 4000, 6000, 8000, 10000, 12000, 14000, 16000, 18000, 20000, 22000]);
+});
+
+test('playback order preview matches playback', () => {
+  ['first-second-endings', 'ds-al-coda', 'dc-al-fine', 'multiple-endings'].forEach(name => {
+    const scoreData = loadFixture(name);
+    assert.deepStrictEqual(getPlaybackOrder(scoreData), playThrough(scoreData).order, name);
+  });
+});
+
+test('playback order preview ignores countoff and practice loop', () => {
+  const scoreData = score([bar(), bar(), bar()], { countoff: 2, loop: { enabled: true, start: 1, end: 2 } });
+  assert.deepStrictEqual(getPlaybackOrder(scoreData), [1, 2, 3]);
+});
+
+test('the backing track position follows the performance, scaled by the tempo percentage', () => {
+  const scoreData = score([bar({ startRepeat: true }), bar({ endRepeat: true }), bar()], {
+    countoff: 1,
+    tempoPercentage: 50,
+    backingTrack: { path: 'song.wav', offset: 500 }
+  });
+
+  const positions = [];
+  playThrough(scoreData, { beforeBar: engine => positions.push(engine.getBackingTrackTime()) });
+
+  // Bars last 4000ms at half tempo and cover 2000ms of audio each; the countoff ends at the offset
+  assert.deepStrictEqual(positions, [-1500, 500, 2500, 4500, 6500, 8500]);
+
+  const engine = new PlaybackEngine(scoreData);
+  assert.deepStrictEqual(engine.planSchedule(2).map(b => b.backingTrackTime), [-1500, 500, 2500]);
+  assert.strictEqual(new PlaybackEngine(score([bar()])).getBackingTrackTime(), null);
+});
+
+test('a tempo change keeps the part of the current bar already played', () => {
+  const engine = new PlaybackEngine(score([bar(), bar()]));
+  engine.isPeeking = true;
+  let clock = 0;
+  engine.now = () => clock;
+  engine.startTimeline();
+
+  // Halfway through bar 1 at 120 BPM, then half the tempo: the second half takes 2000ms
+  clock = 1000;
+  engine.advanceTimeline(clock);
+  engine.scoreData = { ...engine.scoreData, tempoPercentage: 50 };
+  engine.compileScore();
+  assert.strictEqual(clock - engine.getBarStartTime(), 2000);
+  assert.strictEqual(engine.currentBeat, 2);
+
+  clock = 3000;
+  engine.advanceTimeline(clock);
+  assert.strictEqual(engine.getAbsoluteBarNumber(), 2);
+  assert.strictEqual(engine.getBarStartTime(), 3000);
+});
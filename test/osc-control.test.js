@@ -0,0 +1,21 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getOscControlCommand } = require('../osc-control');
+
+test('OSC messages are turned into transport commands', () => {
+  assert.deepStrictEqual(getOscControlCommand('/metronome/play'), { action: 'play' });
+  assert.deepStrictEqual(getOscControlCommand('/metronome/seek', [17, 'afterBar']), { action: 'seek', barNumber: 17, mode: 'afterBar' });
+  assert.deepStrictEqual(getOscControlCommand('/metronome/seek', [17]), { action: 'seek', barNumber: 17, mode: 'direct' });
+  assert.deepStrictEqual(getOscControlCommand('/metronome/song/select', [2]), { action: 'selectSong', index: 2 });
+  assert.deepStrictEqual(getOscControlCommand('/metronome/tempo/percent', [90.0]), { action: 'tempoPercent', percent: 90 });
+  assert.deepStrictEqual(getOscControlCommand('/metronome/loop', [5, 8]), { action: 'loop', start: 5, end: 8 });
+  assert.deepStrictEqual(getOscControlCommand('/metronome/sync/nudge', [-10]), { action: 'nudge', ms: -10 });
+  assert.strictEqual(getOscControlCommand('/metronome/rewind'), null);
+});
+
+test('button releases do not trigger commands a second time', () => {
+  assert.deepStrictEqual(getOscControlCommand('/metronome/stop', [1]), { action: 'stop' });
+  assert.strictEqual(getOscControlCommand('/metronome/stop', [0]), null);
+  // Commands with arguments take 0 as a value
+  assert.deepStrictEqual(getOscControlCommand('/metronome/song/select', [0]), { action: 'selectSong', index: 0 });
+});
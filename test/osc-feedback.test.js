@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getOscDestinations, normalizeOscFeedback, buildFeedbackMessage, DEFAULT_OSC_FEEDBACK } = require('../osc-feedback');
+const MetronomeServer = require('../server');
+
+test('single-target settings become one destination with the default prefix', () => {
+  assert.deepStrictEqual(getOscDestinations({ host: '10.0.0.5', port: 9000 }),
+    [{ host: '10.0.0.5', port: 9000, prefix: '/metronome' }]);
+  assert.deepStrictEqual(getOscDestinations({
+    host: '10.0.0.5',
+    port: 9000,
+    destinations: [{ host: '10.0.0.6', port: '7000', prefix: 'lx/' }, { port: 8000, prefix: '' }]
+  }), [
+    { host: '10.0.0.6', port: 7000, prefix: '/lx' },
+    { host: '127.0.0.1', port: 8000, prefix: '/metronome' }
+  ]);
+});
+
+test('feedback messages carry bar, beat, section and BPM under the destination prefix', () => {
+  const position = { bar: 12, beat: 3, section: 'Chorus', bpm: 96 };
+  assert.deepStrictEqual(buildFeedbackMessage('/lx', 'beat', position), { address: '/lx/beat', args: [12, 3, 'Chorus', 96] });
+  assert.deepStrictEqual(buildFeedbackMessage('/lx', 'song', position, ['Intro Song']).args, [12, 3, 'Chorus', 96, 'Intro Song']);
+
+  assert.deepStrictEqual(normalizeOscFeedback(undefined), DEFAULT_OSC_FEEDBACK);
+  assert.deepStrictEqual(normalizeOscFeedback({ enabled: true, events: ['beat', 'fireworks'] }), { enabled: true, events: ['beat'] });
+});
+
+// Server on a virtual clock that records the feedback events it sends
+function createFeedbackServer(bars) {
+  const server = new MetronomeServer({
+    name: 'Test',
+    countoff: 0,
+    sections: [{ name: 'A', tempo: 120, timeSignature: { beats: 4, noteValue: 4 }, bars }]
+  });
+  const events = [];
+  server.sendOscFeedback = (event) => events.push(event);
+  server.clock = 0;
+  server.now = () => server.clock;
+  server.startTimeline();
+  return { server, events };
+}
+
+function runUntil(server, time) {
+  while (server.clock < time) {
+    server.clock += 10;
+    server.advanceTimeline(server.getTimelineNow());
+    server.sendPositionFeedback();
+  }
+}
+
+test('timeline corrections within a bar do not resend bar feedback', () => {
+  const { server, events } = createFeedbackServer([{ chords: '' }, { chords: '' }]);
+
+  runUntil(server, 500);
+  // Timeline corrections move the bar start without changing bars
+  server.barStartOffset += 3;
+  runUntil(server, 800);
+  server.barStartOffset -= 7;
+  runUntil(server, 1200);
+  server.moveToPathPosition({ pathIndex: 0, offset: 1150 });
+  runUntil(server, 1900);
+
+  assert.deepStrictEqual(events.filter(event => event !== 'beat'), ['section', 'bar']);
+  assert.strictEqual(events.filter(event => event === 'beat').length, 4);
+
+  runUntil(server, 2100);
+  assert.strictEqual(events.filter(event => event === 'bar').length, 2);
+});
+
+test('replaying the same bar sends bar feedback again', () => {
+  const { server, events } = createFeedbackServer([{ chords: '' }, { chords: '' }]);
+  server.loopCurrentBarEnabled = true;
+  server.loopCurrentBarNumber = 1;
+
+  runUntil(server, 4500);
+  assert.strictEqual(events.filter(event => event === 'bar').length, 3);
+  assert.strictEqual(server.getAbsoluteBarNumber(), 1);
+});
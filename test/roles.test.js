@@ -0,0 +1,23 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { normalizeClientIdentity, normalizeClientAssignment, applyClientAssignment, DEFAULT_CLIENT_ASSIGNMENT } = require('../public/roles');
+
+test('client identities get a known role and a short name', () => {
+  assert.deepStrictEqual(normalizeClientIdentity({ clientId: 'abc', name: '  Sam  ', role: 'drums' }),
+    { clientId: 'abc', name: 'Sam', role: 'drums' });
+  assert.deepStrictEqual(normalizeClientIdentity({ name: 'x'.repeat(50), role: 'tambourine' }),
+    { clientId: null, name: 'x'.repeat(30), role: 'other' });
+});
+
+test('assigned click settings replace the global ones unless left at the default', () => {
+  const clickSettings = { enabled: true, volume: 75, profile: {} };
+
+  assert.deepStrictEqual(normalizeClientAssignment(null), DEFAULT_CLIENT_ASSIGNMENT);
+  assert.deepStrictEqual(applyClientAssignment(clickSettings, DEFAULT_CLIENT_ASSIGNMENT), clickSettings);
+
+  const assignment = normalizeClientAssignment({ layout: 'chords', clickEnabled: false, clickVolume: '140' });
+  assert.deepStrictEqual(assignment, { layout: 'chords', clickEnabled: false, clickVolume: 100 });
+  assert.deepStrictEqual(applyClientAssignment(clickSettings, assignment), { enabled: false, volume: 100, profile: {} });
+
+  assert.strictEqual(normalizeClientAssignment({ layout: 'poster' }).layout, 'full');
+});
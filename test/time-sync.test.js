@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { normalizeSyncPing, normalizeSyncReport } = require('../time-sync');
+const MetronomeServer = require('../server');
+
+// Connects a fake socket to the server's connection handler and returns its handlers and
+// everything the server sent to it
+function connectClient(server, id) {
+  const handlers = {};
+  const sent = [];
+  const socket = {
+    id,
+    handshake: { address: '127.0.0.1', headers: {} },
+    on: (event, handler) => { handlers[event] = handler; },
+    emit: (event, data) => sent.push({ event, data })
+  };
+  server.io.sockets.listeners('connection')[0](socket);
+  return { handlers, sent };
+}
+
+function createServer() {
+  return new MetronomeServer({
+    name: 'Test',
+    countoff: 0,
+    sections: [{ name: 'A', tempo: 120, timeSignature: { beats: 4, noteValue: 4 }, bars: [{ chords: '' }] }]
+  });
+}
+
+test('pings need a finite sequence number and send time', () => {
+  assert.deepStrictEqual(normalizeSyncPing({ seq: 3, clientSendTime: 1234.5 }), { seq: 3, clientSendTime: 1234.5 });
+  assert.strictEqual(normalizeSyncPing(null), null);
+  assert.strictEqual(normalizeSyncPing(undefined), null);
+  assert.strictEqual(normalizeSyncPing('ping'), null);
+  assert.strictEqual(normalizeSyncPing(42), null);
+  assert.strictEqual(normalizeSyncPing({ seq: '3', clientSendTime: 1234.5 }), null);
+  assert.strictEqual(normalizeSyncPing({ seq: 3, clientSendTime: NaN }), null);
+  assert.strictEqual(normalizeSyncPing({ seq: 3, clientSendTime: Infinity }), null);
+});
+
+test('reports fall back to defaults for missing and malformed fields', () => {
+  const empty = { device: 'Unknown device', offset: 0, jitter: 0, roundTrip: 0, samples: 0 };
+  assert.deepStrictEqual(normalizeSyncReport(null), empty);
+  assert.deepStrictEqual(normalizeSyncReport('report'), empty);
+  assert.deepStrictEqual(normalizeSyncReport({ device: 'x'.repeat(60), offset: '1.5', jitter: 'high', roundTrip: 12, samples: 8 }),
+    { device: 'x'.repeat(40), offset: 1.5, jitter: 0, roundTrip: 12, samples: 8 });
+});
+
+test('the server drops malformed pings and survives malformed reports', () => {
+  const server = createServer();
+  const { handlers, sent } = connectClient(server, 'client-1');
+  sent.length = 0;
+
+  for (const payload of [null, undefined, 'ping', 42, [], { seq: 1 }]) {
+    handlers['time-sync-ping'](payload);
+  }
+  assert.deepStrictEqual(sent, []);
+
+  handlers['time-sync-ping']({ seq: 7, clientSendTime: 100 });
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0].event, 'time-sync-pong');
+  assert.strictEqual(sent[0].data.seq, 7);
+  assert.strictEqual(sent[0].data.clientSendTime, 100);
+
+  for (const payload of [null, undefined, 'report', 42]) {
+    handlers['time-sync-report'](payload);
+  }
+  assert.strictEqual(server.clientSyncStats.get('client-1').device, 'Unknown device');
+});
@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { PlaybackEngine } = require('../engine');
+const { getVoiceCues, getSpokenChord, getCountInWords, DEFAULT_VOICE_SETTINGS } = require('../public/voice');
+const { bar, section } = require('./helpers');
+
+function cuesOf(scoreData, settings = {}) {
+  const bars = new PlaybackEngine(scoreData).planSchedule(10);
+  return getVoiceCues(bars, { ...DEFAULT_VOICE_SETTINGS, enabled: true, ...settings }).map(cue => [cue.time, cue.text]);
+}
+
+test('the count-in is spoken on the countoff beats and sections are announced a bar ahead', () => {
+  const scoreData = {
+    name: 'Test',
+    countoff: 2,
+    sections: [section([bar(), bar()], { name: 'Verse' }), section([bar()], { name: 'Chorus' })]
+  };
+
+  assert.deepStrictEqual(cuesOf(scoreData), [
+    [0, 'one'], [500, 'two'], [1000, 'three'], [1500, 'four'],
+    [2000, 'one'], [2500, 'two'], [3000, 'ready'], [3500, 'go'],
+    // "Verse" would fall on the count-in
+    [6000, 'Chorus']
+  ]);
+
+  assert.deepStrictEqual(cuesOf(scoreData, { countIn: 'off' }), [[2000, 'Verse'], [6000, 'Chorus']]);
+  assert.deepStrictEqual(cuesOf(scoreData, { countIn: 'off', announceSections: false }), []);
+  assert.deepStrictEqual(cuesOf(scoreData, { enabled: false }), []);
+});
+
+test('bars can have their own cue and have their chords read out', () => {
+  const scoreData = {
+    name: 'Test',
+    countoff: 0,
+    sections: [section([
+      bar({ chords: 'C G/B', speakChords: true }),
+      bar({ voiceCue: 'Last time' }),
+      bar({ chords: 'Am', chordChanges: [{ beat: 3, chord: 'Am7' }], speakChords: true }),
+      bar({ chords: 'F' })
+    ])]
+  };
+
+  assert.deepStrictEqual(cuesOf(scoreData), [
+    [0, 'C'], [0, 'Last time'], [1000, 'G over B'],
+    [5000, 'A minor 7']
+  ]);
+});
+
+test('chords of a fermata bar keep the beats of the tempo', () => {
+  const scoreData = {
+    name: 'Test',
+    countoff: 0,
+    tempoPercentage: 50,
+    sections: [section([
+      bar({ chords: 'C F', speakChords: true, isFermata: true, fermataDuration: 8, fermataDurationType: 'seconds' }),
+      bar({ chords: 'C F', speakChords: true, isFermata: true, fermataDuration: 1 })
+    ])]
+  };
+
+  // Beats of 1000ms at half tempo: F falls on beat 3 of the hold, not halfway through its 8 seconds,
+  // and the one-beat hold ends before it
+  assert.deepStrictEqual(cuesOf(scoreData), [[0, 'C'], [2000, 'F'], [8000, 'C']]);
+});
+
+test('chord symbols are read as they are said', () => {
+  assert.strictEqual(getSpokenChord('F#m7b5/C#'), 'F sharp minor 7 flat 5 over C sharp');
+  assert.strictEqual(getSpokenChord('Bbmaj7'), 'B flat major 7');
+  assert.strictEqual(getSpokenChord('C6/9'), 'C 6 9');
+  assert.strictEqual(getSpokenChord('N.C.'), 'N.C.');
+});
+
+test('short bars count in with "ready, go" on their last beats', () => {
+  assert.deepStrictEqual(getCountInWords(3, 'ready', true), ['one', 'ready', 'go']);
+  assert.deepStrictEqual(getCountInWords(3, 'ready', false), ['one', 'two', 'three']);
+  assert.deepStrictEqual(getCountInWords(3, 'off', true), []);
+});
@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildClickTrackWav, SAMPLE_RATE } = require('../wav');
+const { bar, section, scoreWithSections } = require('./helpers');
+
+function readSamples(buffer) {
+  assert.strictEqual(buffer.toString('ascii', 0, 4), 'RIFF');
+  assert.strictEqual(buffer.toString('ascii', 8, 12), 'WAVE');
+  assert.strictEqual(buffer.readUInt32LE(24), SAMPLE_RATE);
+  assert.strictEqual(buffer.readUInt16LE(34), 16);
+  const dataLength = buffer.readUInt32LE(40);
+  assert.strictEqual(buffer.length, 44 + dataLength);
+  return new Int16Array(buffer.buffer.slice(buffer.byteOffset + 44, buffer.byteOffset + 44 + dataLength));
+}
+
+// Start sample and peak of every click (sound after at least 20ms of silence). Every sound
+// rises from zero, so a click starts one sample before the first it can be heard in.
+function findClicks(samples) {
+  const clicks = [];
+  let lastSound = -Infinity;
+  for (let i = 0; i < samples.length; i++) {
+    if (samples[i] === 0) continue;
+    if (i - lastSound > SAMPLE_RATE * 0.02) clicks.push({ start: i - 1, peak: 0 });
+    const click = clicks[clicks.length - 1];
+    click.peak = Math.max(click.peak, Math.abs(samples[i]));
+    lastSound = i;
+  }
+  return clicks;
+}
+
+// Sample position of a time in ms
+function at(ms) {
+  return Math.round(ms * SAMPLE_RATE / 1000);
+}
+
+test('clicks land on the beats of the tempo map, with fermatas held in seconds', () => {
+  const scoreData = scoreWithSections([
+    section([bar(), bar({ isFermata: true, fermataDuration: 3, fermataDurationType: 'seconds' })], { tempo: 120 }),
+    section([bar()], { tempo: 60, timeSignature: { beats: 3, noteValue: 4 } })
+  ], { countoff: 1, tempoPercentage: 50 });
+
+  const clicks = findClicks(readSamples(buildClickTrackWav([scoreData])));
+
+  // Countoff and bar 1 at 120 (the tempo percentage is not applied), the fermata holds 3s, then 3/4 at 60
+  const expected = [0, 500, 1000, 1500, 2000, 2500, 3000, 3500, 7000, 8000, 9000].map(at);
+  assert.deepStrictEqual(clicks.map(click => click.start), expected);
+});
+
+test('accented beats are louder than the other beats', () => {
+  const scoreData = scoreWithSections([section([bar({ accentPattern: [2] })])]);
+  const clicks = findClicks(readSamples(buildClickTrackWav([scoreData], { sound: 'woodblock' })));
+
+  const peaks = clicks.map(click => click.peak);
+  assert.strictEqual(peaks.length, 4);
+  assert.ok(Math.abs(peaks[0] - 32767) < 100);
+  assert.strictEqual(peaks[2], peaks[0]);
+  assert.ok(Math.abs(peaks[1] / peaks[0] - 0.6) < 0.01);
+  assert.strictEqual(peaks[3], peaks[1]);
+});
+
+test('subdivisions are only clicked when asked for', () => {
+  const scoreData = scoreWithSections([section([bar({ subdivision: '8th' })], { timeSignature: { beats: 2, noteValue: 4 } })]);
+
+  assert.strictEqual(findClicks(readSamples(buildClickTrackWav([scoreData]))).length, 2);
+  const clicks = findClicks(readSamples(buildClickTrackWav([scoreData], { subdivisions: true })));
+  assert.deepStrictEqual(clicks.map(click => click.start), [0, 250, 500, 750].map(at));
+  assert.ok(clicks[1].peak < clicks[0].peak * 0.6);
+});
+
+test('the count-in can be tones or spoken numbers', () => {
+  const scoreData = scoreWithSections([section([bar()], { timeSignature: { beats: 3, noteValue: 4 } })], { countoff: 1 });
+  const click = readSamples(buildClickTrackWav([scoreData]));
+  const tone = readSamples(buildClickTrackWav([scoreData], { countIn: 'tone' }));
+
+  // Only the countoff changes
+  assert.notDeepStrictEqual(tone.subarray(0, at(1500)), click.subarray(0, at(1500)));
+  assert.deepStrictEqual(tone.subarray(at(1500)), click.subarray(at(1500)));
+
+  // "Three" has no recording and falls back to the click
+  const one = new Float32Array(at(100)).fill(0.25);
+  const two = new Float32Array(at(100)).fill(-0.5);
+  const spoken = readSamples(buildClickTrackWav([scoreData], { countIn: 'spoken', voice: { 1: one, 2: two } }));
+  assert.strictEqual(spoken[0], Math.round(0.25 * 32767));
+  assert.strictEqual(spoken[at(500) + 10], Math.round(-0.5 * 32767));
+  assert.deepStrictEqual(spoken.subarray(at(1000), at(1100)), click.subarray(at(1000), at(1100)));
+});
+
+test('setlist songs follow each other after the pause', () => {
+  const songs = [
+    scoreWithSections([section([bar()])], { name: 'First' }),
+    scoreWithSections([section([bar()], { tempo: 60 })], { name: 'Second' })
+  ];
+  const clicks = findClicks(readSamples(buildClickTrackWav(songs, { gapSeconds: 3 })));
+
+  assert.deepStrictEqual(clicks.map(click => click.start), [0, 500, 1000, 1500, 5000, 6000, 7000, 8000].map(at));
+});
+
+test('a score that never ends is not exported', () => {
+  const endless = scoreWithSections([section([bar(), bar({ redirect: 1, redirectCount: Infinity })])]);
+  assert.throws(() => buildClickTrackWav([endless]), /never ends/);
+});
@@ -0,0 +1,26 @@
+// Validation of the clock sync messages clients send (see the time sync in public/client.js).
+// Payloads come straight off the socket, so anything may arrive in place of an object.
+
+// Ping sequence number and client send time, or null when the ping is malformed
+function normalizeSyncPing(ping) {
+  const data = ping || {};
+  if (!Number.isFinite(data.seq) || !Number.isFinite(data.clientSendTime)) return null;
+  return { seq: data.seq, clientSendTime: data.clientSendTime };
+}
+
+// Sync estimate a client reports for the operator UI
+function normalizeSyncReport(report) {
+  const data = report || {};
+  return {
+    device: String(data.device || 'Unknown device').slice(0, 40),
+    offset: Number(data.offset) || 0,
+    jitter: Number(data.jitter) || 0,
+    roundTrip: Number(data.roundTrip) || 0,
+    samples: Number(data.samples) || 0
+  };
+}
+
+module.exports = {
+  normalizeSyncPing,
+  normalizeSyncReport
+};
@@ -0,0 +1,130 @@
+// WAV click track export: the click of a score or a whole setlist rendered offline, on the same
+// tempo map the clients play (tempo transitions, beat groupings and fermatas included).
+const meter = require('./meter');
+const { compilePerformancePath } = require('./compiler');
+const { renderClickSound, renderCountInTone, DEFAULT_CLICK_SOUND } = require('./public/click-sounds');
+
+const SAMPLE_RATE = 44100;
+const SUBDIVISION_LEVEL = 0.5; // Relative to a regular beat
+const TAIL_SECONDS = 1; // Silence after the last click
+
+const DEFAULT_OPTIONS = {
+  sound: DEFAULT_CLICK_SOUND,
+  volume: 1,
+  subdivisions: false, // Live clicks are on the beats only
+  countIn: 'click', // 'click', 'tone' or 'spoken'
+  voice: null, // Spoken count-in: { [beatNumber]: Float32Array at SAMPLE_RATE }
+  gapSeconds: 0 // Silence between the songs of a setlist
+};
+
+// Clicks of one song as [{ time (ms), isAccent, isSubdivision, countInBeat }] plus its length.
+// countInBeat is the beat number within a countoff bar, 0 elsewhere.
+function getClickEvents(scoreData, includeSubdivisions) {
+  // The practice tempo percentage is not part of the map
+  const path = compilePerformancePath({ ...scoreData, tempoPercentage: 100 });
+  if (path.ending === 'limit') {
+    throw new Error(`"${scoreData.name}" never ends - check its redirects and repeats`);
+  }
+
+  const events = [];
+  let barStart = 0;
+
+  path.entries.forEach(entry => {
+    const bar = entry.bar;
+
+    // Fermata bars are held without clicks, as on the clients
+    if (!bar.isFermata) {
+      const beatOffsets = meter.getBeatOffsets(bar.beatGrouping, bar.timeSignature, entry.duration);
+      const subdivisionCount = includeSubdivisions ? meter.getSubdivisionCount(bar.subdivision) : 1;
+      const accentedBeats = meter.getAccentedBeats(bar.accentPattern || [], bar.beatGrouping);
+
+      for (let beat = 0; beat < beatOffsets.length - 1; beat++) {
+        const beatDuration = beatOffsets[beat + 1] - beatOffsets[beat];
+        for (let subdivision = 0; subdivision < subdivisionCount; subdivision++) {
+          events.push({
+            time: barStart + beatOffsets[beat] + subdivision * beatDuration / subdivisionCount,
+            isAccent: subdivision === 0 && (beat === 0 || accentedBeats.includes(beat)),
+            isSubdivision: subdivision > 0,
+            countInBeat: bar.isCountoff && subdivision === 0 ? beat + 1 : 0
+          });
+        }
+      }
+    }
+
+    barStart += entry.duration;
+  });
+
+  return { events, duration: barStart };
+}
+
+// 16-bit mono PCM WAV of the click of one or more scores played back to back
+function buildClickTrackWav(scores, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const songs = scores.map(scoreData => getClickEvents(scoreData, settings.subdivisions));
+
+  const sounds = {
+    accent: renderClickSound(settings.sound, true, SAMPLE_RATE),
+    beat: renderClickSound(settings.sound, false, SAMPLE_RATE),
+    countInAccent: renderCountInTone(true, SAMPLE_RATE),
+    countInBeat: renderCountInTone(false, SAMPLE_RATE)
+  };
+  const voice = settings.countIn === 'spoken' && settings.voice ? settings.voice : {};
+
+  const soundFor = (event) => {
+    if (event.countInBeat && settings.countIn === 'spoken' && voice[event.countInBeat]) {
+      return { samples: voice[event.countInBeat], level: 1 };
+    }
+    if (event.countInBeat && settings.countIn === 'tone') {
+      return { samples: event.isAccent ? sounds.countInAccent : sounds.countInBeat, level: 1 };
+    }
+    if (event.isSubdivision) {
+      return { samples: sounds.beat, level: SUBDIVISION_LEVEL };
+    }
+    return { samples: event.isAccent ? sounds.accent : sounds.beat, level: 1 };
+  };
+
+  // Songs follow each other at exact sample positions on one timeline
+  const placed = [];
+  let songStart = 0;
+  songs.forEach((song, index) => {
+    song.events.forEach(event => placed.push({ time: songStart + event.time, event }));
+    songStart += song.duration + (index < songs.length - 1 ? settings.gapSeconds * 1000 : 0);
+  });
+
+  const longestSound = Math.max(...Object.values(sounds).concat(Object.values(voice)).map(samples => samples.length));
+  const sampleCount = Math.ceil(songStart * SAMPLE_RATE / 1000) + Math.max(longestSound, TAIL_SECONDS * SAMPLE_RATE);
+
+  const buffer = Buffer.alloc(44 + sampleCount * 2);
+  writeWavHeader(buffer, sampleCount);
+  const output = new Int16Array(buffer.buffer, buffer.byteOffset + 44, sampleCount);
+
+  placed.forEach(({ time, event }) => {
+    const { samples, level } = soundFor(event);
+    const start = Math.round(time * SAMPLE_RATE / 1000);
+    const gain = level * settings.volume * 32767;
+    for (let i = 0; i < samples.length && start + i < sampleCount; i++) {
+      const value = output[start + i] + Math.round(samples[i] * gain);
+      output[start + i] = Math.max(-32768, Math.min(32767, value));
+    }
+  });
+
+  return buffer;
+}
+
+function writeWavHeader(buffer, sampleCount) {
+  buffer.write('RIFF', 0, 'ascii');
+  buffer.writeUInt32LE(36 + sampleCount * 2, 4);
+  buffer.write('WAVE', 8, 'ascii');
+  buffer.write('fmt ', 12, 'ascii');
+  buffer.writeUInt32LE(16, 16); // Format chunk size
+  buffer.writeUInt16LE(1, 20); // PCM
+  buffer.writeUInt16LE(1, 22); // Mono
+  buffer.writeUInt32LE(SAMPLE_RATE, 24);
+  buffer.writeUInt32LE(SAMPLE_RATE * 2, 28); // Bytes per second
+  buffer.writeUInt16LE(2, 32); // Bytes per sample frame
+  buffer.writeUInt16LE(16, 34); // Bits per sample
+  buffer.write('data', 36, 'ascii');
+  buffer.writeUInt32LE(sampleCount * 2, 40);
+}
+
+module.exports = { buildClickTrackWav, getClickEvents, SAMPLE_RATE };